@@ -0,0 +1,304 @@
+import express from "express";
+import { canAccess } from "../auth";
+import { parseImageChanges } from "../metadata/changes";
+import { QueryError } from "../metadata/query";
+
+/**
+ * Describes an album to the client, with the number of images in it.
+ * The deletehash is left out, as anyone holding it can delete an anonymous album.
+ *
+ * @param {Object} album The record of the album.
+ * @returns {Object}
+ */
+const describeAlbum = ({ deletehash, ...album }) => ({
+  ...album,
+  imageCount: album.imageIds.length,
+});
+
+/**
+ * Relays a failure of the storage backend to the client.
+ *
+ * @param {Object} res The express response.
+ * @param {Error} error The error raised by the storage backend.
+ * @param {string} message The message sent for unexpected failures.
+ */
+const sendStorageError = (res, error, message) => {
+  // If the album no longer exists on the backend, say so.
+  if (error?.status === 404) {
+    res.status(404).send("Album not found.");
+    return;
+  }
+
+  // If Imgur's credits have run out, tell the client when to try again.
+  if (error?.status === 429) {
+    if (typeof error.retryAfter === "number") {
+      res.set("Retry-After", `${error.retryAfter}`);
+    }
+    res.status(429).send("Imgur's rate limit has been reached.");
+    return;
+  }
+
+  console.error(`${message}:`, error?.message ?? error);
+  res.status(500).send(`${message}.`);
+};
+
+/**
+ * Reads the title and description of an album from a request body, within the limits applied to those of images.
+ * The title is required. An empty description, or null, clears it.
+ *
+ * @param {Object} body The body of the request.
+ * @returns {Object} The title, and the description if one was sent.
+ * @throws {QueryError} If the title is missing, or either is invalid.
+ */
+const parseAlbumDetails = (body) => {
+  if (body?.title === undefined) {
+    throw new QueryError("The album must have a title.");
+  }
+  return parseImageChanges({
+    title: body.title,
+    description: body.description,
+  });
+};
+
+/**
+ * Creates the routes that manage albums, which group uploaded images.
+ *
+ * Albums are created on the storage backend, so that they also appear on Imgur, and are recorded in the album
+ * store alongside the IDs of the images in each, so that images can be listed by album without asking Imgur.
+ * Each album records the user that created it as its owner, and is hidden from other users as their images are.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage The storage provider.
+ * @param {Object} options.albumStore The store that records the albums.
+ * @param {Object} options.metadataStore The store that records the uploaded images.
+ * @returns {Object} An express router.
+ */
+export const createAlbumRouter = ({ storage, albumStore, metadataStore }) => {
+  const router = express.Router();
+
+  /**
+   * Loads the album named in the URL, responding with a 404 if it does not exist or the caller may not access it.
+   */
+  const loadAlbum = async (req, res, next) => {
+    try {
+      req.album = await albumStore.get(req.params.albumid);
+    } catch (error) {
+      next(error);
+      return;
+    }
+    if (!req.album || !canAccess(req.user, req.album)) {
+      res.status(404).send("Album not found.");
+      return;
+    }
+    next();
+  };
+
+  /**
+   * Reads the image IDs sent in a request body, responding with a 400 unless every ID refers to an uploaded image
+   * the caller may access. The images of other users are reported as unknown.
+   */
+  const parseImageIds = async (req, res, next) => {
+    const imageIds = req.body?.imageIds ?? [];
+    if (
+      !Array.isArray(imageIds) ||
+      !imageIds.every((id) => typeof id === "string")
+    ) {
+      res.status(400).send("imageIds must be a list of image IDs.");
+      return;
+    }
+
+    try {
+      const unknown = [];
+      for (const id of imageIds) {
+        const record = await metadataStore.get(id);
+        if (!record || !canAccess(req.user, record)) {
+          unknown.push(id);
+        }
+      }
+      if (unknown.length > 0) {
+        res.status(400).send(`Unknown images: ${unknown.join(", ")}.`);
+        return;
+      }
+    } catch (error) {
+      next(error);
+      return;
+    }
+
+    req.imageIds = [...new Set(imageIds)];
+    next();
+  };
+
+  /**
+   * This endpoint is used to list the albums the caller may access.
+   *
+   * @returns {Object} The albums, most recently created first, each with the IDs and number of its images.
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const albums = (await albumStore.list()).filter((album) =>
+        canAccess(req.user, album)
+      );
+      res.status(200).send({ albums: albums.map(describeAlbum) });
+    } catch (error) {
+      console.error("Error fetching albums:", error?.message ?? error);
+      res.status(500).send("Failed to fetch albums.");
+    }
+  });
+
+  /**
+   * This endpoint is used to create an album.
+   *
+   * @param {string} title The title of the album.
+   * @param {string} description The description of the album. Optional.
+   * @param {Array} imageIds The IDs of uploaded images to add to the album. Optional.
+   * @returns {Object} The album.
+   */
+  router.post("/", parseImageIds, async (req, res) => {
+    let details;
+    try {
+      details = parseAlbumDetails(req.body);
+    } catch (error) {
+      res.status(400).send(error.message);
+      return;
+    }
+    const { title, description = null } = details;
+
+    try {
+      const album = await storage.createAlbum({ title, description });
+      if (req.imageIds.length > 0) {
+        await storage.addToAlbum(album.id, req.imageIds);
+      }
+
+      const stored = await albumStore.insert({
+        id: album.id,
+        deletehash: album.deletehash ?? null,
+        title,
+        description,
+        imageIds: req.imageIds,
+        owner: req.user?.id ?? null,
+        datetime: Math.floor(Date.now() / 1000),
+      });
+      res.status(201).send(describeAlbum(stored));
+    } catch (error) {
+      sendStorageError(res, error, "Failed to create album");
+    }
+  });
+
+  /**
+   * This endpoint is used to retrieve a single album.
+   *
+   * @param {string} albumid The ID of the album.
+   * @returns {Object} The album.
+   */
+  router.get("/:albumid", loadAlbum, (req, res) => {
+    res.status(200).send(describeAlbum(req.album));
+  });
+
+  /**
+   * This endpoint is used to rename an album.
+   *
+   * @param {string} albumid The ID of the album.
+   * @param {string} title The new title of the album.
+   * @param {string} description The new description of the album. Optional.
+   * @returns {Object} The album.
+   */
+  router.patch("/:albumid", loadAlbum, async (req, res) => {
+    let changes;
+    try {
+      changes = parseAlbumDetails(req.body);
+    } catch (error) {
+      res.status(400).send(error.message);
+      return;
+    }
+
+    try {
+      await storage.updateAlbum(req.album.id, changes);
+      const updated = await albumStore.update(req.album.id, changes);
+      res.status(200).send(describeAlbum(updated));
+    } catch (error) {
+      sendStorageError(res, error, "Failed to rename album");
+    }
+  });
+
+  /**
+   * This endpoint is used to delete an album. The images in it are kept.
+   *
+   * @param {string} albumid The ID of the album.
+   */
+  router.delete("/:albumid", loadAlbum, async (req, res) => {
+    try {
+      await storage.deleteAlbum(req.album.id);
+      await albumStore.remove(req.album.id);
+      res.status(200).send("success");
+    } catch (error) {
+      // The album no longer exists, so the record of it is stale.
+      if (error?.status === 404) {
+        await albumStore.remove(req.album.id).catch(() => {});
+      }
+      sendStorageError(res, error, "Failed to delete album");
+    }
+  });
+
+  /**
+   * This endpoint is used to add images to an album.
+   * Images already in the album are left where they are.
+   *
+   * @param {string} albumid The ID of the album.
+   * @param {Array} imageIds The IDs of the images to add.
+   * @returns {Object} The album.
+   */
+  router.post(
+    "/:albumid/images",
+    loadAlbum,
+    parseImageIds,
+    async (req, res) => {
+      const added = req.imageIds.filter(
+        (id) => !req.album.imageIds.includes(id)
+      );
+      try {
+        if (added.length > 0) {
+          await storage.addToAlbum(req.album.id, added);
+        }
+        const updated = await albumStore.update(req.album.id, {
+          imageIds: [...req.album.imageIds, ...added],
+        });
+        res.status(200).send(describeAlbum(updated));
+      } catch (error) {
+        sendStorageError(res, error, "Failed to add images to album");
+      }
+    }
+  );
+
+  /**
+   * This endpoint is used to remove images from an album. The images themselves are kept.
+   *
+   * @param {string} albumid The ID of the album.
+   * @param {Array} imageIds The IDs of the images to remove.
+   * @returns {Object} The album.
+   */
+  router.delete("/:albumid/images", loadAlbum, async (req, res) => {
+    const imageIds = req.body?.imageIds;
+    if (
+      !Array.isArray(imageIds) ||
+      !imageIds.every((id) => typeof id === "string")
+    ) {
+      res.status(400).send("imageIds must be a list of image IDs.");
+      return;
+    }
+
+    const removed = req.album.imageIds.filter((id) => imageIds.includes(id));
+    try {
+      if (removed.length > 0) {
+        await storage.removeFromAlbum(req.album.id, removed);
+      }
+      const updated = await albumStore.update(req.album.id, {
+        imageIds: req.album.imageIds.filter((id) => !removed.includes(id)),
+      });
+      res.status(200).send(describeAlbum(updated));
+    } catch (error) {
+      sendStorageError(res, error, "Failed to remove images from album");
+    }
+  });
+
+  return router;
+};
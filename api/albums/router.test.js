@@ -0,0 +1,320 @@
+import request from "supertest";
+import express from "express";
+import { createAlbumRouter } from "./router";
+import { createMetadataStore } from "../metadata";
+import { StorageError } from "../storage";
+import { MAX_DESCRIPTION_LENGTH, MAX_TITLE_LENGTH } from "../config/metadata";
+
+describe("Album router", () => {
+  let storage;
+  let albumStore;
+  let metadataStore;
+  let app;
+
+  beforeEach(async () => {
+    storage = {
+      createAlbum: jest.fn(async () => ({
+        id: "albumid",
+        deletehash: "albumhash",
+      })),
+      updateAlbum: jest.fn(async () => {}),
+      deleteAlbum: jest.fn(async () => {}),
+      addToAlbum: jest.fn(async () => {}),
+      removeFromAlbum: jest.fn(async () => {}),
+    };
+    albumStore = createMetadataStore({ filePath: ":memory:" });
+    metadataStore = createMetadataStore({ filePath: ":memory:" });
+    await metadataStore.insert({ id: "image1", datetime: 1 });
+    await metadataStore.insert({ id: "image2", datetime: 2 });
+    await metadataStore.insert({ id: "alices", datetime: 3, owner: "alice" });
+    await metadataStore.insert({ id: "bobs", datetime: 4, owner: "bob" });
+
+    app = express();
+    app.use(express.json());
+    // Stand in for the authentication of the main router, naming the caller in a header, or else an admin.
+    app.use((req, res, next) => {
+      const id = req.get("X-Test-User");
+      req.user = id ? { id, role: "user" } : { id: "admin", role: "admin" };
+      next();
+    });
+    app.use(
+      "/albums",
+      createAlbumRouter({ storage, albumStore, metadataStore })
+    );
+  });
+
+  const createAlbum = (body = { title: "Case 42" }) =>
+    request(app).post("/albums").send(body);
+
+  describe("POST /albums", () => {
+    it("Creates an album on the storage backend and records it.", async () => {
+      const response = await createAlbum({
+        title: " Case 42 ",
+        imageIds: ["image1"],
+      });
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        id: "albumid",
+        title: "Case 42",
+        description: null,
+        imageIds: ["image1"],
+        imageCount: 1,
+      });
+      expect(storage.createAlbum).toHaveBeenCalledWith({
+        title: "Case 42",
+        description: null,
+      });
+      expect(response.body).not.toHaveProperty("deletehash");
+      expect(storage.addToAlbum).toHaveBeenCalledWith("albumid", ["image1"]);
+      expect(await albumStore.get("albumid")).toMatchObject({
+        deletehash: "albumhash",
+        owner: "admin",
+      });
+    });
+
+    it("Requires a title.", async () => {
+      const response = await createAlbum({ title: "  " });
+      expect(response.status).toBe(400);
+      expect(storage.createAlbum).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ title: "a".repeat(MAX_TITLE_LENGTH + 1) }, "title may not exceed"],
+      [{ title: "Case 42", description: { text: "x" } }, "description must be"],
+      [
+        {
+          title: "Case 42",
+          description: "a".repeat(MAX_DESCRIPTION_LENGTH + 1),
+        },
+        "description may not exceed",
+      ],
+    ])("Rejects invalid details: %j.", async (body, message) => {
+      const response = await createAlbum(body);
+      expect(response.status).toBe(400);
+      expect(response.text).toMatch(message);
+      expect(storage.createAlbum).not.toHaveBeenCalled();
+    });
+
+    it("Rejects images that have not been uploaded.", async () => {
+      const response = await createAlbum({
+        title: "Case 42",
+        imageIds: ["image1", "missing"],
+      });
+      expect(response.status).toBe(400);
+      expect(response.text).toBe("Unknown images: missing.");
+      expect(storage.createAlbum).not.toHaveBeenCalled();
+    });
+
+    it("Relays Imgur's rate limit.", async () => {
+      storage.createAlbum.mockRejectedValue(
+        new StorageError("Imgur's rate limit has been reached.", 429, 30)
+      );
+      const response = await createAlbum();
+      expect(response.status).toBe(429);
+      expect(response.headers["retry-after"]).toBe("30");
+      expect(await albumStore.list()).toEqual([]);
+    });
+
+    it("Leaves out Retry-After when Imgur gives no time to wait.", async () => {
+      storage.createAlbum.mockRejectedValue(
+        new StorageError("Imgur's rate limit has been reached.", 429)
+      );
+      const response = await createAlbum();
+      expect(response.status).toBe(429);
+      expect(response.headers["retry-after"]).toBeUndefined();
+    });
+  });
+
+  describe("GET /albums", () => {
+    it("Lists every album with the number of images in it.", async () => {
+      await createAlbum({ title: "Case 42", imageIds: ["image1", "image2"] });
+      const response = await request(app).get("/albums");
+      expect(response.status).toBe(200);
+      expect(response.body.albums).toEqual([
+        expect.objectContaining({ id: "albumid", imageCount: 2 }),
+      ]);
+    });
+
+    it("Retrieves a single album.", async () => {
+      await createAlbum();
+      const response = await request(app).get("/albums/albumid");
+      expect(response.status).toBe(200);
+      expect(response.body.title).toBe("Case 42");
+    });
+
+    it("Returns a 404 for albums that do not exist.", async () => {
+      const response = await request(app).get("/albums/missing");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /albums/:albumid", () => {
+    it("Renames an album.", async () => {
+      await createAlbum();
+      const response = await request(app)
+        .patch("/albums/albumid")
+        .send({ title: "Matter 7" });
+      expect(response.status).toBe(200);
+      expect(response.body.title).toBe("Matter 7");
+      expect(storage.updateAlbum).toHaveBeenCalledWith("albumid", {
+        title: "Matter 7",
+      });
+    });
+
+    it("Requires a title.", async () => {
+      await createAlbum();
+      const response = await request(app).patch("/albums/albumid").send({});
+      expect(response.status).toBe(400);
+      expect(storage.updateAlbum).not.toHaveBeenCalled();
+    });
+
+    it("Rejects a description that is too long.", async () => {
+      await createAlbum();
+      const response = await request(app)
+        .patch("/albums/albumid")
+        .send({
+          title: "Matter 7",
+          description: "a".repeat(MAX_DESCRIPTION_LENGTH + 1),
+        });
+      expect(response.status).toBe(400);
+      expect(storage.updateAlbum).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("DELETE /albums/:albumid", () => {
+    it("Deletes an album, keeping its images.", async () => {
+      await createAlbum({ title: "Case 42", imageIds: ["image1"] });
+      const response = await request(app).delete("/albums/albumid");
+      expect(response.status).toBe(200);
+      expect(storage.deleteAlbum).toHaveBeenCalledWith("albumid");
+      expect(await albumStore.get("albumid")).toBeNull();
+      expect(await metadataStore.get("image1")).not.toBeNull();
+    });
+
+    it("Forgets albums that no longer exist on the backend.", async () => {
+      await createAlbum();
+      storage.deleteAlbum.mockRejectedValue(
+        new StorageError("Not found.", 404)
+      );
+      const response = await request(app).delete("/albums/albumid");
+      expect(response.status).toBe(404);
+      expect(await albumStore.get("albumid")).toBeNull();
+    });
+
+    it("Reports unexpected failures.", async () => {
+      await createAlbum();
+      storage.deleteAlbum.mockRejectedValue(new Error("Network Error"));
+      const response = await request(app).delete("/albums/albumid");
+      expect(response.status).toBe(500);
+      expect(response.text).toBe("Failed to delete album.");
+      expect(await albumStore.get("albumid")).not.toBeNull();
+    });
+  });
+
+  describe("/albums/:albumid/images", () => {
+    it("Adds only the images not already in the album.", async () => {
+      await createAlbum({ title: "Case 42", imageIds: ["image1"] });
+      const response = await request(app)
+        .post("/albums/albumid/images")
+        .send({ imageIds: ["image1", "image2"] });
+      expect(response.status).toBe(200);
+      expect(response.body.imageIds).toEqual(["image1", "image2"]);
+      expect(storage.addToAlbum).toHaveBeenLastCalledWith("albumid", [
+        "image2",
+      ]);
+    });
+
+    it("Removes images from the album.", async () => {
+      await createAlbum({ title: "Case 42", imageIds: ["image1", "image2"] });
+      const response = await request(app)
+        .delete("/albums/albumid/images")
+        .send({ imageIds: ["image1", "missing"] });
+      expect(response.status).toBe(200);
+      expect(response.body.imageIds).toEqual(["image2"]);
+      expect(storage.removeFromAlbum).toHaveBeenCalledWith("albumid", [
+        "image1",
+      ]);
+    });
+
+    it("Rejects a malformed list of images.", async () => {
+      await createAlbum();
+      const response = await request(app)
+        .delete("/albums/albumid/images")
+        .send({ imageIds: "image1" });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Ownership", () => {
+    const asUser = (req, id) => req.set("X-Test-User", id);
+
+    it("Hides an album from everyone but the user that created it.", async () => {
+      const created = await asUser(
+        createAlbum({ title: "Case 42", imageIds: ["alices"] }),
+        "alice"
+      );
+      expect(created.status).toBe(201);
+      expect(created.body.owner).toBe("alice");
+
+      const listed = await asUser(request(app).get("/albums"), "alice");
+      expect(listed.body.albums.map((album) => album.id)).toEqual(["albumid"]);
+      const hidden = await asUser(request(app).get("/albums"), "bob");
+      expect(hidden.body.albums).toEqual([]);
+
+      const responses = await Promise.all([
+        asUser(request(app).get("/albums/albumid"), "bob"),
+        asUser(
+          request(app).patch("/albums/albumid").send({ title: "Mine" }),
+          "bob"
+        ),
+        asUser(request(app).delete("/albums/albumid"), "bob"),
+        asUser(
+          request(app)
+            .post("/albums/albumid/images")
+            .send({ imageIds: ["bobs"] }),
+          "bob"
+        ),
+        asUser(
+          request(app)
+            .delete("/albums/albumid/images")
+            .send({ imageIds: ["alices"] }),
+          "bob"
+        ),
+      ]);
+      expect(responses.map((response) => response.status)).toEqual([
+        404, 404, 404, 404, 404,
+      ]);
+      expect(storage.updateAlbum).not.toHaveBeenCalled();
+      expect(storage.deleteAlbum).not.toHaveBeenCalled();
+      expect(storage.removeFromAlbum).not.toHaveBeenCalled();
+      expect((await albumStore.get("albumid")).imageIds).toEqual(["alices"]);
+
+      // Admins see every album.
+      const admin = await request(app).get("/albums/albumid");
+      expect(admin.status).toBe(200);
+    });
+
+    it("Only adds the caller's own images to an album.", async () => {
+      const response = await asUser(
+        createAlbum({
+          title: "Case 42",
+          imageIds: ["alices", "bobs", "image1"],
+        }),
+        "alice"
+      );
+      expect(response.status).toBe(400);
+      expect(response.text).toBe("Unknown images: bobs, image1.");
+      expect(storage.createAlbum).not.toHaveBeenCalled();
+
+      await asUser(createAlbum(), "alice");
+      const added = await asUser(
+        request(app)
+          .post("/albums/albumid/images")
+          .send({ imageIds: ["bobs"] }),
+        "alice"
+      );
+      expect(added.status).toBe(400);
+      expect(storage.addToAlbum).not.toHaveBeenCalled();
+    });
+  });
+});
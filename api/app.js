@@ -1,15 +1,22 @@
 import express from "express";
 import cors from "cors";
-import router from "./router";
+import { assertValidSettings, settings } from "./config/settings";
+import router, { prepareStorage } from "./router";
+
+// Refuse to start with missing or invalid settings, rather than failing on the first request that needs them.
+try {
+  assertValidSettings();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
-const port = process.env.PORT || 9001;
 
-// Enable CORS for all routes.
-// This is not secure, and should be locked down to specific origins in a production environment.
+// Only let the configured origins call the API from a browser.
 app.use(
   cors({
-    origin: "*",
+    origin: settings.CORS_ORIGINS.includes("*") ? "*" : settings.CORS_ORIGINS,
   })
 );
 
@@ -17,4 +24,15 @@ app.use(
 app.use(express.json());
 
 app.use("/", router);
-app.listen(port, () => {});
+
+// Start even if the storage backend cannot be readied, as Imgur's access token is refreshed again when it is refused.
+prepareStorage()
+  .catch((error) => {
+    console.error(
+      "Failed to prepare the storage backend:",
+      error?.message ?? error
+    );
+  })
+  .finally(() => {
+    app.listen(settings.PORT, () => {});
+  });
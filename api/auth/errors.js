@@ -0,0 +1,13 @@
+/**
+ * An error raised when the credentials of a request are missing or cannot be verified.
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message A description of the problem with the credentials.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+    this.status = 401;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * This file exposes the authentication of requests to the API.
+ */
+import crypto from "crypto";
+import { AUTH_API_KEYS, AUTH_JWT_SECRET } from "../config/auth";
+import { createKeyring } from "./keys";
+import { createAuthenticator } from "./middleware";
+import { createAuthRouter } from "./router";
+
+export { AuthError } from "./errors";
+export { createKeyring } from "./keys";
+export { canAccess, createAuthenticator } from "./middleware";
+export { signToken, verifyToken } from "./tokens";
+
+const keyring = createKeyring(AUTH_API_KEYS);
+
+// Without a configured secret, the tokens issued when signing in are signed with one generated at startup.
+const tokenSecret = AUTH_JWT_SECRET ?? crypto.randomBytes(32).toString("hex");
+
+// Requests are authenticated with the configured API keys, or with JWTs signed with the secret.
+export const authenticate = createAuthenticator({
+  keyring,
+  jwtSecret: tokenSecret,
+});
+
+// Users sign in with their API key through the /auth routes, which issue them tokens.
+export const authRouter = createAuthRouter({ keyring, secret: tokenSecret });
@@ -0,0 +1,50 @@
+import crypto from "crypto";
+
+/**
+ * Hashes an API key, so that keys are looked up without comparing them directly.
+ *
+ * @param {string} key The key.
+ * @returns {string} The SHA-256 hash of the key, in hex.
+ */
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Creates the keyring that identifies the users of API keys.
+ *
+ * @param {Array} entries The API keys accepted, each given as "user:role:key".
+ * @returns {Object} A keyring.
+ */
+export const createKeyring = (entries = []) => {
+  // The users of the API keys, keyed by the hash of each key.
+  const users = new Map(
+    entries.map((entry) => {
+      const [id, role, key] = entry.split(":");
+      return [hashKey(key), { id, role }];
+    })
+  );
+
+  return {
+    /**
+     * Finds the user of an API key.
+     *
+     * @param {string} key The key.
+     * @returns {Object|null} The ID and role of the user, or null if the key is not recognised.
+     */
+    find(key) {
+      return users.get(hashKey(key)) ?? null;
+    },
+
+    /**
+     * Checks whether a user still holds a key with the same role, so that removing a user's keys
+     * also ends the sessions they signed in to with them.
+     *
+     * @param {Object} user The ID and role of the user.
+     * @returns {boolean}
+     */
+    hasUser({ id, role }) {
+      return [...users.values()].some(
+        (user) => user.id === id && user.role === role
+      );
+    },
+  };
+};
@@ -0,0 +1,86 @@
+import { ROLES } from "../config/auth";
+import { AuthError } from "./errors";
+import { verifyToken } from "./tokens";
+
+/**
+ * Reads the credential sent with a request.
+ * Credentials are sent as a bearer token in the Authorization header, or as an X-API-Key header. EventSource cannot
+ * set headers, so the access_token query parameter is also read.
+ *
+ * @param {Object} req The express request.
+ * @returns {string|null} The credential, or null if none was sent.
+ */
+const readCredential = (req) => {
+  const [scheme, credential] = (req.get("Authorization") ?? "").split(" ");
+  if (scheme?.toLowerCase() === "bearer" && credential) {
+    return credential;
+  }
+  if (req.get("X-API-Key")) {
+    return req.get("X-API-Key");
+  }
+  return typeof req.query.access_token === "string"
+    ? req.query.access_token
+    : null;
+};
+
+/**
+ * Checks whether a user may see and change an image.
+ * Admins may access every image, including those without an owner, and users only the images they uploaded.
+ *
+ * @param {Object} user The user making the request.
+ * @param {Object|null} record The record of the image, or null if it is not recorded.
+ * @returns {boolean}
+ */
+export const canAccess = (user, record) =>
+  user?.role === ROLES.ADMIN ||
+  (!!record && !!user && (record.owner ?? null) === user.id);
+
+/**
+ * Creates the middleware that authenticates requests, recording the caller as req.user.
+ * Requests without valid credentials are refused with a 401.
+ *
+ * @param {Object} options
+ * @param {Object} options.keyring The keyring of the API keys accepted.
+ * @param {string|null} options.jwtSecret The secret JWTs must be signed with, or null to accept API keys only.
+ * @returns {Function} An express middleware.
+ */
+export const createAuthenticator = ({ keyring, jwtSecret = null }) => {
+  /**
+   * Identifies the user a credential belongs to.
+   *
+   * @param {string} credential An API key or a JWT.
+   * @returns {Object} The ID and role of the user.
+   */
+  const identify = (credential) => {
+    if (jwtSecret && credential.split(".").length === 3) {
+      return verifyToken(credential, jwtSecret);
+    }
+    const user = keyring.find(credential);
+    if (!user) {
+      throw new AuthError("The API key is not recognised.");
+    }
+    return user;
+  };
+
+  return (req, res, next) => {
+    const credential = readCredential(req);
+    if (!credential) {
+      res.set("WWW-Authenticate", "Bearer");
+      res.status(401).send("Authentication is required.");
+      return;
+    }
+
+    try {
+      req.user = identify(credential);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        next(error);
+        return;
+      }
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      res.status(error.status).send(error.message);
+      return;
+    }
+    next();
+  };
+};
@@ -0,0 +1,104 @@
+import request from "supertest";
+import express from "express";
+import { canAccess, createAuthenticator } from "./middleware";
+import { createKeyring } from "./keys";
+import { signToken } from "./tokens";
+
+describe("Authentication", () => {
+  const jwtSecret = "a-secret-that-is-long-enough-0000";
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(
+      createAuthenticator({
+        keyring: createKeyring([
+          "alice:user:alice-key-00000000",
+          "root:admin:root-key-0000000000",
+        ]),
+        jwtSecret,
+      })
+    );
+    app.get("/", (req, res) => res.send(req.user));
+  });
+
+  it("Refuses requests without credentials.", async () => {
+    const response = await request(app).get("/");
+    expect(response.status).toBe(401);
+    expect(response.headers["www-authenticate"]).toBe("Bearer");
+  });
+
+  it("Accepts API keys as bearer tokens or in X-API-Key.", async () => {
+    const bearer = await request(app)
+      .get("/")
+      .set("Authorization", "Bearer alice-key-00000000");
+    expect(bearer.body).toEqual({ id: "alice", role: "user" });
+
+    const header = await request(app)
+      .get("/")
+      .set("X-API-Key", "root-key-0000000000");
+    expect(header.body).toEqual({ id: "root", role: "admin" });
+  });
+
+  it("Accepts credentials in the query, for event streams.", async () => {
+    const response = await request(app).get(
+      "/?access_token=alice-key-00000000"
+    );
+    expect(response.body).toEqual({ id: "alice", role: "user" });
+  });
+
+  it("Accepts JWTs signed with the secret.", async () => {
+    const token = signToken({ id: "carol", role: "admin" }, jwtSecret);
+    const response = await request(app)
+      .get("/")
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.body).toEqual({ id: "carol", role: "admin" });
+  });
+
+  it("Refuses unknown keys and invalid tokens.", async () => {
+    const key = await request(app)
+      .get("/")
+      .set("Authorization", "Bearer unknown-key");
+    expect(key.status).toBe(401);
+    expect(key.text).toBe("The API key is not recognised.");
+    expect(key.headers["www-authenticate"]).toBe(
+      'Bearer error="invalid_token"'
+    );
+
+    const token = signToken({ id: "carol" }, "another-secret-0000");
+    const jwt = await request(app)
+      .get("/")
+      .set("Authorization", `Bearer ${token}`);
+    expect(jwt.status).toBe(401);
+    expect(jwt.text).toBe("The token's signature is invalid.");
+  });
+
+  it("Only treats tokens as JWTs when a secret is configured.", async () => {
+    app = express();
+    app.use(createAuthenticator({ keyring: createKeyring() }));
+    app.get("/", (req, res) => res.send(req.user));
+    const token = signToken({ id: "carol" }, jwtSecret);
+    const response = await request(app)
+      .get("/")
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.status).toBe(401);
+  });
+
+  describe("canAccess", () => {
+    const alice = { id: "alice", role: "user" };
+    const admin = { id: "root", role: "admin" };
+
+    it("Lets users access only their own images.", () => {
+      expect(canAccess(alice, { id: "a", owner: "alice" })).toBe(true);
+      expect(canAccess(alice, { id: "b", owner: "bob" })).toBe(false);
+      expect(canAccess(alice, { id: "c" })).toBe(false);
+      expect(canAccess(alice, null)).toBe(false);
+    });
+
+    it("Lets admins access every image.", () => {
+      expect(canAccess(admin, { id: "b", owner: "bob" })).toBe(true);
+      expect(canAccess(admin, { id: "c" })).toBe(true);
+      expect(canAccess(admin, null)).toBe(true);
+    });
+  });
+});
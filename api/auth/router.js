@@ -0,0 +1,97 @@
+import express from "express";
+import {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  TOKEN_USES,
+} from "../config/auth";
+import { AuthError } from "./errors";
+import { signToken, verifyToken } from "./tokens";
+
+/**
+ * Creates the routes that sign users in with their API key, so that clients such as the UI hold short-lived tokens
+ * rather than the key itself.
+ *
+ * @param {Object} options
+ * @param {Object} options.keyring The keyring of the API keys accepted.
+ * @param {string} options.secret The secret the tokens are signed with.
+ * @returns {Object} An express router.
+ */
+export const createAuthRouter = ({ keyring, secret }) => {
+  const router = express.Router();
+
+  /**
+   * Issues a new pair of tokens to a user.
+   *
+   * @param {Object} user The ID and role of the user.
+   * @returns {Object} The user, the access and refresh tokens, and when the access token expires in milliseconds.
+   */
+  const issueSession = (user) => {
+    const now = Date.now();
+    return {
+      user: { id: user.id, role: user.role },
+      accessToken: signToken(user, secret, { ttl: ACCESS_TOKEN_TTL, now }),
+      refreshToken: signToken(user, secret, {
+        use: TOKEN_USES.REFRESH,
+        ttl: REFRESH_TOKEN_TTL,
+        now,
+      }),
+      expiresAt: (Math.floor(now / 1000) + ACCESS_TOKEN_TTL) * 1000,
+    };
+  };
+
+  /**
+   * This endpoint is used to sign in with an API key.
+   *
+   * @param {string} apiKey The API key of the user.
+   * @returns {Object} The user, an access token to send as a bearer token, a refresh token and when the
+   * access token expires.
+   */
+  router.post("/login", express.json(), (req, res) => {
+    const apiKey = req.body?.apiKey;
+    if (typeof apiKey !== "string" || apiKey === "") {
+      res.status(400).send("An API key must be given.");
+      return;
+    }
+
+    const user = keyring.find(apiKey);
+    if (!user) {
+      res.status(401).send("The API key is not recognised.");
+      return;
+    }
+    res.status(200).send(issueSession(user));
+  });
+
+  /**
+   * This endpoint is used to exchange a refresh token for a new pair of tokens, before the access token expires.
+   * Refreshing fails once the user no longer holds an API key, which ends their session.
+   *
+   * @param {string} refreshToken The refresh token issued with the current access token.
+   * @returns {Object} The same details as POST /auth/login.
+   */
+  router.post("/refresh", express.json(), (req, res, next) => {
+    const refreshToken = req.body?.refreshToken;
+    if (typeof refreshToken !== "string" || refreshToken === "") {
+      res.status(400).send("A refresh token must be given.");
+      return;
+    }
+
+    let user;
+    try {
+      user = verifyToken(refreshToken, secret, { use: TOKEN_USES.REFRESH });
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        next(error);
+        return;
+      }
+      res.status(error.status).send(error.message);
+      return;
+    }
+    if (!keyring.hasUser(user)) {
+      res.status(401).send("The user no longer has access.");
+      return;
+    }
+    res.status(200).send(issueSession(user));
+  });
+
+  return router;
+};
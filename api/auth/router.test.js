@@ -0,0 +1,86 @@
+import request from "supertest";
+import express from "express";
+import { createAuthRouter } from "./router";
+import { createKeyring } from "./keys";
+import { signToken, verifyToken } from "./tokens";
+
+describe("Auth router", () => {
+  const secret = "a-secret-that-is-long-enough-0000";
+  let keyring;
+  let app;
+
+  beforeEach(() => {
+    keyring = createKeyring(["alice:user:alice-key-00000000"]);
+    app = express();
+    app.use("/auth", createAuthRouter({ keyring, secret }));
+  });
+
+  const login = (apiKey) => request(app).post("/auth/login").send({ apiKey });
+
+  describe("POST /auth/login", () => {
+    it("Issues tokens for a recognised API key.", async () => {
+      const response = await login("alice-key-00000000");
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        user: { id: "alice", role: "user" },
+        accessToken: expect.any(String),
+        refreshToken: expect.any(String),
+        expiresAt: expect.any(Number),
+      });
+      expect(verifyToken(response.body.accessToken, secret)).toEqual({
+        id: "alice",
+        role: "user",
+      });
+      expect(response.body.expiresAt).toBeGreaterThan(Date.now());
+    });
+
+    it("Refuses unknown API keys.", async () => {
+      const response = await login("not-a-key");
+      expect(response.status).toBe(401);
+      expect(response.text).toBe("The API key is not recognised.");
+    });
+
+    it("Requires an API key.", async () => {
+      const response = await request(app).post("/auth/login").send({});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /auth/refresh", () => {
+    const refresh = (refreshToken) =>
+      request(app).post("/auth/refresh").send({ refreshToken });
+
+    it("Exchanges a refresh token for new tokens.", async () => {
+      const { refreshToken } = (await login("alice-key-00000000")).body;
+      const response = await refresh(refreshToken);
+      expect(response.status).toBe(200);
+      expect(response.body.user).toEqual({ id: "alice", role: "user" });
+      expect(verifyToken(response.body.accessToken, secret).id).toBe("alice");
+    });
+
+    it("Does not accept access tokens in place of refresh tokens, or the reverse.", async () => {
+      const { accessToken, refreshToken } = (await login("alice-key-00000000"))
+        .body;
+      const response = await refresh(accessToken);
+      expect(response.status).toBe(401);
+      expect(response.text).toBe("The token is for access, not refresh.");
+      expect(() => verifyToken(refreshToken, secret)).toThrow(
+        "The token is for refresh, not access."
+      );
+    });
+
+    it("Ends the sessions of users who no longer hold a key.", async () => {
+      const refreshToken = signToken({ id: "bob", role: "user" }, secret, {
+        use: "refresh",
+      });
+      const response = await refresh(refreshToken);
+      expect(response.status).toBe(401);
+      expect(response.text).toBe("The user no longer has access.");
+    });
+
+    it("Requires a refresh token.", async () => {
+      const response = await request(app).post("/auth/refresh").send({});
+      expect(response.status).toBe(400);
+    });
+  });
+});
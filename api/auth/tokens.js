@@ -0,0 +1,138 @@
+import crypto from "crypto";
+import {
+  ACCESS_TOKEN_TTL,
+  JWT_ALGORITHM,
+  JWT_CLOCK_TOLERANCE,
+  ROLES,
+  TOKEN_USES,
+} from "../config/auth";
+import { AuthError } from "./errors";
+
+/**
+ * Encodes a JSON value as a segment of a JWT.
+ *
+ * @param {Object} value The value.
+ * @returns {string} The value as base64url.
+ */
+const encodeSegment = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Decodes a segment of a JWT.
+ *
+ * @param {string} segment The segment, as base64url.
+ * @returns {Object|null} The value, or null if the segment is not a JSON object.
+ */
+const decodeSegment = (segment) => {
+  try {
+    const value = JSON.parse(Buffer.from(segment, "base64url").toString());
+    return typeof value === "object" && value !== null ? value : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Signs the header and claims of a JWT.
+ *
+ * @param {string} content The encoded header and claims, joined by a dot.
+ * @param {string} secret The secret to sign with.
+ * @returns {Buffer} The signature.
+ */
+const sign = (content, secret) =>
+  crypto.createHmac("sha256", secret).update(content).digest();
+
+/**
+ * Issues a JWT for a user.
+ *
+ * @param {Object} user
+ * @param {string} user.id The ID of the user, recorded as the subject of the token.
+ * @param {string} user.role The role of the user, one of ROLES.
+ * @param {string} secret The secret to sign the token with.
+ * @param {Object} options
+ * @param {string} options.use What the token is for, one of TOKEN_USES.
+ * @param {number} options.ttl The number of seconds the token is valid for.
+ * @param {number} options.now The current time, in milliseconds.
+ * @returns {string} The token.
+ */
+export const signToken = (
+  { id, role = ROLES.USER },
+  secret,
+  { use = TOKEN_USES.ACCESS, ttl = ACCESS_TOKEN_TTL, now = Date.now() } = {}
+) => {
+  const issuedAt = Math.floor(now / 1000);
+  const content = `${encodeSegment({
+    alg: JWT_ALGORITHM,
+    typ: "JWT",
+  })}.${encodeSegment({
+    sub: id,
+    role,
+    use,
+    iat: issuedAt,
+    exp: issuedAt + ttl,
+  })}`;
+  return `${content}.${sign(content, secret).toString("base64url")}`;
+};
+
+/**
+ * Verifies a JWT and reads the user it was issued to.
+ * Only tokens signed with HS256, carrying a subject and an expiry, are accepted.
+ * Tokens without a use claim, as issued by other servers, are access tokens.
+ *
+ * @param {string} token The token.
+ * @param {string} secret The secret the token must have been signed with.
+ * @param {Object} options
+ * @param {string} options.use What the token must be for, one of TOKEN_USES.
+ * @param {number} options.now The current time, in milliseconds.
+ * @returns {Object} The ID and role of the user.
+ */
+export const verifyToken = (
+  token,
+  secret,
+  { use = TOKEN_USES.ACCESS, now = Date.now() } = {}
+) => {
+  const [header, claims, signature, ...rest] = token.split(".");
+  if (!header || !claims || !signature || rest.length > 0) {
+    throw new AuthError("The token is malformed.");
+  }
+
+  // The algorithm is checked before the signature, so that unsigned tokens are never trusted.
+  if (decodeSegment(header)?.alg !== JWT_ALGORITHM) {
+    throw new AuthError(`Only ${JWT_ALGORITHM} tokens are accepted.`);
+  }
+  const expected = sign(`${header}.${claims}`, secret);
+  const received = Buffer.from(signature, "base64url");
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    throw new AuthError("The token's signature is invalid.");
+  }
+
+  const payload = decodeSegment(claims);
+  if (typeof payload?.sub !== "string" || payload.sub === "") {
+    throw new AuthError("The token does not name a user.");
+  }
+  const tokenUse = payload.use ?? TOKEN_USES.ACCESS;
+  if (tokenUse !== use) {
+    throw new AuthError(`The token is for ${tokenUse}, not ${use}.`);
+  }
+  const seconds = now / 1000;
+  if (
+    typeof payload.exp !== "number" ||
+    payload.exp + JWT_CLOCK_TOLERANCE <= seconds
+  ) {
+    throw new AuthError("The token has expired.");
+  }
+  if (
+    typeof payload.nbf === "number" &&
+    payload.nbf - JWT_CLOCK_TOLERANCE > seconds
+  ) {
+    throw new AuthError("The token is not valid yet.");
+  }
+
+  return {
+    id: payload.sub,
+    role: payload.role === ROLES.ADMIN ? ROLES.ADMIN : ROLES.USER,
+  };
+};
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+import { signToken, verifyToken } from "./tokens";
+import { AuthError } from "./errors";
+
+describe("Tokens", () => {
+  const secret = "a-secret-that-is-long-enough-0000";
+  const now = Date.parse("2024-05-01T12:00:00Z");
+
+  /**
+   * Builds a token by hand, signed with the test secret.
+   */
+  const forge = (header, claims, signingSecret = secret) => {
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+    const content = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto
+      .createHmac("sha256", signingSecret)
+      .update(content)
+      .digest("base64url");
+    return `${content}.${signature}`;
+  };
+
+  it("Verifies the tokens it signs.", () => {
+    const token = signToken({ id: "alice", role: "admin" }, secret, { now });
+    expect(verifyToken(token, secret, { now })).toEqual({
+      id: "alice",
+      role: "admin",
+    });
+  });
+
+  it("Treats unknown roles as users.", () => {
+    const token = forge(
+      { alg: "HS256" },
+      { sub: "alice", role: "owner", exp: now / 1000 + 60 }
+    );
+    expect(verifyToken(token, secret, { now }).role).toBe("user");
+  });
+
+  it("Rejects expired tokens, allowing for clock drift.", () => {
+    const token = signToken({ id: "alice" }, secret, { ttl: 60, now });
+    expect(() =>
+      verifyToken(token, secret, { now: now + 80 * 1000 })
+    ).not.toThrow();
+    expect(() => verifyToken(token, secret, { now: now + 100 * 1000 })).toThrow(
+      "The token has expired."
+    );
+  });
+
+  it("Rejects tokens signed with another secret.", () => {
+    const token = signToken({ id: "alice" }, "another-secret", { now });
+    expect(() => verifyToken(token, secret, { now })).toThrow(AuthError);
+  });
+
+  it("Rejects unsigned tokens and other algorithms.", () => {
+    const claims = { sub: "alice", exp: now / 1000 + 60 };
+    expect(() =>
+      verifyToken(forge({ alg: "none" }, claims), secret, { now })
+    ).toThrow("Only HS256 tokens are accepted.");
+    expect(() =>
+      verifyToken(forge({ alg: "HS512" }, claims), secret, { now })
+    ).toThrow("Only HS256 tokens are accepted.");
+  });
+
+  it("Requires a subject and an expiry.", () => {
+    expect(() =>
+      verifyToken(forge({ alg: "HS256" }, { exp: now / 1000 + 60 }), secret, {
+        now,
+      })
+    ).toThrow("The token does not name a user.");
+    expect(() =>
+      verifyToken(forge({ alg: "HS256" }, { sub: "alice" }), secret, { now })
+    ).toThrow("The token has expired.");
+  });
+
+  it("Rejects tokens that are not valid yet.", () => {
+    const token = forge(
+      { alg: "HS256" },
+      { sub: "alice", nbf: now / 1000 + 3600, exp: now / 1000 + 7200 }
+    );
+    expect(() => verifyToken(token, secret, { now })).toThrow(
+      "The token is not valid yet."
+    );
+  });
+
+  it("Rejects malformed tokens.", () => {
+    expect(() => verifyToken("not-a-token", secret, { now })).toThrow(
+      "The token is malformed."
+    );
+    expect(() => verifyToken("a.b.c", secret, { now })).toThrow(AuthError);
+  });
+});
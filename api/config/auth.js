@@ -0,0 +1,30 @@
+/**
+ * This file houses the configuration of the authentication of requests to the API.
+ */
+import { settings } from "./settings";
+
+// The roles a caller may have. Admins can see and delete every image, while users only see and delete their own.
+export const ROLES = {
+  USER: "user",
+  ADMIN: "admin",
+};
+
+// The API keys accepted, each given as "user:role:key".
+export const AUTH_API_KEYS = settings.AUTH_API_KEYS;
+
+// The secret JWTs are signed with. Only HS256 tokens that carry a subject and an expiry are accepted.
+// Without it, the tokens issued when signing in are signed with a random secret, and last until the server restarts.
+export const AUTH_JWT_SECRET = settings.AUTH_JWT_SECRET;
+export const JWT_ALGORITHM = "HS256";
+
+// How far the clock of the server issuing tokens may drift from this one when checking expiry.
+export const JWT_CLOCK_TOLERANCE = 30; // s
+
+// Signing in with an API key issues a short-lived access token, and a refresh token that is exchanged for a new
+// pair before the access token expires. Refresh tokens are only accepted by POST /auth/refresh.
+export const TOKEN_USES = {
+  ACCESS: "access",
+  REFRESH: "refresh",
+};
+export const ACCESS_TOKEN_TTL = 15 * 60; // s
+export const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // s
@@ -6,4 +6,6 @@ export const IMGUR_ACCOUNT_IMAGES_ENDPOINT =
 export const IMGUR_ACCOUNT_IMAGES_IDS_ENDOPOINT =
   "https://api.imgur.com/3/account/me/images/ids";
 export const IMGUR_IMAGE_ENDPOINT = "https://api.imgur.com/3/image";
-export const IMGUR_IMAGE_URL_BASE = "https://i.imgur.com/";
\ No newline at end of file
+export const IMGUR_ALBUM_ENDPOINT = "https://api.imgur.com/3/album";
+export const IMGUR_IMAGE_URL_BASE = "https://i.imgur.com/";
+export const IMGUR_TOKEN_ENDPOINT = "https://api.imgur.com/oauth2/token";
\ No newline at end of file
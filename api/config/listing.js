@@ -0,0 +1,37 @@
+/**
+ * This file houses the constants used when listing images.
+ */
+
+// The number of images returned per page when the client does not specify one, and the most it may request.
+export const DEFAULT_PER_PAGE = 20;
+export const MAX_PER_PAGE = 100;
+
+// The thumbnail sizes Imgur serves, keyed by the suffix appended to the image ID, with their longest edge in pixels.
+// "s" and "b" are cropped to a square, the others keep the proportions of the image.
+// Source: https://api.imgur.com/models/image
+export const THUMBNAIL_SIZES = {
+  s: 90,
+  b: 160,
+  t: 160,
+  m: 320,
+  l: 640,
+  h: 1024,
+};
+
+// "s" is optimal for the grid view, but "m" is a good compromise between quality and speed.
+export const DEFAULT_THUMBNAIL_SIZE = "m";
+
+// The fields images can be sorted by, with the order each is sorted in unless the client asks for the other.
+export const SORT_FIELDS = {
+  datetime: "desc",
+  views: "desc",
+  size: "desc",
+  title: "asc",
+};
+export const SORT_ORDERS = ["asc", "desc"];
+
+// Images are listed from the most to the least recently uploaded unless the client asks otherwise.
+export const DEFAULT_SORT = { field: "datetime", order: "desc" };
+
+// The types of image that are animated when Imgur does not say whether they are.
+export const ANIMATED_TYPES = ["image/gif", "image/apng"];
@@ -0,0 +1,35 @@
+/**
+ * This file houses the configuration of the store that records the metadata of uploaded images.
+ */
+import { settings } from "./settings";
+
+// The JSON file the metadata is persisted to.
+// ":memory:" keeps the metadata in memory only, which is used by the tests.
+export const METADATA_STORE_PATH = settings.METADATA_STORE_PATH;
+
+// The JSON file the albums, and the images in each, are persisted to.
+export const ALBUM_STORE_PATH = settings.ALBUM_STORE_PATH;
+
+// The longest title and description an image may be given once uploaded.
+export const MAX_TITLE_LENGTH = 128;
+export const MAX_DESCRIPTION_LENGTH = 1000;
+
+// The most tags an image may carry, and the longest each may be.
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 32;
+
+// The longest search query accepted when listing images.
+export const MAX_SEARCH_LENGTH = 200;
+
+// The most images a single request may delete.
+export const MAX_BULK_DELETE = 100;
+
+// The events broadcast to connected clients when a record changes.
+export const GALLERY_EVENTS = {
+  CREATED: "image-created",
+  UPDATED: "image-updated",
+  DELETED: "image-deleted",
+};
+
+// Idle event streams are sent a comment at this interval, so that proxies do not close them.
+export const GALLERY_HEARTBEAT_INTERVAL = 30 * 1000; // ms
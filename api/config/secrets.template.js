@@ -1,7 +0,0 @@
-/**
- * Rename this file to secrets.js and fill in the appropriate values.
- */
-
-// Imgur API client ID.
-export const IMGUR_BEARER_TOKEN = "";
-export const IMGUR_CLIENT_ID = "";
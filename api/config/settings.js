@@ -0,0 +1,363 @@
+/**
+ * This file loads the settings of the API from environment variables and an optional JSON config file,
+ * and validates them against a schema.
+ *
+ * Every setting is named as its environment variable, and the config file uses the same names, for example
+ * { "STORAGE_BACKEND": "local", "CORS_ORIGINS": ["https://gallery.example.com"] }. Environment variables take
+ * precedence over the file, and empty values, in either, count as unset.
+ *
+ * Loading never throws, so that the other config modules can be imported while the settings are invalid.
+ * The server checks the problems found with assertValidSettings before it starts, and refuses to start if
+ * there are any.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The config file read when CONFIG_FILE is not set. It is optional, and only read if it exists.
+// Setting CONFIG_FILE to an empty string reads no file at all.
+export const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "config.json");
+
+/**
+ * Checks that a value is a list of origins that may call the API, or "*" for any origin.
+ *
+ * @param {Array} origins The origins.
+ * @returns {string|null} A description of the problem, or null if the origins are valid.
+ */
+const checkOrigins = (origins) => {
+  const invalid = origins.filter(
+    (origin) => origin !== "*" && !/^https?:\/\/[^/\s]+$/.test(origin)
+  );
+  return invalid.length > 0
+    ? `must list origins such as https://gallery.example.com, without a trailing slash, but has ${invalid
+        .map((origin) => `"${origin}"`)
+        .join(", ")}`
+    : null;
+};
+
+/**
+ * Checks that a value is a list of API keys, each given as "user:role:key".
+ *
+ * @param {Array} entries The API keys.
+ * @returns {string|null} A description of the problem, or null if the keys are valid.
+ */
+const checkApiKeys = (entries) => {
+  const invalid = entries.filter(
+    (entry) => !/^[^:\s]+:(user|admin):[^:\s]{16,}$/.test(entry)
+  );
+  return invalid.length > 0
+    ? `must list keys as user:role:key, where role is user or admin and the key is at least 16 characters, but has ${invalid.length} invalid ${invalid.length === 1 ? "entry" : "entries"}`
+    : null;
+};
+
+/**
+ * The settings the API reads, keyed by the name of their environment variable.
+ *
+ * Each setting has a type, one of "string", "integer", "enum" or "list", and either a default or a
+ * requiredWhen condition, naming the values of other settings under which it must be set.
+ * Integers may have a min and max, enums list their values, and any setting may have a check that
+ * returns a description of the problem with its parsed value.
+ */
+export const SETTINGS_SCHEMA = {
+  PORT: { type: "integer", min: 1, max: 65535, default: 9001 },
+
+  // Browsers only let these origins call the API. "*" allows every origin.
+  CORS_ORIGINS: {
+    type: "list",
+    default: ["http://localhost:3000"],
+    check: checkOrigins,
+  },
+
+  // Requests are authenticated with one of these API keys, or with a JWT signed with the secret.
+  // At least one of the two must be set.
+  AUTH_API_KEYS: { type: "list", default: [], check: checkApiKeys },
+  AUTH_JWT_SECRET: {
+    type: "string",
+    default: null,
+    check: (secret) =>
+      secret.length < 32 ? "must be at least 32 characters long" : null,
+  },
+
+  // The storage backend, and the credentials and locations each needs.
+  STORAGE_BACKEND: {
+    type: "enum",
+    values: ["imgur", "local"],
+    default: "imgur",
+  },
+  // The Imgur backend uploads to an account, with an access token or a refresh token to exchange for one with the
+  // client's credentials, or anonymously, with the client ID alone.
+  IMGUR_AUTH_MODE: {
+    type: "enum",
+    values: ["account", "anonymous"],
+    default: "account",
+  },
+  IMGUR_BEARER_TOKEN: { type: "string", default: null },
+  IMGUR_REFRESH_TOKEN: { type: "string", default: null },
+  IMGUR_CLIENT_ID: {
+    type: "string",
+    requiredWhen: { STORAGE_BACKEND: "imgur", IMGUR_AUTH_MODE: "anonymous" },
+  },
+  IMGUR_CLIENT_SECRET: { type: "string", default: null },
+  IMGUR_TOKEN_STORE_PATH: {
+    type: "string",
+    default: path.join(__dirname, "..", "data", "imgur-tokens.json"),
+  },
+  IMGUR_RETRY_BASE_DELAY: { type: "integer", min: 0, default: 500 },
+  LOCAL_STORAGE_DIRECTORY: {
+    type: "string",
+    default: path.join(__dirname, "..", "files"),
+  },
+  LOCAL_STORAGE_URL_BASE: { type: "string", default: null },
+
+  // The files the metadata and albums are persisted to, or ":memory:" to keep them in memory.
+  METADATA_STORE_PATH: {
+    type: "string",
+    default: path.join(__dirname, "..", "data", "metadata.json"),
+  },
+  ALBUM_STORE_PATH: {
+    type: "string",
+    default: path.join(__dirname, "..", "data", "albums.json"),
+  },
+
+  // Upload limits and processing.
+  MAX_FILE_SIZE_MB: { type: "integer", min: 1, default: 18 },
+  MAX_RECEIVED_FILE_SIZE_MB: { type: "integer", min: 1, default: 50 },
+  MAX_FILE_COUNT: { type: "integer", min: 1, default: 20 },
+  MAX_IMAGE_DIMENSION: { type: "integer", min: 1, default: 7680 },
+  IMAGE_PROCESSING: { type: "enum", values: ["on", "off"], default: "on" },
+  PRIVACY_POLICY: { type: "enum", values: ["strip", "keep"], default: "strip" },
+  UPLOAD_CONCURRENCY: { type: "integer", min: 1, default: 4 },
+  UPLOAD_TEMP_DIRECTORY: {
+    type: "string",
+    default: path.join(os.tmpdir(), "api-uploads"),
+  },
+};
+
+/**
+ * Checks that hold between settings, each naming the settings it reads and returning a description of the problem
+ * or null. A check is skipped if any of its settings is invalid, as that problem is already reported.
+ */
+const CROSS_CHECKS = [
+  {
+    names: ["AUTH_API_KEYS", "AUTH_JWT_SECRET"],
+    check: (settings) =>
+      settings.AUTH_API_KEYS.length === 0 && settings.AUTH_JWT_SECRET === null
+        ? "AUTH_API_KEYS or AUTH_JWT_SECRET is required, so that requests can be authenticated."
+        : null,
+  },
+  {
+    names: [
+      "STORAGE_BACKEND",
+      "IMGUR_AUTH_MODE",
+      "IMGUR_BEARER_TOKEN",
+      "IMGUR_REFRESH_TOKEN",
+    ],
+    check: (settings) =>
+      settings.STORAGE_BACKEND === "imgur" &&
+      settings.IMGUR_AUTH_MODE === "account" &&
+      settings.IMGUR_BEARER_TOKEN === null &&
+      settings.IMGUR_REFRESH_TOKEN === null
+        ? "IMGUR_BEARER_TOKEN or IMGUR_REFRESH_TOKEN is required when STORAGE_BACKEND is imgur and IMGUR_AUTH_MODE is account."
+        : null,
+  },
+  {
+    names: ["IMGUR_REFRESH_TOKEN", "IMGUR_CLIENT_ID", "IMGUR_CLIENT_SECRET"],
+    check: (settings) =>
+      settings.IMGUR_REFRESH_TOKEN !== null &&
+      (settings.IMGUR_CLIENT_ID === null ||
+        settings.IMGUR_CLIENT_SECRET === null)
+        ? "IMGUR_CLIENT_ID and IMGUR_CLIENT_SECRET are required to exchange IMGUR_REFRESH_TOKEN for access tokens."
+        : null,
+  },
+  {
+    names: ["MAX_FILE_SIZE_MB", "MAX_RECEIVED_FILE_SIZE_MB"],
+    check: (settings) =>
+      settings.MAX_RECEIVED_FILE_SIZE_MB < settings.MAX_FILE_SIZE_MB
+        ? "MAX_RECEIVED_FILE_SIZE_MB may not be smaller than MAX_FILE_SIZE_MB."
+        : null,
+  },
+];
+
+/**
+ * An error raised when the settings are invalid, listing every problem found.
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Array} problems The descriptions of the problems.
+   */
+  constructor(problems) {
+    super(
+      `The API cannot start because its configuration is invalid:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join(
+          "\n"
+        )}\nSet these as environment variables, or in the config file named by CONFIG_FILE (api/config.json by default).`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parses the raw value of a setting.
+ *
+ * @param {Object} definition The definition of the setting in SETTINGS_SCHEMA.
+ * @param {*} raw The value, a string from the environment or any JSON value from the config file.
+ * @returns {Object} The parsed value, or a description of why it is invalid.
+ */
+const parseValue = (definition, raw) => {
+  switch (definition.type) {
+    case "integer": {
+      const value = typeof raw === "string" ? Number(raw.trim()) : raw;
+      const { min = -Infinity, max = Infinity } = definition;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        const range =
+          max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+        return { problem: `must be an integer ${range}` };
+      }
+      return { value };
+    }
+    case "enum":
+      return definition.values.includes(raw)
+        ? { value: raw }
+        : { problem: `must be one of: ${definition.values.join(", ")}` };
+    case "list": {
+      const items = typeof raw === "string" ? raw.split(",") : raw;
+      if (
+        !Array.isArray(items) ||
+        !items.every((item) => typeof item === "string")
+      ) {
+        return { problem: "must be a comma-separated list" };
+      }
+      return {
+        value: items.map((item) => item.trim()).filter((item) => item !== ""),
+      };
+    }
+    default:
+      return typeof raw === "string"
+        ? { value: raw }
+        : { problem: "must be a string" };
+  }
+};
+
+/**
+ * Checks whether a raw value leaves its setting unset: missing, null, or a string of whitespace alone.
+ * The example config file ships empty strings for the values that must be filled in.
+ *
+ * @param {*} raw The value, a string from the environment or any JSON value from the config file.
+ * @returns {boolean}
+ */
+const isBlank = (raw) =>
+  raw === undefined ||
+  raw === null ||
+  (typeof raw === "string" && raw.trim() === "");
+
+/**
+ * Reads the config file, if there is one.
+ *
+ * @param {string} filePath The path to the file.
+ * @param {boolean} isExplicit Whether the file was named by CONFIG_FILE, in which case it must exist.
+ * @returns {Object} The values in the file, or a description of why it cannot be read.
+ */
+const readConfigFile = (filePath, isExplicit) => {
+  if (!filePath || (!isExplicit && !fs.existsSync(filePath))) {
+    return { values: {} };
+  }
+  try {
+    const values = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (
+      typeof values !== "object" ||
+      values === null ||
+      Array.isArray(values)
+    ) {
+      return {
+        problem: `The config file ${filePath} must hold a JSON object.`,
+      };
+    }
+    return { values };
+  } catch (error) {
+    return {
+      problem: `The config file ${filePath} cannot be read: ${error.message}`,
+    };
+  }
+};
+
+/**
+ * Loads the settings from the environment and the config file, and validates them.
+ * Settings that are missing or invalid fall back to their defaults, or to null if they have none, so that the
+ * returned settings are always usable by the modules that import them.
+ *
+ * @param {Object} options
+ * @param {Object} options.env The environment variables.
+ * @returns {Object} The settings, and the descriptions of every problem found.
+ */
+export const loadSettings = ({ env = process.env } = {}) => {
+  const isExplicit = env.CONFIG_FILE !== undefined;
+  const filePath = isExplicit ? env.CONFIG_FILE : DEFAULT_CONFIG_FILE;
+  const file = readConfigFile(filePath, isExplicit);
+  const problems = file.problem ? [file.problem] : [];
+
+  const settings = {};
+  const isSet = {};
+  const invalid = new Set();
+  Object.entries(SETTINGS_SCHEMA).forEach(([name, definition]) => {
+    const fromEnv = !isBlank(env[name]);
+    const raw = fromEnv ? env[name] : file.values?.[name];
+    settings[name] = definition.default ?? null;
+    isSet[name] = !isBlank(raw);
+    if (!isSet[name]) {
+      return;
+    }
+
+    const { value, problem } = parseValue(definition, raw);
+    const checkProblem = problem ?? definition.check?.(value) ?? null;
+    if (checkProblem) {
+      const source = fromEnv ? "the environment" : filePath;
+      problems.push(`${name} (from ${source}) ${checkProblem}.`);
+      invalid.add(name);
+      return;
+    }
+    settings[name] = value;
+  });
+
+  // Settings only required alongside certain values of others are checked once every value is known.
+  Object.entries(SETTINGS_SCHEMA).forEach(([name, { requiredWhen }]) => {
+    const conditions = Object.entries(requiredWhen ?? {});
+    if (
+      !isSet[name] &&
+      conditions.length > 0 &&
+      conditions.every(([other, value]) => settings[other] === value)
+    ) {
+      problems.push(
+        `${name} is required when ${conditions
+          .map(([other, value]) => `${other} is ${value}`)
+          .join(" and ")}.`
+      );
+    }
+  });
+
+  CROSS_CHECKS.forEach(({ names, check }) => {
+    if (names.some((name) => invalid.has(name))) {
+      return;
+    }
+    const problem = check(settings);
+    if (problem) {
+      problems.push(problem);
+    }
+  });
+
+  return { settings: Object.freeze(settings), problems };
+};
+
+export const { settings, problems: settingsProblems } = loadSettings();
+
+/**
+ * Throws if the settings are invalid, so that the server refuses to start rather than failing on its first request.
+ *
+ * @param {Array} problems The problems found when the settings were loaded.
+ */
+export const assertValidSettings = (problems = settingsProblems) => {
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+};
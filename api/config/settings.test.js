@@ -0,0 +1,220 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ConfigError, assertValidSettings, loadSettings } from "./settings";
+
+describe("Settings", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "api-settings-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeConfig = (values) => {
+    const filePath = path.join(directory, "config.json");
+    fs.writeFileSync(filePath, JSON.stringify(values));
+    return filePath;
+  };
+
+  const load = (env) =>
+    loadSettings({
+      env: {
+        CONFIG_FILE: "",
+        AUTH_API_KEYS: "admin:admin:0123456789abcdef",
+        ...env,
+      },
+    });
+
+  it("Falls back to the defaults.", () => {
+    const { settings, problems } = load({ IMGUR_BEARER_TOKEN: "token" });
+    expect(problems).toEqual([]);
+    expect(settings).toMatchObject({
+      PORT: 9001,
+      STORAGE_BACKEND: "imgur",
+      CORS_ORIGINS: ["http://localhost:3000"],
+      MAX_FILE_SIZE_MB: 18,
+      MAX_FILE_COUNT: 20,
+      IMGUR_CLIENT_ID: null,
+    });
+  });
+
+  it("Parses settings from the environment.", () => {
+    const { settings, problems } = load({
+      PORT: "8080",
+      STORAGE_BACKEND: "local",
+      CORS_ORIGINS: "https://gallery.example.com, http://localhost:3000",
+      MAX_FILE_COUNT: "5",
+    });
+    expect(problems).toEqual([]);
+    expect(settings).toMatchObject({
+      PORT: 8080,
+      STORAGE_BACKEND: "local",
+      CORS_ORIGINS: ["https://gallery.example.com", "http://localhost:3000"],
+      MAX_FILE_COUNT: 5,
+    });
+  });
+
+  it("Reads the config file, with the environment taking precedence.", () => {
+    const { settings, problems } = load({
+      CONFIG_FILE: writeConfig({
+        STORAGE_BACKEND: "local",
+        PORT: 8080,
+        CORS_ORIGINS: ["https://gallery.example.com"],
+      }),
+      PORT: "9090",
+    });
+    expect(problems).toEqual([]);
+    expect(settings).toMatchObject({
+      STORAGE_BACKEND: "local",
+      PORT: 9090,
+      CORS_ORIGINS: ["https://gallery.example.com"],
+    });
+  });
+
+  it("Treats empty environment variables as unset.", () => {
+    const { settings } = load({
+      CONFIG_FILE: writeConfig({ STORAGE_BACKEND: "local" }),
+      STORAGE_BACKEND: "",
+    });
+    expect(settings.STORAGE_BACKEND).toBe("local");
+  });
+
+  it("Treats empty values in the config file as unset.", () => {
+    const { settings, problems } = load({
+      CONFIG_FILE: writeConfig({
+        STORAGE_BACKEND: "imgur",
+        IMGUR_BEARER_TOKEN: "",
+        IMGUR_REFRESH_TOKEN: "  ",
+      }),
+    });
+    expect(settings.IMGUR_BEARER_TOKEN).toBeNull();
+    expect(problems).toEqual([
+      "IMGUR_BEARER_TOKEN or IMGUR_REFRESH_TOKEN is required when STORAGE_BACKEND is imgur and IMGUR_AUTH_MODE is account.",
+    ]);
+  });
+
+  it("Does not accept the example config file until the Imgur token is filled in.", () => {
+    const { problems } = load({
+      CONFIG_FILE: path.join(__dirname, "..", "config.example.json"),
+      AUTH_API_KEYS: "",
+      AUTH_JWT_SECRET: "a-secret-that-is-long-enough-0000",
+    });
+    expect(problems).toEqual([
+      "IMGUR_BEARER_TOKEN or IMGUR_REFRESH_TOKEN is required when STORAGE_BACKEND is imgur and IMGUR_AUTH_MODE is account.",
+    ]);
+  });
+
+  it("Requires an Imgur token for the Imgur backend only.", () => {
+    expect(load({}).problems).toEqual([
+      "IMGUR_BEARER_TOKEN or IMGUR_REFRESH_TOKEN is required when STORAGE_BACKEND is imgur and IMGUR_AUTH_MODE is account.",
+    ]);
+    expect(load({ STORAGE_BACKEND: "local" }).problems).toEqual([]);
+  });
+
+  it("Requires only the client ID to upload to Imgur anonymously.", () => {
+    expect(load({ IMGUR_AUTH_MODE: "anonymous" }).problems).toEqual([
+      "IMGUR_CLIENT_ID is required when STORAGE_BACKEND is imgur and IMGUR_AUTH_MODE is anonymous.",
+    ]);
+    const { settings, problems } = load({
+      IMGUR_AUTH_MODE: "anonymous",
+      IMGUR_CLIENT_ID: "client-id",
+    });
+    expect(problems).toEqual([]);
+    expect(settings.IMGUR_BEARER_TOKEN).toBeNull();
+  });
+
+  it("Requires the client's credentials to exchange a refresh token.", () => {
+    expect(
+      load({ IMGUR_REFRESH_TOKEN: "refresh", IMGUR_CLIENT_ID: "id" }).problems
+    ).toEqual([
+      "IMGUR_CLIENT_ID and IMGUR_CLIENT_SECRET are required to exchange IMGUR_REFRESH_TOKEN for access tokens.",
+    ]);
+    expect(
+      load({
+        IMGUR_REFRESH_TOKEN: "refresh",
+        IMGUR_CLIENT_ID: "id",
+        IMGUR_CLIENT_SECRET: "secret",
+      }).problems
+    ).toEqual([]);
+  });
+
+  it("Requires a way to authenticate requests.", () => {
+    expect(
+      load({ STORAGE_BACKEND: "local", AUTH_API_KEYS: "" }).problems
+    ).toEqual([
+      "AUTH_API_KEYS or AUTH_JWT_SECRET is required, so that requests can be authenticated.",
+    ]);
+    const { settings, problems } = load({
+      STORAGE_BACKEND: "local",
+      AUTH_API_KEYS: "",
+      AUTH_JWT_SECRET: "a-secret-that-is-long-enough-0000",
+    });
+    expect(problems).toEqual([]);
+    expect(settings.AUTH_API_KEYS).toEqual([]);
+  });
+
+  it("Validates the API keys and the JWT secret.", () => {
+    const { problems } = load({
+      STORAGE_BACKEND: "local",
+      AUTH_API_KEYS: "alice:owner:0123456789abcdef,bob:user:short",
+      AUTH_JWT_SECRET: "short",
+    });
+    expect(problems).toEqual([
+      "AUTH_API_KEYS (from the environment) must list keys as user:role:key, where role is user or admin and the key is at least 16 characters, but has 2 invalid entries.",
+      "AUTH_JWT_SECRET (from the environment) must be at least 32 characters long.",
+    ]);
+  });
+
+  it("Reports every invalid value, and where it came from.", () => {
+    const filePath = writeConfig({ MAX_FILE_COUNT: "many" });
+    const { settings, problems } = load({
+      CONFIG_FILE: filePath,
+      STORAGE_BACKEND: "dropbox",
+      PORT: "70000",
+      CORS_ORIGINS: "https://gallery.example.com/",
+    });
+    expect(problems).toEqual([
+      "PORT (from the environment) must be an integer between 1 and 65535.",
+      'CORS_ORIGINS (from the environment) must list origins such as https://gallery.example.com, without a trailing slash, but has "https://gallery.example.com/".',
+      "STORAGE_BACKEND (from the environment) must be one of: imgur, local.",
+      `MAX_FILE_COUNT (from ${filePath}) must be an integer of at least 1.`,
+    ]);
+    // Invalid values fall back to their defaults.
+    expect(settings.PORT).toBe(9001);
+  });
+
+  it("Checks the size limits against each other.", () => {
+    const { problems } = load({
+      STORAGE_BACKEND: "local",
+      MAX_FILE_SIZE_MB: "60",
+    });
+    expect(problems).toEqual([
+      "MAX_RECEIVED_FILE_SIZE_MB may not be smaller than MAX_FILE_SIZE_MB.",
+    ]);
+  });
+
+  it("Requires a config file named by CONFIG_FILE to exist and hold an object.", () => {
+    const missing = path.join(directory, "missing.json");
+    expect(
+      load({ CONFIG_FILE: missing, STORAGE_BACKEND: "local" }).problems
+    ).toEqual([
+      expect.stringContaining(`The config file ${missing} cannot be read`),
+    ]);
+    expect(
+      load({ CONFIG_FILE: writeConfig([]), STORAGE_BACKEND: "local" }).problems
+    ).toEqual([expect.stringContaining("must hold a JSON object")]);
+  });
+
+  it("Lists every problem when asserted.", () => {
+    expect(() => assertValidSettings([])).not.toThrow();
+    const problems = load({}).problems;
+    expect(() => assertValidSettings(problems)).toThrow(ConfigError);
+    expect(() => assertValidSettings(problems)).toThrow(
+      /configuration is invalid:\n  - IMGUR_BEARER_TOKEN or IMGUR_REFRESH_TOKEN is required/
+    );
+  });
+});
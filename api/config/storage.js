@@ -0,0 +1,46 @@
+/**
+ * This file houses the configuration of the storage backend that images are uploaded to.
+ */
+import { settings } from "./settings";
+
+// The storage backend to use, either "imgur" or "local".
+export const STORAGE_BACKEND = settings.STORAGE_BACKEND;
+
+// How requests to Imgur are authorised. In the "account" mode, images are uploaded to the account of the tokens
+// below. In the "anonymous" mode, they are uploaded with IMGUR_CLIENT_ID alone, and are changed and deleted through
+// the deletehashes recorded in the metadata store.
+export const IMGUR_AUTH_MODES = {
+  ACCOUNT: "account",
+  ANONYMOUS: "anonymous",
+};
+export const IMGUR_AUTH_MODE = settings.IMGUR_AUTH_MODE;
+
+// The credentials of the Imgur account images are uploaded to. The "imgur" backend needs an access token, or a
+// refresh token that it exchanges for one, with the client ID and secret, on startup and whenever Imgur refuses it.
+export const IMGUR_BEARER_TOKEN = settings.IMGUR_BEARER_TOKEN;
+export const IMGUR_REFRESH_TOKEN = settings.IMGUR_REFRESH_TOKEN;
+export const IMGUR_CLIENT_ID = settings.IMGUR_CLIENT_ID;
+export const IMGUR_CLIENT_SECRET = settings.IMGUR_CLIENT_SECRET;
+
+// The JSON file the tokens issued by Imgur are persisted to, so that they survive a restart.
+// ":memory:" keeps them in memory only, which is used by the tests.
+export const IMGUR_TOKEN_STORE_PATH = settings.IMGUR_TOKEN_STORE_PATH;
+
+// The directory the local backend writes images to.
+export const LOCAL_STORAGE_DIRECTORY = settings.LOCAL_STORAGE_DIRECTORY;
+
+// The path the local backend serves images from, and the public URL that path is reachable at.
+export const LOCAL_STORAGE_ROUTE = "/files";
+export const LOCAL_STORAGE_URL_BASE =
+  settings.LOCAL_STORAGE_URL_BASE ??
+  `http://localhost:${settings.PORT}${LOCAL_STORAGE_ROUTE}/`;
+
+// Requests to Imgur that fail transiently are retried up to IMGUR_MAX_RETRIES times, waiting a random delay of up to
+// IMGUR_RETRY_BASE_DELAY doubled with each attempt, and never more than IMGUR_RETRY_MAX_DELAY.
+// Waits for exhausted credits longer than IMGUR_RETRY_MAX_DELAY are left to the client, through Retry-After.
+export const IMGUR_MAX_RETRIES = 3;
+export const IMGUR_RETRY_BASE_DELAY = settings.IMGUR_RETRY_BASE_DELAY; // ms
+export const IMGUR_RETRY_MAX_DELAY = 10 * 1000; // ms
+
+// The wait suggested to clients when Imgur runs out of credits without saying when they will be restored.
+export const IMGUR_DEFAULT_RETRY_AFTER = 60; // s
@@ -0,0 +1,78 @@
+/**
+ * This file houses the constants used when validating and reporting on image uploads.
+ */
+import { settings } from "./settings";
+
+// These are Imgur's accepted file types.
+// Source: https://apidocs.imgur.com/#2078c7e0-c2b8-4bc8-a646-6e544b087d0f
+export const ALLOWED_MIME_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/gif",
+  "image/png",
+  "image/apng",
+  "image/tiff",
+];
+
+// 20 MB is the Imgur limit for non-animated images, so the default of 18 MB leaves a margin for the request overhead.
+// https://help.imgur.com/hc/en-us/articles/26511665959579-What-files-can-I-upload-Is-there-a-size-limit
+export const MAX_FILE_SIZE = settings.MAX_FILE_SIZE_MB * 1024 * 1024; // MB
+
+// Images above MAX_FILE_SIZE, or with an edge longer than MAX_IMAGE_DIMENSION, are downscaled and recompressed
+// to fit before they are sent to the storage backend. Set IMAGE_PROCESSING to "off" to reject them instead.
+export const IMAGE_PROCESSING_ENABLED = settings.IMAGE_PROCESSING !== "off";
+export const MAX_IMAGE_DIMENSION = settings.MAX_IMAGE_DIMENSION; // px
+export const RECOMPRESSION_QUALITY = 85;
+
+// The largest file accepted, which is larger than MAX_FILE_SIZE when oversized images can be processed.
+export const MAX_RECEIVED_FILE_SIZE = IMAGE_PROCESSING_ENABLED
+  ? settings.MAX_RECEIVED_FILE_SIZE_MB * 1024 * 1024 // MB
+  : MAX_FILE_SIZE;
+
+// Whether the location and identifying tags embedded in JPEG and TIFF uploads, such as GPS coordinates and
+// serial numbers, are removed before they are sent to the storage backend. Either policy can be chosen per request.
+export const PRIVACY_POLICIES = {
+  STRIP: "strip",
+  KEEP: "keep",
+};
+export const DEFAULT_PRIVACY_POLICY = settings.PRIVACY_POLICY;
+
+// Incoming images are compared with those already uploaded. Images with identical contents are not uploaded again,
+// and images whose perceptual hashes differ by no more than this proportion of bits are flagged as near-duplicates.
+export const NEAR_DUPLICATE_THRESHOLD = 0.1;
+export const DUPLICATE_STATUSES = {
+  DUPLICATE: "DUPLICATE",
+  NEAR_DUPLICATE: "NEAR_DUPLICATE",
+};
+
+// The most files that may be uploaded in a single request.
+export const MAX_FILE_COUNT = settings.MAX_FILE_COUNT;
+
+// The most uploads processed at once across all requests. Further uploads wait in a queue.
+export const UPLOAD_CONCURRENCY = settings.UPLOAD_CONCURRENCY;
+
+// How long the state of an asynchronous upload job is kept once it completes.
+export const UPLOAD_JOB_TTL = 60 * 60 * 1000; // ms
+
+// The directory that incoming files are streamed to before they are sent to the storage backend.
+export const UPLOAD_TEMP_DIRECTORY = settings.UPLOAD_TEMP_DIRECTORY;
+
+// Resumable uploads - the largest chunk accepted in a single request, and how long an unfinished upload is kept.
+export const MAX_CHUNK_SIZE = 5 * 1024 * 1024; // MB
+export const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000; // ms
+
+// The error codes reported back to the client when files fail to upload.
+export const UPLOAD_ERROR_CODES = {
+  UNSUPPORTED_TYPE: "UNSUPPORTED_TYPE",
+  TYPE_MISMATCH: "TYPE_MISMATCH",
+  CORRUPT_FILE: "CORRUPT_FILE",
+  TOO_LARGE: "TOO_LARGE",
+  TOO_MANY_FILES: "TOO_MANY_FILES",
+  UPSTREAM_ERROR: "UPSTREAM_ERROR",
+  RATE_LIMITED: "RATE_LIMITED",
+  OFFSET_MISMATCH: "OFFSET_MISMATCH",
+  CHECKSUM_MISMATCH: "CHECKSUM_MISMATCH",
+  INCOMPLETE_UPLOAD: "INCOMPLETE_UPLOAD",
+  ALREADY_COMPLETING: "ALREADY_COMPLETING",
+  RECORD_FAILED: "RECORD_FAILED",
+};
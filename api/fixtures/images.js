@@ -0,0 +1,217 @@
+/**
+ * This file houses the images used as fixtures in the tests.
+ * Each is the smallest file of its format that carries a signature, dimensions and a trailer.
+ */
+
+// A valid 1x1 PNG.
+export const PNG_PIXEL = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+// The 1x1 PNG with an animation control chunk after its header, making it an APNG.
+export const APNG_PIXEL = Buffer.concat([
+  PNG_PIXEL.subarray(0, 33),
+  Buffer.from([0, 0, 0, 8]),
+  Buffer.from("acTL"),
+  Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]),
+  Buffer.from([0, 0, 0, 0]),
+  PNG_PIXEL.subarray(33),
+]);
+
+// The markers of a 1x1 JPEG - the start of the image, a JFIF header, a baseline frame header and the end of the image.
+export const JPEG_PIXEL = Buffer.from([
+  0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01,
+  0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x0b, 0x08, 0x00,
+  0x01, 0x00, 0x01, 0x01, 0x01, 0x11, 0x00, 0xff, 0xd9,
+]);
+
+// A 1x1 GIF with no colour table or image data.
+export const GIF_PIXEL = Buffer.concat([
+  Buffer.from("GIF89a"),
+  Buffer.from([0x01, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x3b]),
+]);
+
+// A little-endian 1x1 TIFF with a directory holding only its width and length, followed by blank image data.
+export const TIFF_PIXEL = Buffer.concat([
+  Buffer.from([
+    0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x01,
+    0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x01,
+    0x03, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00,
+  ]),
+  Buffer.alloc(16),
+]);
+
+// The sizes in bytes of the TIFF field types used by the fixtures - ASCII, SHORT, LONG and RATIONAL.
+const TIFF_TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+/**
+ * Encodes the value of a TIFF field.
+ * Rationals are given as a flat list of numerators and denominators.
+ *
+ * @param {number} type The field type.
+ * @param {string|Array} value The value of the field.
+ * @returns {Object} The encoded value and the count of the field.
+ */
+const encodeTiffValue = (type, value) => {
+  if (type === 2) {
+    const buffer = Buffer.from(`${value}\0`, "latin1");
+    return { buffer, count: buffer.length };
+  }
+  const width = type === 3 ? 2 : 4;
+  const buffer = Buffer.alloc(value.length * width);
+  value.forEach((number, index) =>
+    width === 2
+      ? buffer.writeUInt16LE(number, index * width)
+      : buffer.writeUInt32LE(number, index * width)
+  );
+  return { buffer, count: buffer.length / TIFF_TYPE_SIZES[type] };
+};
+
+/**
+ * Builds a little-endian TIFF structure, as found in TIFF files and in the EXIF segment of a JPEG.
+ * Each directory is a list of [tag, type, value] entries. An entry whose value is { directory: n }
+ * points to the nth directory, as the EXIF and GPS directories are pointed to.
+ *
+ * @param {Array} directories The directories, the first of which is the image directory.
+ * @returns {Buffer} The TIFF structure.
+ */
+export const buildTiff = (directories) => {
+  // Lay out each directory followed by the values too large to hold inline.
+  const layouts = directories.map((entries) =>
+    entries.map(([tag, type, value]) =>
+      value.directory === undefined
+        ? { tag, type, ...encodeTiffValue(type, value) }
+        : { tag, type: 4, count: 1, directory: value.directory }
+    )
+  );
+  const offsets = [];
+  let position = 8;
+  layouts.forEach((entries, index) => {
+    offsets[index] = position;
+    position += 2 + entries.length * 12 + 4;
+    entries
+      .filter((entry) => entry.buffer?.length > 4)
+      .forEach((entry) => (position += entry.buffer.length));
+  });
+
+  const tiff = Buffer.alloc(position);
+  tiff.write("II", 0, "latin1");
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(offsets[0], 4);
+  layouts.forEach((entries, index) => {
+    let dataPosition = offsets[index] + 2 + entries.length * 12 + 4;
+    tiff.writeUInt16LE(entries.length, offsets[index]);
+    entries.forEach((entry, entryIndex) => {
+      const entryPosition = offsets[index] + 2 + entryIndex * 12;
+      tiff.writeUInt16LE(entry.tag, entryPosition);
+      tiff.writeUInt16LE(entry.type, entryPosition + 2);
+      tiff.writeUInt32LE(entry.count, entryPosition + 4);
+      if (entry.directory !== undefined) {
+        tiff.writeUInt32LE(offsets[entry.directory], entryPosition + 8);
+      } else if (entry.buffer.length > 4) {
+        entry.buffer.copy(tiff, dataPosition);
+        tiff.writeUInt32LE(dataPosition, entryPosition + 8);
+        dataPosition += entry.buffer.length;
+      } else {
+        entry.buffer.copy(tiff, entryPosition + 8);
+      }
+    });
+  });
+  return tiff;
+};
+
+// The EXIF directories of a photo - the camera, capture date and orientation, along with
+// the location it was taken at and the serial number of the camera, which identify the photographer.
+const EXIF_DIRECTORIES = [
+  [
+    [0x010f, 2, "Canon"], // Make
+    [0x0110, 2, "Canon EOS R5"], // Model
+    [0x0112, 3, [6]], // Orientation
+    [0x013b, 2, "Jane Doe"], // Artist
+    [0x8769, 4, { directory: 1 }], // Exif IFD
+    [0x8825, 4, { directory: 2 }], // GPS IFD
+  ],
+  [
+    [0x9003, 2, "2024:05:01 10:30:00"], // DateTimeOriginal
+    [0xa431, 2, "012345678901"], // BodySerialNumber
+    [0xa434, 2, "RF24-105mm F4 L IS USM"], // LensModel
+  ],
+  [
+    [0x0001, 2, "N"], // GPSLatitudeRef
+    [0x0002, 5, [51, 1, 30, 1, 0, 1]], // GPSLatitude
+    [0x0003, 2, "W"], // GPSLongitudeRef
+    [0x0004, 5, [0, 1, 7, 1, 30, 1]], // GPSLongitude
+  ],
+];
+
+/**
+ * Builds a JPEG segment.
+ *
+ * @param {number} marker The second byte of the marker of the segment.
+ * @param {Buffer} payload The contents of the segment.
+ * @returns {Buffer} The segment.
+ */
+const buildSegment = (marker, payload) => {
+  const header = Buffer.from([0xff, marker, 0x00, 0x00]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+// An XMP packet recording the location and the photographer along with some keywords.
+const XMP_PACKET = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"><rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:exif="http://ns.adobe.com/exif/1.0/" exif:GPSLatitude="51,30.0N" exif:GPSLongitude="0,7.5W"><dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li></rdf:Seq></dc:creator><dc:subject><rdf:Bag><rdf:li>london</rdf:li><rdf:li>river</rdf:li></rdf:Bag></dc:subject></rdf:Description></rdf:RDF></x:xmpmeta>`;
+
+// An IPTC record naming the photographer and the city the photo was taken in.
+const IPTC_RECORDS = Buffer.concat(
+  [
+    [0x50, "Jane Doe"], // By-line
+    [0x5a, "London"], // City
+  ].map(([dataset, value]) =>
+    Buffer.concat([
+      Buffer.from([0x1c, 0x02, dataset, 0x00, value.length]),
+      Buffer.from(value, "latin1"),
+    ])
+  )
+);
+const IPTC_RESOURCE = Buffer.concat([
+  Buffer.from("Photoshop 3.0\0", "latin1"),
+  Buffer.from("8BIM", "latin1"),
+  Buffer.from([0x04, 0x04, 0x00, 0x00]),
+  Buffer.from([0x00, 0x00, 0x00, IPTC_RECORDS.length]),
+  IPTC_RECORDS,
+]);
+
+// The 1x1 JPEG carrying EXIF, XMP and IPTC metadata.
+export const EXIF_JPEG = Buffer.concat([
+  JPEG_PIXEL.subarray(0, 20),
+  buildSegment(
+    0xe1,
+    Buffer.concat([
+      Buffer.from("Exif\0\0", "latin1"),
+      buildTiff(EXIF_DIRECTORIES),
+    ])
+  ),
+  buildSegment(
+    0xe1,
+    Buffer.concat([
+      Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1"),
+      Buffer.from(XMP_PACKET, "utf8"),
+    ])
+  ),
+  buildSegment(0xed, IPTC_RESOURCE),
+  JPEG_PIXEL.subarray(20),
+]);
+
+// The 1x1 TIFF carrying the same EXIF metadata in its image directory, followed by blank image data.
+export const EXIF_TIFF = Buffer.concat([
+  buildTiff([
+    [
+      [0x0100, 3, [1]], // ImageWidth
+      [0x0101, 3, [1]], // ImageLength
+      ...EXIF_DIRECTORIES[0],
+    ],
+    ...EXIF_DIRECTORIES.slice(1),
+  ]),
+  Buffer.alloc(16),
+]);
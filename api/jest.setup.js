@@ -1,3 +1,22 @@
+// Ignore any local config file, so that tests only see the settings below and the defaults.
+process.env.CONFIG_FILE = "";
+
+// Keep the metadata and album stores in memory so that tests never touch the disk.
+process.env.METADATA_STORE_PATH = ":memory:";
+process.env.ALBUM_STORE_PATH = ":memory:";
+process.env.IMGUR_TOKEN_STORE_PATH = ":memory:";
+
+// Authenticate the tests as an admin, or as one of two users, or with JWTs signed with the test secret.
+process.env.AUTH_API_KEYS = [
+  "admin:admin:test-admin-key-0000",
+  "alice:user:test-alice-key-0000",
+  "bob:user:test-bob-key-00000000",
+].join(",");
+process.env.AUTH_JWT_SECRET = "test-secret-that-is-long-enough-0000";
+
+// Retry failed requests to Imgur straight away so that tests are not slowed by backoff.
+process.env.IMGUR_RETRY_BASE_DELAY = "0";
+
 // Mock console.error to suppress error messages during tests.
 const originalError = console.error;
 
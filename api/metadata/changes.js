@@ -0,0 +1,49 @@
+import { MAX_DESCRIPTION_LENGTH, MAX_TITLE_LENGTH } from "../config/metadata";
+import { QueryError } from "./query";
+import { parseTags } from "./tags";
+
+/**
+ * Validates the changes requested to the details of an image.
+ * Titles are trimmed and may not be empty. Descriptions are trimmed, and an empty description, or null, clears it.
+ * Tags replace the tags the image carries, and an empty list clears them.
+ *
+ * @param {Object} body The body of the request.
+ * @returns {Object} The title, description and tags to set. Fields that were not sent are left out.
+ */
+export const parseImageChanges = (body) => {
+  const changes = {};
+
+  if (body?.title !== undefined) {
+    if (typeof body.title !== "string" || body.title.trim() === "") {
+      throw new QueryError("title must be a non-empty string.");
+    }
+    if (body.title.trim().length > MAX_TITLE_LENGTH) {
+      throw new QueryError(
+        `title may not exceed ${MAX_TITLE_LENGTH} characters.`
+      );
+    }
+    changes.title = body.title.trim();
+  }
+
+  if (body?.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      throw new QueryError("description must be a string or null.");
+    }
+    const description = body.description?.trim() || null;
+    if (description !== null && description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new QueryError(
+        `description may not exceed ${MAX_DESCRIPTION_LENGTH} characters.`
+      );
+    }
+    changes.description = description;
+  }
+
+  if (body?.tags !== undefined) {
+    changes.tags = parseTags(body.tags);
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new QueryError("Specify a title, description or tags to change.");
+  }
+  return changes;
+};
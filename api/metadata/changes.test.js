@@ -0,0 +1,42 @@
+import { parseImageChanges } from "./changes";
+import { MAX_DESCRIPTION_LENGTH, MAX_TITLE_LENGTH } from "../config/metadata";
+
+describe("Image changes", () => {
+  it("Trims the title and description.", () => {
+    expect(
+      parseImageChanges({ title: " Exhibit A ", description: " Front door " })
+    ).toEqual({ title: "Exhibit A", description: "Front door" });
+  });
+
+  it("Leaves out the fields that were not sent.", () => {
+    expect(parseImageChanges({ title: "Exhibit A" })).toEqual({
+      title: "Exhibit A",
+    });
+  });
+
+  it("Clears empty descriptions.", () => {
+    expect(parseImageChanges({ description: "  " })).toEqual({
+      description: null,
+    });
+    expect(parseImageChanges({ description: null })).toEqual({
+      description: null,
+    });
+  });
+
+  it.each([
+    [{}, "Specify a title, description or tags to change."],
+    [{ title: "" }, "title must be a non-empty string."],
+    [{ title: 42 }, "title must be a non-empty string."],
+    [{ description: 42 }, "description must be a string or null."],
+    [
+      { title: "a".repeat(MAX_TITLE_LENGTH + 1) },
+      `title may not exceed ${MAX_TITLE_LENGTH} characters.`,
+    ],
+    [
+      { description: "a".repeat(MAX_DESCRIPTION_LENGTH + 1) },
+      `description may not exceed ${MAX_DESCRIPTION_LENGTH} characters.`,
+    ],
+  ])("Rejects invalid changes (%j).", (body, message) => {
+    expect(() => parseImageChanges(body)).toThrow(message);
+  });
+});
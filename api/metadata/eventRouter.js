@@ -0,0 +1,79 @@
+import express from "express";
+import { GALLERY_EVENTS, GALLERY_HEARTBEAT_INTERVAL } from "../config/metadata";
+import { parseThumbnailSize } from "./query";
+
+/**
+ * Creates the route that broadcasts changes to the gallery to every connected client.
+ *
+ * @param {Object} options
+ * @param {EventEmitter} options.events The emitter the metadata store emits its changes on.
+ * @param {Function} options.toListedImage Converts a record to an image as GET /images lists it, given a thumbnail size.
+ * @param {Function} options.canView Checks whether the client making a request may see a record. Defaults to allowing every record.
+ * @param {number} options.heartbeatInterval The time, in milliseconds, between the comments sent to idle streams.
+ * @returns {Object} An express router.
+ */
+export const createGalleryEventRouter = ({
+  events,
+  toListedImage,
+  canView = () => true,
+  heartbeatInterval = GALLERY_HEARTBEAT_INTERVAL,
+}) => {
+  const router = express.Router();
+
+  /**
+   * This endpoint is used to follow the changes to the gallery as a stream of Server-Sent Events.
+   * Uploaded and updated images are sent as "image-created" and "image-updated" events, in the format GET /images
+   * lists them, and deleted images as "image-deleted" events carrying only their ID.
+   * Only changes to the images the client may see are sent. Deletions are checked against the owner recorded on
+   * the event, as the record itself is gone.
+   *
+   * @param {string} size The Imgur thumbnail suffix of thumbnailLink, one of THUMBNAIL_SIZES. Defaults to "m".
+   */
+  router.get("/", (req, res) => {
+    let thumbnailSize;
+    try {
+      thumbnailSize = parseThumbnailSize(req.query);
+    } catch (error) {
+      res.status(error.status ?? 400).send(error.message);
+      return;
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const send = (type, data) =>
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    const listeners = {
+      [GALLERY_EVENTS.CREATED]: (record) =>
+        canView(req, record) &&
+        send(GALLERY_EVENTS.CREATED, toListedImage(record, thumbnailSize)),
+      [GALLERY_EVENTS.UPDATED]: (record) =>
+        canView(req, record) &&
+        send(GALLERY_EVENTS.UPDATED, toListedImage(record, thumbnailSize)),
+      [GALLERY_EVENTS.DELETED]: (deleted) =>
+        canView(req, deleted) &&
+        send(GALLERY_EVENTS.DELETED, { id: deleted.id }),
+    };
+    Object.entries(listeners).forEach(([type, listener]) =>
+      events.on(type, listener)
+    );
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      heartbeatInterval
+    );
+
+    // Clients that disconnect stop receiving events.
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      Object.entries(listeners).forEach(([type, listener]) =>
+        events.off(type, listener)
+      );
+    });
+  });
+
+  return router;
+};
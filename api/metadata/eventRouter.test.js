@@ -0,0 +1,170 @@
+import { EventEmitter } from "events";
+import http from "http";
+import express from "express";
+import { createGalleryEventRouter } from "./eventRouter";
+import { createMetadataStore } from "./store";
+import { canAccess } from "../auth";
+
+describe("Gallery event router", () => {
+  let events;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    events = new EventEmitter();
+    const app = express();
+    app.use(
+      "/events",
+      createGalleryEventRouter({
+        events,
+        toListedImage: (record, size) => ({
+          ...record,
+          thumbnailLink: `${record.link}-${size}`,
+        }),
+        canView: (req, record) => !record.private,
+        heartbeatInterval: 50,
+      })
+    );
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  /**
+   * Opens the event stream and collects what it receives until told to stop.
+   */
+  const openStream = (path, headers = {}) =>
+    new Promise((resolve, reject) => {
+      const stream = { text: "" };
+      const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+        stream.res = res;
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          stream.text += chunk;
+        });
+        stream.close = () => req.destroy();
+        resolve(stream);
+      });
+      req.on("error", reject);
+    });
+
+  /**
+   * Waits until the stream has received text matching the pattern.
+   */
+  const waitForText = async (stream, pattern) => {
+    for (
+      let attempt = 0;
+      attempt < 100 && !pattern.test(stream.text);
+      attempt += 1
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(stream.text).toMatch(pattern);
+  };
+
+  it("Broadcasts changes to the gallery as they happen.", async () => {
+    const stream = await openStream("/events?size=t");
+    expect(stream.res.headers["content-type"]).toMatch(/^text\/event-stream/);
+
+    events.emit("image-created", { id: "a", link: "http://localhost/a.jpg" });
+    events.emit("image-updated", { id: "a", link: "http://localhost/a.jpg" });
+    events.emit("image-deleted", { id: "a" });
+    await waitForText(stream, /image-deleted/);
+    stream.close();
+
+    const received = stream.text
+      .trim()
+      .split("\n\n")
+      .filter((block) => block.startsWith("event:"))
+      .map((block) => block.split("\n"));
+    expect(received).toEqual([
+      [
+        "event: image-created",
+        `data: ${JSON.stringify({
+          id: "a",
+          link: "http://localhost/a.jpg",
+          thumbnailLink: "http://localhost/a.jpg-t",
+        })}`,
+      ],
+      [
+        "event: image-updated",
+        `data: ${JSON.stringify({
+          id: "a",
+          link: "http://localhost/a.jpg",
+          thumbnailLink: "http://localhost/a.jpg-t",
+        })}`,
+      ],
+      ["event: image-deleted", 'data: {"id":"a"}'],
+    ]);
+  });
+
+  it("Only sends the images the client may see.", async () => {
+    const stream = await openStream("/events");
+    events.emit("image-created", { id: "hidden", link: "h", private: true });
+    events.emit("image-updated", { id: "hidden", link: "h", private: true });
+    events.emit("image-deleted", { id: "hidden", private: true });
+    events.emit("image-created", { id: "shown", link: "s" });
+    await waitForText(stream, /"id":"shown"/);
+    stream.close();
+    expect(stream.text).not.toMatch(/hidden/);
+  });
+
+  it("Only sends the deletions of the caller's own images.", async () => {
+    // Serve the stream of a metadata store to the user named in a header, as the main router does.
+    const store = createMetadataStore({ filePath: ":memory:", events });
+    await new Promise((resolve) => server.close(resolve));
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { id: req.get("X-Test-User"), role: "user" };
+      next();
+    });
+    app.use(
+      "/events",
+      createGalleryEventRouter({
+        events,
+        toListedImage: (record) => record,
+        canView: (req, record) => canAccess(req.user, record),
+      })
+    );
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await store.insert({ id: "alices", datetime: 1, owner: "alice" });
+    await store.insert({ id: "bobs", datetime: 2, owner: "bob" });
+    const stream = await openStream("/events", { "X-Test-User": "alice" });
+    await store.remove("bobs");
+    await store.remove("alices");
+    await waitForText(stream, /"id":"alices"/);
+    stream.close();
+    expect(stream.text).not.toMatch(/bobs/);
+  });
+
+  it("Keeps idle streams alive.", async () => {
+    const stream = await openStream("/events");
+    await waitForText(stream, /: heartbeat/);
+    stream.close();
+  });
+
+  it("Stops sending events once the client disconnects.", async () => {
+    const stream = await openStream("/events");
+    expect(events.listenerCount("image-created")).toBe(1);
+    stream.close();
+
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      if (events.listenerCount("image-created") === 0) {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(events.listenerCount("image-created")).toBe(0);
+  });
+
+  it("Rejects an unknown thumbnail size.", async () => {
+    const stream = await openStream("/events?size=x");
+    expect(stream.res.statusCode).toBe(400);
+    stream.close();
+  });
+});
@@ -0,0 +1,102 @@
+import { ANIMATED_TYPES } from "../config/listing";
+import { QueryError, parsePositiveInteger } from "./query";
+
+// Dates given without a time, which cover the whole of that day (UTC).
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses a query parameter as a date.
+ *
+ * @param {string|undefined} value The raw query parameter, an ISO 8601 date or date and time.
+ * @param {string} name The name of the parameter, used in the error message.
+ * @param {boolean} endOfDay Whether a date without a time stands for the end of that day rather than its start.
+ * @returns {number|null} The time in seconds since the epoch, or null if the parameter is absent.
+ */
+const parseDate = (value, name, endOfDay) => {
+  if (value === undefined) {
+    return null;
+  }
+  const time = typeof value === "string" ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new QueryError(`${name} must be a date, such as 2024-05-01.`);
+  }
+  const seconds = Math.floor(time / 1000);
+  return endOfDay && DATE_ONLY.test(value)
+    ? seconds + 24 * 60 * 60 - 1
+    : seconds;
+};
+
+/**
+ * Validates the filters of a listing request.
+ *
+ * @param {Object} query The query parameters of the request.
+ * @returns {Object} The image types to list, the range of upload times, whether to list only animated or
+ * only still images, and the minimum dimensions. Filters that were not given are empty or null.
+ */
+export const parseFilters = (query) => {
+  const mimetypes = [query.mimetype ?? []]
+    .flat()
+    .flatMap((value) => `${value}`.split(","))
+    .map((mimetype) => mimetype.trim().toLowerCase())
+    .filter((mimetype) => mimetype !== "");
+  if (!mimetypes.every((mimetype) => /^image\/[a-z0-9.+-]+$/.test(mimetype))) {
+    throw new QueryError(
+      "mimetype must be a list of image types, such as image/png."
+    );
+  }
+
+  const from = parseDate(query.from, "from", false);
+  const to = parseDate(query.to, "to", true);
+  if (from !== null && to !== null && from > to) {
+    throw new QueryError("from may not be later than to.");
+  }
+
+  if (
+    query.animated !== undefined &&
+    query.animated !== "true" &&
+    query.animated !== "false"
+  ) {
+    throw new QueryError("animated must be true or false.");
+  }
+
+  return {
+    mimetypes,
+    from,
+    to,
+    animated: query.animated === undefined ? null : query.animated === "true",
+    minWidth: parsePositiveInteger(query.minWidth, "minWidth", null),
+    minHeight: parsePositiveInteger(query.minHeight, "minHeight", null),
+  };
+};
+
+/**
+ * Whether a recorded image is animated.
+ * Imgur says so for the images it holds; otherwise the type of the image decides.
+ *
+ * @param {Object} record The record of the image.
+ * @returns {boolean}
+ */
+export const isAnimated = (record) =>
+  record.animated ?? ANIMATED_TYPES.includes(record.mimetype);
+
+/**
+ * Narrows records down to those matching every filter.
+ * Records missing a filtered field, such as images whose dimensions could not be read, do not match.
+ *
+ * @param {Array} records The records.
+ * @param {Object} filters The filters returned by parseFilters.
+ * @returns {Array} The matching records, in the same order.
+ */
+export const filterRecords = (
+  records,
+  { mimetypes, from, to, animated, minWidth, minHeight }
+) =>
+  records.filter(
+    (record) =>
+      (mimetypes.length === 0 || mimetypes.includes(record.mimetype)) &&
+      (from === null || record.datetime >= from) &&
+      (to === null || record.datetime <= to) &&
+      (animated === null || isAnimated(record) === animated) &&
+      (minWidth === null || (record.width ?? 0) >= minWidth) &&
+      (minHeight === null || (record.height ?? 0) >= minHeight)
+  );
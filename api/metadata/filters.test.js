@@ -0,0 +1,92 @@
+import { filterRecords, isAnimated, parseFilters } from "./filters";
+
+describe("Listing filters", () => {
+  const records = [
+    {
+      id: "photo",
+      mimetype: "image/jpeg",
+      datetime: Date.parse("2024-05-01T12:00:00Z") / 1000,
+      width: 4000,
+      height: 3000,
+      animated: false,
+    },
+    {
+      id: "gif",
+      mimetype: "image/gif",
+      datetime: Date.parse("2024-05-02T12:00:00Z") / 1000,
+      width: 320,
+      height: 240,
+      animated: null,
+    },
+    {
+      id: "unknown",
+      mimetype: "image/png",
+      datetime: Date.parse("2024-05-03T12:00:00Z") / 1000,
+      width: null,
+      height: null,
+    },
+  ];
+
+  const filter = (query) =>
+    filterRecords(records, parseFilters(query)).map((record) => record.id);
+
+  it("Applies no filters by default.", () => {
+    expect(parseFilters({})).toEqual({
+      mimetypes: [],
+      from: null,
+      to: null,
+      animated: null,
+      minWidth: null,
+      minHeight: null,
+    });
+    expect(filter({})).toEqual(["photo", "gif", "unknown"]);
+  });
+
+  it("Filters by type.", () => {
+    expect(filter({ mimetype: "image/gif, IMAGE/PNG" })).toEqual([
+      "gif",
+      "unknown",
+    ]);
+    expect(filter({ mimetype: ["image/jpeg", "image/gif"] })).toEqual([
+      "photo",
+      "gif",
+    ]);
+  });
+
+  it("Filters by upload date, covering the whole of the last day.", () => {
+    expect(filter({ from: "2024-05-02" })).toEqual(["gif", "unknown"]);
+    expect(filter({ to: "2024-05-02" })).toEqual(["photo", "gif"]);
+    expect(filter({ to: "2024-05-02T00:00:00Z" })).toEqual(["photo"]);
+  });
+
+  it("Filters animated and still images.", () => {
+    expect(filter({ animated: "true" })).toEqual(["gif"]);
+    expect(filter({ animated: "false" })).toEqual(["photo", "unknown"]);
+  });
+
+  it("Treats GIFs and APNGs as animated unless Imgur says otherwise.", () => {
+    expect(isAnimated({ mimetype: "image/apng" })).toBe(true);
+    expect(isAnimated({ mimetype: "image/gif", animated: false })).toBe(false);
+    expect(isAnimated({ mimetype: "image/png" })).toBe(false);
+  });
+
+  it("Filters by minimum dimensions, leaving out images of unknown size.", () => {
+    expect(filter({ minWidth: "320" })).toEqual(["photo", "gif"]);
+    expect(filter({ minWidth: "320", minHeight: "1000" })).toEqual(["photo"]);
+  });
+
+  it.each([
+    [{ mimetype: "text/html" }, "mimetype must be a list of image types"],
+    [{ from: "yesterday" }, "from must be a date, such as 2024-05-01."],
+    [{ to: ["2024-05-01", "2024-05-02"] }, "to must be a date"],
+    [
+      { from: "2024-05-02", to: "2024-05-01" },
+      "from may not be later than to.",
+    ],
+    [{ animated: "yes" }, "animated must be true or false."],
+    [{ minWidth: "0" }, "minWidth must be a positive integer."],
+    [{ minHeight: "tall" }, "minHeight must be a positive integer."],
+  ])("Rejects invalid filters (%j).", (query, message) => {
+    expect(() => parseFilters(query)).toThrow(message);
+  });
+});
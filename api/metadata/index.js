@@ -0,0 +1,101 @@
+/**
+ * This file exposes the store that records the metadata of uploaded images.
+ */
+import { EventEmitter } from "events";
+import { imageSize } from "image-size";
+import { ALBUM_STORE_PATH, METADATA_STORE_PATH } from "../config/metadata";
+import { createMetadataStore } from "./store";
+import { createSearchIndex } from "./search";
+
+export { createMetadataStore } from "./store";
+
+// Changes to the records are emitted here, so that they can be broadcast to connected clients.
+export const metadataEvents = new EventEmitter();
+metadataEvents.setMaxListeners(0);
+
+export const metadataStore = createMetadataStore({
+  filePath: METADATA_STORE_PATH,
+  events: metadataEvents,
+});
+
+// The records are indexed for search, and the index follows every change to them.
+export const searchIndex = createSearchIndex({
+  store: metadataStore,
+  events: metadataEvents,
+});
+
+// Albums are recorded in a store of their own, each listing the IDs of the images in it.
+export const albumStore = createMetadataStore({ filePath: ALBUM_STORE_PATH });
+
+/**
+ * Reads the dimensions of an image from its header.
+ * Only the start of the file is read.
+ *
+ * @param {string} filePath The path to the image.
+ * @returns {Object} The width and height, which are null if they cannot be read.
+ */
+export const readDimensions = (filePath) => {
+  try {
+    const { width, height } = imageSize(filePath);
+    return { width: width ?? null, height: height ?? null };
+  } catch (error) {
+    return { width: null, height: null };
+  }
+};
+
+/**
+ * Builds the record of an image that has just been uploaded.
+ *
+ * @param {Object} file The file processed by multer.
+ * @param {Object} image The image object returned by the storage provider.
+ * @param {Object} options
+ * @param {string|null} options.uploader The user that uploaded the image.
+ * @param {string|null} options.owner The ID of the authenticated user the image belongs to.
+ * @param {Object|null} options.embeddedMetadata The EXIF, IPTC and XMP fields read from the image.
+ * @param {Object} options.hashes The content and perceptual hashes of the file as it was received.
+ * @param {Array} options.tags The normalised tags of the image.
+ * @returns {Object} The record to store.
+ */
+export const toImageRecord = (
+  file,
+  image,
+  {
+    uploader = null,
+    owner = null,
+    embeddedMetadata = null,
+    hashes = {},
+    tags = [],
+  } = {}
+) => {
+  const dimensions = readDimensions(file.path);
+  return {
+    id: image.id,
+    deletehash: image.deletehash ?? null,
+    title: image.title ?? file.originalname,
+    description: image.description ?? null,
+    originalName: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    width: dimensions.width ?? image.width ?? null,
+    height: dimensions.height ?? image.height ?? null,
+    animated: image.animated ?? null,
+    link: image.link ?? null,
+    views: image.views ?? 0,
+    datetime: image.datetime ?? Math.floor(Date.now() / 1000),
+    uploader,
+    owner,
+    tags,
+    exif: embeddedMetadata,
+    sha256: hashes.sha256 ?? null,
+    perceptualHash: hashes.perceptualHash ?? null,
+  };
+};
+
+/**
+ * Converts a record to the image sent to clients.
+ * The deletehash is left out, as anyone holding it can delete an anonymous image.
+ *
+ * @param {Object} record The record of the image.
+ * @returns {Object} The image.
+ */
+export const toPublicImage = ({ deletehash, ...image }) => image;
@@ -0,0 +1,246 @@
+import {
+  DEFAULT_PER_PAGE,
+  MAX_PER_PAGE,
+  THUMBNAIL_SIZES,
+  DEFAULT_THUMBNAIL_SIZE,
+  SORT_FIELDS,
+  SORT_ORDERS,
+  DEFAULT_SORT,
+} from "../config/listing";
+
+/**
+ * An error raised when the parameters of a listing request are invalid.
+ */
+export class QueryError extends Error {
+  /**
+   * @param {string} message A description of the invalid parameter.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Orders records from the most to the least recently uploaded.
+ * Ties are broken by the time the record was created and then by ID, so that the order is total.
+ *
+ * @param {Object} a A record.
+ * @param {Object} b A record.
+ * @returns {number} A negative number if a comes first, a positive number if b comes first.
+ */
+export const compareRecords = (a, b) =>
+  b.datetime - a.datetime ||
+  (b.createdAt ?? "").localeCompare(a.createdAt ?? "") ||
+  a.id.localeCompare(b.id);
+
+/**
+ * Creates a comparator that orders records by a field.
+ * Records missing the field come last in either order, and ties are broken as compareRecords breaks them,
+ * so that the order is total. Titles are compared ignoring case and accents.
+ *
+ * @param {Object} sort The sort returned by parseSort.
+ * @returns {Function} The comparator.
+ */
+export const createComparator = ({ field, order }) => {
+  const direction = order === "asc" ? 1 : -1;
+  return (a, b) => {
+    const valueA = a[field] ?? null;
+    const valueB = b[field] ?? null;
+    if (valueA === null || valueB === null) {
+      return (valueA === null) - (valueB === null) || compareRecords(a, b);
+    }
+    const difference =
+      typeof valueA === "string"
+        ? valueA.localeCompare(valueB, undefined, { sensitivity: "base" })
+        : valueA - valueB;
+    return difference * direction || compareRecords(a, b);
+  };
+};
+
+/**
+ * Encodes the position of a record as an opaque cursor.
+ * The cursor records the sort it was issued for, as the position is meaningless in any other order.
+ *
+ * @param {Object} record The last record of a page.
+ * @param {Object} sort The sort the page was listed in.
+ * @returns {string} The cursor.
+ */
+export const encodeCursor = (record, { field, order } = DEFAULT_SORT) =>
+  Buffer.from(
+    JSON.stringify({
+      sort: field,
+      order,
+      value: record[field] ?? null,
+      datetime: record.datetime,
+      createdAt: record.createdAt,
+      id: record.id,
+    })
+  ).toString("base64url");
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * Cursors issued before images could be sorted are read as pointing into the default sort.
+ *
+ * @param {string} cursor The cursor.
+ * @returns {Object} The position of the record the cursor points at.
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      typeof position?.datetime !== "number" ||
+      typeof position?.id !== "string"
+    ) {
+      throw new Error("Malformed cursor.");
+    }
+    const sort = position.sort ?? DEFAULT_SORT.field;
+    if (
+      !Object.hasOwn(SORT_FIELDS, sort) ||
+      !SORT_ORDERS.includes(position.order ?? DEFAULT_SORT.order)
+    ) {
+      throw new Error("Malformed cursor.");
+    }
+    return {
+      ...position,
+      sort,
+      order: position.order ?? DEFAULT_SORT.order,
+      value: position.value ?? (sort === "datetime" ? position.datetime : null),
+    };
+  } catch (error) {
+    throw new QueryError("Invalid cursor.");
+  }
+};
+
+/**
+ * Parses a query parameter as a positive integer.
+ *
+ * @param {string|undefined} value The raw query parameter.
+ * @param {string} name The name of the parameter, used in the error message.
+ * @param {number} fallback The value to use if the parameter is absent.
+ * @returns {number}
+ */
+export const parsePositiveInteger = (value, name, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!/^[1-9][0-9]*$/.test(value)) {
+    throw new QueryError(`${name} must be a positive integer.`);
+  }
+  return Number(value);
+};
+
+/**
+ * Validates the pagination parameters of a listing request.
+ * Either a page number or a cursor may be given, but not both, and a cursor must have been issued for the
+ * sort being listed.
+ *
+ * @param {Object} query The query parameters of the request.
+ * @param {Object} sort The sort returned by parseSort.
+ * @returns {Object} The page, perPage and cursor to list.
+ */
+export const parsePagination = (query, sort = DEFAULT_SORT) => {
+  if (query.page !== undefined && query.cursor !== undefined) {
+    throw new QueryError("Specify either a page or a cursor, not both.");
+  }
+
+  const perPage = parsePositiveInteger(
+    query.perPage,
+    "perPage",
+    DEFAULT_PER_PAGE
+  );
+  if (perPage > MAX_PER_PAGE) {
+    throw new QueryError(`perPage may not exceed ${MAX_PER_PAGE}.`);
+  }
+
+  const cursor = query.cursor === undefined ? null : decodeCursor(query.cursor);
+  if (cursor && (cursor.sort !== sort.field || cursor.order !== sort.order)) {
+    throw new QueryError("The cursor was issued for a different sort.");
+  }
+
+  return {
+    page:
+      query.cursor === undefined
+        ? parsePositiveInteger(query.page, "page", 1)
+        : null,
+    perPage,
+    cursor,
+  };
+};
+
+/**
+ * Validates the sort of a listing request.
+ *
+ * @param {Object} query The query parameters of the request.
+ * @returns {Object} The field to sort by and the order to sort in, "asc" or "desc".
+ */
+export const parseSort = (query) => {
+  const field = query.sort ?? DEFAULT_SORT.field;
+  if (!Object.hasOwn(SORT_FIELDS, field)) {
+    throw new QueryError(
+      `sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}.`
+    );
+  }
+  const order = query.order ?? SORT_FIELDS[field];
+  if (!SORT_ORDERS.includes(order)) {
+    throw new QueryError(`order must be one of: ${SORT_ORDERS.join(", ")}.`);
+  }
+  return { field, order };
+};
+
+/**
+ * Validates the thumbnail size of a listing request.
+ *
+ * @param {Object} query The query parameters of the request.
+ * @returns {string} The Imgur thumbnail suffix to apply to each link.
+ */
+export const parseThumbnailSize = (query) => {
+  if (query.size === undefined) {
+    return DEFAULT_THUMBNAIL_SIZE;
+  }
+  if (!Object.hasOwn(THUMBNAIL_SIZES, query.size)) {
+    throw new QueryError(
+      `size must be one of: ${Object.keys(THUMBNAIL_SIZES).join(", ")}.`
+    );
+  }
+  return query.size;
+};
+
+/**
+ * Returns a single page of records.
+ * A page number skips a fixed number of records, whilst a cursor resumes
+ * after the record it points at, so that records added or removed between
+ * requests neither repeat nor go missing.
+ *
+ * @param {Array} records The records to page through, in any order.
+ * @param {Object} pagination The pagination returned by parsePagination.
+ * @param {Object} sort The sort returned by parseSort.
+ * @returns {Object} The page of records, the total number of records and the cursor of the next page.
+ */
+export const paginate = (
+  records,
+  { page, perPage, cursor },
+  sort = DEFAULT_SORT
+) => {
+  const compare = createComparator(sort);
+  const ordered = [...records].sort(compare);
+
+  let start = (page - 1) * perPage;
+  if (cursor) {
+    const position = { ...cursor, [cursor.sort]: cursor.value };
+    start = ordered.findIndex((record) => compare(record, position) > 0);
+    start = start === -1 ? ordered.length : start;
+  }
+
+  const images = ordered.slice(start, start + perPage);
+  const hasMore = start + perPage < ordered.length;
+
+  return {
+    images,
+    total: ordered.length,
+    page,
+    perPage,
+    nextCursor: hasMore ? encodeCursor(images[images.length - 1], sort) : null,
+  };
+};
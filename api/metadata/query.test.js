@@ -0,0 +1,127 @@
+import {
+  compareRecords,
+  createComparator,
+  decodeCursor,
+  encodeCursor,
+  paginate,
+  parsePagination,
+  parseSort,
+} from "./query";
+
+describe("Listing queries", () => {
+  it("Orders records by upload time, then creation time, then ID.", () => {
+    const records = [
+      { id: "b", datetime: 1, createdAt: "2024-01-01" },
+      { id: "a", datetime: 1, createdAt: "2024-01-01" },
+      { id: "c", datetime: 1, createdAt: "2024-01-02" },
+      { id: "d", datetime: 2, createdAt: "2024-01-01" },
+    ];
+    expect(records.sort(compareRecords).map((record) => record.id)).toEqual([
+      "d",
+      "c",
+      "a",
+      "b",
+    ]);
+  });
+
+  it("Round-trips a cursor.", () => {
+    const record = { id: "a", datetime: 1, createdAt: "2024-01-01", views: 3 };
+    expect(decodeCursor(encodeCursor(record))).toEqual({
+      sort: "datetime",
+      order: "desc",
+      value: 1,
+      datetime: 1,
+      createdAt: "2024-01-01",
+      id: "a",
+    });
+    expect(
+      decodeCursor(encodeCursor(record, { field: "views", order: "asc" }))
+    ).toMatchObject({ sort: "views", order: "asc", value: 3 });
+  });
+
+  it("Reads cursors issued before images could be sorted.", () => {
+    const cursor = Buffer.from(
+      JSON.stringify({ datetime: 1, createdAt: "2024-01-01", id: "a" })
+    ).toString("base64url");
+    expect(decodeCursor(cursor)).toMatchObject({
+      sort: "datetime",
+      order: "desc",
+      value: 1,
+    });
+  });
+
+  it("Rejects a cursor issued for another sort.", () => {
+    const cursor = encodeCursor({ id: "a", datetime: 1 });
+    expect(() =>
+      parsePagination({ cursor }, { field: "views", order: "desc" })
+    ).toThrow("The cursor was issued for a different sort.");
+  });
+
+  it("Sorts each field in its natural order by default.", () => {
+    expect(parseSort({})).toEqual({ field: "datetime", order: "desc" });
+    expect(parseSort({ sort: "title" })).toEqual({
+      field: "title",
+      order: "asc",
+    });
+    expect(parseSort({ sort: "views", order: "asc" })).toEqual({
+      field: "views",
+      order: "asc",
+    });
+  });
+
+  it.each([
+    [{ sort: "name" }, "sort must be one of: datetime, views, size, title."],
+    [{ order: "up" }, "order must be one of: asc, desc."],
+  ])("Rejects an invalid sort (%j).", (query, message) => {
+    expect(() => parseSort(query)).toThrow(message);
+  });
+
+  it("Orders records by a field, placing those missing it last.", () => {
+    const records = [
+      { id: "a", datetime: 1, title: "beta", size: 10 },
+      { id: "b", datetime: 2, title: "Alpha", size: null },
+      { id: "c", datetime: 3, title: null, size: 30 },
+    ];
+    const order = (sort) =>
+      [...records].sort(createComparator(sort)).map((record) => record.id);
+    expect(order({ field: "title", order: "asc" })).toEqual(["b", "a", "c"]);
+    expect(order({ field: "title", order: "desc" })).toEqual(["a", "b", "c"]);
+    expect(order({ field: "size", order: "desc" })).toEqual(["c", "a", "b"]);
+    expect(order({ field: "size", order: "asc" })).toEqual(["a", "c", "b"]);
+  });
+
+  it("Pages through records in the requested order with a cursor.", () => {
+    const sort = { field: "views", order: "asc" };
+    const records = [
+      { id: "a", datetime: 1, views: 5 },
+      { id: "b", datetime: 2, views: 1 },
+      { id: "c", datetime: 3, views: 5 },
+    ];
+    const first = paginate(
+      records,
+      { page: 1, perPage: 2, cursor: null },
+      sort
+    );
+    expect(first.images.map((record) => record.id)).toEqual(["b", "c"]);
+
+    const pagination = parsePagination({ cursor: first.nextCursor }, sort);
+    const second = paginate(records, pagination, sort);
+    expect(second.images.map((record) => record.id)).toEqual(["a"]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it("Defaults to the first page.", () => {
+    expect(parsePagination({})).toEqual({ page: 1, perPage: 20, cursor: null });
+  });
+
+  it("Returns an empty page beyond the last record.", () => {
+    const records = [{ id: "a", datetime: 1 }];
+    expect(paginate(records, { page: 3, perPage: 1, cursor: null })).toEqual({
+      images: [],
+      total: 1,
+      page: 3,
+      perPage: 1,
+      nextCursor: null,
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { GALLERY_EVENTS, MAX_SEARCH_LENGTH } from "../config/metadata";
+import { QueryError } from "./query";
+import { parseTags } from "./tags";
+
+// The fields of a record that are searched, alongside its tags.
+const SEARCHED_FIELDS = ["title", "description", "originalName"];
+
+/**
+ * Splits text into the lowercase words it is indexed and searched by.
+ * Any character that is not a letter or a digit separates words, so "IMG_0001.jpg" is "img", "0001" and "jpg".
+ *
+ * @param {*} text The text to split. Anything other than a string has no words.
+ * @returns {Array} The words.
+ */
+export const tokenise = (text) =>
+  typeof text === "string"
+    ? text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((word) => word !== "")
+    : [];
+
+/**
+ * Validates the search parameters of a listing request.
+ *
+ * @param {Object} query The query parameters of the request.
+ * @returns {Object} The words to search for, and the tags every image must carry.
+ */
+export const parseSearch = (query) => {
+  if (query.q !== undefined && typeof query.q !== "string") {
+    throw new QueryError("q must be a single search query.");
+  }
+  if ((query.q ?? "").length > MAX_SEARCH_LENGTH) {
+    throw new QueryError(`q may not exceed ${MAX_SEARCH_LENGTH} characters.`);
+  }
+  return { words: tokenise(query.q), tags: parseTags(query.tags) };
+};
+
+/**
+ * Creates an index of the words and tags of every recorded image, so that images can be searched
+ * without scanning every record.
+ *
+ * The index is built from the store on the first search, and is kept current from then on by the changes the
+ * store emits. Each word searched for matches the words of a record that start with it, so that results appear
+ * as the query is typed, and a record must match every word and carry every tag searched for.
+ *
+ * @param {Object} options
+ * @param {Object} options.store The metadata store to index.
+ * @param {EventEmitter|null} options.events The emitter the store emits its changes on.
+ * @returns {Object} A search index.
+ */
+export const createSearchIndex = ({ store, events = null }) => {
+  // The words and tags each record is indexed under, keyed by ID.
+  const documents = new Map();
+  // The IDs of the records containing each word, and carrying each tag.
+  const wordIndex = new Map();
+  const tagIndex = new Map();
+  let loading = null;
+
+  /**
+   * Adds an ID to the entry of an index, creating the entry if needed.
+   */
+  const addEntry = (index, key, id) => {
+    if (!index.has(key)) {
+      index.set(key, new Set());
+    }
+    index.get(key).add(id);
+  };
+
+  /**
+   * Removes an ID from the entry of an index, removing the entry once it is empty.
+   */
+  const removeEntry = (index, key, id) => {
+    const ids = index.get(key);
+    ids?.delete(id);
+    if (ids?.size === 0) {
+      index.delete(key);
+    }
+  };
+
+  /**
+   * Removes a record from the index.
+   *
+   * @param {string} id The ID of the record.
+   */
+  const remove = (id) => {
+    const document = documents.get(id);
+    if (!document) {
+      return;
+    }
+    document.words.forEach((word) => removeEntry(wordIndex, word, id));
+    document.tags.forEach((tag) => removeEntry(tagIndex, tag, id));
+    documents.delete(id);
+  };
+
+  /**
+   * Adds a record to the index, replacing any earlier version of it.
+   *
+   * @param {Object} record The record.
+   */
+  const add = (record) => {
+    remove(record.id);
+    const tags = record.tags ?? [];
+    const document = {
+      words: new Set([
+        ...SEARCHED_FIELDS.flatMap((field) => tokenise(record[field])),
+        ...tags.flatMap(tokenise),
+      ]),
+      tags: new Set(tags),
+    };
+    document.words.forEach((word) => addEntry(wordIndex, word, record.id));
+    document.tags.forEach((tag) => addEntry(tagIndex, tag, record.id));
+    documents.set(record.id, document);
+  };
+
+  // Changes are applied as they are made, so that the index never needs to be rebuilt.
+  events?.on(GALLERY_EVENTS.CREATED, add);
+  events?.on(GALLERY_EVENTS.UPDATED, add);
+  events?.on(GALLERY_EVENTS.DELETED, ({ id }) => remove(id));
+
+  /**
+   * Builds the index from the store if it has not been built yet.
+   */
+  const load = () => {
+    loading =
+      loading ??
+      store.list().then(
+        (records) => records.forEach(add),
+        (error) => {
+          // A failed build is retried by the next search.
+          loading = null;
+          throw error;
+        }
+      );
+    return loading;
+  };
+
+  return {
+    /**
+     * Finds the records that match every word and carry every tag given.
+     *
+     * @param {Object} search
+     * @param {Array} search.words The words to search for, as returned by tokenise.
+     * @param {Array} search.tags The normalised tags every record must carry.
+     * @returns {Set} The IDs of the matching records.
+     */
+    async search({ words = [], tags = [] }) {
+      await load();
+
+      let matches = null;
+      const narrow = (ids) => {
+        matches = matches
+          ? new Set([...matches].filter((id) => ids.has(id)))
+          : ids;
+      };
+
+      tags.forEach((tag) => narrow(tagIndex.get(tag) ?? new Set()));
+      words.forEach((searched) => {
+        const ids = new Set();
+        for (const [word, wordIds] of wordIndex) {
+          if (word.startsWith(searched)) {
+            wordIds.forEach((id) => ids.add(id));
+          }
+        }
+        narrow(ids);
+      });
+
+      return new Set(matches ?? documents.keys());
+    },
+  };
+};
@@ -0,0 +1,125 @@
+import { EventEmitter } from "events";
+import { createSearchIndex, parseSearch, tokenise } from "./search";
+import { createMetadataStore } from "./store";
+import { MAX_SEARCH_LENGTH } from "../config/metadata";
+
+describe("Search", () => {
+  describe("tokenise", () => {
+    it("Splits text into lowercase words.", () => {
+      expect(tokenise("Front Door, IMG_0001.jpg")).toEqual([
+        "front",
+        "door",
+        "img",
+        "0001",
+        "jpg",
+      ]);
+    });
+
+    it("Finds no words in missing text.", () => {
+      expect(tokenise(null)).toEqual([]);
+      expect(tokenise(undefined)).toEqual([]);
+    });
+  });
+
+  describe("parseSearch", () => {
+    it("Reads the words and tags searched for.", () => {
+      expect(
+        parseSearch({ q: "Front door", tags: "Kitchen,evidence" })
+      ).toEqual({ words: ["front", "door"], tags: ["kitchen", "evidence"] });
+    });
+
+    it("Searches for nothing by default.", () => {
+      expect(parseSearch({})).toEqual({ words: [], tags: [] });
+    });
+
+    it.each([
+      [{ q: ["a", "b"] }, "q must be a single search query."],
+      [
+        { q: "a".repeat(MAX_SEARCH_LENGTH + 1) },
+        `q may not exceed ${MAX_SEARCH_LENGTH} characters.`,
+      ],
+    ])("Rejects invalid searches (%j).", (query, message) => {
+      expect(() => parseSearch(query)).toThrow(message);
+    });
+  });
+
+  describe("createSearchIndex", () => {
+    let events;
+    let store;
+    let index;
+
+    beforeEach(async () => {
+      events = new EventEmitter();
+      store = createMetadataStore({ filePath: ":memory:", events });
+      index = createSearchIndex({ store, events });
+      await store.insert({
+        id: "image1",
+        title: "Front door",
+        description: "Taken at night",
+        originalName: "IMG_0001.jpg",
+        tags: ["exterior", "evidence"],
+        datetime: 1,
+      });
+      await store.insert({
+        id: "image2",
+        title: "Kitchen",
+        description: null,
+        originalName: "kitchen.png",
+        tags: ["interior", "evidence"],
+        datetime: 2,
+      });
+    });
+
+    const search = async (query) => [...(await index.search(query))].sort();
+
+    it("Matches words in the title, description, tags and filename.", async () => {
+      expect(await search({ words: ["night"] })).toEqual(["image1"]);
+      expect(await search({ words: ["interior"] })).toEqual(["image2"]);
+      expect(await search({ words: ["img"] })).toEqual(["image1"]);
+    });
+
+    it("Matches the words that start with each word searched for.", async () => {
+      expect(await search({ words: ["kit"] })).toEqual(["image2"]);
+      expect(await search({ words: ["itchen"] })).toEqual([]);
+    });
+
+    it("Requires every word and tag.", async () => {
+      expect(await search({ words: ["front", "kitchen"] })).toEqual([]);
+      expect(await search({ tags: ["evidence"] })).toEqual([
+        "image1",
+        "image2",
+      ]);
+      expect(await search({ words: ["front"], tags: ["interior"] })).toEqual(
+        []
+      );
+    });
+
+    it("Matches tags exactly.", async () => {
+      expect(await search({ tags: ["evid"] })).toEqual([]);
+    });
+
+    it("Matches every record when nothing is searched for.", async () => {
+      expect(await search({})).toEqual(["image1", "image2"]);
+    });
+
+    it("Follows changes to the store.", async () => {
+      await search({});
+      await store.update("image1", { title: "Back door", tags: [] });
+      await store.remove("image2");
+      await store.insert({ id: "image3", title: "Front gate", datetime: 3 });
+
+      expect(await search({ words: ["front"] })).toEqual(["image3"]);
+      expect(await search({ words: ["back"] })).toEqual(["image1"]);
+      expect(await search({ tags: ["evidence"] })).toEqual([]);
+    });
+
+    it("Retries a failed build.", async () => {
+      const list = jest
+        .spyOn(store, "list")
+        .mockRejectedValueOnce(new Error("Disk error"));
+      await expect(index.search({})).rejects.toThrow("Disk error");
+      expect(await search({ words: ["kitchen"] })).toEqual(["image2"]);
+      expect(list).toHaveBeenCalledTimes(2);
+    });
+  });
+});
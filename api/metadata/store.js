@@ -0,0 +1,160 @@
+import fs from "fs/promises";
+import path from "path";
+import { GALLERY_EVENTS } from "../config/metadata";
+import { compareRecords } from "./query";
+
+/**
+ * Creates a store that records the metadata of uploaded images in a JSON file.
+ * The file is read once, on first use, and rewritten in full after every change.
+ * Writes are queued so that concurrent changes never interleave.
+ * Once persisted, each change to a record is emitted as one of GALLERY_EVENTS.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath The JSON file to persist to, or ":memory:" to keep the records in memory.
+ * @param {EventEmitter|null} options.events The emitter to emit changes on, if any.
+ * @returns {Object} A metadata store.
+ */
+export const createMetadataStore = ({ filePath, events = null }) => {
+  const persistent = filePath !== ":memory:";
+  let records = null;
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Loads the records from disk if they have not been loaded yet.
+   *
+   * @returns {Map} The records, keyed by image ID.
+   */
+  const load = async () => {
+    if (records) {
+      return records;
+    }
+
+    let loaded = [];
+    if (persistent) {
+      try {
+        loaded = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (error) {
+        // Nothing has been recorded yet.
+        if (error?.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    }
+
+    // Another call may have loaded the records whilst the file was being read.
+    if (!records) {
+      records = new Map(loaded.map((record) => [record.id, record]));
+    }
+    return records;
+  };
+
+  /**
+   * Writes the records to disk.
+   * The file is replaced atomically so that a crash never leaves it half written.
+   */
+  const persist = () => {
+    if (!persistent) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify(Array.from(records.values()), null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(`${filePath}.tmp`, snapshot);
+        await fs.rename(`${filePath}.tmp`, filePath);
+      });
+    return writeQueue;
+  };
+
+  return {
+    /**
+     * Records a newly uploaded image.
+     *
+     * @param {Object} record The metadata of the image, which must include its ID.
+     * @returns {Object} The stored record.
+     */
+    async insert(record) {
+      await load();
+      const now = new Date().toISOString();
+      const stored = { ...record, createdAt: now, updatedAt: now };
+      records.set(stored.id, stored);
+      await persist();
+      events?.emit(GALLERY_EVENTS.CREATED, stored);
+      return stored;
+    },
+
+    /**
+     * Retrieves the record of a single image.
+     *
+     * @param {string} id The ID of the image.
+     * @returns {Object|null} The record, or null if the image is not recorded.
+     */
+    async get(id) {
+      await load();
+      return records.get(id) ?? null;
+    },
+
+    /**
+     * Lists every record, most recently uploaded first.
+     *
+     * @returns {Array} An array of records.
+     */
+    async list() {
+      await load();
+      return Array.from(records.values()).sort(compareRecords);
+    },
+
+    /**
+     * Applies changes to the record of a single image.
+     *
+     * @param {string} id The ID of the image.
+     * @param {Object} changes The fields to change.
+     * @returns {Object|null} The updated record, or null if the image is not recorded.
+     */
+    async update(id, changes) {
+      await load();
+      const record = records.get(id);
+      if (!record) {
+        return null;
+      }
+      const updated = {
+        ...record,
+        ...changes,
+        id,
+        updatedAt: new Date().toISOString(),
+      };
+      records.set(id, updated);
+      await persist();
+      events?.emit(GALLERY_EVENTS.UPDATED, updated);
+      return updated;
+    },
+
+    /**
+     * Removes the record of a single image.
+     * The deletion is emitted with the owner of the record, so that it only reaches the clients that could see it.
+     *
+     * @param {string} id The ID of the image.
+     * @returns {boolean} Whether a record was removed.
+     */
+    async remove(id) {
+      await load();
+      const owner = records.get(id)?.owner ?? null;
+      const removed = records.delete(id);
+      if (removed) {
+        await persist();
+        events?.emit(GALLERY_EVENTS.DELETED, { id, owner });
+      }
+      return removed;
+    },
+
+    /**
+     * Removes every record.
+     */
+    async clear() {
+      await load();
+      records.clear();
+      await persist();
+    },
+  };
+};
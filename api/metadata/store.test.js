@@ -0,0 +1,102 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createMetadataStore } from "./store";
+
+describe("Metadata store", () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-store-"));
+    filePath = path.join(directory, "metadata.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Records an image with timestamps.", async () => {
+    const store = createMetadataStore({ filePath });
+    const record = await store.insert({ id: "a", datetime: 1 });
+    expect(record.createdAt).toEqual(expect.any(String));
+    expect(record.updatedAt).toBe(record.createdAt);
+    expect(await store.get("a")).toEqual(record);
+    expect(await store.get("b")).toBeNull();
+  });
+
+  it("Persists records across instances.", async () => {
+    const store = createMetadataStore({ filePath });
+    await store.insert({ id: "a", datetime: 1, title: "A" });
+    const reloaded = createMetadataStore({ filePath });
+    expect(await reloaded.get("a")).toMatchObject({ id: "a", title: "A" });
+  });
+
+  it("Lists the most recently uploaded images first.", async () => {
+    const store = createMetadataStore({ filePath });
+    await store.insert({ id: "old", datetime: 1 });
+    await store.insert({ id: "new", datetime: 2 });
+    expect((await store.list()).map((record) => record.id)).toEqual([
+      "new",
+      "old",
+    ]);
+  });
+
+  it("Updates a record without changing its ID.", async () => {
+    const store = createMetadataStore({ filePath });
+    await store.insert({ id: "a", datetime: 1, title: "A" });
+    const updated = await store.update("a", { id: "b", title: "B" });
+    expect(updated).toMatchObject({ id: "a", title: "B" });
+    expect(await store.update("missing", { title: "C" })).toBeNull();
+  });
+
+  it("Removes records.", async () => {
+    const store = createMetadataStore({ filePath });
+    await store.insert({ id: "a", datetime: 1 });
+    await store.insert({ id: "b", datetime: 2 });
+    expect(await store.remove("a")).toBe(true);
+    expect(await store.remove("a")).toBe(false);
+    await store.clear();
+    expect(await createMetadataStore({ filePath }).list()).toEqual([]);
+  });
+
+  it("Serialises concurrent writes.", async () => {
+    const store = createMetadataStore({ filePath });
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        store.insert({ id: `${i}`, datetime: i })
+      )
+    );
+    const reloaded = createMetadataStore({ filePath });
+    expect(await reloaded.list()).toHaveLength(20);
+  });
+
+  it("Keeps records in memory only.", async () => {
+    const store = createMetadataStore({ filePath: ":memory:" });
+    await store.insert({ id: "a", datetime: 1 });
+    expect(await store.get("a")).not.toBeNull();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("Emits each change once it has been persisted.", async () => {
+    const events = new EventEmitter();
+    const changes = [];
+    ["image-created", "image-updated", "image-deleted"].forEach((type) =>
+      events.on(type, (payload) => changes.push([type, payload]))
+    );
+    const store = createMetadataStore({ filePath, events });
+
+    await store.insert({ id: "a", datetime: 1 });
+    await store.update("a", { views: 5 });
+    await store.update("missing", { views: 5 });
+    await store.remove("a");
+    await store.remove("a");
+
+    expect(changes).toEqual([
+      ["image-created", expect.objectContaining({ id: "a", datetime: 1 })],
+      ["image-updated", expect.objectContaining({ id: "a", views: 5 })],
+      ["image-deleted", { id: "a", owner: null }],
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Imports the images held by a storage provider into a metadata store.
+ * Images that are already recorded have their view counts refreshed, and
+ * records of images that no longer exist in the provider are removed.
+ * Imported images have no owner, so only admins can see them.
+ *
+ * @param {Object} storage The storage provider to import from.
+ * @param {Object} store The metadata store to import into.
+ * @returns {Object} The number of records added, updated and removed.
+ */
+export const syncMetadata = async (storage, store) => {
+  const images = await storage.list();
+  const summary = { added: 0, updated: 0, removed: 0 };
+
+  for (const image of images) {
+    if (await store.get(image.id)) {
+      await store.update(image.id, { views: image.views ?? 0 });
+      summary.updated += 1;
+      continue;
+    }
+
+    await store.insert({
+      id: image.id,
+      deletehash: image.deletehash ?? null,
+      title: image.title ?? null,
+      description: image.description ?? null,
+      originalName: image.name ?? null,
+      mimetype: image.type ?? null,
+      size: image.size ?? null,
+      width: image.width ?? null,
+      height: image.height ?? null,
+      animated: image.animated ?? null,
+      link: image.link,
+      views: image.views ?? 0,
+      datetime: image.datetime,
+      uploader: null,
+      owner: null,
+      exif: null,
+      sha256: null,
+      perceptualHash: null,
+    });
+    summary.added += 1;
+  }
+
+  const ids = new Set(images.map((image) => image.id));
+  for (const record of await store.list()) {
+    if (!ids.has(record.id)) {
+      await store.remove(record.id);
+      summary.removed += 1;
+    }
+  }
+
+  return summary;
+};
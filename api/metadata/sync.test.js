@@ -0,0 +1,39 @@
+import { createMetadataStore } from "./store";
+import { syncMetadata } from "./sync";
+
+describe("syncMetadata", () => {
+  it("Imports new images, refreshes views and removes stale records.", async () => {
+    const store = createMetadataStore({ filePath: ":memory:" });
+    await store.insert({ id: "kept", datetime: 1, views: 1 });
+    await store.insert({ id: "stale", datetime: 2 });
+    const storage = {
+      list: jest.fn().mockResolvedValue([
+        { id: "kept", views: 5 },
+        {
+          id: "new",
+          name: "new.png",
+          type: "image/png",
+          size: 10,
+          width: 2,
+          height: 3,
+          link: "https://i.imgur.com/new.png",
+          datetime: 3,
+        },
+      ]),
+    };
+
+    expect(await syncMetadata(storage, store)).toEqual({
+      added: 1,
+      updated: 1,
+      removed: 1,
+    });
+    expect(await store.get("kept")).toMatchObject({ views: 5 });
+    expect(await store.get("new")).toMatchObject({
+      originalName: "new.png",
+      mimetype: "image/png",
+      width: 2,
+      height: 3,
+    });
+    expect(await store.get("stale")).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+import { MAX_TAG_LENGTH, MAX_TAGS } from "../config/metadata";
+import { QueryError } from "./query";
+
+/**
+ * Normalises a tag, so that tags differing only in case or spacing are the same tag.
+ *
+ * @param {string} tag The tag as entered.
+ * @returns {string} The tag in lowercase, with its whitespace trimmed and collapsed.
+ */
+export const normaliseTag = (tag) =>
+  tag.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Validates a list of tags sent with a request.
+ * Tags may be sent as a list, as a comma-separated string, or as a mix of both, as form fields repeat.
+ * Empty tags are dropped and each tag is kept once.
+ *
+ * @param {string|Array|undefined} value The tags sent.
+ * @returns {Array} The normalised tags, in the order they were first sent.
+ */
+export const parseTags = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  if (!values.every((tag) => typeof tag === "string")) {
+    throw new QueryError("tags must be a list of tags.");
+  }
+
+  const tags = [
+    ...new Set(
+      values
+        .flatMap((tag) => tag.split(","))
+        .map(normaliseTag)
+        .filter((tag) => tag !== "")
+    ),
+  ];
+  if (tags.length > MAX_TAGS) {
+    throw new QueryError(`An image may not have more than ${MAX_TAGS} tags.`);
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new QueryError(`Tags may not exceed ${MAX_TAG_LENGTH} characters.`);
+  }
+  return tags;
+};
@@ -0,0 +1,41 @@
+import { normaliseTag, parseTags } from "./tags";
+import { MAX_TAG_LENGTH, MAX_TAGS } from "../config/metadata";
+
+describe("Tags", () => {
+  it("Normalises the case and spacing of a tag.", () => {
+    expect(normaliseTag("  Crime   Scene ")).toBe("crime scene");
+  });
+
+  it("Reads lists and comma-separated strings.", () => {
+    expect(parseTags("kitchen, Evidence")).toEqual(["kitchen", "evidence"]);
+    expect(parseTags(["kitchen", "evidence,front door"])).toEqual([
+      "kitchen",
+      "evidence",
+      "front door",
+    ]);
+  });
+
+  it("Keeps each tag once and drops empty tags.", () => {
+    expect(parseTags("kitchen,,KITCHEN, ")).toEqual(["kitchen"]);
+  });
+
+  it("Reads missing tags as none.", () => {
+    expect(parseTags(undefined)).toEqual([]);
+    expect(parseTags(null)).toEqual([]);
+  });
+
+  it.each([
+    [[1], "tags must be a list of tags."],
+    [{ tag: "kitchen" }, "tags must be a list of tags."],
+    [
+      Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`),
+      `An image may not have more than ${MAX_TAGS} tags.`,
+    ],
+    [
+      "a".repeat(MAX_TAG_LENGTH + 1),
+      `Tags may not exceed ${MAX_TAG_LENGTH} characters.`,
+    ],
+  ])("Rejects invalid tags (%j).", (value, message) => {
+    expect(() => parseTags(value)).toThrow(message);
+  });
+});
@@ -1,20 +1,318 @@
+import fs from "fs/promises";
+import path from "path";
 import express from "express";
 import multer from "multer";
-import axios from "axios";
-import { IMGUR_BEARER_TOKEN } from "./config/secrets";
 import {
-  IMGUR_ACCOUNT_IMAGES_ENDPOINT,
-  IMGUR_IMAGE_ENDPOINT,
-} from "./config/endpoints";
+  DEFAULT_PRIVACY_POLICY,
+  IMAGE_PROCESSING_ENABLED,
+  MAX_FILE_COUNT,
+  MAX_FILE_SIZE,
+  MAX_IMAGE_DIMENSION,
+  MAX_RECEIVED_FILE_SIZE,
+  PRIVACY_POLICIES,
+  RECOMPRESSION_QUALITY,
+  UPLOAD_CONCURRENCY,
+  UPLOAD_ERROR_CODES,
+  UPLOAD_JOB_TTL,
+  UPLOAD_SESSION_TTL,
+  UPLOAD_TEMP_DIRECTORY,
+} from "./config/uploads";
+import { LOCAL_STORAGE_ROUTE } from "./config/storage";
+import { getStorageProvider } from "./storage";
+import { authRouter, authenticate, canAccess } from "./auth";
+import { createUploadPipeline, summariseUploads } from "./uploads/pipeline";
+import { createUploadQueue } from "./uploads/queue";
+import { createUploadJobStore } from "./uploads/jobs";
+import { createUploadJobRouter } from "./uploads/jobRouter";
+import { createImageProcessor } from "./uploads/resize";
+import { createUploadSessionStore } from "./uploads/sessions";
+import { createUploadSessionRouter } from "./uploads/router";
+import { MAX_BULK_DELETE } from "./config/metadata";
+import {
+  albumStore,
+  metadataEvents,
+  metadataStore,
+  searchIndex,
+  toPublicImage,
+} from "./metadata";
+import { createGalleryEventRouter } from "./metadata/eventRouter";
+import { createAlbumRouter } from "./albums/router";
+import { parseImageChanges } from "./metadata/changes";
+import { parseSearch } from "./metadata/search";
+import { filterRecords, parseFilters } from "./metadata/filters";
+import { parseTags } from "./metadata/tags";
+import {
+  paginate,
+  parseSort,
+  parsePagination,
+  parseThumbnailSize,
+} from "./metadata/query";
 
 const router = express.Router();
-const upload = multer();
+
+// Incoming files are streamed to disk, rather than buffered in memory, and are removed once they have been handled.
+// Requests with too many files, or with a file that is too large, are aborted as they arrive.
+const upload = multer({
+  dest: UPLOAD_TEMP_DIRECTORY,
+  limits: { fileSize: MAX_RECEIVED_FILE_SIZE, files: MAX_FILE_COUNT },
+});
+const storage = getStorageProvider();
+const processUpload = createUploadPipeline({
+  storage,
+  metadataStore,
+  processImage: IMAGE_PROCESSING_ENABLED
+    ? createImageProcessor({
+        maxFileSize: MAX_FILE_SIZE,
+        maxDimension: MAX_IMAGE_DIMENSION,
+        quality: RECOMPRESSION_QUALITY,
+      })
+    : null,
+});
+
+// Uploads from every request share a queue, so that concurrent requests cannot swamp the server or Imgur.
+const uploadQueue = createUploadQueue({ concurrency: UPLOAD_CONCURRENCY });
+
+/**
+ * Uploads a file once the queue reaches it, reporting how long it waited alongside the outcome.
+ *
+ * @param {Object} file A file on disk, in the format produced by multer.
+ * @param {Object} options The options of the upload pipeline.
+ * @param {Object} queueing
+ * @param {*} queueing.group The request the file belongs to, which takes turns with other requests.
+ * @param {Function} queueing.onStart Called when the queue reaches the file.
+ * @returns {Object} The outcome of the upload.
+ */
+const queueUpload = (file, options, { group, onStart = () => {} } = {}) =>
+  uploadQueue.enqueue(
+    async ({ depth, wait }) => {
+      onStart();
+      return {
+        ...(await processUpload(file, options)),
+        queueDepth: depth,
+        queueWait: wait,
+      };
+    },
+    { group, size: file.size }
+  );
+
+/**
+ * Converts a record to the format images are listed in, with links to the original and to a thumbnail.
+ *
+ * @param {Object} record The record of the image.
+ * @param {string} thumbnailSize The Imgur thumbnail suffix of the thumbnail link.
+ * @returns {Object} The image.
+ */
+const toListedImage = (record, thumbnailSize) => ({
+  ...toPublicImage(record),
+  originalLink: record.link,
+  thumbnailLink: storage.thumbnail(record.link, thumbnailSize),
+});
+
+/**
+ * Readies the storage backend before the server accepts requests, such as by exchanging Imgur's refresh token for
+ * a new access token.
+ */
+export const prepareStorage = async () => {
+  await storage.prepare?.();
+};
+
+// Backends that keep the files themselves also serve them. Like Imgur's links, the files are public.
+if (storage.serve) {
+  router.use(LOCAL_STORAGE_ROUTE, storage.serve());
+}
+
+// Users sign in with their API key, and refresh the tokens issued to them, through the /auth routes.
+router.use("/auth", authRouter);
+
+// Every other route requires the caller to authenticate, and only shows them their own images unless they are an admin.
+router.use(authenticate);
+
+// Changes to the gallery are broadcast to every connected client.
+router.use(
+  "/events",
+  createGalleryEventRouter({
+    events: metadataEvents,
+    toListedImage,
+    canView: (req, record) => canAccess(req.user, record),
+  })
+);
+
+// Uploaded images are grouped into albums through the /albums routes.
+router.use(
+  "/albums",
+  createAlbumRouter({ storage, albumStore, metadataStore })
+);
+
+// Requests can instead hand their files over to a job, which is followed through the /jobs routes.
+const uploadJobs = createUploadJobStore({ ttl: UPLOAD_JOB_TTL });
+router.use("/jobs", createUploadJobRouter({ jobs: uploadJobs }));
+
+// Large files can instead be uploaded in chunks through the resumable upload protocol.
+router.use(
+  "/uploads",
+  createUploadSessionRouter({
+    sessions: createUploadSessionStore({
+      directory: path.join(UPLOAD_TEMP_DIRECTORY, "sessions"),
+      ttl: UPLOAD_SESSION_TTL,
+    }),
+    processUpload: queueUpload,
+  })
+);
+
+/**
+ * Receives the files of an upload request.
+ * The limits enforced by multer are reported in the same format as the per-file results.
+ */
+const receiveFiles = (req, res, next) => {
+  upload.array("files")(req, res, (error) => {
+    if (!error) {
+      next();
+      return;
+    }
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      res.status(413).send({
+        errorCode: UPLOAD_ERROR_CODES.TOO_LARGE,
+        message: `Files may not exceed ${MAX_RECEIVED_FILE_SIZE} bytes.`,
+      });
+    } else if (error.code === "LIMIT_FILE_COUNT") {
+      res.status(413).send({
+        errorCode: UPLOAD_ERROR_CODES.TOO_MANY_FILES,
+        message: `No more than ${MAX_FILE_COUNT} files may be uploaded at once.`,
+      });
+    } else if (error instanceof multer.MulterError) {
+      res
+        .status(400)
+        .send("No files attached or files are incorrectly formatted.");
+    } else {
+      next(error);
+    }
+  });
+};
+
+/**
+ * Removes the temporary copies of the files received in a request.
+ *
+ * @param {Array} files The files processed by multer.
+ */
+const removeTemporaryFiles = async (files = []) => {
+  await Promise.all(
+    files.map((file) => fs.rm(file.path, { force: true }).catch(() => {}))
+  );
+};
+
+/**
+ * Uploads the files of a job in the background, recording the progress of each file.
+ * The temporary copies of the files are removed once every file has been handled.
+ *
+ * @param {string} jobId The ID of the job.
+ * @param {Array} files The files processed by multer.
+ * @param {Object} options The options of the upload pipeline.
+ */
+const runUploadJob = async (jobId, files, options) => {
+  await Promise.all(
+    files.map(async (file, index) => {
+      let result;
+      try {
+        result = await queueUpload(file, options, {
+          group: jobId,
+          onStart: () => uploadJobs.start(jobId, index),
+        });
+      } catch (error) {
+        console.error("Error uploading file:", error?.message ?? error);
+        result = {
+          file: file.originalname,
+          success: false,
+          status: 500,
+          message: "The file could not be uploaded.",
+        };
+      }
+      uploadJobs.finish(jobId, index, result);
+    })
+  );
+  await removeTemporaryFiles(files);
+};
+
+/**
+ * Removes the record of a deleted image, and the image from every album it was in.
+ *
+ * @param {string} id The ID of the image.
+ */
+const forgetImage = async (id) => {
+  await metadataStore.remove(id);
+  for (const album of await albumStore.list()) {
+    if (album.imageIds.includes(id)) {
+      await albumStore.update(album.id, {
+        imageIds: album.imageIds.filter((imageId) => imageId !== id),
+      });
+    }
+  }
+};
+
+/**
+ * Deletes a single image from the storage backend, and forgets it.
+ * Failures are reported in the result rather than thrown, so that images can be deleted in bulk.
+ * Users may only delete their own images, and the images of others are reported as not found.
+ *
+ * @param {string} id The ID of the image.
+ * @param {Object} user The user making the request.
+ * @returns {Object} The outcome: the ID, whether it succeeded, the HTTP status, a message and, if Imgur's credits
+ * ran out, the number of seconds to wait before retrying.
+ */
+const deleteImage = async (id, user) => {
+  const result = { id, success: false, message: null, retryAfter: null };
+  try {
+    if (!canAccess(user, await metadataStore.get(id))) {
+      return { ...result, status: 404, message: "Image not found." };
+    }
+    await storage.delete(id);
+    await forgetImage(id);
+    return { ...result, success: true, status: 200 };
+  } catch (error) {
+    // The image no longer exists, so any record of it is stale.
+    if (error?.status === 404) {
+      await forgetImage(id).catch(() => {});
+      return { ...result, status: 404, message: "Image not found." };
+    }
+
+    // If Imgur's credits have run out, tell the client when to try again.
+    if (error?.status === 429) {
+      return {
+        ...result,
+        status: 429,
+        message: "Imgur's rate limit has been reached.",
+        retryAfter:
+          typeof error.retryAfter === "number" ? error.retryAfter : null,
+      };
+    }
+
+    console.error("Error deleting image from Imgur:", error?.message ?? error);
+    return {
+      ...result,
+      status: 500,
+      message: "Failed to delete image from Imgur.",
+    };
+  }
+};
 
 /**
- * This endpoint is used to upload files to Imgur.
+ * This endpoint is used to upload files to the configured storage backend.
  * The multer middleware is used to process the files uploaded in the request.
+ * The uploaded images belong to the authenticated caller.
+ *
+ * @param {string} uploader The user uploading the files.
+ * @param {string} privacy Whether to "strip" or "keep" location and identifying metadata. Defaults to DEFAULT_PRIVACY_POLICY.
+ * @param {string} allowDuplicates "true" to upload files whose contents have already been uploaded,
+ * rather than returning the images already uploaded.
+ * @param {string} tags The tags to record against every file, comma-separated or as repeated fields. Optional.
+ * @param {string} async "true", as a query parameter, to respond straight away with a 202 and a job that
+ * uploads the files in the background. The job is followed through GET /jobs/:id and GET /jobs/:id/events.
+ * @returns {Object} A multi-status report with a result for each file uploaded, including how many uploads
+ * were already queued when it arrived and how long it waited for its turn.
+ * The status is 200 if every file was uploaded, 429 with a Retry-After header if none could be
+ * uploaded because Imgur's credits ran out, and 207 otherwise.
  */
-router.post("/images", upload.array("files"), async (req, res) => {
+router.post("/images", receiveFiles, async (req, res) => {
   if (!req.files || req.files.length === 0 || !Array.isArray(req.files)) {
     res
       .status(400)
@@ -22,168 +320,342 @@ router.post("/images", upload.array("files"), async (req, res) => {
     return;
   }
 
-  const responses = await Promise.all(
-    req.files.map(async (file) => {
-      const formData = new FormData();
-      formData.append("image", file.buffer.toString("base64"));
-      formData.append("title", file.originalname);
+  const uploader = req.body?.uploader ?? null;
+  const privacy = req.body?.privacy ?? DEFAULT_PRIVACY_POLICY;
+  if (!Object.values(PRIVACY_POLICIES).includes(privacy)) {
+    await removeTemporaryFiles(req.files);
+    res
+      .status(400)
+      .send(
+        `The privacy policy must be one of: ${Object.values(PRIVACY_POLICIES).join(", ")}.`
+      );
+    return;
+  }
 
-      // The response tracker will give the status of each file upload and will be used to send the response back to the client.
-      const responseTracker = {
-        file: file.originalname,
-        success: false,
-        typeError: false,
-      };
+  let tags;
+  try {
+    tags = parseTags(req.body?.tags);
+  } catch (error) {
+    await removeTemporaryFiles(req.files);
+    res.status(error.status ?? 400).send(error.message);
+    return;
+  }
 
-      // If the filetype is not one of the allowed types, the upload will fail.
-      // These are Imgur's accepted file types.
-      // Source: https://apidocs.imgur.com/#2078c7e0-c2b8-4bc8-a646-6e544b087d0f
-      if (
-        ![
-          "image/jpeg",
-          "image/jpg",
-          "image/gif",
-          "image/png",
-          "image/apng",
-          "image/tiff",
-        ].includes(file.mimetype)
-      ) {
-        responseTracker.typeError = true;
-        return responseTracker;
-      }
+  const allowDuplicates = req.body?.allowDuplicates === "true";
+  const options = {
+    uploader,
+    owner: req.user.id,
+    privacy,
+    allowDuplicates,
+    tags,
+  };
 
-      try {
-        const response = await axios.post(IMGUR_IMAGE_ENDPOINT, formData, {
-          headers: {
-            Authorization: `Bearer ${IMGUR_BEARER_TOKEN}`,
-          },
-        });
-        responseTracker.status = response.status;
-        responseTracker.success = response.status === 200;
-      } catch (error) {
-        console.error("Error uploading image to Imgur:", error?.message ?? error);
-        responseTracker.status = error?.response?.status ?? 500;
-      }
+  if (req.query.async === "true") {
+    const job = uploadJobs.create(
+      req.files.map((file) => file.originalname),
+      req.user.id
+    );
+    res.status(202).send(job);
+    runUploadJob(job.id, req.files, options);
+    return;
+  }
 
-      return responseTracker;
-    })
+  const results = await Promise.all(
+    req.files.map((file) => queueUpload(file, options, { group: req }))
   );
 
-  if (responses.every((response) => response.success)) {
-    res.status(200).send("success");
-  } else if (responses.some((response) => response.status === 500)) {
-    res.status(500).send("Failed to upload images to Imgur.");
-  } else {
-    //TODO: Integrate the returning of the responseTracker to the client and
-    // the usage of additional error messages and codes for, for instance, type errors.
+  await removeTemporaryFiles(req.files);
+
+  const { status, retryAfter, body } = summariseUploads(results);
+  if (retryAfter !== null) {
+    res.set("Retry-After", `${retryAfter}`);
+  }
+  res.status(status).send(body);
+});
+
+/**
+ * This endpoint is used to check whether files have already been uploaded, before uploading them.
+ * Only the caller's own images are checked, as POST /images only skips duplicates of those.
+ *
+ * @param {Array} hashes The SHA-256 hashes of the files, in hex.
+ * @returns {Object} The images already uploaded, keyed by the hash of their contents.
+ */
+router.post("/images/duplicates", async (req, res) => {
+  const hashes = req.body?.hashes;
+  if (
+    !Array.isArray(hashes) ||
+    hashes.length > MAX_FILE_COUNT ||
+    !hashes.every((hash) => typeof hash === "string")
+  ) {
     res
       .status(400)
-      .send(
-        "Failed to upload some images to Imgur. Ensure that all files uploaded are of the correct size and type."
-      );
+      .send(`hashes must be a list of at most ${MAX_FILE_COUNT} hashes.`);
+    return;
+  }
+
+  try {
+    const requested = new Set(hashes.map((hash) => hash.toLowerCase()));
+    const duplicates = {};
+    for (const record of await metadataStore.list()) {
+      if (
+        requested.has(record.sha256) &&
+        !duplicates[record.sha256] &&
+        (record.owner ?? null) === req.user.id
+      ) {
+        duplicates[record.sha256] = toPublicImage(record);
+      }
+    }
+    res.status(200).send({ duplicates });
+  } catch (error) {
+    console.error("Error checking for duplicates:", error?.message ?? error);
+    res.status(500).send("Failed to check for duplicates.");
   }
 });
 
 /**
- * This endpoint is used to retrieve a list of images uploaded to Imgur.
- * It retrieves the thumbnail versions of the images.
+ * This endpoint is used to retrieve a page of the images that have been uploaded.
+ * The images are read from the metadata store, each with links to the original and to a thumbnail.
+ * Users only see their own images, while admins see every image.
  *
- * @returns {Array} An array of image objects.
+ * @param {number} page The page to retrieve, starting from 1. Defaults to 1.
+ * @param {number} perPage The number of images per page. Defaults to DEFAULT_PER_PAGE.
+ * @param {string} cursor An opaque cursor returned as nextCursor, used instead of page.
+ * @param {string} size The Imgur thumbnail suffix of thumbnailLink, one of THUMBNAIL_SIZES. Defaults to "m".
+ * @param {string} album The ID of an album, to list only the images in it. Optional.
+ * @param {string} q Words to search the title, description, tags and original filename for. Each word matches
+ * the words that start with it, and images must match every word. Optional.
+ * @param {string} tags Comma-separated tags that every image listed must carry. Optional.
+ * @param {string} sort The field to sort by, one of datetime, views, size or title. Defaults to datetime.
+ * @param {string} order "asc" or "desc". Defaults to descending, or ascending for titles.
+ * @param {string} mimetype Comma-separated image types to list, such as image/png. Optional.
+ * @param {string} from The earliest upload date to list, as an ISO 8601 date or date and time. Optional.
+ * @param {string} to The latest upload date to list. A date without a time covers that whole day. Optional.
+ * @param {string} animated "true" to list only animated images, "false" to list only still images. Optional.
+ * @param {number} minWidth The narrowest image to list, in pixels. Optional.
+ * @param {number} minHeight The shortest image to list, in pixels. Optional.
+ * @returns {Object} The page of image objects, the total number of images and the cursor of the next page.
  */
 router.get("/images", async (req, res) => {
+  let pagination;
+  let thumbnailSize;
+  let search;
+  let sort;
+  let filters;
   try {
-    // The thumbnail size to retrieve from Imgur.
-    //TODO: Allow the client to specify the thumbnail size.
-    // "s" is optimal for the grid view, but "m" is a good compromise between quality and speed.
-    const thumbnailSize = "m";
-
-    // Pull data on all images from the account.
-    const allImages = await axios.get(IMGUR_ACCOUNT_IMAGES_ENDPOINT, {
-      headers: {
-        Authorization: `Bearer ${IMGUR_BEARER_TOKEN}`,
-      },
-    });
-
-    // Convert each link to be a thumbnail version of the image.
-    const allImagesData = allImages.data.data.map((image) => {
-      return {
-        ...image,
-        link: image.link.replace(/(\.[a-z]+)$/, `${thumbnailSize}$1`),
-      };
-    });
+    sort = parseSort(req.query);
+    pagination = parsePagination(req.query, sort);
+    thumbnailSize = parseThumbnailSize(req.query);
+    search = parseSearch(req.query);
+    filters = parseFilters(req.query);
+  } catch (error) {
+    res.status(error.status ?? 400).send(error.message);
+    return;
+  }
+
+  try {
+    // Narrow the records down to those the caller may see, then to the album requested, if any.
+    let records = (await metadataStore.list()).filter((record) =>
+      canAccess(req.user, record)
+    );
+    if (req.query.album !== undefined) {
+      const album = await albumStore.get(`${req.query.album}`);
+      if (!album || !canAccess(req.user, album)) {
+        res.status(404).send("Album not found.");
+        return;
+      }
+      const imageIds = new Set(album.imageIds);
+      records = records.filter((record) => imageIds.has(record.id));
+    }
+
+    // Narrow the records down to those matching the search, if any.
+    if (search.words.length > 0 || search.tags.length > 0) {
+      const matches = await searchIndex.search(search);
+      records = records.filter((record) => matches.has(record.id));
+    }
+    records = filterRecords(records, filters);
+
+    // Pull the requested page of the records, in the order requested.
+    const { images, ...pageDetails } = paginate(records, pagination, sort);
+
+    // Add a link to the thumbnail version of each image alongside the original.
+    const pageImages = images.map((record) =>
+      toListedImage(record, thumbnailSize)
+    );
 
     // Return the data to the user.
-    res.send(allImagesData);
+    res.send({ images: pageImages, ...pageDetails });
   } catch (error) {
-    console.error("Error fetching images from Imgur:", error?.message ?? error);
-    res.status(500).send("Failed to fetch images from Imgur.");
+    console.error("Error fetching images:", error?.message ?? error);
+    res.status(500).send("Failed to fetch images.");
   }
 });
 
 /**
- * This endpoint is used to retrieve the details of a specific file from Imgur.
+ * This endpoint is used to list the tags in use on the images the caller may see, so that they can be suggested.
+ *
+ * @returns {Object} The tags, each with the number of images carrying it, most used first.
+ */
+router.get("/tags", async (req, res) => {
+  try {
+    const counts = new Map();
+    for (const record of await metadataStore.list()) {
+      if (!canAccess(req.user, record)) {
+        continue;
+      }
+      (record.tags ?? []).forEach((tag) =>
+        counts.set(tag, (counts.get(tag) ?? 0) + 1)
+      );
+    }
+    const tags = Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+      (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+    );
+    res.status(200).send({ tags });
+  } catch (error) {
+    console.error("Error fetching tags:", error?.message ?? error);
+    res.status(500).send("Failed to fetch tags.");
+  }
+});
+
+/**
+ * This endpoint is used to retrieve the details of a specific image from the metadata store.
  *
  * @param {string} imageid The ID of the image to retrieve.
  * @returns {Object} The image object.
  */
 router.get("/image/:imageid", async (req, res) => {
   try {
-    // Pull the data for the specific image.
-    const image = await axios.get(
-      `${IMGUR_IMAGE_ENDPOINT}/${req.params.imageid}`,
-      {
-        headers: {
-          Authorization: `Bearer ${IMGUR_BEARER_TOKEN}`,
-        },
-      }
-    );
+    // Pull the record for the specific image.
+    const image = await metadataStore.get(req.params.imageid);
 
-    // Return the data to the user.
-    res.status(200).send(image.data.data);
-  } catch (error) {
-    // If the image is not found, return a 404.
-    if (error?.response?.status === 404) {
+    // If the image is not recorded, or belongs to another user, return a 404.
+    if (!image || !canAccess(req.user, image)) {
       res.status(404).send("Image not found.");
       return;
     }
 
-    // Otherwise, return a 500.
-    console.error("Error fetching image from Imgur:", error?.message ?? error);
-    res.status(500).send("Failed to fetch image from Imgur.");
+    // Return the data to the user.
+    res.status(200).send(toPublicImage(image));
+  } catch (error) {
+    console.error("Error fetching image:", error?.message ?? error);
+    res.status(500).send("Failed to fetch image.");
   }
 });
 
 /**
- * This endpoint is used to delete a specific file from Imgur.
+ * This endpoint is used to change the title, description or tags of a specific image.
+ * The image is updated on the storage backend, then its record in the metadata store.
  *
- * @param {string} imageid The ID of the image to retrieve.
- * @returns {Object} The image object.
+ * @param {string} imageid The ID of the image to update.
+ * @param {string} title The new title of the image. Optional.
+ * @param {string|null} description The new description of the image, or null to clear it. Optional.
+ * @param {Array} tags The tags to replace the image's tags with. An empty list clears them. Optional.
+ * @returns {Object} The updated image object.
  */
-router.delete("/image/:imageid", async (req, res) => {
+router.patch("/image/:imageid", async (req, res) => {
+  let changes;
   try {
-    // Pull the data for the specific image.
-    const response = await axios.delete(
-      `${IMGUR_IMAGE_ENDPOINT}/${req.params.imageid}`,
-      {
-        headers: {
-          Authorization: `Bearer ${IMGUR_BEARER_TOKEN}`,
-        },
-      }
-    );
+    changes = parseImageChanges(req.body);
+  } catch (error) {
+    res.status(error.status ?? 400).send(error.message);
+    return;
+  }
+
+  try {
+    // Only images that have been recorded, and that the caller may access, can be updated.
+    const record = await metadataStore.get(req.params.imageid);
+    if (!record || !canAccess(req.user, record)) {
+      res.status(404).send("Image not found.");
+      return;
+    }
+
+    // Tags are only recorded locally, so the backend is only told of the title and description.
+    const { tags, ...backendChanges } = changes;
+    if (Object.keys(backendChanges).length > 0) {
+      await storage.update(req.params.imageid, backendChanges);
+    }
+    const image = await metadataStore.update(req.params.imageid, changes);
 
     // Return the data to the user.
-    res.status(200).send("success");
+    res.status(200).send(toPublicImage(image));
   } catch (error) {
     // If the image is not found, return a 404.
-    if (error?.response?.status === 404) {
+    if (error?.status === 404) {
       res.status(404).send("Image not found.");
       return;
     }
 
+    // If Imgur's credits have run out, tell the client when to try again.
+    if (error?.status === 429) {
+      if (typeof error.retryAfter === "number") {
+        res.set("Retry-After", `${error.retryAfter}`);
+      }
+      res.status(429).send("Imgur's rate limit has been reached.");
+      return;
+    }
+
     // Otherwise, return a 500.
-    console.error("Error fetching image from Imgur:", error?.message ?? error);
-    res.status(500).send("Failed to delete image from Imgur.");
+    console.error("Error updating image:", error?.message ?? error);
+    res.status(500).send("Failed to update image.");
+  }
+});
+
+/**
+ * This endpoint is used to delete a specific file from the storage backend.
+ * The record of the image is removed from the metadata store alongside it, and the image from its albums.
+ *
+ * @param {string} imageid The ID of the image to delete.
+ */
+router.delete("/image/:imageid", async (req, res) => {
+  const result = await deleteImage(req.params.imageid, req.user);
+  if (result.retryAfter !== null) {
+    res.set("Retry-After", `${result.retryAfter}`);
+  }
+  res.status(result.status).send(result.success ? "success" : result.message);
+});
+
+/**
+ * This endpoint is used to delete several images at once.
+ * Each image is deleted as DELETE /image/:imageid would, and a failure to delete one does not stop the others.
+ *
+ * @param {Array} ids The IDs of the images to delete, at most MAX_BULK_DELETE.
+ * @returns {Object} A multi-status report with a result for each image, in the order of the IDs.
+ * The status is 200 if every image was deleted, 429 with a Retry-After header if none could be
+ * deleted because Imgur's credits ran out, and 207 otherwise.
+ */
+router.delete("/images", async (req, res) => {
+  const ids = req.body?.ids;
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_BULK_DELETE ||
+    !ids.every((id) => typeof id === "string")
+  ) {
+    res
+      .status(400)
+      .send(
+        `ids must be a list of between 1 and ${MAX_BULK_DELETE} image IDs.`
+      );
+    return;
+  }
+
+  const results = await Promise.all(
+    [...new Set(ids)].map((id) => deleteImage(id, req.user))
+  );
+  const deleted = results.filter((result) => result.success).length;
+  const waits = results
+    .map((result) => result.retryAfter)
+    .filter((retryAfter) => retryAfter);
+
+  let status = deleted === results.length ? 200 : 207;
+  if (deleted === 0 && results.every((result) => result.status === 429)) {
+    status = 429;
+  }
+  if (waits.length > 0) {
+    res.set("Retry-After", `${Math.max(...waits)}`);
   }
+  res
+    .status(status)
+    .send({ deleted, failed: results.length - deleted, results });
 });
 
 export default router;
@@ -0,0 +1,26 @@
+/**
+ * Imports the images held by the configured storage backend into the metadata store.
+ * Run this once to record images uploaded before the store existed, or at any time to refresh view counts.
+ */
+import { assertValidSettings } from "../config/settings";
+import { getStorageProvider } from "../storage";
+import { metadataStore } from "../metadata";
+import { syncMetadata } from "../metadata/sync";
+
+try {
+  assertValidSettings();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+syncMetadata(getStorageProvider(), metadataStore)
+  .then(({ added, updated, removed }) => {
+    console.log(
+      `Metadata synced: ${added} added, ${updated} updated, ${removed} removed.`
+    );
+  })
+  .catch((error) => {
+    console.error("Failed to sync metadata:", error?.message ?? error);
+    process.exitCode = 1;
+  });
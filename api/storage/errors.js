@@ -0,0 +1,17 @@
+/**
+ * An error raised by a storage provider.
+ * The status mirrors the HTTP status the backend responded with, so that routes can relay it.
+ */
+export class StorageError extends Error {
+  /**
+   * @param {string} message A description of the failure.
+   * @param {number} status The HTTP status associated with the failure.
+   * @param {number|null} retryAfter The number of seconds to wait before trying again, if the backend is rate limited.
+   */
+  constructor(message, status = 500, retryAfter = null) {
+    super(message);
+    this.name = "StorageError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
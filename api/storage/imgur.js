@@ -0,0 +1,358 @@
+import fs from "fs";
+import FormData from "form-data";
+import {
+  IMGUR_AUTH_MODE,
+  IMGUR_AUTH_MODES,
+  IMGUR_CLIENT_ID,
+} from "../config/storage";
+import {
+  IMGUR_ACCOUNT_IMAGES_ENDPOINT,
+  IMGUR_ALBUM_ENDPOINT,
+  IMGUR_IMAGE_ENDPOINT,
+} from "../config/endpoints";
+import { createImgurClient } from "./imgurClient";
+import { createImgurTokens } from "./imgurTokens";
+import { StorageError } from "./errors";
+
+// The statuses Imgur refuses an expired or revoked access token with.
+const UNAUTHORISED_STATUSES = [401, 403];
+
+/**
+ * Creates a storage provider that keeps images on Imgur.
+ * Requests are made through a client that retries transient failures and tracks Imgur's rate limits.
+ *
+ * In the "account" mode, images are kept on the Imgur account of the access token. A request refused for its access
+ * token is sent once more after the token is refreshed, if it can be.
+ *
+ * In the "anonymous" mode, images are uploaded with the client ID alone, so they belong to no account. Imgur only
+ * lets the holder of an anonymous image's deletehash change or delete it, so images and albums are addressed by the
+ * deletehashes recorded when they were created, and the images are listed from the records.
+ *
+ * @param {Object} options
+ * @param {Object} options.client The Imgur client to send requests through.
+ * @param {Object} options.tokens The holder of the OAuth tokens to authorise requests with in the "account" mode.
+ * @param {string} options.mode How requests are authorised, one of IMGUR_AUTH_MODES.
+ * @param {string|null} options.clientId The client ID to authorise requests with in the "anonymous" mode.
+ * @param {Object|null} options.images The store recording the uploaded images, required in the "anonymous" mode.
+ * @param {Object|null} options.albums The store recording the albums, required in the "anonymous" mode.
+ * @returns {Object} A storage provider.
+ */
+export const createImgurStorage = ({
+  client = createImgurClient(),
+  tokens = createImgurTokens(),
+  mode = IMGUR_AUTH_MODE,
+  clientId = IMGUR_CLIENT_ID,
+  images = null,
+  albums = null,
+} = {}) => {
+  const anonymous = mode === IMGUR_AUTH_MODES.ANONYMOUS;
+
+  // The deletehashes of the albums created here, as images are added to a new album before it is recorded.
+  const albumDeletehashes = new Map();
+
+  /**
+   * Sends a request authorised with the client ID or the access token.
+   *
+   * @param {Function} send Sends the request with the given options.
+   * @returns {Object} The response.
+   */
+  const authorised = async (send) => {
+    if (anonymous) {
+      return send({ headers: { Authorization: `Client-ID ${clientId}` } });
+    }
+
+    const accessToken = await tokens.accessToken();
+    try {
+      return await send({
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+    } catch (error) {
+      if (
+        !UNAUTHORISED_STATUSES.includes(error?.status) ||
+        !tokens.canRefresh()
+      ) {
+        throw error;
+      }
+      const refreshed = await tokens.refresh(accessToken);
+      return send({ headers: { Authorization: `Bearer ${refreshed}` } });
+    }
+  };
+
+  /**
+   * Returns the hash an image is changed through: its ID on the account, or its recorded deletehash when anonymous.
+   *
+   * @param {string} id The ID of the image.
+   * @returns {string} The ID or deletehash.
+   */
+  const imageHash = async (id) => {
+    if (!anonymous) {
+      return id;
+    }
+    const record = await images.get(id);
+    if (!record) {
+      throw new StorageError("Image not found.", 404);
+    }
+    if (!record.deletehash) {
+      throw new StorageError(
+        `Image ${id} has no recorded deletehash, so it cannot be changed anonymously.`,
+        403
+      );
+    }
+    return record.deletehash;
+  };
+
+  /**
+   * Returns the hash an album is changed through: its ID on the account, or its deletehash when anonymous.
+   *
+   * @param {string} id The ID of the album.
+   * @returns {string} The ID or deletehash.
+   */
+  const albumHash = async (id) => {
+    if (!anonymous) {
+      return id;
+    }
+    const deletehash =
+      albumDeletehashes.get(id) ?? (await albums.get(id))?.deletehash;
+    if (!deletehash) {
+      throw new StorageError(
+        `Album ${id} has no recorded deletehash, so it cannot be changed anonymously.`,
+        403
+      );
+    }
+    return deletehash;
+  };
+
+  /**
+   * Retrieves a single image, which needs no deletehash.
+   *
+   * @param {string} id The ID of the image.
+   * @returns {Object} The image object returned by Imgur.
+   */
+  const fetchImage = async (id) => {
+    const response = await authorised((options) =>
+      client.get(`${IMGUR_IMAGE_ENDPOINT}/${id}`, options)
+    );
+    return response.data.data;
+  };
+
+  return {
+    name: "imgur",
+
+    /**
+     * Exchanges the refresh token for a new access token before the server accepts requests, if there is one.
+     */
+    async prepare() {
+      if (!anonymous && tokens.canRefresh()) {
+        await tokens.refresh();
+      }
+    },
+
+    /**
+     * Converts a link to the thumbnail version of the image.
+     * Imgur serves thumbnails by appending a size suffix to the image ID.
+     *
+     * @param {string} link The link to the image.
+     * @param {string} size The Imgur thumbnail suffix.
+     * @returns {string} The link to the thumbnail.
+     */
+    thumbnail(link, size) {
+      return size ? link.replace(/(\.[a-z]+)$/, `${size}$1`) : link;
+    },
+
+    /**
+     * Uploads a file to Imgur.
+     * The file is streamed from disk rather than read into memory.
+     *
+     * @param {Object} file A file processed by multer.
+     * @returns {Object} The image object returned by Imgur.
+     */
+    async upload(file) {
+      // The file is streamed afresh for each attempt, as a stream cannot be read twice.
+      const streams = [];
+      const createFormData = () => {
+        const stream = fs.createReadStream(file.path);
+        streams.push(stream);
+        const formData = new FormData();
+        formData.append("image", stream, {
+          filename: file.originalname,
+          contentType: file.mimetype,
+          knownLength: file.size,
+        });
+        formData.append("type", "file");
+        formData.append("title", file.originalname);
+        return formData;
+      };
+
+      try {
+        const response = await authorised((options) =>
+          client.post(IMGUR_IMAGE_ENDPOINT, createFormData, options)
+        );
+        return response?.data?.data ?? {};
+      } finally {
+        // Release the file if a request ended before it was fully read.
+        streams.forEach((stream) => stream.destroy());
+      }
+    },
+
+    /**
+     * Lists every image on the account, or every recorded image when anonymous.
+     *
+     * @returns {Array} An array of image objects.
+     */
+    async list() {
+      // Anonymous images belong to no account, so the recorded ones are looked up one by one, leaving out any that
+      // have since been deleted.
+      if (anonymous) {
+        const found = [];
+        for (const record of await images.list()) {
+          try {
+            found.push(await fetchImage(record.id));
+          } catch (error) {
+            if (error?.status !== 404) {
+              throw error;
+            }
+          }
+        }
+        return found;
+      }
+
+      // The account's images are listed a page at a time, until a page comes back empty. Stopping early would leave
+      // out images that a sync then takes to be deleted.
+      const found = [];
+      for (let page = 0; ; page += 1) {
+        const response = await authorised((options) =>
+          client.get(`${IMGUR_ACCOUNT_IMAGES_ENDPOINT}/${page}`, options)
+        );
+        const pageImages = response?.data?.data;
+        if (!Array.isArray(pageImages)) {
+          throw new StorageError(
+            "Imgur returned an invalid page of images.",
+            502
+          );
+        }
+        if (pageImages.length === 0) {
+          return found;
+        }
+        found.push(...pageImages);
+      }
+    },
+
+    /**
+     * Retrieves a single image.
+     *
+     * @param {string} id The ID of the image.
+     * @returns {Object} The image object returned by Imgur.
+     */
+    async get(id) {
+      return fetchImage(id);
+    },
+
+    /**
+     * Changes the title or description of a single image.
+     *
+     * @param {string} id The ID of the image.
+     * @param {Object} changes The title and description to set.
+     */
+    async update(id, changes) {
+      const hash = await imageHash(id);
+      await authorised((options) =>
+        client.post(`${IMGUR_IMAGE_ENDPOINT}/${hash}`, changes, options)
+      );
+    },
+
+    /**
+     * Deletes a single image.
+     *
+     * @param {string} id The ID of the image.
+     */
+    async delete(id) {
+      const hash = await imageHash(id);
+      await authorised((options) =>
+        client.delete(`${IMGUR_IMAGE_ENDPOINT}/${hash}`, options)
+      );
+    },
+
+    /**
+     * Creates an empty album.
+     *
+     * @param {Object} details
+     * @param {string} details.title The title of the album.
+     * @param {string|null} details.description The description of the album.
+     * @returns {Object} The album object returned by Imgur, holding its ID and deletehash.
+     */
+    async createAlbum({ title, description = null }) {
+      const response = await authorised((options) =>
+        client.post(
+          IMGUR_ALBUM_ENDPOINT,
+          { title, ...(description !== null && { description }) },
+          options
+        )
+      );
+      const album = response?.data?.data ?? {};
+      if (anonymous && album.id && album.deletehash) {
+        albumDeletehashes.set(album.id, album.deletehash);
+      }
+      return album;
+    },
+
+    /**
+     * Changes the title or description of an album.
+     *
+     * @param {string} id The ID of the album.
+     * @param {Object} changes The title and description to set.
+     */
+    async updateAlbum(id, changes) {
+      const hash = await albumHash(id);
+      await authorised((options) =>
+        client.post(`${IMGUR_ALBUM_ENDPOINT}/${hash}`, changes, options)
+      );
+    },
+
+    /**
+     * Deletes an album. The images in it are kept.
+     *
+     * @param {string} id The ID of the album.
+     */
+    async deleteAlbum(id) {
+      const hash = await albumHash(id);
+      await authorised((options) =>
+        client.delete(`${IMGUR_ALBUM_ENDPOINT}/${hash}`, options)
+      );
+      albumDeletehashes.delete(id);
+    },
+
+    /**
+     * Adds images to an album.
+     * Anonymous albums take the deletehashes of the images rather than their IDs.
+     *
+     * @param {string} id The ID of the album.
+     * @param {Array} imageIds The IDs of the images.
+     */
+    async addToAlbum(id, imageIds) {
+      const hash = await albumHash(id);
+      const body = anonymous
+        ? { deletehashes: await Promise.all(imageIds.map(imageHash)) }
+        : { ids: imageIds };
+      await authorised((options) =>
+        client.post(`${IMGUR_ALBUM_ENDPOINT}/${hash}/add`, body, options)
+      );
+    },
+
+    /**
+     * Removes images from an album. The images themselves are kept.
+     *
+     * @param {string} id The ID of the album.
+     * @param {Array} imageIds The IDs of the images.
+     */
+    async removeFromAlbum(id, imageIds) {
+      const hash = await albumHash(id);
+      const ids = imageIds.map(encodeURIComponent).join(",");
+      await authorised((options) =>
+        client.delete(
+          `${IMGUR_ALBUM_ENDPOINT}/${hash}/remove_images?ids=${ids}`,
+          options
+        )
+      );
+    },
+  };
+};
@@ -0,0 +1,227 @@
+import { createImgurStorage } from "./imgur";
+import { StorageError } from "./errors";
+import { createMetadataStore } from "../metadata";
+import {
+  IMGUR_ACCOUNT_IMAGES_ENDPOINT,
+  IMGUR_ALBUM_ENDPOINT,
+  IMGUR_IMAGE_ENDPOINT,
+} from "../config/endpoints";
+
+describe("Imgur storage provider in the account mode", () => {
+  let client;
+  let tokens;
+  let storage;
+
+  beforeEach(() => {
+    client = { get: jest.fn(), post: jest.fn(), delete: jest.fn() };
+    let accessToken = "access-1";
+    tokens = {
+      canRefresh: jest.fn(() => true),
+      accessToken: jest.fn(async () => accessToken),
+      refresh: jest.fn(async () => {
+        accessToken = "access-2";
+        return accessToken;
+      }),
+    };
+    storage = createImgurStorage({ client, tokens, mode: "account" });
+  });
+
+  it("Authorises requests with the access token.", async () => {
+    client.get.mockResolvedValue({ data: { data: { id: "abc" } } });
+    expect(await storage.get("abc")).toEqual({ id: "abc" });
+    expect(client.get.mock.calls[0][1]).toEqual({
+      headers: { Authorization: "Bearer access-1" },
+    });
+  });
+
+  it("Lists every page of the account's images.", async () => {
+    const page = (start, count) =>
+      Array.from({ length: count }, (_, i) => ({ id: `image${start + i}` }));
+    client.get
+      .mockResolvedValueOnce({ data: { data: page(0, 50) } })
+      .mockResolvedValueOnce({ data: { data: page(50, 20) } })
+      .mockResolvedValueOnce({ data: { data: [] } });
+
+    const images = await storage.list();
+
+    expect(images).toHaveLength(70);
+    expect(images[69]).toEqual({ id: "image69" });
+    expect(client.get.mock.calls.map(([url]) => url)).toEqual([
+      `${IMGUR_ACCOUNT_IMAGES_ENDPOINT}/0`,
+      `${IMGUR_ACCOUNT_IMAGES_ENDPOINT}/1`,
+      `${IMGUR_ACCOUNT_IMAGES_ENDPOINT}/2`,
+    ]);
+  });
+
+  it("Fails rather than listing part of the account's images.", async () => {
+    client.get
+      .mockResolvedValueOnce({ data: { data: [{ id: "abc" }] } })
+      .mockRejectedValueOnce(new StorageError("Bad gateway", 502));
+    await expect(storage.list()).rejects.toMatchObject({ status: 502 });
+  });
+
+  it.each([401, 403])(
+    "Refreshes the access token and retries once after a %i.",
+    async (status) => {
+      client.delete
+        .mockRejectedValueOnce(new StorageError("Unauthorized", status))
+        .mockResolvedValueOnce({ status: 200 });
+
+      await storage.delete("abc");
+
+      expect(tokens.refresh).toHaveBeenCalledWith("access-1");
+      expect(client.delete).toHaveBeenCalledTimes(2);
+      expect(client.delete.mock.calls[1][1]).toEqual({
+        headers: { Authorization: "Bearer access-2" },
+      });
+    }
+  );
+
+  it("Gives up if the refreshed token is refused too.", async () => {
+    client.post.mockRejectedValue(new StorageError("Forbidden", 403));
+    await expect(storage.update("abc", { title: "New" })).rejects.toMatchObject(
+      { status: 403 }
+    );
+    expect(client.post).toHaveBeenCalledTimes(2);
+    expect(tokens.refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it("Does not refresh after other failures, or without a refresh token.", async () => {
+    client.get.mockRejectedValue(new StorageError("Not found", 404));
+    await expect(storage.get("abc")).rejects.toMatchObject({ status: 404 });
+
+    tokens.canRefresh.mockReturnValue(false);
+    client.get.mockRejectedValue(new StorageError("Unauthorized", 401));
+    await expect(storage.get("abc")).rejects.toMatchObject({ status: 401 });
+    expect(tokens.refresh).not.toHaveBeenCalled();
+  });
+
+  it("Refreshes the access token when prepared.", async () => {
+    await storage.prepare();
+    expect(tokens.refresh).toHaveBeenCalledWith();
+
+    tokens.canRefresh.mockReturnValue(false);
+    await storage.prepare();
+    expect(tokens.refresh).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Imgur storage provider in the anonymous mode", () => {
+  let client;
+  let tokens;
+  let images;
+  let albums;
+  let storage;
+
+  beforeEach(async () => {
+    client = { get: jest.fn(), post: jest.fn(), delete: jest.fn() };
+    tokens = {
+      canRefresh: jest.fn(() => true),
+      accessToken: jest.fn(),
+      refresh: jest.fn(),
+    };
+    images = createMetadataStore({ filePath: ":memory:" });
+    albums = createMetadataStore({ filePath: ":memory:" });
+    await images.insert({ id: "abc", datetime: 3, deletehash: "abc-hash" });
+    await images.insert({ id: "def", datetime: 2, deletehash: "def-hash" });
+    await images.insert({ id: "old", datetime: 1, deletehash: null });
+    storage = createImgurStorage({
+      client,
+      tokens,
+      mode: "anonymous",
+      clientId: "client-id",
+      images,
+      albums,
+    });
+  });
+
+  it("Authorises requests with the client ID.", async () => {
+    client.post.mockResolvedValue({
+      data: { data: { id: "abc", deletehash: "abc-hash" } },
+    });
+    await storage.update("abc", { title: "New" });
+    expect(client.post.mock.calls[0][2]).toEqual({
+      headers: { Authorization: "Client-ID client-id" },
+    });
+    expect(tokens.accessToken).not.toHaveBeenCalled();
+  });
+
+  it("Changes and deletes images through their recorded deletehash.", async () => {
+    client.post.mockResolvedValue({ status: 200 });
+    client.delete.mockResolvedValue({ status: 200 });
+
+    await storage.update("abc", { title: "New" });
+    await storage.delete("def");
+
+    expect(client.post.mock.calls[0][0]).toBe(
+      `${IMGUR_IMAGE_ENDPOINT}/abc-hash`
+    );
+    expect(client.delete.mock.calls[0][0]).toBe(
+      `${IMGUR_IMAGE_ENDPOINT}/def-hash`
+    );
+  });
+
+  it("Refuses to change images without a recorded deletehash.", async () => {
+    await expect(storage.delete("missing")).rejects.toMatchObject({
+      status: 404,
+    });
+    await expect(storage.delete("old")).rejects.toMatchObject({
+      status: 403,
+      message: expect.stringContaining("no recorded deletehash"),
+    });
+    expect(client.delete).not.toHaveBeenCalled();
+  });
+
+  it("Lists the recorded images that still exist.", async () => {
+    client.get.mockImplementation(async (url) => {
+      if (url.endsWith("/def")) {
+        throw new StorageError("Not found", 404);
+      }
+      return { data: { data: { id: url.split("/").pop(), views: 3 } } };
+    });
+
+    expect(await storage.list()).toEqual([
+      { id: "abc", views: 3 },
+      { id: "old", views: 3 },
+    ]);
+    expect(client.get.mock.calls.map(([url]) => url)).not.toContain(
+      expect.stringContaining("account")
+    );
+  });
+
+  it("Manages albums through their deletehash.", async () => {
+    client.post.mockResolvedValueOnce({
+      data: { data: { id: "album", deletehash: "album-hash" } },
+    });
+    client.post.mockResolvedValue({ status: 200 });
+    client.delete.mockResolvedValue({ status: 200 });
+
+    // Images are added to a new album before it is recorded.
+    const album = await storage.createAlbum({ title: "Case" });
+    await storage.addToAlbum(album.id, ["abc", "def"]);
+    expect(client.post.mock.calls[1].slice(0, 2)).toEqual([
+      `${IMGUR_ALBUM_ENDPOINT}/album-hash/add`,
+      { deletehashes: ["abc-hash", "def-hash"] },
+    ]);
+
+    await storage.removeFromAlbum("album", ["abc"]);
+    expect(client.delete.mock.calls[0][0]).toBe(
+      `${IMGUR_ALBUM_ENDPOINT}/album-hash/remove_images?ids=abc`
+    );
+
+    // Once created elsewhere, the album's deletehash is read from its record.
+    await albums.insert({ id: "recorded", deletehash: "recorded-hash" });
+    await storage.updateAlbum("recorded", { title: "Renamed" });
+    expect(client.post.mock.calls[2][0]).toBe(
+      `${IMGUR_ALBUM_ENDPOINT}/recorded-hash`
+    );
+    await expect(storage.deleteAlbum("unknown")).rejects.toMatchObject({
+      status: 403,
+    });
+  });
+
+  it("Does not refresh tokens when prepared.", async () => {
+    await storage.prepare();
+    expect(tokens.refresh).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,252 @@
+import axios from "axios";
+import {
+  IMGUR_DEFAULT_RETRY_AFTER,
+  IMGUR_MAX_RETRIES,
+  IMGUR_RETRY_BASE_DELAY,
+  IMGUR_RETRY_MAX_DELAY,
+} from "../config/storage";
+import { StorageError } from "./errors";
+
+// Safe and idempotent requests can be repeated without side effects, so they are retried after any transient failure.
+// Other requests are only retried after a 429, as Imgur rejects those without processing them.
+const IDEMPOTENT_METHODS = ["get", "delete"];
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * @param {number} ms The time to wait.
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads a numeric response header.
+ * Axios lowercases the names of response headers.
+ *
+ * @param {Object} headers The response headers.
+ * @param {string} name The lowercased name of the header.
+ * @returns {number|null}
+ */
+const readNumber = (headers, name) => {
+  const value = headers?.[name];
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads a Retry-After header, which holds either a number of seconds or a date.
+ *
+ * @param {Object} headers The response headers.
+ * @param {number} now The current time in milliseconds.
+ * @returns {number|null} The time to wait in milliseconds.
+ */
+const readRetryAfter = (headers, now) => {
+  const seconds = readNumber(headers, "retry-after");
+  if (seconds !== null) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(headers?.["retry-after"] ?? "");
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Creates the client that every request to the Imgur API is made through.
+ *
+ * The credits Imgur reports in its rate-limit headers are tracked. Once they run out, requests fail straight away with
+ * a 429 StorageError carrying the number of seconds until they are restored, rather than spending a request to learn
+ * that again, so that routes can relay it as a Retry-After header. Transient failures are retried with exponential
+ * backoff and full jitter, so that concurrent requests do not retry in step.
+ *
+ * @param {Object} options
+ * @param {Object} options.http The HTTP client to send requests with.
+ * @param {number} options.maxRetries The most times a request is retried.
+ * @param {number} options.baseDelay The longest wait, in milliseconds, before the first retry.
+ * @param {number} options.maxDelay The longest wait, in milliseconds, before any retry.
+ * @param {number} options.defaultRetryAfter The wait, in seconds, suggested when Imgur does not say when to retry.
+ * @param {Function} options.wait Waits for a number of milliseconds.
+ * @param {Function} options.random Returns a random number from 0 to 1, used to spread out retries.
+ * @param {Function} options.now Returns the current time in milliseconds.
+ * @returns {Object} The client.
+ */
+export const createImgurClient = ({
+  http = axios,
+  maxRetries = IMGUR_MAX_RETRIES,
+  baseDelay = IMGUR_RETRY_BASE_DELAY,
+  maxDelay = IMGUR_RETRY_MAX_DELAY,
+  defaultRetryAfter = IMGUR_DEFAULT_RETRY_AFTER,
+  wait = sleep,
+  random = Math.random,
+  now = Date.now,
+} = {}) => {
+  // The credits Imgur last reported. Resets are held as times in milliseconds.
+  const credits = {
+    userLimit: null,
+    userRemaining: null,
+    userReset: null,
+    clientLimit: null,
+    clientRemaining: null,
+    postLimit: null,
+    postRemaining: null,
+    postReset: null,
+  };
+
+  // The times until which requests are held back because credits have run out.
+  // Uploads draw on a separate allowance, so are held back separately.
+  const heldUntil = { all: 0, post: 0 };
+
+  /**
+   * Records the credits reported by a response, holding back further requests if they have run out.
+   */
+  const recordCredits = (method, response) => {
+    const headers = response?.headers;
+    const userReset = readNumber(headers, "x-ratelimit-userreset");
+    const postReset = readNumber(headers, "x-post-rate-limit-reset");
+    Object.assign(credits, {
+      userLimit:
+        readNumber(headers, "x-ratelimit-userlimit") ?? credits.userLimit,
+      userRemaining:
+        readNumber(headers, "x-ratelimit-userremaining") ??
+        credits.userRemaining,
+      // The user reset is a Unix timestamp, while the upload reset is a number of seconds.
+      userReset: userReset !== null ? userReset * 1000 : credits.userReset,
+      clientLimit:
+        readNumber(headers, "x-ratelimit-clientlimit") ?? credits.clientLimit,
+      clientRemaining:
+        readNumber(headers, "x-ratelimit-clientremaining") ??
+        credits.clientRemaining,
+      postLimit:
+        readNumber(headers, "x-post-rate-limit-limit") ?? credits.postLimit,
+      postRemaining:
+        readNumber(headers, "x-post-rate-limit-remaining") ??
+        credits.postRemaining,
+      postReset:
+        postReset !== null ? now() + postReset * 1000 : credits.postReset,
+    });
+
+    if (credits.userRemaining === 0 && credits.userReset) {
+      heldUntil.all = Math.max(heldUntil.all, credits.userReset);
+    }
+    if (credits.postRemaining === 0 && credits.postReset) {
+      heldUntil.post = Math.max(heldUntil.post, credits.postReset);
+    }
+    if (response?.status === 429) {
+      const retryAfter = readRetryAfter(headers, now());
+      if (retryAfter !== null) {
+        const scope = method === "post" ? "post" : "all";
+        heldUntil[scope] = Math.max(heldUntil[scope], now() + retryAfter);
+      }
+    }
+  };
+
+  /**
+   * Returns how long, in milliseconds, requests of the given method are held back for.
+   */
+  const heldFor = (method) =>
+    Math.max(
+      0,
+      heldUntil.all - now(),
+      method === "post" ? heldUntil.post - now() : 0
+    );
+
+  /**
+   * Raises the error returned when Imgur's credits have run out.
+   */
+  const rateLimited = (ms) =>
+    new StorageError(
+      "Imgur's rate limit has been reached.",
+      429,
+      ms > 0 ? Math.ceil(ms / 1000) : defaultRetryAfter
+    );
+
+  /**
+   * Converts an error thrown by the HTTP client into a StorageError carrying Imgur's response status.
+   */
+  const toStorageError = (method, error) => {
+    if (error?.response?.status === 429) {
+      return rateLimited(heldFor(method));
+    }
+    return new StorageError(
+      error?.message ?? "Imgur request failed.",
+      error?.response?.status ?? 500
+    );
+  };
+
+  /**
+   * Sends a request to Imgur, retrying it if it fails transiently.
+   *
+   * @param {string} method The lowercased HTTP method.
+   * @param {string} url The URL to request.
+   * @param {Object} options
+   * @param {Object|Function} options.data The body, or a function that creates it, for bodies that are streamed and
+   * so must be created afresh for each attempt. Headers of form data are added to the request.
+   * @param {Object} options.headers The headers to send.
+   * @returns {Object} The response.
+   */
+  const request = async (method, url, { data, headers = {} } = {}) => {
+    const isIdempotent = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt += 1) {
+      const held = heldFor(method);
+      if (held > 0) {
+        throw rateLimited(held);
+      }
+
+      try {
+        let response;
+        if (data === undefined) {
+          response = await http[method](url, { headers });
+        } else {
+          const body = typeof data === "function" ? data() : data;
+          response = await http[method](url, body, {
+            headers: { ...body?.getHeaders?.(), ...headers },
+          });
+        }
+        recordCredits(method, response);
+        return response;
+      } catch (error) {
+        const status = error?.response?.status;
+        recordCredits(method, error?.response);
+
+        // Requests that never reached Imgur are retried like transient failures, if they are safe to repeat.
+        const isTransient =
+          status === undefined
+            ? isIdempotent
+            : TRANSIENT_STATUSES.includes(status);
+        const isRetryable =
+          isTransient &&
+          (isIdempotent || status === 429) &&
+          attempt < maxRetries;
+        if (!isRetryable) {
+          throw toStorageError(method, error);
+        }
+
+        // Waits longer than a retry is worth are left to the client.
+        const delay =
+          heldFor(method) ||
+          random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+        if (delay > maxDelay) {
+          throw toStorageError(method, error);
+        }
+        await wait(delay);
+      }
+    }
+  };
+
+  return {
+    /**
+     * Returns the credits Imgur last reported.
+     *
+     * @returns {Object} The limits and remaining credits of the user, the client and uploads, and when they reset.
+     */
+    credits() {
+      return { ...credits };
+    },
+
+    get: (url, options) => request("get", url, options),
+    post: (url, data, options) => request("post", url, { ...options, data }),
+    delete: (url, options) => request("delete", url, options),
+  };
+};
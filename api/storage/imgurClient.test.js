@@ -0,0 +1,212 @@
+import { createImgurClient } from "./imgurClient";
+import { StorageError } from "./errors";
+
+/**
+ * Creates an error in the format axios rejects with for an error response.
+ */
+const responseError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers },
+  });
+
+describe("Imgur client", () => {
+  let http;
+  let clock;
+  let wait;
+  let client;
+
+  beforeEach(() => {
+    http = { get: jest.fn(), post: jest.fn(), delete: jest.fn() };
+    clock = 1700000000000;
+    wait = jest.fn(async (ms) => {
+      clock += ms;
+    });
+    client = createImgurClient({
+      http,
+      maxRetries: 3,
+      baseDelay: 100,
+      maxDelay: 1000,
+      defaultRetryAfter: 60,
+      wait,
+      random: () => 0.5,
+      now: () => clock,
+    });
+  });
+
+  it("Sends requests and records the credits Imgur reports.", async () => {
+    http.get.mockResolvedValue({
+      status: 200,
+      data: { data: [] },
+      headers: {
+        "x-ratelimit-userlimit": "2000",
+        "x-ratelimit-userremaining": "1999",
+        "x-ratelimit-userreset": "1700003600",
+        "x-ratelimit-clientlimit": "12500",
+        "x-ratelimit-clientremaining": "12499",
+      },
+    });
+
+    const response = await client.get("https://api.imgur.com/3/image/abc", {
+      headers: { Authorization: "Bearer token" },
+    });
+
+    expect(response.data).toEqual({ data: [] });
+    expect(http.get).toHaveBeenCalledWith("https://api.imgur.com/3/image/abc", {
+      headers: { Authorization: "Bearer token" },
+    });
+    expect(client.credits()).toMatchObject({
+      userLimit: 2000,
+      userRemaining: 1999,
+      userReset: 1700003600000,
+      clientLimit: 12500,
+      clientRemaining: 12499,
+    });
+  });
+
+  it("Retries safe requests after transient failures with jittered backoff.", async () => {
+    http.get
+      .mockRejectedValueOnce(new Error("socket hang up"))
+      .mockRejectedValueOnce(responseError(503))
+      .mockResolvedValue({ status: 200, data: { data: {} }, headers: {} });
+
+    await client.get("https://api.imgur.com/3/image/abc");
+
+    expect(http.get).toHaveBeenCalledTimes(3);
+    // Half of 100ms, then half of 200ms.
+    expect(wait.mock.calls).toEqual([[50], [100]]);
+  });
+
+  it("Gives up once the retries are exhausted.", async () => {
+    http.delete.mockRejectedValue(responseError(502));
+
+    const error = await client
+      .delete("https://api.imgur.com/3/image/abc")
+      .catch((error) => error);
+
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.status).toBe(502);
+    expect(http.delete).toHaveBeenCalledTimes(4);
+  });
+
+  it("Does not retry client errors.", async () => {
+    http.get.mockRejectedValue(responseError(404));
+
+    await expect(
+      client.get("https://api.imgur.com/3/image/abc")
+    ).rejects.toMatchObject({ status: 404 });
+    expect(http.get).toHaveBeenCalledTimes(1);
+  });
+
+  it("Only retries uploads that Imgur refused without processing.", async () => {
+    http.post.mockRejectedValue(responseError(500));
+    await expect(
+      client.post("https://api.imgur.com/3/image", {})
+    ).rejects.toMatchObject({ status: 500 });
+    expect(http.post).toHaveBeenCalledTimes(1);
+
+    http.post.mockRejectedValue(new Error("socket hang up"));
+    await expect(
+      client.post("https://api.imgur.com/3/image", {})
+    ).rejects.toMatchObject({ status: 500 });
+    expect(http.post).toHaveBeenCalledTimes(2);
+
+    http.post
+      .mockRejectedValueOnce(responseError(429, { "retry-after": "0.5" }))
+      .mockResolvedValue({ status: 200, data: { data: {} }, headers: {} });
+    await client.post("https://api.imgur.com/3/image", {});
+    expect(http.post).toHaveBeenCalledTimes(4);
+    expect(wait).toHaveBeenLastCalledWith(500);
+  });
+
+  it("Creates a fresh body for each attempt and sends its headers.", async () => {
+    const createBody = jest.fn(() => ({
+      getHeaders: () => ({ "content-type": "multipart/form-data" }),
+    }));
+    http.post
+      .mockRejectedValueOnce(responseError(429))
+      .mockResolvedValue({ status: 200, data: { data: {} }, headers: {} });
+
+    await client.post("https://api.imgur.com/3/image", createBody, {
+      headers: { Authorization: "Bearer token" },
+    });
+
+    expect(createBody).toHaveBeenCalledTimes(2);
+    expect(http.post.mock.calls[1][2]).toEqual({
+      headers: {
+        "content-type": "multipart/form-data",
+        Authorization: "Bearer token",
+      },
+    });
+  });
+
+  it("Holds back requests once the user credits run out, until they reset.", async () => {
+    http.get.mockResolvedValue({
+      status: 200,
+      data: { data: {} },
+      headers: {
+        "x-ratelimit-userremaining": "0",
+        "x-ratelimit-userreset": `${clock / 1000 + 120}`,
+      },
+    });
+    await client.get("https://api.imgur.com/3/image/abc");
+
+    const error = await client
+      .get("https://api.imgur.com/3/image/abc")
+      .catch((error) => error);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.status).toBe(429);
+    expect(error.retryAfter).toBe(120);
+    expect(http.get).toHaveBeenCalledTimes(1);
+
+    // Once the credits reset, requests are sent again.
+    clock += 120 * 1000;
+    await client.get("https://api.imgur.com/3/image/abc");
+    expect(http.get).toHaveBeenCalledTimes(2);
+  });
+
+  it("Holds back only uploads once the upload credits run out.", async () => {
+    http.post.mockResolvedValue({
+      status: 200,
+      data: { data: {} },
+      headers: {
+        "x-post-rate-limit-remaining": "0",
+        "x-post-rate-limit-reset": "30",
+      },
+    });
+    http.get.mockResolvedValue({
+      status: 200,
+      data: { data: {} },
+      headers: {},
+    });
+    await client.post("https://api.imgur.com/3/image", {});
+
+    await expect(
+      client.post("https://api.imgur.com/3/image", {})
+    ).rejects.toMatchObject({ status: 429, retryAfter: 30 });
+    await client.get("https://api.imgur.com/3/image/abc");
+    expect(http.get).toHaveBeenCalledTimes(1);
+  });
+
+  it("Leaves waits longer than a retry is worth to the client.", async () => {
+    http.delete.mockRejectedValue(
+      responseError(429, { "retry-after": "3600" })
+    );
+
+    const error = await client
+      .delete("https://api.imgur.com/3/image/abc")
+      .catch((error) => error);
+
+    expect(error).toMatchObject({ status: 429, retryAfter: 3600 });
+    expect(http.delete).toHaveBeenCalledTimes(1);
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  it("Suggests a default wait when Imgur does not say when to retry.", async () => {
+    http.get.mockRejectedValue(responseError(429));
+
+    await expect(
+      client.get("https://api.imgur.com/3/image/abc")
+    ).rejects.toMatchObject({ status: 429, retryAfter: 60 });
+    expect(http.get).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,215 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import axios from "axios";
+import {
+  IMGUR_BEARER_TOKEN,
+  IMGUR_CLIENT_ID,
+  IMGUR_CLIENT_SECRET,
+  IMGUR_REFRESH_TOKEN,
+  IMGUR_TOKEN_STORE_PATH,
+} from "../config/storage";
+import { IMGUR_TOKEN_ENDPOINT } from "../config/endpoints";
+import { StorageError } from "./errors";
+
+/**
+ * Fingerprints a refresh token, so that the persisted tokens can be tied to the one configured without storing it
+ * twice.
+ *
+ * @param {string|null} refreshToken The refresh token.
+ * @returns {string|null} The SHA-256 of the token as hex, or null if there is no token.
+ */
+const fingerprint = (refreshToken) =>
+  refreshToken
+    ? crypto.createHash("sha256").update(refreshToken).digest("hex")
+    : null;
+
+/**
+ * Creates the holder of the OAuth tokens that requests to Imgur are authorised with.
+ *
+ * Given a refresh token and the client's credentials, the access token is exchanged for a new one whenever it
+ * expires or Imgur refuses it. Imgur may issue a new refresh token with each exchange, so both are persisted to a
+ * JSON file and read back on startup. The file is ignored once a different refresh token is configured, so that
+ * changing the account in the config takes effect. Without a refresh token, the configured access token is used as
+ * it is.
+ *
+ * @param {Object} options
+ * @param {string|null} options.accessToken The configured access token.
+ * @param {string|null} options.refreshToken The configured refresh token.
+ * @param {string|null} options.clientId The client ID of the registered Imgur application.
+ * @param {string|null} options.clientSecret The client secret of the registered Imgur application.
+ * @param {string} options.filePath The JSON file to persist the tokens to, or ":memory:" to keep them in memory.
+ * @param {Object} options.http The HTTP client to send requests with.
+ * @param {Function} options.now Returns the current time in milliseconds.
+ * @returns {Object} The token holder.
+ */
+export const createImgurTokens = ({
+  accessToken = IMGUR_BEARER_TOKEN,
+  refreshToken = IMGUR_REFRESH_TOKEN,
+  clientId = IMGUR_CLIENT_ID,
+  clientSecret = IMGUR_CLIENT_SECRET,
+  filePath = IMGUR_TOKEN_STORE_PATH,
+  http = axios,
+  now = Date.now,
+} = {}) => {
+  const persistent = filePath !== ":memory:";
+  const refreshable = !!(refreshToken && clientId && clientSecret);
+  const issuedFrom = fingerprint(refreshToken);
+  let tokens = null;
+  let refreshing = null;
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Loads the persisted tokens if they have not been loaded yet, falling back to the configured ones.
+   *
+   * @returns {Object} The access token, the refresh token and when the access token expires in milliseconds.
+   */
+  const load = async () => {
+    if (tokens) {
+      return tokens;
+    }
+
+    let stored = null;
+    if (persistent && refreshable) {
+      try {
+        stored = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (error) {
+        // No tokens have been issued yet.
+        if (error?.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    }
+
+    // Another call may have loaded the tokens whilst the file was being read.
+    if (!tokens) {
+      tokens =
+        stored?.issuedFrom === issuedFrom
+          ? {
+              accessToken: stored.accessToken ?? null,
+              refreshToken: stored.refreshToken ?? refreshToken,
+              expiresAt: stored.expiresAt ?? null,
+            }
+          : { accessToken, refreshToken, expiresAt: null };
+    }
+    return tokens;
+  };
+
+  /**
+   * Writes the tokens to disk, readable by the owner only.
+   * The file is replaced atomically so that a crash never leaves it half written.
+   */
+  const persist = () => {
+    if (!persistent) {
+      return Promise.resolve();
+    }
+    const snapshot = JSON.stringify({ ...tokens, issuedFrom }, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(`${filePath}.tmp`, snapshot, { mode: 0o600 });
+        await fs.rename(`${filePath}.tmp`, filePath);
+      });
+    return writeQueue;
+  };
+
+  /**
+   * Exchanges the refresh token for a new access token, and persists the tokens issued.
+   *
+   * @returns {string} The new access token.
+   */
+  const exchange = async () => {
+    const current = await load();
+    let response;
+    try {
+      response = await http.post(
+        IMGUR_TOKEN_ENDPOINT,
+        new URLSearchParams({
+          refresh_token: current.refreshToken,
+          client_id: clientId,
+          client_secret: clientSecret,
+          grant_type: "refresh_token",
+        })
+      );
+    } catch (error) {
+      // Imgur's credentials are broken rather than the client's request, so the failure is reported as a bad gateway.
+      throw new StorageError(
+        `Imgur did not refresh the access token: ${
+          error?.response?.data?.data?.error ?? error?.message ?? error
+        }`,
+        502
+      );
+    }
+
+    const issued = response?.data ?? {};
+    if (typeof issued.access_token !== "string" || !issued.access_token) {
+      throw new StorageError("Imgur did not issue an access token.", 502);
+    }
+    tokens = {
+      accessToken: issued.access_token,
+      refreshToken: issued.refresh_token ?? current.refreshToken,
+      expiresAt:
+        typeof issued.expires_in === "number"
+          ? now() + issued.expires_in * 1000
+          : null,
+    };
+    await persist();
+    return tokens.accessToken;
+  };
+
+  /**
+   * Refreshes the access token, sharing one exchange between concurrent callers.
+   *
+   * @param {string|null} staleToken The access token Imgur refused. If it has already been replaced, the
+   * replacement is returned without exchanging the refresh token again.
+   * @returns {string} The new access token.
+   */
+  const refresh = async (staleToken = null) => {
+    if (!refreshable) {
+      throw new StorageError(
+        "Imgur's access token cannot be refreshed without a refresh token and the client's credentials.",
+        502
+      );
+    }
+    const current = await load();
+    if (staleToken !== null && current.accessToken !== staleToken) {
+      return current.accessToken;
+    }
+    if (!refreshing) {
+      refreshing = exchange().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  };
+
+  return {
+    /**
+     * Whether the access token can be refreshed, given a refresh token and the client's credentials.
+     *
+     * @returns {boolean}
+     */
+    canRefresh() {
+      return refreshable;
+    },
+
+    /**
+     * Returns the access token to authorise a request with, refreshing it first if there is none yet or it has
+     * expired.
+     *
+     * @returns {string|null} The access token.
+     */
+    async accessToken() {
+      const current = await load();
+      const isExpired =
+        current.expiresAt !== null && current.expiresAt <= now();
+      if (refreshable && (!current.accessToken || isExpired)) {
+        return refresh(current.accessToken);
+      }
+      return current.accessToken;
+    },
+
+    refresh,
+  };
+};
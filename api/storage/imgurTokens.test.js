@@ -0,0 +1,161 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createImgurTokens } from "./imgurTokens";
+import { StorageError } from "./errors";
+import { IMGUR_TOKEN_ENDPOINT } from "../config/endpoints";
+
+/**
+ * Creates the response Imgur sends when it issues tokens.
+ */
+const issued = (accessToken, refreshToken = "refresh-2", expiresIn = 3600) => ({
+  status: 200,
+  data: {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: expiresIn,
+    token_type: "bearer",
+  },
+});
+
+describe("Imgur tokens", () => {
+  let directory;
+  let filePath;
+  let http;
+  let clock;
+
+  // Creates a token holder configured with a refresh token and the client's credentials.
+  const createTokens = (options = {}) =>
+    createImgurTokens({
+      accessToken: "access-1",
+      refreshToken: "refresh-1",
+      clientId: "client-id",
+      clientSecret: "client-secret",
+      filePath,
+      http,
+      now: () => clock,
+      ...options,
+    });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "imgur-tokens-"));
+    filePath = path.join(directory, "imgur-tokens.json");
+    http = { post: jest.fn() };
+    clock = 1700000000000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Uses the configured access token until it is refused.", async () => {
+    const tokens = createTokens();
+    expect(await tokens.accessToken()).toBe("access-1");
+    expect(http.post).not.toHaveBeenCalled();
+  });
+
+  it("Exchanges the refresh token and persists the tokens issued.", async () => {
+    http.post.mockResolvedValue(issued("access-2"));
+    const tokens = createTokens();
+
+    expect(await tokens.refresh()).toBe("access-2");
+    const [url, body] = http.post.mock.calls[0];
+    expect(url).toBe(IMGUR_TOKEN_ENDPOINT);
+    expect(Object.fromEntries(body)).toEqual({
+      refresh_token: "refresh-1",
+      client_id: "client-id",
+      client_secret: "client-secret",
+      grant_type: "refresh_token",
+    });
+    expect(await tokens.accessToken()).toBe("access-2");
+
+    // Only the owner may read the persisted tokens.
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).toMatchObject({
+      accessToken: "access-2",
+      refreshToken: "refresh-2",
+      expiresAt: clock + 3600 * 1000,
+    });
+  });
+
+  it("Reads the persisted tokens back on startup.", async () => {
+    http.post.mockResolvedValue(issued("access-2"));
+    await createTokens().refresh();
+
+    http.post.mockResolvedValue(issued("access-3", "refresh-3"));
+    const restarted = createTokens();
+    expect(await restarted.accessToken()).toBe("access-2");
+
+    // The refresh token Imgur issued last is the one exchanged.
+    await restarted.refresh();
+    expect(Object.fromEntries(http.post.mock.calls[1][1]).refresh_token).toBe(
+      "refresh-2"
+    );
+  });
+
+  it("Ignores the persisted tokens once another refresh token is configured.", async () => {
+    http.post.mockResolvedValue(issued("access-2"));
+    await createTokens().refresh();
+
+    const reconfigured = createTokens({
+      accessToken: null,
+      refreshToken: "other-refresh",
+    });
+    http.post.mockResolvedValue(issued("other-access"));
+    expect(await reconfigured.accessToken()).toBe("other-access");
+    expect(Object.fromEntries(http.post.mock.calls[1][1]).refresh_token).toBe(
+      "other-refresh"
+    );
+  });
+
+  it("Refreshes the access token once it expires.", async () => {
+    http.post
+      .mockResolvedValueOnce(issued("access-2", "refresh-2", 60))
+      .mockResolvedValueOnce(issued("access-3"));
+    const tokens = createTokens();
+    await tokens.refresh();
+
+    expect(await tokens.accessToken()).toBe("access-2");
+    clock += 60 * 1000;
+    expect(await tokens.accessToken()).toBe("access-3");
+  });
+
+  it("Shares one exchange between concurrent refreshes.", async () => {
+    http.post.mockResolvedValue(issued("access-2"));
+    const tokens = createTokens();
+
+    const refreshed = await Promise.all([
+      tokens.refresh("access-1"),
+      tokens.refresh("access-1"),
+    ]);
+    expect(refreshed).toEqual(["access-2", "access-2"]);
+    expect(http.post).toHaveBeenCalledTimes(1);
+
+    // A request refused with the old token picks up the new one without another exchange.
+    expect(await tokens.refresh("access-1")).toBe("access-2");
+    expect(http.post).toHaveBeenCalledTimes(1);
+  });
+
+  it("Reports a refused refresh token as a bad gateway.", async () => {
+    http.post.mockRejectedValue(
+      Object.assign(new Error("Request failed with status code 400"), {
+        response: { status: 400, data: { data: { error: "Invalid token" } } },
+      })
+    );
+    const tokens = createTokens();
+
+    const error = await tokens.refresh().catch((caught) => caught);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.status).toBe(502);
+    expect(error.message).toMatch(/Invalid token/);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("Uses a static access token without a refresh token.", async () => {
+    const tokens = createTokens({ refreshToken: null });
+    expect(tokens.canRefresh()).toBe(false);
+    expect(await tokens.accessToken()).toBe("access-1");
+    await expect(tokens.refresh()).rejects.toThrow(StorageError);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * This file selects the storage provider that the routes upload images to.
+ *
+ * Every provider exposes the same interface:
+ * - upload(file): stores a file processed by multer and returns the image object.
+ * - list(): returns every stored image object.
+ * - get(id): returns a single image object.
+ * - update(id, changes): changes the title or description of an image.
+ * - delete(id): removes a single image.
+ * - thumbnail(link, size): returns the link to a thumbnail of an image.
+ * - createAlbum({ title, description }): creates an empty album and returns the album object.
+ * - updateAlbum(id, changes): changes the title or description of an album.
+ * - deleteAlbum(id): removes an album, keeping its images.
+ * - addToAlbum(id, imageIds) and removeFromAlbum(id, imageIds): change the images in an album.
+ * - serve() (optional): returns a middleware that serves the stored files.
+ * - prepare() (optional): readies the provider before the server accepts requests, such as by refreshing credentials.
+ *
+ * Failures are raised as a StorageError carrying the HTTP status to relay.
+ */
+import {
+  STORAGE_BACKEND,
+  LOCAL_STORAGE_DIRECTORY,
+  LOCAL_STORAGE_URL_BASE,
+} from "../config/storage";
+import { albumStore, metadataStore } from "../metadata";
+import { createImgurStorage } from "./imgur";
+import { createLocalStorage } from "./local";
+
+export { StorageError } from "./errors";
+
+const providers = {
+  imgur: () =>
+    createImgurStorage({ images: metadataStore, albums: albumStore }),
+  local: () =>
+    createLocalStorage({
+      directory: LOCAL_STORAGE_DIRECTORY,
+      urlBase: LOCAL_STORAGE_URL_BASE,
+    }),
+};
+
+/**
+ * Creates the storage provider for the given backend.
+ *
+ * @param {string} backend The name of the backend, defaults to the configured one.
+ * @returns {Object} A storage provider.
+ */
+export const getStorageProvider = (backend = STORAGE_BACKEND) => {
+  if (!providers[backend]) {
+    throw new Error(
+      `Unknown storage backend "${backend}". Expected one of: ${Object.keys(
+        providers
+      ).join(", ")}.`
+    );
+  }
+  return providers[backend]();
+};
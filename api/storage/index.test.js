@@ -0,0 +1,19 @@
+import { getStorageProvider } from "./index";
+
+describe("getStorageProvider", () => {
+  it("Creates the Imgur provider by default.", () => {
+    expect(getStorageProvider().name).toBe("imgur");
+  });
+
+  it("Creates the local provider.", () => {
+    const storage = getStorageProvider("local");
+    expect(storage.name).toBe("local");
+    expect(typeof storage.serve).toBe("function");
+  });
+
+  it("Throws for an unknown backend.", () => {
+    expect(() => getStorageProvider("dropbox")).toThrow(
+      'Unknown storage backend "dropbox". Expected one of: imgur, local.'
+    );
+  });
+});
@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+import { StorageError } from "./errors";
+
+// The file extension written for each accepted mimetype.
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/gif": ".gif",
+  "image/png": ".png",
+  "image/apng": ".png",
+  "image/tiff": ".tiff",
+};
+
+// IDs are generated as hex strings, anything else cannot refer to a stored image.
+const ID_REGEX = /^[a-f0-9]{14}$/;
+
+// The names stored images are written under: an ID, and the extension of its mimetype in EXTENSIONS if it has one.
+const FILE_NAME_REGEX = /^[a-f0-9]{14}(\.jpg|\.gif|\.png|\.tiff)?$/;
+
+/**
+ * Creates a storage provider that keeps images in a directory on disk.
+ * Each image is written next to a JSON sidecar that holds its details.
+ *
+ * @param {Object} options
+ * @param {string} options.directory The directory to write images to.
+ * @param {string} options.urlBase The public URL that the directory is served from.
+ * @returns {Object} A storage provider.
+ */
+export const createLocalStorage = ({ directory, urlBase }) => {
+  const detailsPath = (id) => path.join(directory, `${id}.json`);
+
+  /**
+   * Reads the details of a stored image, throwing a 404 if it does not exist.
+   *
+   * @param {string} id The ID of the image.
+   * @returns {Object} The image object.
+   */
+  const readDetails = async (id) => {
+    if (!ID_REGEX.test(id)) {
+      throw new StorageError("Image not found.", 404);
+    }
+    try {
+      return JSON.parse(await fs.readFile(detailsPath(id), "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        throw new StorageError("Image not found.", 404);
+      }
+      throw new StorageError(error?.message ?? "Failed to read image.");
+    }
+  };
+
+  return {
+    name: "local",
+
+    /**
+     * Returns the link to the image, thumbnails are not generated locally.
+     *
+     * @param {string} link The link to the image.
+     * @returns {string} The link to the image.
+     */
+    thumbnail(link) {
+      return link;
+    },
+
+    /**
+     * Copies a file into the storage directory.
+     *
+     * @param {Object} file A file processed by multer.
+     * @returns {Object} The stored image object.
+     */
+    async upload(file) {
+      const id = crypto.randomBytes(7).toString("hex");
+      const fileName = `${id}${EXTENSIONS[file.mimetype] ?? ""}`;
+      const image = {
+        id,
+        title: file.originalname,
+        description: null,
+        datetime: Math.floor(Date.now() / 1000),
+        type: file.mimetype,
+        size: file.size,
+        views: 0,
+        deletehash: null,
+        fileName,
+        link: `${urlBase}${fileName}`,
+      };
+
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.copyFile(file.path, path.join(directory, fileName));
+        await fs.writeFile(detailsPath(id), JSON.stringify(image));
+      } catch (error) {
+        throw new StorageError(error?.message ?? "Failed to write image.");
+      }
+      return image;
+    },
+
+    /**
+     * Lists every stored image, most recent first.
+     *
+     * @returns {Array} An array of image objects.
+     */
+    async list() {
+      let entries;
+      try {
+        entries = await fs.readdir(directory);
+      } catch (error) {
+        // Nothing has been uploaded yet.
+        if (error?.code === "ENOENT") {
+          return [];
+        }
+        throw new StorageError(error?.message ?? "Failed to list images.");
+      }
+
+      const images = await Promise.all(
+        entries
+          .filter((entry) => entry.endsWith(".json"))
+          .map((entry) => readDetails(path.basename(entry, ".json")))
+      );
+      return images.sort((a, b) => b.datetime - a.datetime);
+    },
+
+    /**
+     * Retrieves a single image.
+     *
+     * @param {string} id The ID of the image.
+     * @returns {Object} The image object.
+     */
+    async get(id) {
+      return readDetails(id);
+    },
+
+    /**
+     * Changes the title or description of a single image.
+     *
+     * @param {string} id The ID of the image.
+     * @param {Object} changes The title and description to set.
+     */
+    async update(id, changes) {
+      const image = { ...(await readDetails(id)), ...changes };
+      try {
+        await fs.writeFile(detailsPath(id), JSON.stringify(image));
+      } catch (error) {
+        throw new StorageError(error?.message ?? "Failed to update image.");
+      }
+    },
+
+    /**
+     * Deletes a single image and its details.
+     *
+     * @param {string} id The ID of the image.
+     */
+    async delete(id) {
+      const image = await readDetails(id);
+      try {
+        await fs.rm(path.join(directory, image.fileName), { force: true });
+        await fs.rm(detailsPath(id), { force: true });
+      } catch (error) {
+        throw new StorageError(error?.message ?? "Failed to delete image.");
+      }
+    },
+
+    /**
+     * Creates an album.
+     * Only an ID is needed, as the album store records the albums and the images in each.
+     *
+     * @param {Object} details
+     * @param {string} details.title The title of the album.
+     * @returns {Object} The album object.
+     */
+    async createAlbum({ title }) {
+      return {
+        id: crypto.randomBytes(7).toString("hex"),
+        title,
+        deletehash: null,
+      };
+    },
+
+    /**
+     * Albums are recorded by the album store alone, so there is nothing to change on disk.
+     */
+    async updateAlbum() {},
+    async deleteAlbum() {},
+    async addToAlbum() {},
+    async removeFromAlbum() {},
+
+    /**
+     * Returns a middleware that serves the stored images.
+     * Only the names images are written under are served, checked once decoded as express.static decodes them, so
+     * that the JSON sidecars cannot be reached however their names are encoded.
+     *
+     * @returns {Function} An express middleware.
+     */
+    serve() {
+      const serveStatic = express.static(directory, { index: false });
+      return (req, res, next) => {
+        let fileName;
+        try {
+          fileName = decodeURIComponent(req.path).replace(/^\//, "");
+        } catch (error) {
+          next();
+          return;
+        }
+        if (!FILE_NAME_REGEX.test(fileName)) {
+          next();
+          return;
+        }
+        serveStatic(req, res, next);
+      };
+    },
+  };
+};
@@ -0,0 +1,117 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import express from "express";
+import { createLocalStorage } from "./local";
+
+const urlBase = "http://localhost:9001/files/";
+
+describe("Local storage provider", () => {
+  let directory;
+  let storage;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "local-storage-"));
+    storage = createLocalStorage({ directory, urlBase });
+
+    // The temporary copy of an upload, as written by multer.
+    const filePath = path.join(os.tmpdir(), `local-storage-upload-${process.pid}`);
+    fs.writeFileSync(filePath, "file content");
+    file = {
+      originalname: "test-file.jpg",
+      mimetype: "image/jpeg",
+      size: 12,
+      path: filePath,
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.rmSync(file.path, { force: true });
+  });
+
+  it("Writes an uploaded file to disk and returns its details.", async () => {
+    const image = await storage.upload(file);
+    expect(image).toMatchObject({
+      title: "test-file.jpg",
+      type: "image/jpeg",
+      size: 12,
+      link: `${urlBase}${image.id}.jpg`,
+    });
+    expect(
+      fs.readFileSync(path.join(directory, `${image.id}.jpg`)).toString()
+    ).toBe("file content");
+  });
+
+  it("Lists and retrieves uploaded images.", async () => {
+    const image = await storage.upload(file);
+    expect(await storage.list()).toEqual([image]);
+    expect(await storage.get(image.id)).toEqual(image);
+  });
+
+  it("Lists no images when nothing has been uploaded.", async () => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    expect(await storage.list()).toEqual([]);
+  });
+
+  it("Deletes an uploaded image and its details.", async () => {
+    const image = await storage.upload(file);
+    await storage.delete(image.id);
+    expect(fs.readdirSync(directory)).toEqual([]);
+    await expect(storage.get(image.id)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it("Updates the details of an uploaded image.", async () => {
+    const image = await storage.upload(file);
+    await storage.update(image.id, { title: "Exhibit A", description: null });
+    expect(await storage.get(image.id)).toEqual({
+      ...image,
+      title: "Exhibit A",
+      description: null,
+    });
+    await expect(
+      storage.update("unknown", { title: "Exhibit A" })
+    ).rejects.toMatchObject({ status: 404 });
+  });
+
+  it("Creates albums without touching the disk.", async () => {
+    const album = await storage.createAlbum({ title: "Case 42" });
+    expect(album).toEqual({
+      id: expect.stringMatching(/^[a-f0-9]{14}$/),
+      title: "Case 42",
+      deletehash: null,
+    });
+    await storage.addToAlbum(album.id, ["imageid"]);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  it("Rejects IDs that cannot refer to a stored image.", async () => {
+    await expect(storage.get("../secrets")).rejects.toMatchObject({
+      status: 404,
+    });
+    await expect(storage.delete("unknown")).rejects.toMatchObject({
+      status: 404,
+    });
+  });
+
+  it("Serves the stored files but not their details.", async () => {
+    const image = await storage.upload(file);
+    const app = express();
+    app.use("/files", storage.serve());
+
+    const fileResponse = await request(app).get(`/files/${image.id}.jpg`);
+    expect(fileResponse.status).toBe(200);
+    expect(fileResponse.body.toString()).toBe("file content");
+
+    const detailsResponse = await request(app).get(`/files/${image.id}.json`);
+    expect(detailsResponse.status).toBe(404);
+
+    // Encoding the name does not reach the details either.
+    const encodedResponse = await request(app).get(`/files/${image.id}.%6Ason`);
+    expect(encodedResponse.status).toBe(404);
+    const malformedResponse = await request(app).get(`/files/${image.id}%E0`);
+    expect(malformedResponse.status).toBe(404);
+  });
+});
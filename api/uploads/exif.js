@@ -0,0 +1,73 @@
+import exifr from "exifr";
+
+// The formats that carry EXIF, IPTC and XMP metadata.
+export const EMBEDDED_METADATA_TYPES = ["image/jpeg", "image/tiff"];
+
+/**
+ * Converts an EXIF date, which has no time zone, to an ISO 8601 local date and time.
+ *
+ * @param {string|undefined} value The date, in the format "YYYY:MM:DD HH:MM:SS".
+ * @returns {string|null}
+ */
+const toLocalDateTime = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(
+    value ?? ""
+  );
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : null;
+};
+
+/**
+ * Reads the keywords recorded by IPTC or XMP, which may hold a single keyword or a list.
+ *
+ * @param {Object} tags The parsed tags.
+ * @returns {Array} The keywords.
+ */
+const toKeywords = (tags) =>
+  [tags.Keywords ?? tags.subject ?? []].flat().map((keyword) => `${keyword}`);
+
+/**
+ * Reads the EXIF, IPTC and XMP metadata embedded in an image, keeping the fields worth recording.
+ * The location the image was taken at is only read if it is to be kept.
+ *
+ * @param {string} filePath The path to the image.
+ * @param {Object} options
+ * @param {boolean} options.includeLocation Whether to read the location.
+ * @returns {Object|null} The capture date, orientation, camera, lens, dimensions, keywords and location,
+ * or null if the image carries no metadata.
+ */
+export const readEmbeddedMetadata = async (
+  filePath,
+  { includeLocation = false } = {}
+) => {
+  const tags = await exifr.parse(filePath, {
+    tiff: true,
+    exif: true,
+    gps: includeLocation,
+    iptc: true,
+    xmp: true,
+    ifd1: false,
+    mergeOutput: true,
+    translateValues: false,
+    reviveValues: false,
+  });
+  if (!tags) {
+    return null;
+  }
+
+  return {
+    capturedAt: toLocalDateTime(
+      tags.DateTimeOriginal ?? tags.CreateDate ?? tags.ModifyDate
+    ),
+    orientation: tags.Orientation ?? null,
+    make: tags.Make ?? null,
+    model: tags.Model ?? null,
+    lens: tags.LensModel ?? null,
+    width: tags.ExifImageWidth ?? tags.ImageWidth ?? null,
+    height: tags.ExifImageHeight ?? tags.ImageHeight ?? null,
+    keywords: toKeywords(tags),
+    location:
+      includeLocation && tags.latitude !== undefined
+        ? { latitude: tags.latitude, longitude: tags.longitude }
+        : null,
+  };
+};
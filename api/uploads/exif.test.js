@@ -0,0 +1,57 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { readEmbeddedMetadata } from "./exif";
+import { EXIF_JPEG, EXIF_TIFF, JPEG_PIXEL } from "../fixtures/images";
+
+describe("Embedded metadata", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "exif-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (contents) => {
+    const filePath = path.join(directory, "upload");
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  it("Reads the fields worth recording from a JPEG.", async () => {
+    expect(await readEmbeddedMetadata(write(EXIF_JPEG))).toEqual({
+      capturedAt: "2024-05-01T10:30:00",
+      orientation: 6,
+      make: "Canon",
+      model: "Canon EOS R5",
+      lens: "RF24-105mm F4 L IS USM",
+      width: null,
+      height: null,
+      keywords: ["london", "river"],
+      location: null,
+    });
+  });
+
+  it("Reads the fields worth recording from a TIFF.", async () => {
+    expect(await readEmbeddedMetadata(write(EXIF_TIFF))).toMatchObject({
+      capturedAt: "2024-05-01T10:30:00",
+      make: "Canon",
+      width: 1,
+      height: 1,
+    });
+  });
+
+  it("Reads the location only if it is to be kept.", async () => {
+    const metadata = await readEmbeddedMetadata(write(EXIF_JPEG), {
+      includeLocation: true,
+    });
+    expect(metadata.location).toEqual({ latitude: 51.5, longitude: -0.125 });
+  });
+
+  it("Returns null for images without metadata.", async () => {
+    expect(await readEmbeddedMetadata(write(JPEG_PIXEL))).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import crypto from "crypto";
+import fs from "fs";
+import Jimp from "jimp";
+
+/**
+ * Computes the SHA-256 hash of a file, which identifies files with exactly the same contents.
+ * The file is streamed rather than read into memory.
+ *
+ * @param {string} filePath The path to the file.
+ * @returns {string} The hash, in hex.
+ */
+export const computeContentHash = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+/**
+ * Computes the perceptual hash of an image, which is similar for images that look alike even when
+ * they have been resized, recompressed or slightly edited.
+ *
+ * @param {string} filePath The path to the image.
+ * @returns {string|null} The hash, as a string of 64 bits, or null if the image cannot be decoded.
+ */
+export const computePerceptualHash = async (filePath) => {
+  try {
+    return (await Jimp.read(filePath)).pHash();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Finds the recorded images that duplicate an incoming image.
+ * Records made before hashes were computed are never matched.
+ *
+ * @param {Array} records The records of the images already uploaded.
+ * @param {Object} hashes The hashes of the incoming image.
+ * @param {string} hashes.sha256 The content hash.
+ * @param {string|null} hashes.perceptualHash The perceptual hash.
+ * @param {number} threshold The largest proportion of differing bits for images to count as near-duplicates.
+ * @returns {Object} The record with identical contents, or null, and the records that look alike,
+ * most similar first, each with the distance between the hashes.
+ */
+export const findDuplicates = (
+  records,
+  { sha256, perceptualHash },
+  threshold
+) => {
+  const exact = records.find((record) => record.sha256 === sha256) ?? null;
+  const similar = perceptualHash
+    ? records
+        .filter(
+          (record) =>
+            record !== exact &&
+            record.perceptualHash?.length === perceptualHash.length
+        )
+        .map((record) => ({
+          record,
+          distance: Jimp.compareHashes(record.perceptualHash, perceptualHash),
+        }))
+        .filter(({ distance }) => distance <= threshold)
+        .sort((a, b) => a.distance - b.distance)
+    : [];
+  return { exact, similar };
+};
@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Jimp from "jimp";
+import {
+  computeContentHash,
+  computePerceptualHash,
+  findDuplicates,
+} from "./hashing";
+import { JPEG_PIXEL } from "../fixtures/images";
+
+describe("Upload hashing", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "hashing-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (name, contents) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  /**
+   * Encodes a picture of diagonal stripes, shifted by the given number of pixels.
+   */
+  const encodeStripes = (mimetype, shift = 0) => {
+    const image = new Jimp(64, 64);
+    image.scan(0, 0, 64, 64, (x, y, index) => {
+      image.bitmap.data.writeUInt32BE(
+        (x + y + shift) % 32 < 16 ? 0x202020ff : 0xe0e0e0ff,
+        index
+      );
+    });
+    return image.quality(90).getBufferAsync(mimetype);
+  };
+
+  it("Computes the SHA-256 hash of a file.", async () => {
+    expect(await computeContentHash(write("pixel.jpg", JPEG_PIXEL))).toBe(
+      crypto.createHash("sha256").update(JPEG_PIXEL).digest("hex")
+    );
+  });
+
+  it("Computes similar perceptual hashes for the same picture in different formats.", async () => {
+    const png = await computePerceptualHash(
+      write("stripes.png", await encodeStripes(Jimp.MIME_PNG))
+    );
+    const jpeg = await computePerceptualHash(
+      write("stripes.jpg", await encodeStripes(Jimp.MIME_JPEG))
+    );
+    const shifted = await computePerceptualHash(
+      write("shifted.png", await encodeStripes(Jimp.MIME_PNG, 16))
+    );
+
+    expect(png).toMatch(/^[01]{64}$/);
+    expect(Jimp.compareHashes(png, jpeg)).toBeLessThanOrEqual(0.1);
+    expect(Jimp.compareHashes(png, shifted)).toBeGreaterThan(0.1);
+  });
+
+  it("Returns no perceptual hash for images that cannot be decoded.", async () => {
+    expect(await computePerceptualHash(write("pixel.jpg", JPEG_PIXEL))).toBe(
+      null
+    );
+  });
+
+  describe("findDuplicates", () => {
+    const hash = (bits) => bits.padEnd(64, "0");
+    const records = [
+      { id: "unhashed" },
+      { id: "different", sha256: "b", perceptualHash: hash("11111111") },
+      { id: "near", sha256: "c", perceptualHash: hash("11") },
+      { id: "nearer", sha256: "d", perceptualHash: hash("1") },
+      { id: "exact", sha256: "a", perceptualHash: hash("") },
+    ];
+
+    it("Finds the exact duplicate and the images that look alike.", () => {
+      const { exact, similar } = findDuplicates(
+        records,
+        { sha256: "a", perceptualHash: hash("") },
+        0.1
+      );
+      expect(exact.id).toBe("exact");
+      expect(similar).toEqual([
+        { record: records[3], distance: 1 / 64 },
+        { record: records[2], distance: 2 / 64 },
+      ]);
+    });
+
+    it("Finds nothing for an image without duplicates.", () => {
+      expect(
+        findDuplicates(records, { sha256: "z", perceptualHash: null }, 0.1)
+      ).toEqual({ exact: null, similar: [] });
+    });
+  });
+});
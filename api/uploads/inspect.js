@@ -0,0 +1,182 @@
+import fs from "fs/promises";
+import { readDimensions } from "../metadata";
+
+// The signature bytes that each supported format starts with.
+const SIGNATURES = [
+  { mimetype: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimetype: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimetype: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] }, // GIF87a
+  { mimetype: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] }, // GIF89a
+  { mimetype: "image/tiff", bytes: [0x49, 0x49, 0x2a, 0x00] }, // Little-endian
+  { mimetype: "image/tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] }, // Big-endian
+];
+
+// The number of bytes read from each end of a file, enough for any signature or trailer.
+const PEEK_LENGTH = 16;
+
+// Types that clients may label differently from the type detected from the contents.
+// An animated PNG is still a PNG, and is commonly labelled as one.
+const EQUIVALENT_TYPES = {
+  "image/jpg": "image/jpeg",
+  "image/apng": "image/png",
+};
+
+/**
+ * Checks whether a declared type and a detected type describe the same format.
+ *
+ * @param {string} declared The type the client declared.
+ * @param {string} detected The type detected from the contents of the file.
+ * @returns {boolean}
+ */
+export const isSameImageType = (declared, detected) =>
+  (EQUIVALENT_TYPES[declared] ?? declared) ===
+  (EQUIVALENT_TYPES[detected] ?? detected);
+
+/**
+ * Detects the format of a file from its signature bytes.
+ *
+ * @param {Buffer} header The first bytes of the file.
+ * @returns {string|null} The detected type, or null if it is not a supported format.
+ */
+export const sniffImageType = (header) => {
+  const signature = SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, index) => header[index] === byte)
+  );
+  return signature?.mimetype ?? null;
+};
+
+/**
+ * Reads part of a file.
+ *
+ * @param {Object} handle The open file.
+ * @param {number} position The position to start reading from.
+ * @param {number} length The number of bytes to read.
+ * @returns {Buffer} The bytes read, which may be fewer than requested at the end of the file.
+ */
+const readBytes = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Walks the chunks of a PNG, checking that none extends past the end of the file and that it is terminated.
+ * Only the chunk headers are read, so the image data is never held in memory.
+ *
+ * @param {Object} handle The open file.
+ * @param {number} size The size of the file in bytes.
+ * @returns {Object} Whether the file is animated, and a description of the problem if it is damaged.
+ */
+const inspectPng = async (handle, size) => {
+  let position = 8;
+  let animated = false;
+  let hasImageData = false;
+
+  while (position + 12 <= size) {
+    const header = await readBytes(handle, position, 8);
+    const length = header.readUInt32BE(0);
+    const type = header.toString("latin1", 4, 8);
+
+    if (position === 8 && type !== "IHDR") {
+      return { animated, problem: "it does not start with an image header" };
+    }
+    if (position + 12 + length > size) {
+      return { animated, problem: `its ${type} chunk is truncated` };
+    }
+
+    // Animation control must precede the image data for the PNG to be animated.
+    if (type === "acTL" && !hasImageData) {
+      animated = true;
+    }
+    if (type === "IDAT") {
+      hasImageData = true;
+    }
+    if (type === "IEND") {
+      return { animated, problem: null };
+    }
+    position += 12 + length;
+  }
+
+  return { animated, problem: "it ends before its final chunk" };
+};
+
+/**
+ * Checks that the end of a file matches the trailer its format requires.
+ *
+ * @param {Buffer} tail The last bytes of the file.
+ * @param {Array} trailer The bytes the file must end with.
+ * @returns {string|null} A description of the problem, or null if the trailer is present.
+ */
+const checkTrailer = (tail, trailer) => {
+  // Some encoders pad files with zeros after the trailer.
+  let end = tail.length;
+  while (end > 0 && tail[end - 1] === 0x00) {
+    end -= 1;
+  }
+  const ending = tail.subarray(end - trailer.length, end);
+  return ending.length === trailer.length &&
+    trailer.every((byte, index) => ending[index] === byte)
+    ? null
+    : "it ends before its final marker";
+};
+
+/**
+ * Inspects the contents of an uploaded file.
+ * The format is detected from its signature bytes rather than trusted from the client, and the file is checked
+ * for the damage that truncated or corrupted uploads show, so that it can be rejected before reaching the storage backend.
+ *
+ * @param {string} filePath The path to the file.
+ * @returns {Object} The detected type, or null if it is not a supported format, and a description of the
+ * problem if the file is damaged, or null if it is intact.
+ */
+export const inspectImage = async (filePath) => {
+  const handle = await fs.open(filePath, "r");
+  let mimetype;
+  let problem = null;
+
+  try {
+    const { size } = await handle.stat();
+    mimetype = sniffImageType(await readBytes(handle, 0, PEEK_LENGTH));
+    if (!mimetype) {
+      return { mimetype: null, problem: null };
+    }
+
+    const tail = await readBytes(
+      handle,
+      Math.max(0, size - PEEK_LENGTH),
+      PEEK_LENGTH
+    );
+
+    if (mimetype === "image/png") {
+      const png = await inspectPng(handle, size);
+      mimetype = png.animated ? "image/apng" : mimetype;
+      problem = png.problem;
+    } else if (mimetype === "image/jpeg") {
+      problem = checkTrailer(tail, [0xff, 0xd9]);
+    } else if (mimetype === "image/gif") {
+      problem = checkTrailer(tail, [0x3b]);
+    } else if (mimetype === "image/tiff") {
+      // The header points to the first directory of the image, which must lie within the file.
+      const header = await readBytes(handle, 0, 8);
+      const directory =
+        header[0] === 0x49 ? header.readUInt32LE(4) : header.readUInt32BE(4);
+      if (directory < 8 || directory >= size) {
+        problem = "its image directory lies outside the file";
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+
+  if (!problem) {
+    const { width, height } = readDimensions(filePath);
+    if (!width || !height) {
+      problem = "its dimensions cannot be read";
+    }
+  }
+
+  return { mimetype, problem };
+};
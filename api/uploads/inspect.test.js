@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { inspectImage, isSameImageType, sniffImageType } from "./inspect";
+import {
+  APNG_PIXEL,
+  GIF_PIXEL,
+  JPEG_PIXEL,
+  PNG_PIXEL,
+  TIFF_PIXEL,
+} from "../fixtures/images";
+
+describe("Upload inspection", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "inspect-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const inspect = (contents) => {
+    const filePath = path.join(directory, "upload");
+    fs.writeFileSync(filePath, contents);
+    return inspectImage(filePath);
+  };
+
+  describe("sniffImageType", () => {
+    it.each([
+      ["image/jpeg", JPEG_PIXEL],
+      ["image/png", PNG_PIXEL],
+      ["image/gif", GIF_PIXEL],
+      ["image/tiff", TIFF_PIXEL],
+      ["image/tiff", Buffer.from([0x4d, 0x4d, 0x00, 0x2a])],
+      [null, Buffer.from("file content")],
+      [null, Buffer.alloc(0)],
+    ])("Detects %s from the signature bytes.", (mimetype, contents) => {
+      expect(sniffImageType(contents)).toBe(mimetype);
+    });
+  });
+
+  describe("isSameImageType", () => {
+    it.each([
+      ["image/jpeg", "image/jpeg", true],
+      ["image/jpg", "image/jpeg", true],
+      ["image/png", "image/apng", true],
+      ["image/apng", "image/png", true],
+      ["image/png", "image/jpeg", false],
+      ["image/gif", "image/tiff", false],
+    ])("Compares %s with %s.", (declared, detected, expected) => {
+      expect(isSameImageType(declared, detected)).toBe(expected);
+    });
+  });
+
+  describe("inspectImage", () => {
+    it.each([
+      ["image/jpeg", JPEG_PIXEL],
+      ["image/png", PNG_PIXEL],
+      ["image/apng", APNG_PIXEL],
+      ["image/gif", GIF_PIXEL],
+      ["image/tiff", TIFF_PIXEL],
+    ])("Accepts an intact %s.", async (mimetype, contents) => {
+      expect(await inspect(contents)).toEqual({ mimetype, problem: null });
+    });
+
+    it("Accepts a JPEG padded with zeros after its trailer.", async () => {
+      const padded = Buffer.concat([JPEG_PIXEL, Buffer.alloc(4)]);
+      expect((await inspect(padded)).problem).toBeNull();
+    });
+
+    it("Does not detect a type for unsupported contents.", async () => {
+      expect(await inspect("file content")).toEqual({
+        mimetype: null,
+        problem: null,
+      });
+    });
+
+    it.each([
+      ["JPEG", JPEG_PIXEL, "it ends before its final marker"],
+      ["GIF", GIF_PIXEL, "it ends before its final marker"],
+    ])("Rejects a truncated %s.", async (format, contents, problem) => {
+      const truncated = contents.subarray(0, contents.length - 3);
+      expect((await inspect(truncated)).problem).toBe(problem);
+    });
+
+    it("Rejects a PNG with a truncated chunk.", async () => {
+      expect((await inspect(PNG_PIXEL.subarray(0, 50))).problem).toBe(
+        "its IDAT chunk is truncated"
+      );
+    });
+
+    it("Rejects a PNG missing its final chunk.", async () => {
+      expect((await inspect(PNG_PIXEL.subarray(0, 58))).problem).toBe(
+        "it ends before its final chunk"
+      );
+    });
+
+    it("Rejects a PNG that does not start with a header chunk.", async () => {
+      const corrupt = Buffer.from(PNG_PIXEL);
+      corrupt.write("XXXX", 12, "latin1");
+      expect((await inspect(corrupt)).problem).toBe(
+        "it does not start with an image header"
+      );
+    });
+
+    it("Rejects a TIFF whose directory lies outside the file.", async () => {
+      expect((await inspect(TIFF_PIXEL.subarray(0, 8))).problem).toBe(
+        "its image directory lies outside the file"
+      );
+    });
+
+    it("Rejects an image whose dimensions cannot be read.", async () => {
+      const corrupt = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0xff, 0xd9]);
+      expect(await inspect(corrupt)).toEqual({
+        mimetype: "image/jpeg",
+        problem: "its dimensions cannot be read",
+      });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import express from "express";
+import { canAccess } from "../auth";
+import { JOB_STATES } from "./jobs";
+
+/**
+ * Formats a job as a Server-Sent Event.
+ * Each change is sent as a "progress" event, and the final state as a "complete" event.
+ *
+ * @param {Object} job The job.
+ * @returns {string}
+ */
+const toEvent = (job) =>
+  `event: ${
+    job.status === JOB_STATES.COMPLETED ? "complete" : "progress"
+  }\ndata: ${JSON.stringify(job)}\n\n`;
+
+/**
+ * Creates the routes that report on asynchronous upload jobs, started by POST /images?async=true.
+ * Only the user that started a job, or an admin, can follow it.
+ *
+ * @param {Object} options
+ * @param {Object} options.jobs The upload job store.
+ * @returns {Object} An express router.
+ */
+export const createUploadJobRouter = ({ jobs }) => {
+  const router = express.Router();
+
+  /**
+   * Loads the job named in the URL, responding with a 404 if it does not exist or belongs to another user.
+   */
+  const loadJob = (req, res, next) => {
+    req.uploadJob = jobs.get(req.params.jobid);
+    if (!req.uploadJob || !canAccess(req.user, req.uploadJob)) {
+      res.status(404).send("Job not found.");
+      return;
+    }
+    next();
+  };
+
+  /**
+   * This endpoint is used to poll the state of a job.
+   *
+   * @param {string} jobid The ID of the job.
+   * @returns {Object} The job, with the state of each file and, once it has one, its result.
+   */
+  router.get("/:jobid", loadJob, (req, res) => {
+    res.status(200).send(req.uploadJob);
+  });
+
+  /**
+   * This endpoint is used to follow the progress of a job as a stream of Server-Sent Events.
+   * The current state is sent straight away, followed by every change, and the stream ends once the job completes.
+   *
+   * @param {string} jobid The ID of the job.
+   */
+  router.get("/:jobid/events", loadJob, (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    let unsubscribe = () => {};
+    const send = (job) => {
+      res.write(toEvent(job));
+      if (job.status === JOB_STATES.COMPLETED) {
+        unsubscribe();
+        res.end();
+      }
+    };
+
+    if (req.uploadJob.status === JOB_STATES.COMPLETED) {
+      send(req.uploadJob);
+      return;
+    }
+    unsubscribe = jobs.subscribe(req.uploadJob.id, send);
+    res.write(toEvent(req.uploadJob));
+
+    // Clients that disconnect stop following the job.
+    req.on("close", () => unsubscribe());
+  });
+
+  return router;
+};
@@ -0,0 +1,139 @@
+import request from "supertest";
+import express from "express";
+import { createUploadJobStore } from "./jobs";
+import { createUploadJobRouter } from "./jobRouter";
+
+/**
+ * Collects a streamed response as text.
+ */
+const collectText = (res, callback) => {
+  let text = "";
+  res.on("data", (chunk) => {
+    text += chunk;
+  });
+  res.on("end", () => callback(null, text));
+};
+
+/**
+ * Parses a stream of Server-Sent Events.
+ */
+const parseEvents = (text) =>
+  text
+    .trim()
+    .split("\n\n")
+    .map((block) => {
+      const [event, data] = block.split("\n");
+      return {
+        event: event.replace("event: ", ""),
+        data: JSON.parse(data.replace("data: ", "")),
+      };
+    });
+
+describe("Upload job router", () => {
+  let jobs;
+  let app;
+
+  beforeEach(() => {
+    jobs = createUploadJobStore({ ttl: 60 * 1000 });
+    app = express();
+    // Stand in for the authentication of the main router, naming the caller in a header, or else an admin.
+    app.use((req, res, next) => {
+      const id = req.get("X-Test-User");
+      req.user = id ? { id, role: "user" } : { id: "admin", role: "admin" };
+      next();
+    });
+    app.use("/jobs", createUploadJobRouter({ jobs }));
+  });
+
+  it("Returns the state of a job.", async () => {
+    const { id } = jobs.create(["a.jpg"]);
+    jobs.start(id, 0);
+
+    const response = await request(app).get(`/jobs/${id}`);
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      id,
+      status: "processing",
+      files: [{ file: "a.jpg", state: "processing" }],
+    });
+  });
+
+  it("Returns a 404 for an unknown job.", async () => {
+    const response = await request(app).get(`/jobs/${"0".repeat(32)}`);
+    expect(response.status).toBe(404);
+    expect(response.text).toBe("Job not found.");
+
+    const events = await request(app).get(`/jobs/${"0".repeat(32)}/events`);
+    expect(events.status).toBe(404);
+  });
+
+  it("Streams the progress of a job until it completes.", async () => {
+    const { id } = jobs.create(["a.jpg", "b.jpg"]);
+
+    // The job progresses once the client is following it.
+    setTimeout(() => {
+      jobs.start(id, 0);
+      jobs.finish(id, 0, { file: "a.jpg", success: true });
+      jobs.finish(id, 1, { file: "b.jpg", success: false });
+    }, 100);
+
+    const response = await request(app)
+      .get(`/jobs/${id}/events`)
+      .buffer(true)
+      .parse(collectText);
+
+    expect(response.headers["content-type"]).toMatch(/^text\/event-stream/);
+    const events = parseEvents(response.body);
+    expect(events.map(({ event }) => event)).toEqual([
+      "progress",
+      "progress",
+      "progress",
+      "complete",
+    ]);
+    expect(events.at(-1).data).toMatchObject({
+      status: "completed",
+      uploaded: 1,
+      failed: 1,
+    });
+  });
+
+  it("Ends the stream straight away for a completed job.", async () => {
+    const { id } = jobs.create(["a.jpg"]);
+    jobs.finish(id, 0, { file: "a.jpg", success: true });
+
+    const response = await request(app)
+      .get(`/jobs/${id}/events`)
+      .buffer(true)
+      .parse(collectText);
+
+    const events = parseEvents(response.body);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      event: "complete",
+      data: { status: "completed" },
+    });
+  });
+
+  it("Hides a job from everyone but the user that started it.", async () => {
+    const { id } = jobs.create(["a.jpg"], "alice");
+
+    const own = await request(app)
+      .get(`/jobs/${id}`)
+      .set("X-Test-User", "alice");
+    expect(own.status).toBe(200);
+    expect(own.body.owner).toBe("alice");
+
+    const other = await request(app)
+      .get(`/jobs/${id}`)
+      .set("X-Test-User", "bob");
+    expect(other.status).toBe(404);
+    const events = await request(app)
+      .get(`/jobs/${id}/events`)
+      .set("X-Test-User", "bob");
+    expect(events.status).toBe(404);
+
+    // Admins can follow any job.
+    const admin = await request(app).get(`/jobs/${id}`);
+    expect(admin.status).toBe(200);
+  });
+});
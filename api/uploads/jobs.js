@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+// Job IDs are generated as hex strings, anything else cannot refer to a job.
+const ID_REGEX = /^[a-f0-9]{32}$/;
+
+// The states of a job, and of each file in it.
+export const JOB_STATES = {
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+};
+export const JOB_FILE_STATES = {
+  QUEUED: "queued",
+  PROCESSING: "processing",
+  UPLOADED: "uploaded",
+  FAILED: "failed",
+};
+
+/**
+ * Creates a store of asynchronous upload jobs.
+ * Jobs are held in memory, as they only describe uploads in progress, and are removed once they
+ * have been complete for longer than the TTL. Listeners are told of every change to a job.
+ *
+ * @param {Object} options
+ * @param {number} options.ttl How long, in milliseconds, a job is kept after it completes.
+ * @param {Function} options.now Returns the current time in milliseconds.
+ * @returns {Object} An upload job store.
+ */
+export const createUploadJobStore = ({ ttl, now = Date.now }) => {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  // Any number of clients may follow a job.
+  events.setMaxListeners(0);
+
+  /**
+   * Removes the jobs that completed longer ago than the TTL.
+   */
+  const removeExpired = () => {
+    for (const [id, job] of jobs) {
+      if (job.completedAt !== null && now() - job.completedAt > ttl) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  /**
+   * Returns a copy of a job, so that callers cannot modify the stored one.
+   */
+  const snapshot = (job) => ({
+    ...job,
+    files: job.files.map((file) => ({ ...file })),
+  });
+
+  /**
+   * Tells the listeners of a job that it changed.
+   */
+  const publish = (job) => {
+    job.updatedAt = now();
+    events.emit(job.id, snapshot(job));
+  };
+
+  return {
+    /**
+     * Creates a job for a batch of files, each of which starts out queued.
+     *
+     * @param {Array} fileNames The names of the files.
+     * @param {string|null} owner The ID of the user that started the job.
+     * @returns {Object} The job.
+     */
+    create(fileNames, owner = null) {
+      removeExpired();
+      const job = {
+        id: crypto.randomBytes(16).toString("hex"),
+        owner,
+        status: JOB_STATES.PROCESSING,
+        total: fileNames.length,
+        uploaded: 0,
+        failed: 0,
+        files: fileNames.map((file) => ({
+          file,
+          state: JOB_FILE_STATES.QUEUED,
+          result: null,
+        })),
+        createdAt: now(),
+        updatedAt: now(),
+        completedAt: null,
+      };
+      jobs.set(job.id, job);
+      return snapshot(job);
+    },
+
+    /**
+     * Retrieves a job, or null if it does not exist or has expired.
+     *
+     * @param {string} id The ID of the job.
+     * @returns {Object|null}
+     */
+    get(id) {
+      removeExpired();
+      const job = ID_REGEX.test(id) ? jobs.get(id) : null;
+      return job ? snapshot(job) : null;
+    },
+
+    /**
+     * Marks a file of a job as being processed.
+     *
+     * @param {string} id The ID of the job.
+     * @param {number} index The position of the file in the job.
+     */
+    start(id, index) {
+      const job = jobs.get(id);
+      job.files[index].state = JOB_FILE_STATES.PROCESSING;
+      publish(job);
+    },
+
+    /**
+     * Records the outcome of a file of a job. The job completes once every file has an outcome.
+     *
+     * @param {string} id The ID of the job.
+     * @param {number} index The position of the file in the job.
+     * @param {Object} result The outcome of the upload, as reported by POST /images.
+     */
+    finish(id, index, result) {
+      const job = jobs.get(id);
+      job.files[index].state = result.success
+        ? JOB_FILE_STATES.UPLOADED
+        : JOB_FILE_STATES.FAILED;
+      job.files[index].result = result;
+      job.uploaded += result.success ? 1 : 0;
+      job.failed += result.success ? 0 : 1;
+
+      if (job.uploaded + job.failed === job.total) {
+        job.status = JOB_STATES.COMPLETED;
+        job.completedAt = now();
+      }
+      publish(job);
+    },
+
+    /**
+     * Follows the changes to a job.
+     *
+     * @param {string} id The ID of the job.
+     * @param {Function} listener Called with the job each time it changes.
+     * @returns {Function} Stops following the job.
+     */
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+  };
+};
@@ -0,0 +1,80 @@
+import { createUploadJobStore } from "./jobs";
+
+describe("Upload job store", () => {
+  let clock;
+  let jobs;
+
+  beforeEach(() => {
+    clock = 0;
+    jobs = createUploadJobStore({ ttl: 60 * 1000, now: () => clock });
+  });
+
+  it("Creates a job with every file queued.", () => {
+    const job = jobs.create(["a.jpg", "b.jpg"]);
+    expect(job).toMatchObject({
+      status: "processing",
+      total: 2,
+      uploaded: 0,
+      failed: 0,
+      files: [
+        { file: "a.jpg", state: "queued", result: null },
+        { file: "b.jpg", state: "queued", result: null },
+      ],
+    });
+    expect(jobs.get(job.id)).toEqual(job);
+  });
+
+  it("Does not find unknown jobs.", () => {
+    expect(jobs.get("0".repeat(32))).toBeNull();
+    expect(jobs.get("../../etc/passwd")).toBeNull();
+  });
+
+  it("Records the progress of each file and completes once every file is done.", () => {
+    const { id } = jobs.create(["a.jpg", "b.jpg"]);
+
+    jobs.start(id, 0);
+    expect(jobs.get(id).files[0].state).toBe("processing");
+
+    jobs.finish(id, 0, { file: "a.jpg", success: true });
+    jobs.start(id, 1);
+    expect(jobs.get(id).status).toBe("processing");
+
+    clock = 500;
+    jobs.finish(id, 1, { file: "b.jpg", success: false });
+    expect(jobs.get(id)).toMatchObject({
+      status: "completed",
+      uploaded: 1,
+      failed: 1,
+      completedAt: 500,
+      files: [
+        { state: "uploaded", result: { file: "a.jpg", success: true } },
+        { state: "failed", result: { file: "b.jpg", success: false } },
+      ],
+    });
+  });
+
+  it("Tells subscribers of every change until they unsubscribe.", () => {
+    const { id } = jobs.create(["a.jpg"]);
+    const listener = jest.fn();
+    const unsubscribe = jobs.subscribe(id, listener);
+
+    jobs.start(id, 0);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: "processing" })
+    );
+
+    unsubscribe();
+    jobs.finish(id, 0, { success: true });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it("Removes jobs once they have been complete for longer than the TTL.", () => {
+    const { id } = jobs.create(["a.jpg"]);
+    jobs.finish(id, 0, { success: true });
+
+    clock = 60 * 1000;
+    expect(jobs.get(id)).not.toBeNull();
+    clock = 60 * 1000 + 1;
+    expect(jobs.get(id)).toBeNull();
+  });
+});
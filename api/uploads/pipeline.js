@@ -0,0 +1,320 @@
+import fs from "fs/promises";
+import {
+  ALLOWED_MIME_TYPES,
+  DEFAULT_PRIVACY_POLICY,
+  DUPLICATE_STATUSES,
+  MAX_FILE_SIZE,
+  NEAR_DUPLICATE_THRESHOLD,
+  PRIVACY_POLICIES,
+  UPLOAD_ERROR_CODES,
+} from "../config/uploads";
+import { toImageRecord } from "../metadata";
+import { EMBEDDED_METADATA_TYPES, readEmbeddedMetadata } from "./exif";
+import {
+  computeContentHash,
+  computePerceptualHash,
+  findDuplicates,
+} from "./hashing";
+import { inspectImage, isSameImageType } from "./inspect";
+import { stripPrivateMetadata } from "./privacy";
+
+/**
+ * Creates the pipeline that every received file passes through on its way to the storage backend.
+ * Files received whole by POST /images and files reassembled from chunks are handled identically.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage The storage provider to upload to.
+ * @param {Object} options.metadataStore The store to record uploaded images in.
+ * @param {Function|null} options.processImage The step that resizes oversized images, if they are to be resized.
+ * @returns {Function} A function that uploads a single file and reports the outcome.
+ */
+export const createUploadPipeline = ({
+  storage,
+  metadataStore,
+  processImage = null,
+}) => {
+  /**
+   * Uploads a single file and records its metadata.
+   *
+   * @param {Object} file A file on disk, in the format produced by multer.
+   * @param {Object} options
+   * @param {string|null} options.uploader The user that uploaded the file.
+   * @param {string|null} options.owner The ID of the authenticated user the image belongs to. Duplicates are only
+   * looked for among the images of the same owner.
+   * @param {string} options.privacy Whether to strip or keep location and identifying metadata, one of PRIVACY_POLICIES.
+   * @param {boolean} options.allowDuplicates Whether to upload a file whose contents have already been uploaded.
+   * @param {Array} options.tags The normalised tags to record against the image.
+   * @returns {Object} The outcome of the upload.
+   */
+  return async (
+    file,
+    {
+      uploader = null,
+      owner = null,
+      privacy = DEFAULT_PRIVACY_POLICY,
+      allowDuplicates = false,
+      tags = [],
+    } = {}
+  ) => {
+    // The response tracker will give the status of each file upload and is sent back to the client.
+    // The deletehash of the image is only recorded, as anyone holding it can delete an anonymous image.
+    const responseTracker = {
+      file: file.originalname,
+      success: false,
+      status: null,
+      id: null,
+      link: null,
+      detectedType: null,
+      originalSize: null,
+      finalSize: null,
+      metadataStripped: false,
+      duplicateStatus: null,
+      similarImages: [],
+      errorCode: null,
+      message: null,
+      retryAfter: null,
+    };
+
+    // If the filetype is not one of the allowed types, the upload will fail.
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      responseTracker.status = 415;
+      responseTracker.errorCode = UPLOAD_ERROR_CODES.UNSUPPORTED_TYPE;
+      responseTracker.message = `Files of type ${file.mimetype} are not supported.`;
+      return responseTracker;
+    }
+
+    // The declared type comes from the client, so the real format is detected from the contents of the file.
+    let inspection;
+    try {
+      inspection = await inspectImage(file.path);
+    } catch (error) {
+      console.error("Error inspecting upload:", error?.message ?? error);
+      responseTracker.status = 500;
+      responseTracker.message = "The file could not be read.";
+      return responseTracker;
+    }
+    responseTracker.detectedType = inspection.mimetype;
+
+    if (!inspection.mimetype) {
+      responseTracker.status = 415;
+      responseTracker.errorCode = UPLOAD_ERROR_CODES.UNSUPPORTED_TYPE;
+      responseTracker.message =
+        "The contents of the file are not in a supported format.";
+      return responseTracker;
+    }
+    if (!isSameImageType(file.mimetype, inspection.mimetype)) {
+      responseTracker.status = 415;
+      responseTracker.errorCode = UPLOAD_ERROR_CODES.TYPE_MISMATCH;
+      responseTracker.message = `The file was sent as ${file.mimetype} but its contents are ${inspection.mimetype}.`;
+      return responseTracker;
+    }
+    if (inspection.problem) {
+      responseTracker.status = 422;
+      responseTracker.errorCode = UPLOAD_ERROR_CODES.CORRUPT_FILE;
+      responseTracker.message = `The file is corrupt or truncated, as ${inspection.problem}.`;
+      return responseTracker;
+    }
+
+    // From here on the file is described by its detected type.
+    const inspectedFile = { ...file, mimetype: inspection.mimetype };
+    responseTracker.originalSize = file.size;
+
+    // Images already uploaded are found by the hashes of the file as it was received.
+    let hashes;
+    let duplicates;
+    try {
+      hashes = {
+        sha256: await computeContentHash(inspectedFile.path),
+        perceptualHash: await computePerceptualHash(inspectedFile.path),
+      };
+      const ownRecords = (await metadataStore.list()).filter(
+        (record) => (record.owner ?? null) === owner
+      );
+      duplicates = findDuplicates(ownRecords, hashes, NEAR_DUPLICATE_THRESHOLD);
+    } catch (error) {
+      console.error("Error checking for duplicates:", error?.message ?? error);
+      responseTracker.status = 500;
+      responseTracker.message =
+        "The file could not be compared with earlier uploads.";
+      return responseTracker;
+    }
+
+    responseTracker.similarImages = [
+      ...(duplicates.exact ? [{ record: duplicates.exact, distance: 0 }] : []),
+      ...duplicates.similar,
+    ].map(({ record, distance }) => ({
+      id: record.id,
+      link: record.link,
+      distance,
+    }));
+    if (duplicates.exact) {
+      responseTracker.duplicateStatus = DUPLICATE_STATUSES.DUPLICATE;
+    } else if (duplicates.similar.length > 0) {
+      responseTracker.duplicateStatus = DUPLICATE_STATUSES.NEAR_DUPLICATE;
+    }
+
+    // An exact duplicate is not uploaded again, and the image already uploaded is returned in its place.
+    if (duplicates.exact && !allowDuplicates) {
+      responseTracker.status = 200;
+      responseTracker.success = true;
+      responseTracker.id = duplicates.exact.id;
+      responseTracker.link = duplicates.exact.link;
+      return responseTracker;
+    }
+
+    // The metadata worth recording is read from the original, before anything is removed from it.
+    let embeddedMetadata = null;
+    if (EMBEDDED_METADATA_TYPES.includes(inspectedFile.mimetype)) {
+      embeddedMetadata = await readEmbeddedMetadata(inspectedFile.path, {
+        includeLocation: privacy === PRIVACY_POLICIES.KEEP,
+      }).catch((error) => {
+        console.error("Error reading image metadata:", error?.message ?? error);
+        return null;
+      });
+    }
+
+    // Oversized images are downscaled and recompressed to fit the limits of the storage backend.
+    let uploadFile = inspectedFile;
+    if (processImage) {
+      try {
+        uploadFile = await processImage(inspectedFile);
+      } catch (error) {
+        console.error("Error processing upload:", error?.message ?? error);
+        responseTracker.status = 422;
+        responseTracker.errorCode = UPLOAD_ERROR_CODES.CORRUPT_FILE;
+        responseTracker.message =
+          "The image could not be decoded to resize it.";
+        return responseTracker;
+      }
+    }
+
+    // Resized images are re-encoded without their metadata, so only untouched images need stripping.
+    if (privacy === PRIVACY_POLICIES.STRIP && !uploadFile.processed) {
+      try {
+        uploadFile = await stripPrivateMetadata(uploadFile);
+      } catch (error) {
+        console.error(
+          "Error stripping image metadata:",
+          error?.message ?? error
+        );
+        responseTracker.status = 422;
+        responseTracker.errorCode = UPLOAD_ERROR_CODES.CORRUPT_FILE;
+        responseTracker.message =
+          "The metadata of the image is malformed, so it could not be removed.";
+        return responseTracker;
+      }
+    }
+    responseTracker.metadataStripped =
+      privacy === PRIVACY_POLICIES.STRIP && embeddedMetadata !== null;
+    responseTracker.finalSize = uploadFile.size;
+
+    try {
+      if (uploadFile.size > MAX_FILE_SIZE) {
+        responseTracker.status = 413;
+        responseTracker.errorCode = UPLOAD_ERROR_CODES.TOO_LARGE;
+        responseTracker.message = `The file could not be reduced below ${MAX_FILE_SIZE} bytes.`;
+        return responseTracker;
+      }
+
+      let image;
+      try {
+        image = await storage.upload(uploadFile);
+      } catch (error) {
+        console.error(
+          "Error uploading image to Imgur:",
+          error?.message ?? error
+        );
+        responseTracker.status = error?.status ?? 500;
+        if (error?.status === 429) {
+          responseTracker.errorCode = UPLOAD_ERROR_CODES.RATE_LIMITED;
+          responseTracker.message =
+            "Imgur's rate limit has been reached, so the file could not be uploaded.";
+          responseTracker.retryAfter = error.retryAfter ?? null;
+        } else {
+          responseTracker.errorCode = UPLOAD_ERROR_CODES.UPSTREAM_ERROR;
+          responseTracker.message =
+            "Imgur rejected or failed to process the upload.";
+        }
+        return responseTracker;
+      }
+
+      try {
+        await metadataStore.insert(
+          toImageRecord(uploadFile, image, {
+            uploader,
+            owner,
+            embeddedMetadata,
+            hashes,
+            tags,
+          })
+        );
+      } catch (error) {
+        console.error(
+          "Error recording uploaded image:",
+          error?.message ?? error
+        );
+        responseTracker.status = 500;
+        responseTracker.errorCode = UPLOAD_ERROR_CODES.RECORD_FAILED;
+
+        // An image without a record cannot be listed, changed or deleted, so it is removed from the backend again.
+        // If that fails too, the client is told where the image is.
+        try {
+          await storage.delete(image.id);
+          responseTracker.message =
+            "The image could not be recorded, so it was removed again.";
+        } catch (deleteError) {
+          console.error(
+            "Error removing unrecorded image:",
+            deleteError?.message ?? deleteError
+          );
+          responseTracker.id = image.id ?? null;
+          responseTracker.link = image.link ?? null;
+          responseTracker.message =
+            "The image was uploaded but could not be recorded or removed again, so it remains on the storage backend.";
+        }
+        return responseTracker;
+      }
+
+      responseTracker.status = 200;
+      responseTracker.success = true;
+      responseTracker.id = image.id ?? null;
+      responseTracker.link = image.link ?? null;
+    } finally {
+      // The original is removed by the caller, but a processed copy is only known to the pipeline.
+      if (uploadFile.processed) {
+        await fs.rm(uploadFile.path, { force: true }).catch(() => {});
+      }
+    }
+
+    return responseTracker;
+  };
+};
+
+/**
+ * Summarises the outcomes of a request's uploads in the format returned to the client.
+ * Uploads refused because the storage backend is rate limited can be retried once the longest of their waits is over.
+ *
+ * @param {Array} results The outcome of each upload.
+ * @returns {Object} The HTTP status and body of the response, and the seconds to wait before retrying, if any.
+ */
+export const summariseUploads = (results) => {
+  const uploaded = results.filter((result) => result.success).length;
+  const waits = results
+    .map((result) => result.retryAfter)
+    .filter((retryAfter) => retryAfter);
+
+  let status = uploaded === results.length ? 200 : 207;
+  if (uploaded === 0 && results.every((result) => result.status === 429)) {
+    status = 429;
+  }
+
+  return {
+    status,
+    retryAfter: waits.length > 0 ? Math.max(...waits) : null,
+    body: {
+      uploaded,
+      failed: results.length - uploaded,
+      results,
+    },
+  };
+};
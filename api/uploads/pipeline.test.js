@@ -0,0 +1,302 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createUploadPipeline, summariseUploads } from "./pipeline";
+import { computePerceptualHash } from "./hashing";
+import { createMetadataStore } from "../metadata";
+import { MAX_FILE_SIZE } from "../config/uploads";
+import { EXIF_JPEG, JPEG_PIXEL, PNG_PIXEL } from "../fixtures/images";
+
+describe("Upload pipeline", () => {
+  let directory;
+  let storage;
+  let metadataStore;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "pipeline-"));
+    storage = {
+      upload: jest.fn(async (upload) => ({
+        id: "idstring",
+        link: "http://localhost/idstring.jpg",
+        size: fs.statSync(upload.path).size,
+      })),
+      delete: jest.fn(async () => {}),
+    };
+    metadataStore = createMetadataStore({ filePath: ":memory:" });
+
+    // The temporary copy of an upload, as written by multer.
+    const filePath = path.join(directory, "upload");
+    fs.writeFileSync(filePath, JPEG_PIXEL);
+    file = {
+      originalname: "test-file.jpg",
+      mimetype: "image/jpeg",
+      size: JPEG_PIXEL.length,
+      path: filePath,
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * A processing step that replaces the file with a smaller copy.
+   */
+  const shrinkTo = (contents) =>
+    jest.fn(async (upload) => {
+      const processedPath = `${upload.path}-processed`;
+      fs.writeFileSync(processedPath, contents);
+      return {
+        ...upload,
+        path: processedPath,
+        size: contents.length,
+        processed: true,
+      };
+    });
+
+  it("Uploads files that need no processing as they are.", async () => {
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+    const result = await processUpload(file);
+    expect(result).toMatchObject({
+      success: true,
+      originalSize: JPEG_PIXEL.length,
+      finalSize: JPEG_PIXEL.length,
+    });
+    expect(storage.upload).toHaveBeenCalledWith(
+      expect.objectContaining({ path: file.path })
+    );
+  });
+
+  it("Uploads the processed copy and reports both sizes.", async () => {
+    const processed = JPEG_PIXEL.subarray(0, 20);
+    const processImage = shrinkTo(
+      Buffer.concat([processed, Buffer.from([0xff, 0xd9])])
+    );
+    const processUpload = createUploadPipeline({
+      storage,
+      metadataStore,
+      processImage,
+    });
+
+    const result = await processUpload(file, { uploader: "tester" });
+    expect(result).toMatchObject({
+      success: true,
+      originalSize: JPEG_PIXEL.length,
+      finalSize: 22,
+    });
+    expect(processImage).toHaveBeenCalledWith(
+      expect.objectContaining({ path: file.path, mimetype: "image/jpeg" })
+    );
+    expect(storage.upload.mock.calls[0][0].path).toBe(`${file.path}-processed`);
+    expect((await metadataStore.get("idstring")).size).toBe(22);
+
+    // The processed copy is removed once uploaded, while the original is left for the caller.
+    expect(fs.readdirSync(directory)).toEqual(["upload"]);
+  });
+
+  it("Rejects files that remain too large after processing.", async () => {
+    const processUpload = createUploadPipeline({
+      storage,
+      metadataStore,
+      processImage: jest.fn(async (upload) => ({
+        ...upload,
+        size: MAX_FILE_SIZE + 1,
+        processed: false,
+      })),
+    });
+
+    const result = await processUpload(file);
+    expect(result).toMatchObject({
+      success: false,
+      status: 413,
+      errorCode: "TOO_LARGE",
+      finalSize: MAX_FILE_SIZE + 1,
+    });
+    expect(storage.upload).not.toHaveBeenCalled();
+  });
+
+  it("Rejects images that cannot be processed.", async () => {
+    const processUpload = createUploadPipeline({
+      storage,
+      metadataStore,
+      processImage: jest.fn().mockRejectedValue(new Error("Could not decode")),
+    });
+
+    const result = await processUpload(file);
+    expect(result).toMatchObject({
+      success: false,
+      status: 422,
+      errorCode: "CORRUPT_FILE",
+    });
+    expect(storage.upload).not.toHaveBeenCalled();
+  });
+
+  it("Removes the processed copy when the upload fails.", async () => {
+    storage.upload.mockRejectedValue({ status: 502 });
+    const processUpload = createUploadPipeline({
+      storage,
+      metadataStore,
+      processImage: shrinkTo(PNG_PIXEL),
+    });
+    file.mimetype = "image/png";
+    fs.writeFileSync(file.path, PNG_PIXEL);
+
+    const result = await processUpload(file);
+    expect(result).toMatchObject({ status: 502, errorCode: "UPSTREAM_ERROR" });
+    expect(fs.readdirSync(directory)).toEqual(["upload"]);
+  });
+
+  it("Removes the uploaded image again when it cannot be recorded.", async () => {
+    jest
+      .spyOn(metadataStore, "insert")
+      .mockRejectedValueOnce(new Error("Disk full"));
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+
+    const result = await processUpload(file);
+    expect(result).toMatchObject({
+      success: false,
+      status: 500,
+      errorCode: "RECORD_FAILED",
+      id: null,
+      message: "The image could not be recorded, so it was removed again.",
+    });
+    expect(storage.delete).toHaveBeenCalledWith("idstring");
+  });
+
+  it("Reports an unrecorded image that could not be removed again.", async () => {
+    jest
+      .spyOn(metadataStore, "insert")
+      .mockRejectedValueOnce(new Error("Disk full"));
+    storage.delete.mockRejectedValueOnce({ status: 502 });
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+
+    const result = await processUpload(file);
+    expect(result).toMatchObject({
+      success: false,
+      status: 500,
+      errorCode: "RECORD_FAILED",
+      id: "idstring",
+      link: "http://localhost/idstring.jpg",
+    });
+    expect(result.message).toMatch(/remains on the storage backend/);
+  });
+
+  it("Strips location and identifying metadata and records the rest.", async () => {
+    fs.writeFileSync(file.path, EXIF_JPEG);
+    file.size = EXIF_JPEG.length;
+    let uploadedContents;
+    storage.upload.mockImplementation(async (upload) => {
+      uploadedContents = fs.readFileSync(upload.path, "latin1");
+      return { id: "idstring" };
+    });
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+
+    const result = await processUpload(file);
+    expect(result).toMatchObject({ success: true, metadataStripped: true });
+    expect(result.finalSize).toBeLessThan(result.originalSize);
+    expect(uploadedContents).not.toContain("Jane Doe");
+    expect((await metadataStore.get("idstring")).exif).toMatchObject({
+      capturedAt: "2024-05-01T10:30:00",
+      model: "Canon EOS R5",
+      location: null,
+    });
+
+    // The stripped copy is removed once uploaded.
+    expect(fs.readdirSync(directory)).toEqual(["upload"]);
+  });
+
+  it("Keeps the metadata of images uploaded under the keep policy.", async () => {
+    fs.writeFileSync(file.path, EXIF_JPEG);
+    file.size = EXIF_JPEG.length;
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+
+    const result = await processUpload(file, { privacy: "keep" });
+    expect(result).toMatchObject({
+      success: true,
+      metadataStripped: false,
+      finalSize: EXIF_JPEG.length,
+    });
+    expect(storage.upload.mock.calls[0][0].path).toBe(file.path);
+    expect((await metadataStore.get("idstring")).exif.location).toEqual({
+      latitude: 51.5,
+      longitude: -0.125,
+    });
+  });
+
+  it("Returns the image already uploaded for an exact duplicate.", async () => {
+    storage.upload.mockResolvedValueOnce({
+      id: "idstring",
+      link: "http://localhost/idstring.jpg",
+      deletehash: "hashstring",
+    });
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+    const uploaded = await processUpload(file);
+    const result = await processUpload(file);
+
+    expect(storage.upload).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({
+      success: true,
+      status: 200,
+      id: "idstring",
+      link: "http://localhost/idstring.jpg",
+      duplicateStatus: "DUPLICATE",
+      similarImages: [
+        { id: "idstring", link: "http://localhost/idstring.jpg", distance: 0 },
+      ],
+    });
+
+    // The deletehash is recorded, but sent with neither upload.
+    expect((await metadataStore.get("idstring")).deletehash).toBe("hashstring");
+    expect(uploaded).not.toHaveProperty("deletehash");
+    expect(result).not.toHaveProperty("deletehash");
+  });
+
+  it("Uploads exact duplicates when they are allowed.", async () => {
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+    await processUpload(file);
+    storage.upload.mockResolvedValueOnce({ id: "copy" });
+    const result = await processUpload(file, { allowDuplicates: true });
+
+    expect(storage.upload).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ id: "copy", duplicateStatus: "DUPLICATE" });
+    expect((await metadataStore.get("copy")).sha256).toBe(
+      (await metadataStore.get("idstring")).sha256
+    );
+  });
+
+  it("Uploads near-duplicates and flags them.", async () => {
+    file.mimetype = "image/png";
+    fs.writeFileSync(file.path, PNG_PIXEL);
+    await metadataStore.insert({
+      id: "similar",
+      link: "http://localhost/similar.png",
+      sha256: "other",
+      perceptualHash: await computePerceptualHash(file.path),
+    });
+    const processUpload = createUploadPipeline({ storage, metadataStore });
+
+    const result = await processUpload(file);
+    expect(storage.upload).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({
+      success: true,
+      id: "idstring",
+      duplicateStatus: "NEAR_DUPLICATE",
+      similarImages: [
+        { id: "similar", link: "http://localhost/similar.png", distance: 0 },
+      ],
+    });
+  });
+
+  it("Summarises the outcome of a request.", () => {
+    expect(summariseUploads([{ success: true }, { success: false }])).toEqual({
+      status: 207,
+      retryAfter: null,
+      body: {
+        uploaded: 1,
+        failed: 1,
+        results: [{ success: true }, { success: false }],
+      },
+    });
+  });
+});
@@ -0,0 +1,269 @@
+import fs from "fs/promises";
+
+// The tags removed from each directory, as they record where an image was taken or who took it.
+// The GPS directory is removed whole, and maker notes are removed as they commonly hold serial numbers.
+const IMAGE_DIRECTORY_TAGS = {
+  0x013b: "Artist",
+  0x013c: "HostComputer",
+  0x02bc: "XMP",
+  0x83bb: "IPTC",
+  0x8649: "Photoshop",
+  0x8825: "GPSInfo",
+  0x9c9d: "XPAuthor",
+};
+const EXIF_DIRECTORY_TAGS = {
+  0x927c: "MakerNote",
+  0x9286: "UserComment",
+  0xa420: "ImageUniqueID",
+  0xa430: "CameraOwnerName",
+  0xa431: "BodySerialNumber",
+  0xa435: "LensSerialNumber",
+};
+const EXIF_POINTER_TAG = 0x8769;
+const GPS_POINTER_TAG = 0x8825;
+
+// The sizes in bytes of the TIFF field types, indexed by type.
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+// The headers that identify the segments of a JPEG holding metadata.
+const EXIF_HEADER = Buffer.from("Exif\0\0", "latin1");
+const XMP_HEADERS = [
+  Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1"),
+  Buffer.from("http://ns.adobe.com/xmp/extension/\0", "latin1"),
+];
+const IPTC_HEADER = Buffer.from("Photoshop 3.0\0", "latin1");
+
+/**
+ * An error raised when the metadata of an image is too malformed to be removed safely.
+ */
+export class PrivacyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PrivacyError";
+  }
+}
+
+/**
+ * Reads and edits the directories of a TIFF structure in place.
+ *
+ * @param {Buffer} tiff The TIFF structure, which is modified.
+ * @returns {Object}
+ */
+const openTiff = (tiff) => {
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") {
+    throw new PrivacyError("The metadata has no byte order.");
+  }
+  const littleEndian = order === "II";
+  const read16 = (position) =>
+    littleEndian ? tiff.readUInt16LE(position) : tiff.readUInt16BE(position);
+  const read32 = (position) =>
+    littleEndian ? tiff.readUInt32LE(position) : tiff.readUInt32BE(position);
+  const write16 = (value, position) =>
+    littleEndian
+      ? tiff.writeUInt16LE(value, position)
+      : tiff.writeUInt16BE(value, position);
+
+  const checkBounds = (start, length) => {
+    if (start < 0 || start + length > tiff.length) {
+      throw new PrivacyError("The metadata points outside the image.");
+    }
+  };
+
+  /**
+   * Reads the entries of a directory.
+   */
+  const readDirectory = (offset) => {
+    checkBounds(offset, 2);
+    const count = read16(offset);
+    checkBounds(offset, 2 + count * 12 + 4);
+
+    return Array.from({ length: count }, (_, index) => {
+      const position = offset + 2 + index * 12;
+      const size =
+        (TYPE_SIZES[read16(position + 2)] ?? 1) * read32(position + 4);
+      return {
+        position,
+        tag: read16(position),
+        // Values of up to four bytes are held in the entry itself.
+        valueOffset: size > 4 ? read32(position + 8) : null,
+        size,
+        pointer: read32(position + 8),
+      };
+    });
+  };
+
+  /**
+   * Blanks the value of an entry held outside the directory.
+   */
+  const eraseValue = (entry) => {
+    if (entry.valueOffset !== null) {
+      checkBounds(entry.valueOffset, entry.size);
+      tiff.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+    }
+  };
+
+  return {
+    read32,
+    readDirectory,
+
+    /**
+     * Removes the entries of a directory with the given tags, blanking their values.
+     * The remaining entries are moved up over the removed ones, so nothing else in the structure moves.
+     *
+     * @param {number} offset The position of the directory.
+     * @param {Object} tags The tags to remove.
+     * @returns {Array} The removed entries.
+     */
+    removeEntries(offset, tags) {
+      const entries = readDirectory(offset);
+      const removed = entries.filter((entry) => tags[entry.tag]);
+      if (removed.length === 0) {
+        return removed;
+      }
+
+      const end = offset + 2 + entries.length * 12 + 4;
+      const kept = entries
+        .filter((entry) => !tags[entry.tag])
+        .map((entry) =>
+          Buffer.from(tiff.subarray(entry.position, entry.position + 12))
+        );
+      const nextDirectory = Buffer.from(tiff.subarray(end - 4, end));
+
+      removed.forEach(eraseValue);
+      tiff.fill(0, offset, end);
+      write16(kept.length, offset);
+      Buffer.concat([...kept, nextDirectory]).copy(tiff, offset + 2);
+      return removed;
+    },
+
+    /**
+     * Blanks a directory and the values of all of its entries.
+     *
+     * @param {number} offset The position of the directory.
+     */
+    eraseDirectory(offset) {
+      const entries = readDirectory(offset);
+      entries.forEach(eraseValue);
+      tiff.fill(0, offset, offset + 2 + entries.length * 12 + 4);
+    },
+  };
+};
+
+/**
+ * Removes the location and identifying tags from a TIFF structure in place.
+ *
+ * @param {Buffer} tiff The TIFF structure, which is modified.
+ * @returns {boolean} Whether anything was removed.
+ */
+const stripTiff = (tiff) => {
+  const structure = openTiff(tiff);
+  const imageDirectory = structure.read32(4);
+
+  // The Exif directory is found before its pointer could be disturbed by removing other entries.
+  const exifPointer = structure
+    .readDirectory(imageDirectory)
+    .find((entry) => entry.tag === EXIF_POINTER_TAG);
+  const exifRemoved = exifPointer
+    ? structure.removeEntries(exifPointer.pointer, EXIF_DIRECTORY_TAGS)
+    : [];
+
+  const removed = structure.removeEntries(imageDirectory, IMAGE_DIRECTORY_TAGS);
+  removed
+    .filter((entry) => entry.tag === GPS_POINTER_TAG)
+    .forEach((entry) => structure.eraseDirectory(entry.pointer));
+
+  return removed.length + exifRemoved.length > 0;
+};
+
+/**
+ * Removes the location and identifying metadata from a JPEG.
+ * The EXIF segment has its location and identifying tags removed, while XMP and IPTC segments,
+ * which hold little else, are dropped whole.
+ *
+ * @param {Buffer} jpeg The JPEG.
+ * @returns {Buffer|null} The stripped JPEG, or null if there was nothing to remove.
+ */
+const stripJpeg = (jpeg) => {
+  const segments = [jpeg.subarray(0, 2)];
+  let changed = false;
+  let position = 2;
+
+  // Metadata segments precede the start of the scan, after which the image data is copied as it is.
+  while (position + 4 <= jpeg.length && jpeg[position] === 0xff) {
+    const marker = jpeg[position + 1];
+    if (marker === 0xda) {
+      break;
+    }
+    const end = position + 2 + jpeg.readUInt16BE(position + 2);
+    if (end > jpeg.length) {
+      throw new PrivacyError("A segment of the image is truncated.");
+    }
+    const payload = jpeg.subarray(position + 4, end);
+    const startsWith = (header) =>
+      payload.subarray(0, header.length).equals(header);
+
+    if (marker === 0xe1 && startsWith(EXIF_HEADER)) {
+      const segment = Buffer.from(jpeg.subarray(position, end));
+      changed = stripTiff(segment.subarray(4 + EXIF_HEADER.length)) || changed;
+      segments.push(segment);
+    } else if (
+      (marker === 0xe1 && XMP_HEADERS.some(startsWith)) ||
+      (marker === 0xed && startsWith(IPTC_HEADER))
+    ) {
+      changed = true;
+    } else {
+      segments.push(jpeg.subarray(position, end));
+    }
+    position = end;
+  }
+
+  if (!changed) {
+    return null;
+  }
+  segments.push(jpeg.subarray(position));
+  return Buffer.concat(segments);
+};
+
+/**
+ * Removes the location and identifying metadata, such as GPS coordinates, serial numbers and the
+ * photographer's name, from a JPEG or TIFF before it is sent to the storage backend.
+ * Fields that are useful when displaying the image, such as the capture date, orientation and camera, are kept.
+ * A stripped copy is written next to the original, which must be removed once it has been handled.
+ *
+ * @param {Object} file A file on disk, in the format produced by multer, with its detected type.
+ * @returns {Object} The file to upload, with processed set if it differs from the original.
+ */
+export const stripPrivateMetadata = async (file) => {
+  if (file.mimetype !== "image/jpeg" && file.mimetype !== "image/tiff") {
+    return file;
+  }
+
+  const contents = await fs.readFile(file.path);
+  let stripped;
+  try {
+    if (file.mimetype === "image/jpeg") {
+      stripped = stripJpeg(contents);
+    } else {
+      stripped = stripTiff(contents) ? contents : null;
+    }
+  } catch (error) {
+    // Reading past the end of the structure is reported in the same way as a pointer outside it.
+    if (error instanceof RangeError) {
+      throw new PrivacyError("The metadata points outside the image.");
+    }
+    throw error;
+  }
+
+  if (!stripped) {
+    return file;
+  }
+  const strippedPath = `${file.path}-stripped`;
+  await fs.writeFile(strippedPath, stripped);
+  return {
+    ...file,
+    path: strippedPath,
+    size: stripped.length,
+    processed: true,
+  };
+};
@@ -0,0 +1,90 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PrivacyError, stripPrivateMetadata } from "./privacy";
+import { readEmbeddedMetadata } from "./exif";
+import { inspectImage } from "./inspect";
+import {
+  EXIF_JPEG,
+  EXIF_TIFF,
+  JPEG_PIXEL,
+  PNG_PIXEL,
+  buildTiff,
+} from "../fixtures/images";
+
+describe("Privacy stripping", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "privacy-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeFile = (contents, mimetype) => {
+    const filePath = path.join(directory, "upload");
+    fs.writeFileSync(filePath, contents);
+    return {
+      originalname: "upload",
+      mimetype,
+      size: contents.length,
+      path: filePath,
+    };
+  };
+
+  it.each([
+    ["image/jpeg", EXIF_JPEG],
+    ["image/tiff", EXIF_TIFF],
+  ])(
+    "Removes location and identifying tags from a %s.",
+    async (mimetype, contents) => {
+      const file = writeFile(contents, mimetype);
+      const stripped = await stripPrivateMetadata(file);
+
+      expect(stripped).toMatchObject({ mimetype, processed: true });
+      expect(stripped.path).not.toBe(file.path);
+      expect(stripped.size).toBe(fs.statSync(stripped.path).size);
+
+      // The stripped copy is still an intact image.
+      expect(await inspectImage(stripped.path)).toEqual({
+        mimetype,
+        problem: null,
+      });
+
+      // The useful fields are kept, while nothing identifying remains anywhere in the file.
+      expect(
+        await readEmbeddedMetadata(stripped.path, { includeLocation: true })
+      ).toMatchObject({
+        capturedAt: "2024-05-01T10:30:00",
+        orientation: 6,
+        make: "Canon",
+        model: "Canon EOS R5",
+        lens: "RF24-105mm F4 L IS USM",
+        location: null,
+      });
+      const strippedContents = fs.readFileSync(stripped.path, "latin1");
+      expect(strippedContents).not.toContain("Jane Doe");
+      expect(strippedContents).not.toContain("012345678901");
+      expect(strippedContents).not.toContain("London");
+    }
+  );
+
+  it("Leaves images without metadata untouched.", async () => {
+    const file = writeFile(JPEG_PIXEL, "image/jpeg");
+    expect(await stripPrivateMetadata(file)).toEqual(file);
+    expect(fs.readdirSync(directory)).toEqual(["upload"]);
+  });
+
+  it("Leaves formats without EXIF untouched.", async () => {
+    const file = writeFile(PNG_PIXEL, "image/png");
+    expect(await stripPrivateMetadata(file)).toEqual(file);
+  });
+
+  it("Rejects metadata that points outside the image.", async () => {
+    const tiff = buildTiff([[[0x8825, 4, [0xffff]]]]);
+    const file = writeFile(tiff, "image/tiff");
+    await expect(stripPrivateMetadata(file)).rejects.toThrow(PrivacyError);
+  });
+});
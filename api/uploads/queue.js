@@ -0,0 +1,98 @@
+/**
+ * Creates a queue that bounds how many uploads are processed at once across the whole process.
+ *
+ * Uploads are grouped by the request they arrived in, and groups take turns to start their next upload, so that
+ * a request with many files cannot hold up requests that arrive after it. Within a group, smaller files start first,
+ * so that quick uploads are not stuck behind large ones.
+ *
+ * @param {Object} options
+ * @param {number} options.concurrency The most uploads processed at once.
+ * @param {Function} options.now Returns the current time in milliseconds.
+ * @returns {Object} The queue.
+ */
+export const createUploadQueue = ({ concurrency, now = Date.now }) => {
+  // The uploads waiting to start, keyed by their group. A Map keeps the groups in the order they take their turns.
+  const groups = new Map();
+  let active = 0;
+  let waiting = 0;
+
+  /**
+   * Runs an upload, then starts the next one.
+   */
+  const run = async (job) => {
+    try {
+      job.resolve(
+        await job.task({ depth: job.depth, wait: now() - job.enqueuedAt })
+      );
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      active -= 1;
+      startNext();
+    }
+  };
+
+  /**
+   * Starts waiting uploads while there is capacity, taking one from each group in turn.
+   */
+  const startNext = () => {
+    while (active < concurrency && groups.size > 0) {
+      const [group, jobs] = groups.entries().next().value;
+      const job = jobs.shift();
+
+      // The group moves to the back of the line, or leaves it once it has nothing left to start.
+      groups.delete(group);
+      if (jobs.length > 0) {
+        groups.set(group, jobs);
+      }
+
+      waiting -= 1;
+      active += 1;
+      run(job);
+    }
+  };
+
+  return {
+    /**
+     * Queues an upload.
+     *
+     * @param {Function} task Processes the upload, called with how many uploads were already waiting when it
+     * was queued as depth, and how long it waited, in milliseconds, as wait.
+     * @param {Object} options
+     * @param {*} options.group The request the upload belongs to. Each upload is its own group by default.
+     * @param {number} options.size The size of the file in bytes.
+     * @returns {Promise} Resolves with the result of the task once it has run.
+     */
+    enqueue(task, { group = Symbol("upload"), size = 0 } = {}) {
+      return new Promise((resolve, reject) => {
+        const job = {
+          task,
+          size,
+          resolve,
+          reject,
+          depth: waiting,
+          enqueuedAt: now(),
+        };
+
+        const jobs = groups.get(group) ?? [];
+        const index = jobs.findIndex((queued) => queued.size > size);
+        jobs.splice(index === -1 ? jobs.length : index, 0, job);
+        if (!groups.has(group)) {
+          groups.set(group, jobs);
+        }
+
+        waiting += 1;
+        startNext();
+      });
+    },
+
+    /**
+     * Returns how many uploads are being processed and how many are waiting.
+     *
+     * @returns {Object}
+     */
+    stats() {
+      return { active, waiting };
+    },
+  };
+};
@@ -0,0 +1,111 @@
+import { createUploadQueue } from "./queue";
+
+/**
+ * Creates a task that records when it starts and finishes once released.
+ */
+const createTask = (name, log) => {
+  let release;
+  const finished = new Promise((resolve) => {
+    release = resolve;
+  });
+  const task = jest.fn(async (queued) => {
+    log.push(name);
+    await finished;
+    return { name, ...queued };
+  });
+  return { task, release };
+};
+
+// Lets the queue start the tasks released so far.
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("Upload queue", () => {
+  it("Runs no more than the given number of uploads at once.", async () => {
+    const log = [];
+    const queue = createUploadQueue({ concurrency: 2 });
+    const tasks = ["a", "b", "c"].map((name) => createTask(name, log));
+    const results = tasks.map(({ task }) => queue.enqueue(task));
+
+    expect(log).toEqual(["a", "b"]);
+    expect(queue.stats()).toEqual({ active: 2, waiting: 1 });
+
+    tasks[0].release();
+    await flush();
+    expect(log).toEqual(["a", "b", "c"]);
+
+    tasks.forEach(({ release }) => release());
+    await Promise.all(results);
+    expect(queue.stats()).toEqual({ active: 0, waiting: 0 });
+  });
+
+  it("Takes turns between requests.", async () => {
+    const log = [];
+    const queue = createUploadQueue({ concurrency: 1 });
+    const blocker = createTask("blocker", log);
+    queue.enqueue(blocker.task);
+
+    // The first request queues three files before the second request arrives.
+    const tasks = ["a1", "a2", "a3", "b1", "b2"].map((name) =>
+      createTask(name, log)
+    );
+    const results = tasks.map(({ task }, index) =>
+      queue.enqueue(task, { group: index < 3 ? "a" : "b" })
+    );
+
+    blocker.release();
+    tasks.forEach(({ release }) => release());
+    await Promise.all(results);
+    expect(log).toEqual(["blocker", "a1", "b1", "a2", "b2", "a3"]);
+  });
+
+  it("Starts the smaller files of a request first.", async () => {
+    const log = [];
+    const queue = createUploadQueue({ concurrency: 1 });
+    const blocker = createTask("blocker", log);
+    queue.enqueue(blocker.task);
+
+    const sizes = { large: 5000, small: 10, medium: 500 };
+    const tasks = Object.keys(sizes).map((name) => createTask(name, log));
+    const results = tasks.map(({ task }, index) =>
+      queue.enqueue(task, { group: "a", size: Object.values(sizes)[index] })
+    );
+
+    blocker.release();
+    tasks.forEach(({ release }) => release());
+    await Promise.all(results);
+    expect(log).toEqual(["blocker", "small", "medium", "large"]);
+  });
+
+  it("Reports the depth of the queue and the time waited.", async () => {
+    let clock = 0;
+    const log = [];
+    const queue = createUploadQueue({ concurrency: 1, now: () => clock });
+    const first = createTask("first", log);
+    const second = createTask("second", log);
+    const third = createTask("third", log);
+
+    const firstResult = queue.enqueue(first.task);
+    const secondResult = queue.enqueue(second.task);
+    const thirdResult = queue.enqueue(third.task);
+
+    clock = 250;
+    first.release();
+    second.release();
+    third.release();
+
+    expect(await firstResult).toEqual({ name: "first", depth: 0, wait: 0 });
+    expect(await secondResult).toEqual({ name: "second", depth: 0, wait: 250 });
+    expect(await thirdResult).toEqual({ name: "third", depth: 1, wait: 250 });
+  });
+
+  it("Moves on to the next upload when one fails.", async () => {
+    const queue = createUploadQueue({ concurrency: 1 });
+    const failing = queue.enqueue(async () => {
+      throw new Error("Upload failed.");
+    });
+    const next = queue.enqueue(async () => "uploaded");
+
+    await expect(failing).rejects.toThrow("Upload failed.");
+    expect(await next).toBe("uploaded");
+  });
+});
@@ -0,0 +1,74 @@
+import fs from "fs/promises";
+import Jimp from "jimp";
+import { readDimensions } from "../metadata";
+
+// The formats that can be decoded and re-encoded. Animated images would lose their animation, so are left alone.
+const PROCESSABLE_TYPES = ["image/jpeg", "image/png"];
+
+// Each attempt that still produces too large a file shrinks the image by this factor, up to the attempt limit.
+const SHRINK_FACTOR = 0.8;
+const MAX_ATTEMPTS = 6;
+
+/**
+ * Creates the processing step that downscales and recompresses images which exceed the given limits.
+ * Images within the limits, and images that cannot be processed, are passed through untouched.
+ *
+ * @param {Object} options
+ * @param {number} options.maxFileSize The largest file, in bytes, that may be sent to the storage backend.
+ * @param {number} options.maxDimension The longest edge, in pixels, that an image may have.
+ * @param {number} options.quality The JPEG quality to recompress at, from 1 to 100.
+ * @returns {Function} A function that processes a single file.
+ */
+export const createImageProcessor = ({
+  maxFileSize,
+  maxDimension,
+  quality,
+}) => {
+  /**
+   * Processes a single file.
+   * A processed file is written next to the original, and must be removed once it has been handled.
+   *
+   * @param {Object} file A file on disk, in the format produced by multer, with its detected type.
+   * @returns {Object} The file to upload, with processed set if it differs from the original.
+   */
+  return async (file) => {
+    const { width, height } = readDimensions(file.path);
+    const isOversized =
+      file.size > maxFileSize || Math.max(width, height) > maxDimension;
+    if (!isOversized || !PROCESSABLE_TYPES.includes(file.mimetype)) {
+      return { ...file, processed: false };
+    }
+
+    const image = await Jimp.read(file.path);
+    let scale = Math.min(
+      1,
+      maxDimension / Math.max(image.bitmap.width, image.bitmap.height)
+    );
+
+    // Encode the image, shrinking it further until it fits.
+    let buffer;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+      const candidate = scale < 1 ? image.clone().scale(scale) : image;
+      if (file.mimetype === "image/jpeg") {
+        candidate.quality(quality);
+      } else {
+        candidate.deflateLevel(9);
+      }
+
+      buffer = await candidate.getBufferAsync(file.mimetype);
+      if (buffer.length <= maxFileSize) {
+        break;
+      }
+      scale *= SHRINK_FACTOR;
+    }
+
+    const processedPath = `${file.path}-processed`;
+    await fs.writeFile(processedPath, buffer);
+    return {
+      ...file,
+      path: processedPath,
+      size: buffer.length,
+      processed: true,
+    };
+  };
+};
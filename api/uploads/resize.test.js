@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Jimp from "jimp";
+import { createImageProcessor } from "./resize";
+import { GIF_PIXEL } from "../fixtures/images";
+import { readDimensions } from "../metadata";
+
+describe("Image processor", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "resize-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes an image filled with noise, so that it does not compress away, in the format produced by multer.
+   */
+  const writeImage = async (width, height, mimetype) => {
+    const image = new Jimp(width, height);
+    image.scan(0, 0, width, height, (x, y, index) => {
+      image.bitmap.data.writeUInt32BE(
+        ((Math.random() * 0xffffffff) | 0xff) >>> 0,
+        index
+      );
+    });
+    const contents = await image.quality(100).getBufferAsync(mimetype);
+
+    const filePath = path.join(directory, "upload");
+    fs.writeFileSync(filePath, contents);
+    return {
+      originalname: "upload",
+      mimetype,
+      size: contents.length,
+      path: filePath,
+    };
+  };
+
+  it("Passes images within the limits through untouched.", async () => {
+    const processImage = createImageProcessor({
+      maxFileSize: 1024 * 1024,
+      maxDimension: 100,
+      quality: 85,
+    });
+    const file = await writeImage(100, 50, Jimp.MIME_JPEG);
+    expect(await processImage(file)).toEqual({ ...file, processed: false });
+  });
+
+  it.each([Jimp.MIME_JPEG, Jimp.MIME_PNG])(
+    "Downscales a %s with an edge beyond the largest dimension.",
+    async (mimetype) => {
+      const processImage = createImageProcessor({
+        maxFileSize: 1024 * 1024,
+        maxDimension: 50,
+        quality: 85,
+      });
+      const file = await writeImage(200, 100, mimetype);
+      const processed = await processImage(file);
+
+      expect(processed).toMatchObject({ mimetype, processed: true });
+      expect(processed.path).not.toBe(file.path);
+      expect(processed.size).toBe(fs.statSync(processed.path).size);
+      expect(readDimensions(processed.path)).toEqual({ width: 50, height: 25 });
+
+      // The original is left in place for the caller to remove.
+      expect(fs.existsSync(file.path)).toBe(true);
+    }
+  );
+
+  it("Shrinks an image until it fits within the largest file size.", async () => {
+    const processImage = createImageProcessor({
+      maxFileSize: 8 * 1024,
+      maxDimension: 1000,
+      quality: 85,
+    });
+    const file = await writeImage(200, 200, Jimp.MIME_JPEG);
+    const processed = await processImage(file);
+
+    expect(file.size).toBeGreaterThan(8 * 1024);
+    expect(processed.size).toBeLessThanOrEqual(8 * 1024);
+    expect(readDimensions(processed.path).width).toBeLessThan(200);
+  });
+
+  it("Passes formats that cannot be processed through untouched.", async () => {
+    const processImage = createImageProcessor({
+      maxFileSize: 1,
+      maxDimension: 1,
+      quality: 85,
+    });
+    const filePath = path.join(directory, "upload.gif");
+    fs.writeFileSync(filePath, GIF_PIXEL);
+    const file = {
+      originalname: "upload.gif",
+      mimetype: "image/gif",
+      size: GIF_PIXEL.length,
+      path: filePath,
+    };
+    expect(await processImage(file)).toEqual({ ...file, processed: false });
+  });
+
+  it("Rejects images that cannot be decoded.", async () => {
+    const processImage = createImageProcessor({
+      maxFileSize: 1,
+      maxDimension: 1000,
+      quality: 85,
+    });
+    const filePath = path.join(directory, "upload.jpg");
+    fs.writeFileSync(filePath, Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+    await expect(
+      processImage({
+        originalname: "upload.jpg",
+        mimetype: "image/jpeg",
+        size: 4,
+        path: filePath,
+      })
+    ).rejects.toThrow();
+  });
+});
@@ -0,0 +1,314 @@
+import crypto from "crypto";
+import express from "express";
+import {
+  ALLOWED_MIME_TYPES,
+  DEFAULT_PRIVACY_POLICY,
+  MAX_CHUNK_SIZE,
+  MAX_RECEIVED_FILE_SIZE,
+  PRIVACY_POLICIES,
+  UPLOAD_ERROR_CODES,
+} from "../config/uploads";
+import { summariseUploads } from "./pipeline";
+import { parseTags } from "../metadata/tags";
+
+/**
+ * Checks a chunk against the checksum sent with it.
+ * Checksums are sent in the Upload-Checksum header as "sha256 <base64 digest>".
+ *
+ * @param {string|undefined} header The Upload-Checksum header.
+ * @param {Buffer} chunk The contents of the chunk.
+ * @returns {boolean} Whether the checksum is present and matches.
+ */
+const verifyChecksum = (header, chunk) => {
+  const [algorithm, digest] = (header ?? "").split(" ");
+  if (algorithm !== "sha256" || !digest) {
+    return false;
+  }
+  return crypto.createHash("sha256").update(chunk).digest("base64") === digest;
+};
+
+/**
+ * Describes a session to the client.
+ *
+ * @param {Object} session The session.
+ * @returns {Object}
+ */
+const describeSession = ({ id, filename, mimetype, size, offset }) => ({
+  id,
+  filename,
+  mimetype,
+  size,
+  offset,
+  chunkSize: MAX_CHUNK_SIZE,
+});
+
+/**
+ * Creates the routes of the resumable upload protocol.
+ *
+ * A file is uploaded by creating a session, appending the file to it in chunks and then completing it.
+ * If a chunk fails, the client reads the offset of the session and resumes from there.
+ * Once complete, the reassembled file passes through the same pipeline as files sent to POST /images.
+ * A session belongs to the user that started it, as recorded in req.user, and is hidden from everyone else.
+ *
+ * @param {Object} options
+ * @param {Object} options.sessions The upload session store.
+ * @param {Function} options.processUpload The upload pipeline.
+ * @returns {Object} An express router.
+ */
+export const createUploadSessionRouter = ({ sessions, processUpload }) => {
+  const router = express.Router();
+
+  // The IDs of the sessions being completed, so that a file is never uploaded twice by concurrent requests.
+  const completing = new Set();
+
+  /**
+   * Loads the session named in the URL, responding with a 404 if it does not exist or belongs to another user.
+   */
+  const loadSession = async (req, res, next) => {
+    try {
+      req.uploadSession = await sessions.get(req.params.uploadid);
+    } catch (error) {
+      next(error);
+      return;
+    }
+    if (
+      !req.uploadSession ||
+      (req.uploadSession.owner ?? null) !== (req.user?.id ?? null)
+    ) {
+      res.status(404).send("Upload not found.");
+      return;
+    }
+    next();
+  };
+
+  /**
+   * This endpoint is used to start a resumable upload.
+   *
+   * @param {string} filename The name of the file.
+   * @param {string} mimetype The type of the file.
+   * @param {number} size The size of the file in bytes.
+   * @param {string} privacy Whether to "strip" or "keep" location and identifying metadata. Defaults to DEFAULT_PRIVACY_POLICY.
+   * @param {boolean} allowDuplicates Whether to upload the file if its contents have already been uploaded.
+   * @param {Array} tags The tags to record against the image. Optional.
+   * @returns {Object} The session, including the largest chunk size accepted.
+   */
+  router.post("/", express.json(), async (req, res, next) => {
+    const {
+      filename,
+      mimetype,
+      size,
+      uploader = null,
+      privacy = DEFAULT_PRIVACY_POLICY,
+      allowDuplicates = false,
+    } = req.body ?? {};
+
+    if (typeof filename !== "string" || filename.length === 0) {
+      res.status(400).send("A filename must be given.");
+      return;
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      res.status(400).send("The size must be a positive integer.");
+      return;
+    }
+    if (!Object.values(PRIVACY_POLICIES).includes(privacy)) {
+      res
+        .status(400)
+        .send(
+          `The privacy policy must be one of: ${Object.values(PRIVACY_POLICIES).join(", ")}.`
+        );
+      return;
+    }
+    let tags;
+    try {
+      tags = parseTags(req.body?.tags);
+    } catch (error) {
+      res.status(error.status ?? 400).send(error.message);
+      return;
+    }
+    if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+      res.status(415).send({
+        errorCode: UPLOAD_ERROR_CODES.UNSUPPORTED_TYPE,
+        message: `Files of type ${mimetype} are not supported.`,
+      });
+      return;
+    }
+    if (size > MAX_RECEIVED_FILE_SIZE) {
+      res.status(413).send({
+        errorCode: UPLOAD_ERROR_CODES.TOO_LARGE,
+        message: `Files may not exceed ${MAX_RECEIVED_FILE_SIZE} bytes.`,
+      });
+      return;
+    }
+
+    try {
+      // Clear out abandoned uploads whenever a new one starts.
+      sessions.sweep().catch((error) => {
+        console.error(
+          "Error removing expired uploads:",
+          error?.message ?? error
+        );
+      });
+
+      const session = await sessions.create({
+        filename,
+        mimetype,
+        size,
+        uploader,
+        owner: req.user?.id ?? null,
+        privacy,
+        allowDuplicates: allowDuplicates === true,
+        tags,
+      });
+      res.status(201).send(describeSession(session));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * This endpoint is used to find how much of a file has been received, so that an upload can be resumed.
+   *
+   * @param {string} uploadid The ID of the session.
+   * @returns {Object} The session, including its offset.
+   */
+  router.get("/:uploadid", loadSession, (req, res) => {
+    res.status(200).send(describeSession(req.uploadSession));
+  });
+
+  /**
+   * This endpoint is used to append a chunk to a file.
+   * The chunk is sent as the raw request body, with its position in the Upload-Offset header
+   * and its checksum in the Upload-Checksum header.
+   *
+   * @param {string} uploadid The ID of the session.
+   * @returns {Object} The session, including its new offset.
+   */
+  router.patch(
+    "/:uploadid",
+    loadSession,
+    express.raw({ type: "application/octet-stream", limit: MAX_CHUNK_SIZE }),
+    async (req, res, next) => {
+      const offset = Number(req.get("Upload-Offset"));
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      if (!Number.isInteger(offset) || offset < 0) {
+        res.status(400).send("The Upload-Offset header must be given.");
+        return;
+      }
+      if (chunk.length === 0) {
+        res.status(400).send("The chunk must not be empty.");
+        return;
+      }
+      if (!verifyChecksum(req.get("Upload-Checksum"), chunk)) {
+        res.status(400).send({
+          errorCode: UPLOAD_ERROR_CODES.CHECKSUM_MISMATCH,
+          message: "The chunk does not match its checksum.",
+          offset: req.uploadSession.offset,
+        });
+        return;
+      }
+
+      try {
+        const session = await sessions.append(req.uploadSession, offset, chunk);
+        res.status(200).send(describeSession(session));
+      } catch (error) {
+        if (error?.errorCode) {
+          res.status(error.status).send({
+            errorCode: error.errorCode,
+            message: error.message,
+            offset: error.offset,
+          });
+          return;
+        }
+        next(error);
+      }
+    }
+  );
+
+  /**
+   * This endpoint is used to finish an upload once every chunk has been received.
+   * The session is kept if the storage backend fails or is rate limited, so that completion can be retried without
+   * resending the file.
+   * Completing a session that is already being completed is refused with a 409.
+   *
+   * @param {string} uploadid The ID of the session.
+   * @returns {Object} A multi-status report with the result of the upload, as returned by POST /images.
+   */
+  router.post("/:uploadid/complete", loadSession, async (req, res, next) => {
+    if (req.uploadSession.offset < req.uploadSession.size) {
+      res.status(409).send({
+        errorCode: UPLOAD_ERROR_CODES.INCOMPLETE_UPLOAD,
+        message: `Only ${req.uploadSession.offset} of ${req.uploadSession.size} bytes have been received.`,
+        offset: req.uploadSession.offset,
+      });
+      return;
+    }
+
+    const { id } = req.uploadSession;
+    if (completing.has(id)) {
+      res.status(409).send({
+        errorCode: UPLOAD_ERROR_CODES.ALREADY_COMPLETING,
+        message: "The upload is already being completed.",
+        offset: req.uploadSession.offset,
+      });
+      return;
+    }
+    completing.add(id);
+
+    try {
+      const result = await processUpload(sessions.toFile(req.uploadSession), {
+        uploader: req.uploadSession.uploader,
+        owner: req.uploadSession.owner ?? null,
+        privacy: req.uploadSession.privacy,
+        allowDuplicates: req.uploadSession.allowDuplicates,
+        tags: req.uploadSession.tags ?? [],
+      });
+      const canRetry =
+        result.status >= 500 ||
+        result.errorCode === UPLOAD_ERROR_CODES.RATE_LIMITED;
+      if (result.success || !canRetry) {
+        await sessions.remove(req.uploadSession.id);
+      }
+
+      const { status, retryAfter, body } = summariseUploads([result]);
+      if (retryAfter !== null) {
+        res.set("Retry-After", `${retryAfter}`);
+      }
+      res.status(status).send(body);
+    } catch (error) {
+      next(error);
+    } finally {
+      completing.delete(id);
+    }
+  });
+
+  /**
+   * This endpoint is used to abandon an upload.
+   *
+   * @param {string} uploadid The ID of the session.
+   */
+  router.delete("/:uploadid", loadSession, async (req, res, next) => {
+    try {
+      await sessions.remove(req.uploadSession.id);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Chunks larger than MAX_CHUNK_SIZE are rejected by the body parser, and anything else unexpected is a 500.
+  router.use((error, req, res, next) => {
+    if (error?.type === "entity.too.large") {
+      res.status(413).send({
+        errorCode: UPLOAD_ERROR_CODES.TOO_LARGE,
+        message: `Chunks may not exceed ${MAX_CHUNK_SIZE} bytes.`,
+        offset: req.uploadSession?.offset,
+      });
+      return;
+    }
+    console.error("Error handling resumable upload:", error?.message ?? error);
+    res.status(500).send("Failed to handle the upload.");
+  });
+
+  return router;
+};
@@ -0,0 +1,320 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import express from "express";
+import { createUploadSessionStore } from "./sessions";
+import { createUploadSessionRouter } from "./router";
+import {
+  MAX_CHUNK_SIZE,
+  MAX_FILE_SIZE,
+  MAX_RECEIVED_FILE_SIZE,
+} from "../config/uploads";
+
+/**
+ * Computes the Upload-Checksum header of a chunk.
+ */
+const checksum = (chunk) =>
+  `sha256 ${crypto.createHash("sha256").update(chunk).digest("base64")}`;
+
+describe("Resumable upload router", () => {
+  let directory;
+  let processUpload;
+  let app;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "upload-router-"));
+    processUpload = jest.fn(async (file) => ({
+      file: file.originalname,
+      success: true,
+      status: 200,
+      id: "idstring",
+      contents: fs.readFileSync(file.path).toString(),
+    }));
+    app = express();
+    // Stand in for the authentication of the main router, naming the caller in a header.
+    app.use((req, res, next) => {
+      const id = req.get("X-Test-User");
+      req.user = id ? { id, role: "user" } : undefined;
+      next();
+    });
+    app.use(
+      "/uploads",
+      createUploadSessionRouter({
+        sessions: createUploadSessionStore({ directory, ttl: 60 * 1000 }),
+        processUpload,
+      })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createSession = (size = 8) =>
+    request(app)
+      .post("/uploads")
+      .send({ filename: "test-file.jpg", mimetype: "image/jpeg", size });
+
+  const sendChunk = (id, offset, chunk, header = checksum(chunk)) =>
+    request(app)
+      .patch(`/uploads/${id}`)
+      .set("Content-Type", "application/octet-stream")
+      .set("Upload-Offset", `${offset}`)
+      .set("Upload-Checksum", header)
+      .send(chunk);
+
+  describe("POST /uploads", () => {
+    it("Starts an upload.", async () => {
+      const response = await createSession();
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({
+        id: expect.any(String),
+        filename: "test-file.jpg",
+        mimetype: "image/jpeg",
+        size: 8,
+        offset: 0,
+        chunkSize: MAX_CHUNK_SIZE,
+      });
+    });
+
+    it("Rejects unsupported types.", async () => {
+      const response = await request(app)
+        .post("/uploads")
+        .send({ filename: "test-file.txt", mimetype: "text/plain", size: 8 });
+      expect(response.status).toBe(415);
+      expect(response.body.errorCode).toBe("UNSUPPORTED_TYPE");
+    });
+
+    it("Rejects files that are too large.", async () => {
+      const response = await createSession(MAX_RECEIVED_FILE_SIZE + 1);
+      expect(response.status).toBe(413);
+      expect(response.body.errorCode).toBe("TOO_LARGE");
+    });
+
+    it("Rejects missing details.", async () => {
+      expect((await request(app).post("/uploads").send({})).status).toBe(400);
+      expect((await createSession(-1)).status).toBe(400);
+    });
+
+    it("Rejects an unknown privacy policy.", async () => {
+      const response = await request(app).post("/uploads").send({
+        filename: "test-file.jpg",
+        mimetype: "image/jpeg",
+        size: 8,
+        privacy: "sometimes",
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it("Rejects invalid tags.", async () => {
+      const response = await request(app).post("/uploads").send({
+        filename: "test-file.jpg",
+        mimetype: "image/jpeg",
+        size: 8,
+        tags: [42],
+      });
+      expect(response.status).toBe(400);
+      expect(response.text).toBe("tags must be a list of tags.");
+    });
+  });
+
+  describe("PATCH /uploads/:uploadid", () => {
+    it("Appends chunks and reports the new offset.", async () => {
+      const { id } = (await createSession()).body;
+      const response = await sendChunk(id, 0, Buffer.from("abcd"));
+      expect(response.status).toBe(200);
+      expect(response.body.offset).toBe(4);
+
+      const status = await request(app).get(`/uploads/${id}`);
+      expect(status.body.offset).toBe(4);
+    });
+
+    it("Rejects chunks that do not match their checksum.", async () => {
+      const { id } = (await createSession()).body;
+      const response = await sendChunk(
+        id,
+        0,
+        Buffer.from("abcd"),
+        checksum(Buffer.from("wxyz"))
+      );
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        errorCode: "CHECKSUM_MISMATCH",
+        offset: 0,
+      });
+    });
+
+    it("Rejects chunks at the wrong offset and reports the correct one.", async () => {
+      const { id } = (await createSession()).body;
+      await sendChunk(id, 0, Buffer.from("abcd"));
+      const response = await sendChunk(id, 0, Buffer.from("abcd"));
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({
+        errorCode: "OFFSET_MISMATCH",
+        offset: 4,
+      });
+    });
+
+    it("Rejects chunks without an offset or contents.", async () => {
+      const { id } = (await createSession()).body;
+      const withoutOffset = await request(app)
+        .patch(`/uploads/${id}`)
+        .set("Content-Type", "application/octet-stream")
+        .send(Buffer.from("abcd"));
+      expect(withoutOffset.status).toBe(400);
+      const withoutContents = await request(app)
+        .patch(`/uploads/${id}`)
+        .set("Upload-Offset", "0");
+      expect(withoutContents.status).toBe(400);
+    });
+
+    it("Rejects chunks that are too large.", async () => {
+      const { id } = (await createSession(MAX_FILE_SIZE)).body;
+      const chunk = Buffer.alloc(MAX_CHUNK_SIZE + 1);
+      const response = await sendChunk(id, 0, chunk);
+      expect(response.status).toBe(413);
+      expect(response.body.errorCode).toBe("TOO_LARGE");
+    });
+
+    it("Returns a 404 for unknown uploads.", async () => {
+      const response = await sendChunk("unknown", 0, Buffer.from("abcd"));
+      expect(response.status).toBe(404);
+      expect(response.text).toBe("Upload not found.");
+    });
+  });
+
+  describe("POST /uploads/:uploadid/complete", () => {
+    it("Passes the reassembled file through the upload pipeline.", async () => {
+      const { id } = (await createSession()).body;
+      await sendChunk(id, 0, Buffer.from("abcd"));
+      await sendChunk(id, 4, Buffer.from("efgh"));
+
+      const response = await request(app).post(`/uploads/${id}/complete`);
+      expect(response.status).toBe(200);
+      expect(processUpload).toHaveBeenCalledWith(expect.any(Object), {
+        uploader: null,
+        owner: null,
+        privacy: "strip",
+        allowDuplicates: false,
+        tags: [],
+      });
+      expect(response.body).toMatchObject({
+        uploaded: 1,
+        failed: 0,
+        results: [
+          { file: "test-file.jpg", id: "idstring", contents: "abcdefgh" },
+        ],
+      });
+
+      // The session is removed once the upload succeeds.
+      expect((await request(app).get(`/uploads/${id}`)).status).toBe(404);
+    });
+
+    it("Rejects uploads that have not been fully received.", async () => {
+      const { id } = (await createSession()).body;
+      await sendChunk(id, 0, Buffer.from("abcd"));
+      const response = await request(app).post(`/uploads/${id}/complete`);
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({
+        errorCode: "INCOMPLETE_UPLOAD",
+        offset: 4,
+      });
+      expect(processUpload).not.toHaveBeenCalled();
+    });
+
+    it("Keeps the upload if the storage backend fails, so it can be retried.", async () => {
+      processUpload.mockResolvedValueOnce({
+        success: false,
+        status: 502,
+        errorCode: "UPSTREAM_ERROR",
+      });
+      const { id } = (await createSession()).body;
+      await sendChunk(id, 0, Buffer.from("abcdefgh"));
+
+      const failed = await request(app).post(`/uploads/${id}/complete`);
+      expect(failed.status).toBe(207);
+      const retried = await request(app).post(`/uploads/${id}/complete`);
+      expect(retried.status).toBe(200);
+    });
+
+    it("Keeps the upload if the storage backend is rate limited, so it can be retried.", async () => {
+      processUpload.mockResolvedValueOnce({
+        success: false,
+        status: 429,
+        errorCode: "RATE_LIMITED",
+        retryAfter: 30,
+      });
+      const { id } = (await createSession()).body;
+      await sendChunk(id, 0, Buffer.from("abcdefgh"));
+
+      const limited = await request(app).post(`/uploads/${id}/complete`);
+      expect(limited.status).toBe(429);
+      expect(limited.headers["retry-after"]).toBe("30");
+      const retried = await request(app).post(`/uploads/${id}/complete`);
+      expect(retried.status).toBe(200);
+      expect(retried.body.results[0]).toMatchObject({
+        success: true,
+        contents: "abcdefgh",
+      });
+    });
+
+    it("Refuses to complete an upload that is already being completed.", async () => {
+      let finish;
+      processUpload.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            finish = () =>
+              resolve({ file: "test-file.jpg", success: true, status: 200 });
+          })
+      );
+      const { id } = (await createSession()).body;
+      await sendChunk(id, 0, Buffer.from("abcdefgh"));
+
+      const first = request(app).post(`/uploads/${id}/complete`).then();
+      await new Promise((resolve) => {
+        const check = () => (finish ? resolve() : setImmediate(check));
+        check();
+      });
+      const second = await request(app).post(`/uploads/${id}/complete`);
+      expect(second.status).toBe(409);
+      expect(second.body).toMatchObject({ errorCode: "ALREADY_COMPLETING" });
+
+      finish();
+      expect((await first).status).toBe(200);
+      expect(processUpload).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("Ownership", () => {
+    it("Hides an upload from everyone but the user that started it.", async () => {
+      const { id } = (await createSession().set("X-Test-User", "alice")).body;
+      const other = await request(app)
+        .get(`/uploads/${id}`)
+        .set("X-Test-User", "bob");
+      expect(other.status).toBe(404);
+
+      await sendChunk(id, 0, Buffer.from("abcdefgh")).set(
+        "X-Test-User",
+        "alice"
+      );
+      const response = await request(app)
+        .post(`/uploads/${id}/complete`)
+        .set("X-Test-User", "alice");
+      expect(response.status).toBe(200);
+      expect(processUpload).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ owner: "alice" })
+      );
+    });
+  });
+
+  describe("DELETE /uploads/:uploadid", () => {
+    it("Abandons an upload.", async () => {
+      const { id } = (await createSession()).body;
+      expect((await request(app).delete(`/uploads/${id}`)).status).toBe(204);
+      expect(fs.readdirSync(directory)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { UPLOAD_ERROR_CODES } from "../config/uploads";
+
+// Session IDs are generated as hex strings, anything else cannot refer to a session.
+const ID_REGEX = /^[a-f0-9]{32}$/;
+
+/**
+ * An error raised when a chunk cannot be appended to an upload session.
+ */
+export class UploadSessionError extends Error {
+  /**
+   * @param {string} message A description of the failure.
+   * @param {number} status The HTTP status to respond with.
+   * @param {string} errorCode The error code reported to the client.
+   * @param {number} offset The number of bytes the session holds.
+   */
+  constructor(message, status, errorCode, offset) {
+    super(message);
+    this.name = "UploadSessionError";
+    this.status = status;
+    this.errorCode = errorCode;
+    this.offset = offset;
+  }
+}
+
+/**
+ * Creates a store of resumable upload sessions.
+ * Each session is a partial file on disk that chunks are appended to, next to a JSON file describing it.
+ * The offset of a session is the size of its partial file, so a session survives a restart of the server.
+ *
+ * @param {Object} options
+ * @param {string} options.directory The directory to keep sessions in.
+ * @param {number} options.ttl How long, in milliseconds, a session is kept after it was last appended to.
+ * @returns {Object} An upload session store.
+ */
+export const createUploadSessionStore = ({ directory, ttl }) => {
+  const detailsPath = (id) => path.join(directory, `${id}.json`);
+  const partPath = (id) => path.join(directory, `${id}.part`);
+
+  // The sessions that a chunk is currently being appended to.
+  const appending = new Set();
+
+  /**
+   * Reads the number of bytes a session holds.
+   *
+   * @param {string} id The ID of the session.
+   * @returns {number}
+   */
+  const readOffset = async (id) => (await fs.stat(partPath(id))).size;
+
+  /**
+   * Removes the files of a session.
+   *
+   * @param {string} id The ID of the session.
+   */
+  const remove = async (id) => {
+    await fs.rm(partPath(id), { force: true });
+    await fs.rm(detailsPath(id), { force: true });
+  };
+
+  /**
+   * Retrieves a session, or null if it does not exist or has expired.
+   *
+   * @param {string} id The ID of the session.
+   * @returns {Object|null} The session, including its current offset.
+   */
+  const get = async (id) => {
+    if (!ID_REGEX.test(id)) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(detailsPath(id), "utf8"));
+      session.offset = await readOffset(id);
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+
+    if (Date.now() - session.updatedAt > ttl) {
+      await remove(id);
+      return null;
+    }
+    return session;
+  };
+
+  return {
+    get,
+    remove,
+
+    /**
+     * Starts a new session.
+     *
+     * @param {Object} details
+     * @param {string} details.filename The name of the file being uploaded.
+     * @param {string} details.mimetype The type of the file being uploaded.
+     * @param {number} details.size The size, in bytes, of the file being uploaded.
+     * @param {string|null} details.uploader The user uploading the file.
+     * @param {string|null} details.owner The ID of the authenticated user uploading the file.
+     * @param {string} details.privacy The privacy policy to upload the file under.
+     * @param {boolean} details.allowDuplicates Whether to upload the file if it has already been uploaded.
+     * @param {Array} details.tags The normalised tags to record against the image.
+     * @returns {Object} The session.
+     */
+    async create({
+      filename,
+      mimetype,
+      size,
+      uploader = null,
+      owner = null,
+      privacy,
+      allowDuplicates = false,
+      tags = [],
+    }) {
+      const now = Date.now();
+      const session = {
+        id: crypto.randomBytes(16).toString("hex"),
+        filename,
+        mimetype,
+        size,
+        uploader,
+        owner,
+        privacy,
+        allowDuplicates,
+        tags,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(partPath(session.id), "");
+      await fs.writeFile(detailsPath(session.id), JSON.stringify(session));
+      return { ...session, offset: 0 };
+    },
+
+    /**
+     * Appends a chunk to a session.
+     * The chunk must start at the current offset of the session, and may not extend beyond the declared size.
+     *
+     * @param {Object} session The session, as returned by get.
+     * @param {number} offset The position in the file that the chunk starts at.
+     * @param {Buffer} chunk The contents of the chunk.
+     * @returns {Object} The session, including its new offset.
+     */
+    async append(session, offset, chunk) {
+      if (appending.has(session.id)) {
+        throw new UploadSessionError(
+          "Another chunk is being appended to this upload.",
+          409,
+          UPLOAD_ERROR_CODES.OFFSET_MISMATCH,
+          session.offset
+        );
+      }
+
+      appending.add(session.id);
+      try {
+        const currentOffset = await readOffset(session.id);
+        if (offset !== currentOffset) {
+          throw new UploadSessionError(
+            `The chunk must start at offset ${currentOffset}.`,
+            409,
+            UPLOAD_ERROR_CODES.OFFSET_MISMATCH,
+            currentOffset
+          );
+        }
+        if (offset + chunk.length > session.size) {
+          throw new UploadSessionError(
+            "The chunk extends beyond the declared size of the file.",
+            413,
+            UPLOAD_ERROR_CODES.TOO_LARGE,
+            currentOffset
+          );
+        }
+
+        await fs.appendFile(partPath(session.id), chunk);
+        const updatedAt = Date.now();
+        await fs.writeFile(
+          detailsPath(session.id),
+          JSON.stringify({ ...session, offset: undefined, updatedAt })
+        );
+        return { ...session, offset: offset + chunk.length, updatedAt };
+      } finally {
+        appending.delete(session.id);
+      }
+    },
+
+    /**
+     * Describes the reassembled file of a complete session in the format produced by multer.
+     *
+     * @param {Object} session The session.
+     * @returns {Object} The file.
+     */
+    toFile(session) {
+      return {
+        originalname: session.filename,
+        mimetype: session.mimetype,
+        size: session.size,
+        path: partPath(session.id),
+      };
+    },
+
+    /**
+     * Removes every session that has expired.
+     */
+    async sweep() {
+      let entries;
+      try {
+        entries = await fs.readdir(directory);
+      } catch (error) {
+        if (error?.code === "ENOENT") {
+          return;
+        }
+        throw error;
+      }
+
+      // Reading a session removes it if it has expired.
+      await Promise.all(
+        entries
+          .filter((entry) => entry.endsWith(".json"))
+          .map((entry) => get(path.basename(entry, ".json")).catch(() => {}))
+      );
+    },
+  };
+};
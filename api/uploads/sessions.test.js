@@ -0,0 +1,91 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createUploadSessionStore } from "./sessions";
+
+describe("Upload session store", () => {
+  let directory;
+  let sessions;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "upload-sessions-"));
+    sessions = createUploadSessionStore({ directory, ttl: 60 * 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const details = {
+    filename: "test-file.jpg",
+    mimetype: "image/jpeg",
+    size: 8,
+  };
+
+  it("Creates an empty session.", async () => {
+    const session = await sessions.create(details);
+    expect(session).toMatchObject({ ...details, offset: 0 });
+    expect(await sessions.get(session.id)).toMatchObject({ offset: 0 });
+  });
+
+  it("Reassembles appended chunks in order.", async () => {
+    let session = await sessions.create(details);
+    session = await sessions.append(session, 0, Buffer.from("abcd"));
+    session = await sessions.append(session, 4, Buffer.from("efgh"));
+    expect(session.offset).toBe(8);
+    expect(fs.readFileSync(sessions.toFile(session).path).toString()).toBe(
+      "abcdefgh"
+    );
+  });
+
+  it("Rejects chunks that do not start at the current offset.", async () => {
+    const session = await sessions.create(details);
+    await expect(
+      sessions.append(session, 4, Buffer.from("efgh"))
+    ).rejects.toMatchObject({
+      status: 409,
+      errorCode: "OFFSET_MISMATCH",
+      offset: 0,
+    });
+  });
+
+  it("Rejects chunks that extend beyond the declared size.", async () => {
+    const session = await sessions.create(details);
+    await expect(
+      sessions.append(session, 0, Buffer.from("abcdefghi"))
+    ).rejects.toMatchObject({ status: 413, errorCode: "TOO_LARGE" });
+  });
+
+  it("Rejects a chunk whilst another is being appended.", async () => {
+    const session = await sessions.create(details);
+    const results = await Promise.allSettled([
+      sessions.append(session, 0, Buffer.from("abcd")),
+      sessions.append(session, 0, Buffer.from("abcd")),
+    ]);
+    expect(results.map((result) => result.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect((await sessions.get(session.id)).offset).toBe(4);
+  });
+
+  it("Survives being recreated, as after a restart.", async () => {
+    const session = await sessions.create(details);
+    await sessions.append(session, 0, Buffer.from("abcd"));
+    const reloaded = createUploadSessionStore({ directory, ttl: 60 * 1000 });
+    expect(await reloaded.get(session.id)).toMatchObject({ offset: 4 });
+  });
+
+  it("Expires sessions that have not been appended to.", async () => {
+    const session = await sessions.create(details);
+    jest.spyOn(Date, "now").mockReturnValue(session.updatedAt + 60 * 1000 + 1);
+    await sessions.sweep();
+    expect(fs.readdirSync(directory)).toEqual([]);
+    expect(await sessions.get(session.id)).toBeNull();
+  });
+
+  it("Ignores IDs that cannot refer to a session.", async () => {
+    expect(await sessions.get("../../etc/passwd")).toBeNull();
+  });
+});
@@ -1,23 +1,69 @@
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useEffect } from "react";
 import Header from "./Header";
+import LoginView from "./LoginView";
 import UploadConsole from "./UploadConsole";
 import ImageGrid from "./ImageGrid";
+import {
+  SESSION_CHANGES,
+  getSession,
+  signOut,
+  subscribeToSession,
+} from "../utils/session";
 
 function App() {
-  //TODO: A significant gain in performance can be achieved by only
-  // pulling the specific number of images needed. This could be achieved
-  // by using a paginated endpoint and converting recompute to a number of images.
-  const [recompute, setRecompute] = useState(true);
+  // The image grid is reloaded from its first page whenever the refresh key changes.
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  // The signed-in session, and whether the last one ended because it expired rather than by signing out.
+  const [session, setSession] = useState(getSession);
+  const [isExpired, setIsExpired] = useState(false);
+
+  // The upload console and grid stay mounted, though hidden, while an expired session signs in again,
+  // so that the files selected for upload are kept. Signing out clears them.
+  const [isWorkspaceMounted, setIsWorkspaceMounted] = useState(
+    () => getSession() !== null
+  );
+  // The user the workspace belongs to. If another user signs in after a session expires, the workspace is
+  // mounted afresh, so that they are not left with the previous user's files, albums and choices.
+  const [workspaceUserId, setWorkspaceUserId] = useState(
+    () => getSession()?.user?.id ?? null
+  );
+
+  useEffect(
+    () =>
+      subscribeToSession((nextSession, change) => {
+        setSession(nextSession);
+        if (change === SESSION_CHANGES.SIGNED_IN) {
+          setIsExpired(false);
+          setIsWorkspaceMounted(true);
+          setWorkspaceUserId(nextSession?.user?.id ?? null);
+          setRefreshKey((prev) => prev + 1);
+        } else if (change === SESSION_CHANGES.EXPIRED) {
+          setIsExpired(true);
+        } else if (change === SESSION_CHANGES.SIGNED_OUT) {
+          setIsExpired(false);
+          setIsWorkspaceMounted(false);
+        }
+      }),
+    []
+  );
 
   const handleUploadSuccess = useCallback(() => {
-    setRecompute((prev) => !prev);
+    setRefreshKey((prev) => prev + 1);
   }, []);
 
   return (
     <div className="bg-base-200  min-h-screen flex flex-col">
-      <Header />
-      <UploadConsole onUploadSuccess={handleUploadSuccess} />
-      <ImageGrid recompute={recompute} setRecompute={setRecompute} />
+      <Header user={session?.user ?? null} onSignOut={signOut} />
+      {session ? <></> : <LoginView expired={isExpired} />}
+      {isWorkspaceMounted ? (
+        <div key={workspaceUserId} hidden={!session}>
+          <UploadConsole onUploadSuccess={handleUploadSuccess} />
+          <ImageGrid refreshKey={refreshKey} />
+        </div>
+      ) : (
+        <></>
+      )}
     </div>
   );
 }
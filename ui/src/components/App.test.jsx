@@ -7,29 +7,78 @@ import {
   waitFor,
 } from "@testing-library/react";
 import App from "./App";
+import {
+  SESSION_CHANGES,
+  getSession,
+  signOut,
+  subscribeToSession,
+} from "../utils/session";
+
+// The session is mocked, so that tests can sign in and out by calling the listener the App subscribes with.
+jest.mock("../utils/session", () => ({
+  ...jest.requireActual("../utils/session"),
+  getSession: jest.fn(),
+  signOut: jest.fn(),
+  subscribeToSession: jest.fn(),
+}));
 
 // Mock child components.
-// The Header component is a simple component that renders a logo.
-jest.mock("./Header", () => () => <div data-testid="header">Header</div>);
+// The Header component renders a logo, and a menu that signs the user out.
+jest.mock("./Header", () => ({ user, onSignOut }) => (
+  <div data-testid="header">
+    Header - user: {user?.id ?? "none"}
+    <button onClick={onSignOut}>Sign Out</button>
+  </div>
+));
 
-// Here, the primary thing to test is the onUploadSuccess prop that the UploadConsole component receives.
-jest.mock("./UploadConsole", () => ({ onUploadSuccess }) => (
-  <button data-testid="upload-console" onClick={onUploadSuccess}>
-    UploadConsole
-  </button>
+// The LoginView component is shown in place of the workspace while signed out.
+jest.mock("./LoginView", () => ({ expired }) => (
+  <div data-testid="login-view">LoginView - expired: {String(expired)}</div>
 ));
 
-// The main thing to test in the ImageGrid component is the recompute prop that it receives and the setRecompute prop that it calls.
-jest.mock("./ImageGrid", () => ({ recompute, setRecompute }) => (
-  <div data-testid="image-grid">
-    ImageGrid - recompute: {recompute.toString()}
-    <button onClick={() => setRecompute((prev) => !prev)}>
-      Toggle Recompute
-    </button>
-  </div>
+// Here, the primary thing to test is the onUploadSuccess prop that the UploadConsole component receives.
+// The number of files selected stands in for the state the console keeps.
+jest.mock("./UploadConsole", () => {
+  const { useState } = jest.requireActual("react");
+  return ({ onUploadSuccess }) => {
+    const [fileCount, setFileCount] = useState(0);
+    return (
+      <>
+        <button data-testid="upload-console" onClick={onUploadSuccess}>
+          UploadConsole
+        </button>
+        <button onClick={() => setFileCount((prev) => prev + 1)}>
+          Select File - files: {fileCount}
+        </button>
+      </>
+    );
+  };
+});
+
+// The main thing to test in the ImageGrid component is the refreshKey prop that it receives.
+jest.mock("./ImageGrid", () => ({ refreshKey }) => (
+  <div data-testid="image-grid">ImageGrid - refreshKey: {refreshKey}</div>
 ));
 
+const session = {
+  user: { id: "alice", role: "user" },
+  accessToken: "access",
+  refreshToken: "refresh",
+  expiresAt: Date.now() + 60 * 60 * 1000,
+};
+
 describe("App", () => {
+  let changeSession;
+
+  beforeEach(() => {
+    getSession.mockReturnValue(session);
+    subscribeToSession.mockImplementation((listener) => {
+      changeSession = (nextSession, change) =>
+        act(() => listener(nextSession, change));
+      return () => {};
+    });
+  });
+
   // Test that the header component renders.
   test("The header component renders.", () => {
     render(<App />);
@@ -51,46 +100,95 @@ describe("App", () => {
     expect(imageGridElement).toBeInTheDocument();
   });
 
-  // Test that the recompute state is updated when the upload console triggers an upload success.
-  test("Update the recompute state from UploadConsole.", async () => {
-    // This is the initial action upon page load - the recompute state is true then becomes false.
+  // Test that the refresh key is updated when the upload console triggers an upload success.
+  test("Update the refresh key from UploadConsole.", async () => {
     render(<App />);
     const uploadConsoleElement = screen.getByTestId("upload-console");
-    const imageGridButton = screen.getByText("Toggle Recompute");
     const imageGridElement = screen.getByTestId("image-grid");
+    expect(imageGridElement).toHaveTextContent("refreshKey: 0");
+
+    // This is the equivalent of a successful upload - the image grid should be refreshed.
     act(() => {
-      fireEvent.click(imageGridButton);
+      fireEvent.click(uploadConsoleElement);
     });
-
-    // The recompute state is false.
     await waitFor(() => {
-      expect(imageGridElement).toHaveTextContent("recompute: false");
+      expect(imageGridElement).toHaveTextContent("refreshKey: 1");
     });
 
-    // This is the equivalent of a successful upload - the image grid should recompute.
+    // Every subsequent upload refreshes the grid again.
     act(() => {
       fireEvent.click(uploadConsoleElement);
     });
-
-    // The recompute state should now be true.
     await waitFor(() => {
-      expect(imageGridElement).toHaveTextContent("recompute: true");
+      expect(imageGridElement).toHaveTextContent("refreshKey: 2");
     });
   });
 
-  // Test that the recompute state is updated when recompute is toggled from the ImageGrid component.
-  test("toggles recompute state from ImageGrid", () => {
+  // Test that the login view is shown while signed out.
+  test("The login view is shown while signed out.", () => {
+    getSession.mockReturnValue(null);
     render(<App />);
-    const imageGridElement = screen.getByTestId("image-grid");
-    const imageGridButton = screen.getByText("Toggle Recompute");
-    expect(imageGridElement).toHaveTextContent("recompute: true");
-    act(() => {
-      fireEvent.click(imageGridButton);
-    });
-    expect(imageGridElement).toHaveTextContent("recompute: false");
-    act(() => {
-      fireEvent.click(imageGridButton);
-    });
-    expect(imageGridElement).toHaveTextContent("recompute: true");
+    expect(screen.getByTestId("login-view")).toHaveTextContent(
+      "expired: false"
+    );
+    expect(screen.queryByTestId("upload-console")).not.toBeInTheDocument();
+    expect(screen.queryByTestId("image-grid")).not.toBeInTheDocument();
+    expect(screen.getByTestId("header")).toHaveTextContent("user: none");
+  });
+
+  // Test that signing in shows the workspace.
+  test("Signing in shows the workspace.", () => {
+    getSession.mockReturnValue(null);
+    render(<App />);
+    changeSession(session, SESSION_CHANGES.SIGNED_IN);
+    expect(screen.queryByTestId("login-view")).not.toBeInTheDocument();
+    expect(screen.getByTestId("upload-console")).toBeVisible();
+    expect(screen.getByTestId("header")).toHaveTextContent("user: alice");
+  });
+
+  // Test that the workspace is kept, though hidden, while an expired session signs in again.
+  test("The workspace is kept when the session expires.", () => {
+    render(<App />);
+    changeSession(null, SESSION_CHANGES.EXPIRED);
+    expect(screen.getByTestId("login-view")).toHaveTextContent("expired: true");
+    expect(screen.getByTestId("upload-console")).not.toBeVisible();
+
+    changeSession(session, SESSION_CHANGES.SIGNED_IN);
+    expect(screen.queryByTestId("login-view")).not.toBeInTheDocument();
+    expect(screen.getByTestId("upload-console")).toBeVisible();
+    expect(screen.getByTestId("image-grid")).toHaveTextContent("refreshKey: 1");
+  });
+
+  // Test that the workspace of the previous user is cleared when another user signs in after it expires.
+  test("The workspace is cleared when another user signs in.", () => {
+    render(<App />);
+    fireEvent.click(screen.getByText(/Select File/));
+    changeSession(null, SESSION_CHANGES.EXPIRED);
+    changeSession(session, SESSION_CHANGES.SIGNED_IN);
+    expect(screen.getByText(/Select File/)).toHaveTextContent("files: 1");
+
+    changeSession(null, SESSION_CHANGES.EXPIRED);
+    changeSession(
+      { ...session, user: { id: "bob", role: "user" } },
+      SESSION_CHANGES.SIGNED_IN
+    );
+    expect(screen.getByText(/Select File/)).toHaveTextContent("files: 0");
+    expect(screen.getByTestId("header")).toHaveTextContent("user: bob");
+  });
+
+  // Test that signing out clears the workspace.
+  test("Signing out clears the workspace.", () => {
+    render(<App />);
+    changeSession(null, SESSION_CHANGES.SIGNED_OUT);
+    expect(screen.getByTestId("login-view")).toBeInTheDocument();
+    expect(screen.queryByTestId("upload-console")).not.toBeInTheDocument();
+  });
+
+  // Test that the header signs the user out.
+  test("The header is given the user and signs them out.", () => {
+    render(<App />);
+    expect(screen.getByTestId("header")).toHaveTextContent("user: alice");
+    fireEvent.click(screen.getByText("Sign Out"));
+    expect(signOut).toHaveBeenCalled();
   });
 });
@@ -1,9 +1,23 @@
-import React from "react";
+import React, { useState } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faRightFromBracket, faUser } from "@fortawesome/free-solid-svg-icons";
 import logo from "../assets/images/logo-green-tld.svg";
 
-const Header = () => {
+/**
+ * The header of the page, with the logo and, once signed in, a menu for the user.
+ * @param {Object|null} user - the signed-in user, with their ID and role, or null if no one is signed in.
+ * @param {function} onSignOut - called when the user chooses to sign out.
+ */
+const Header = ({ user = null, onSignOut = () => {} }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+
+  const handleSignOut = () => {
+    setIsMenuOpen(false);
+    onSignOut();
+  };
+
   return (
-    <div className="navbar flex justify-center items-center h-16">
+    <div className="navbar flex justify-center items-center h-16 relative">
       <a
         className="btn btn-ghost text-xl inline-flex items-center"
         href="https://www.wexler.ai"
@@ -12,6 +26,41 @@ const Header = () => {
       >
         <img src={logo} alt="Logo" />
       </a>
+      {user ? (
+        <div className="absolute right-4">
+          <button
+            type="button"
+            className="btn btn-ghost"
+            onClick={() => setIsMenuOpen(!isMenuOpen)}
+            aria-haspopup="menu"
+            aria-expanded={isMenuOpen}
+            aria-label="User menu"
+          >
+            <FontAwesomeIcon icon={faUser} />
+            {user.id}
+          </button>
+          {isMenuOpen ? (
+            <ul
+              className="menu bg-base-100 rounded-box shadow absolute right-0 z-20 w-52 p-2"
+              role="menu"
+            >
+              <li className="menu-title">
+                {user.role === "admin" ? "Administrator" : "User"}
+              </li>
+              <li>
+                <button type="button" role="menuitem" onClick={handleSignOut}>
+                  <FontAwesomeIcon icon={faRightFromBracket} />
+                  Sign Out
+                </button>
+              </li>
+            </ul>
+          ) : (
+            <></>
+          )}
+        </div>
+      ) : (
+        <></>
+      )}
     </div>
   );
 };
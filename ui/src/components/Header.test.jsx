@@ -1,5 +1,5 @@
 import React from "react";
-import { render, screen } from "@testing-library/react";
+import { render, screen, fireEvent } from "@testing-library/react";
 import Header from "./Header";
 import logo from "../assets/images/logo-green-tld.svg";
 
@@ -25,4 +25,27 @@ describe("Header", () => {
     expect(linkElement).toHaveAttribute("target", "_blank");
     expect(linkElement).toHaveAttribute("rel", "noopener noreferrer");
   });
+
+  // Test that the user menu is only shown while signed in.
+  test("The user menu is shown while signed in.", () => {
+    const { rerender } = render(<Header />);
+    expect(screen.queryByLabelText("User menu")).not.toBeInTheDocument();
+    rerender(<Header user={{ id: "alice", role: "user" }} />);
+    expect(screen.getByLabelText("User menu")).toHaveTextContent("alice");
+  });
+
+  // Test that the user menu shows the role of the user, and signs them out.
+  test("The user menu signs the user out.", () => {
+    const onSignOut = jest.fn();
+    render(
+      <Header user={{ id: "root", role: "admin" }} onSignOut={onSignOut} />
+    );
+    expect(screen.queryByRole("menu")).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText("User menu"));
+    expect(screen.getByRole("menu")).toHaveTextContent("Administrator");
+    fireEvent.click(screen.getByRole("menuitem", { name: /Sign Out/ }));
+    expect(onSignOut).toHaveBeenCalled();
+    expect(screen.queryByRole("menu")).not.toBeInTheDocument();
+  });
 });
@@ -1,77 +1,471 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import {
   API_ENDPOINT_BASE,
   IMAGES_ENDPOINT_SUFFIX,
+  MAX_BULK_DELETE,
   IMAGE_ENDPOINT_SUFFIX,
   IMGUR_DOMAIN_PREFIX,
+  IMAGES_PER_PAGE,
+  EVENTS_ENDPOINT_SUFFIX,
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  SEARCH_DEBOUNCE_DELAY,
+  MAX_TAG_SUGGESTIONS,
+  SORT_OPTIONS,
+  TYPE_FILTER_OPTIONS,
+  SESSION_REFRESH_MARGIN,
 } from "../config/constants";
+import { pickGridThumbnailSize } from "../utils/thumbnails";
+import { applyGalleryEvent } from "../utils/galleryEvents";
+import { fetchAlbums } from "../utils/albums";
+import { fetchTags, parseTagInput, validateTags } from "../utils/tags";
+import {
+  SESSION_CHANGES,
+  authFetch,
+  getSession,
+  refreshSession,
+  subscribeToSession,
+  withAccessToken,
+} from "../utils/session";
+import {
+  DEFAULT_LISTING,
+  appendListing,
+  isFiltered,
+  readListing,
+  writeListing,
+} from "../utils/listing";
+
+// The changes to the gallery the API broadcasts.
+const GALLERY_EVENT_TYPES = ["image-created", "image-updated", "image-deleted"];
+
+/**
+ * Fetches a single page of images from the API.
+ * @param {string|null} cursor - the cursor of the page to fetch, or null for the first page.
+ * @param {string} thumbnailSize - the Imgur thumbnail suffix of the thumbnail links.
+ * @param {Object} filters
+ * @param {string} filters.albumId - the ID of the album to list the images of, or an empty string for every image.
+ * @param {string} filters.query - the words to search for, or an empty string to list every image.
+ * @param {string[]} filters.tags - the tags every image listed must carry.
+ * @param {Object} filters.listing - the sort and filters chosen in the toolbar.
+ * @returns {Object} the page of images, the total number of images and the cursor of the next page.
+ */
+const fetchImagePage = async (
+  cursor,
+  thumbnailSize,
+  { albumId, query, tags, listing }
+) => {
+  const params = new URLSearchParams({
+    perPage: IMAGES_PER_PAGE,
+    size: thumbnailSize,
+  });
+  appendListing(params, listing);
+  if (cursor) {
+    params.set("cursor", cursor);
+  }
+  if (albumId) {
+    params.set("album", albumId);
+  }
+  if (query) {
+    params.set("q", query);
+  }
+  if (tags.length > 0) {
+    params.set("tags", tags.join(","));
+  }
+  const response = await authFetch(
+    `${API_ENDPOINT_BASE}${IMAGES_ENDPOINT_SUFFIX}?${params.toString()}`
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to fetch images: ${response.status}`);
+  }
+  return response.json();
+};
 
 /**
  * A component that displays a grid of images.
- * @param {boolean} recompute - a flag that triggers a re-render of the component.
- * @param {function} setRecompute - a function to set the recompute flag.
+ * Images are loaded a page at a time, further pages are loaded as the user scrolls.
+ * Images uploaded, updated or deleted by other clients are merged into the grid as the API broadcasts them.
+ * The grid can be narrowed down to the images in a single album, searched by words as the user types,
+ * and narrowed down further to the images carrying chosen tags.
+ * The images can be sorted and filtered by type, upload date, animation and size. These choices are kept in the
+ * URL of the page, so that they survive a reload and can be shared.
+ * The title and description of each image can be edited in place on its card.
+ * Images can be selected and deleted together.
+ * @param {number} refreshKey - a value that, when changed, reloads the grid from the first page.
  */
-const ImageGrid = ({ recompute, setRecompute }) => {
+const ImageGrid = ({ refreshKey }) => {
   // STATE INPUT VARIABLES
   const [images, setImages] = useState([]);
-  const [isDeleting, setIsDeleting] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  // The IDs of the images being deleted, whose buttons are disabled until the deletion finishes.
+  const [deletingIds, setDeletingIds] = useState(new Set());
+  // The IDs of the images selected for deletion.
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [isBulkDeleting, setIsBulkDeleting] = useState(false);
   const [isError, setIsError] = useState(false);
+  // The image being edited, with the title, description and tags entered so far, or null.
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  // The albums the grid can be narrowed down to, and the ID of the one chosen, if any.
+  const [albums, setAlbums] = useState([]);
+  const [albumId, setAlbumId] = useState("");
+  // The search as typed, the search the grid was last pulled with, and the tags the grid is narrowed down to.
+  const [searchText, setSearchText] = useState("");
+  const [query, setQuery] = useState("");
+  const [tagFilters, setTagFilters] = useState([]);
+  // The tags in use, suggested as filters.
+  const [tagSuggestions, setTagSuggestions] = useState([]);
+  // The sort and filters chosen in the toolbar, starting from those in the URL.
+  const [listing, setListing] = useState(() =>
+    readListing(window.location.search)
+  );
+
+  // The thumbnail size is picked once, to fit the grid on the current screen.
+  const [thumbnailSize] = useState(pickGridThumbnailSize);
+  // Changes whenever the session is given a new access token, so that the gallery events are followed with it.
+  const [eventStreamKey, setEventStreamKey] = useState(0);
+
+  // REF VARIABLES
+  // The element at the end of the grid, further pages are loaded when it scrolls into view.
+  const sentinelRef = useRef(null);
+
+  // The images displayed and whether there are further pages, read by the gallery event listeners.
+  // They are kept in refs so that the listeners always see the latest values without resubscribing.
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+  const hasMoreRef = useRef(false);
+  hasMoreRef.current = Boolean(nextCursor);
+  const albumIdRef = useRef(albumId);
+  albumIdRef.current = albumId;
+  const isSearchingRef = useRef(false);
+  isSearchingRef.current = Boolean(query) || tagFilters.length > 0;
+  // Whether the grid is filtered or sorted other than by upload date, newest first.
+  const isRearrangedRef = useRef(false);
+  isRearrangedRef.current =
+    isFiltered(listing) ||
+    listing.sort !== DEFAULT_LISTING.sort ||
+    listing.order !== DEFAULT_LISTING.order;
+
+  // The IDs of images deleted by this client, which are already removed when the API broadcasts their deletion.
+  const deletedIdsRef = useRef(new Set());
 
   // USE EFFECTS
-  // Pull the images from the Imgur API.
+  // Pull the albums from the API whenever the grid is refreshed, as an upload may have created one.
   useEffect(() => {
-    if (recompute) {
-      const fetchImages = async () => {
-        try {
-          // Fetch the images from the API.
-          const response = await fetch(
-            `${API_ENDPOINT_BASE}${IMAGES_ENDPOINT_SUFFIX}`
-          );
-          if (!response.ok) {
-            setIsError(true);
-            return;
-          }
-          // Parse the response.
-          const images = await response.json();
-
-          // Set the images in the state.
-          setImages(images);
-          setRecompute(false);
-        } catch (error) {
-          console.error("Error fetching images:", error);
+    let isCancelled = false;
+    fetchAlbums().then((fetchedAlbums) => {
+      if (!isCancelled) {
+        setAlbums(fetchedAlbums);
+      }
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [refreshKey]);
+
+  // Pull the tags in use whenever the grid is refreshed, as an upload may have added some.
+  useEffect(() => {
+    let isCancelled = false;
+    fetchTags().then((fetchedTags) => {
+      if (!isCancelled) {
+        setTagSuggestions(fetchedTags);
+      }
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [refreshKey]);
+
+  // Search once the user stops typing, rather than on every keystroke.
+  useEffect(() => {
+    const timeout = setTimeout(
+      () => setQuery(searchText.trim()),
+      SEARCH_DEBOUNCE_DELAY
+    );
+    return () => clearTimeout(timeout);
+  }, [searchText]);
+
+  // Keep the sort and filters in the URL, replacing the current history entry rather than adding one per change.
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const nextSearch = writeListing(search, listing);
+    if (nextSearch !== search) {
+      window.history.replaceState(
+        window.history.state,
+        "",
+        `${pathname}${nextSearch}${hash}`
+      );
+    }
+  }, [listing]);
+
+  // Pull the first page of images from the API whenever the grid is refreshed, or the album, search, tags,
+  // sort or filters change.
+  useEffect(() => {
+    let isCancelled = false;
+
+    const fetchFirstPage = async () => {
+      setIsLoading(true);
+      try {
+        const page = await fetchImagePage(null, thumbnailSize, {
+          albumId,
+          query,
+          tags: tagFilters,
+          listing,
+        });
+
+        // A newer refresh may have started whilst this page was being fetched.
+        if (isCancelled) {
+          return;
+        }
+        setImages(page.images);
+        setTotal(page.total);
+        setNextCursor(page.nextCursor);
+        setIsError(false);
+      } catch (error) {
+        console.error("Error fetching images:", error);
+        if (!isCancelled) {
           setIsError(true);
         }
-      };
+      }
+      if (!isCancelled) {
+        setIsLoading(false);
+      }
+    };
+
+    fetchFirstPage();
+    return () => {
+      isCancelled = true;
+    };
+  }, [refreshKey, thumbnailSize, albumId, query, tagFilters, listing]);
 
-      // Fetch the images.
-      fetchImages();
+  // The access token the gallery events are followed with expires, so the stream is reopened with each new one.
+  useEffect(
+    () =>
+      subscribeToSession((session, change) => {
+        if (
+          change === SESSION_CHANGES.REFRESHED ||
+          change === SESSION_CHANGES.SIGNED_IN
+        ) {
+          setEventStreamKey((prev) => prev + 1);
+        }
+      }),
+    []
+  );
+
+  // Merge the changes other clients make to the gallery, as the API broadcasts them.
+  // Browsers without EventSource only see changes when the grid is refreshed.
+  useEffect(() => {
+    if (typeof window.EventSource === "undefined") {
+      return;
+    }
+    // EventSource cannot send headers, so the access token is sent in the URL.
+    const events = new window.EventSource(
+      withAccessToken(
+        `${API_ENDPOINT_BASE}${EVENTS_ENDPOINT_SUFFIX}?size=${thumbnailSize}`
+      )
+    );
+    GALLERY_EVENT_TYPES.forEach((type) =>
+      events.addEventListener(type, (event) => {
+        const image = JSON.parse(event.data);
+        if (type === "image-deleted" && deletedIdsRef.current.has(image.id)) {
+          return;
+        }
+        // Newly uploaded images are not in any album yet, so do not belong in a grid narrowed down to one.
+        // Whether they match a search or filter, or where they fall in another order, is only known to the API,
+        // so they are left out of those too.
+        if (
+          type === "image-created" &&
+          (albumIdRef.current ||
+            isSearchingRef.current ||
+            isRearrangedRef.current)
+        ) {
+          return;
+        }
+        const change = applyGalleryEvent(
+          imagesRef.current,
+          type,
+          image,
+          hasMoreRef.current
+        );
+        imagesRef.current = change.images;
+        setImages(change.images);
+        setTotal((prevTotal) => Math.max(prevTotal + change.totalChange, 0));
+      })
+    );
+    // EventSource reconnects by itself, but gives up once the API refuses the access token in the URL. If the token
+    // has expired, refreshing the session reopens the stream with a new one.
+    events.onerror = () => {
+      const session = getSession();
+      if (
+        events.readyState === window.EventSource.CLOSED &&
+        session &&
+        session.expiresAt - Date.now() < SESSION_REFRESH_MARGIN
+      ) {
+        refreshSession().catch(() => {});
+      }
+    };
+    return () => events.close();
+  }, [thumbnailSize, eventStreamKey]);
+
+  /**
+   * Appends the next page of images to the grid.
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || isLoading) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const page = await fetchImagePage(nextCursor, thumbnailSize, {
+        albumId,
+        query,
+        tags: tagFilters,
+        listing,
+      });
+
+      // Skip any image that is already displayed.
+      setImages((prevImages) => {
+        const displayedIds = new Set(prevImages.map((image) => image.id));
+        return [
+          ...prevImages,
+          ...page.images.filter((image) => !displayedIds.has(image.id)),
+        ];
+      });
+      setTotal(page.total);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error("Error fetching images:", error);
+      setIsError(true);
+    }
+    setIsLoading(false);
+  }, [
+    nextCursor,
+    isLoading,
+    thumbnailSize,
+    albumId,
+    query,
+    tagFilters,
+    listing,
+  ]);
+
+  // Load the next page when the end of the grid scrolls into view.
+  // Browsers without IntersectionObserver fall back to the Load More button.
+  useEffect(() => {
+    if (
+      !nextCursor ||
+      !sentinelRef.current ||
+      typeof IntersectionObserver === "undefined"
+    ) {
+      return;
     }
-  }, [setRecompute, recompute]);
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadMore();
+        }
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
 
   // ACTION HANDLERS
 
+  /**
+   * Narrows the grid down to the images carrying a tag, as well as any tags chosen already.
+   * @param {string} tag - the tag.
+   */
+  const addTagFilter = (tag) =>
+    setTagFilters((prevTags) =>
+      prevTags.includes(tag) ? prevTags : [...prevTags, tag]
+    );
+
+  /**
+   * Changes one of the sort and filter choices of the toolbar.
+   * Choosing another field to sort by also resets the order to the one that suits it.
+   * @param {string} name - the name of the choice, as in DEFAULT_LISTING.
+   * @param {string} value - the value chosen.
+   */
+  const handleListingChange = (name, value) =>
+    setListing((prevListing) => ({
+      ...prevListing,
+      [name]: value,
+      ...(name === "sort" && {
+        order: SORT_OPTIONS.find((option) => option.value === value).order,
+      }),
+    }));
+
+  /**
+   * Clears the filters of the toolbar, keeping the sort.
+   */
+  const handleClearFilters = () =>
+    setListing((prevListing) => ({
+      ...DEFAULT_LISTING,
+      sort: prevListing.sort,
+      order: prevListing.order,
+    }));
+
+  /**
+   * Stops narrowing the grid down to the images carrying a tag.
+   * @param {string} tag - the tag.
+   */
+  const removeTagFilter = (tag) =>
+    setTagFilters((prevTags) => prevTags.filter((prevTag) => prevTag !== tag));
+
+  /**
+   * Marks images as being deleted, or as no longer being deleted.
+   * @param {string[]} imageIds - the IDs of the images.
+   * @param {boolean} isDeleting - whether the images are being deleted.
+   */
+  const markDeleting = (imageIds, isDeleting) =>
+    setDeletingIds((prevIds) => {
+      const nextIds = new Set(prevIds);
+      imageIds.forEach((id) =>
+        isDeleting ? nextIds.add(id) : nextIds.delete(id)
+      );
+      return nextIds;
+    });
+
+  /**
+   * Removes deleted images from the grid and the selection, without pulling the images again.
+   * @param {string[]} imageIds - the IDs of the deleted images.
+   */
+  const removeDeletedImages = (imageIds) => {
+    imageIds.forEach((id) => deletedIdsRef.current.add(id));
+    setImages((prevImages) =>
+      prevImages.filter((image) => !imageIds.includes(image.id))
+    );
+    setSelectedIds((prevIds) => {
+      const nextIds = new Set(prevIds);
+      imageIds.forEach((id) => nextIds.delete(id));
+      return nextIds;
+    });
+    setTotal((prevTotal) => Math.max(prevTotal - imageIds.length, 0));
+  };
+
   /**
    * Deletes an image from the Imgur API and updates the state without pulling the images again.
    * @param {string} imageId - the ID of the image to delete.
    */
   const handleDelete = async (imageId) => {
-    // Deactivate all delete buttons.
-    setIsDeleting(true);
+    // Deactivate the buttons of this image only, so that others can still be deleted.
+    markDeleting([imageId], true);
 
     // Delete the image from the API.
     try {
-      const response = await fetch(
+      const response = await authFetch(
         `${API_ENDPOINT_BASE}${IMAGE_ENDPOINT_SUFFIX}${imageId}`,
         {
           method: "DELETE",
         }
       );
 
-      // If the deletion was successful, recompute the images.
+      // If the deletion was successful, remove the image from the grid.
       if (response.ok) {
-        setImages((prevImages) =>
-          prevImages.filter((image) => image.id !== imageId)
-        );
+        removeDeletedImages([imageId]);
       } else if (response.status === 404) {
         alert("Image not found. It may have already been deleted.");
       } else {
@@ -82,13 +476,351 @@ const ImageGrid = ({ recompute, setRecompute }) => {
       alert("Failed to delete image. Please try again later.");
     }
 
-    // Reactivate all delete buttons.
-    setIsDeleting(false);
+    // Reactivate the buttons of the image.
+    markDeleting([imageId], false);
+  };
+
+  /**
+   * Selects or deselects an image for deletion.
+   * @param {string} imageId - the ID of the image.
+   */
+  const handleSelect = (imageId) => {
+    setSelectedIds((prevIds) => {
+      const nextIds = new Set(prevIds);
+      nextIds.has(imageId) ? nextIds.delete(imageId) : nextIds.add(imageId);
+      return nextIds;
+    });
+  };
+
+  // The selected images that are still displayed, as others may have been deleted or filtered out since.
+  const selectedImages = images.filter((image) => selectedIds.has(image.id));
+  const isAllSelected =
+    images.length > 0 && selectedImages.length === images.length;
+
+  /**
+   * Selects every image displayed, or deselects them all if they are already selected.
+   */
+  const handleSelectAll = () => {
+    setSelectedIds(
+      isAllSelected ? new Set() : new Set(images.map((image) => image.id))
+    );
+  };
+
+  /**
+   * Deletes the selected images, reporting any that could not be deleted.
+   * Images that were deleted are removed from the grid even if others failed.
+   */
+  const handleBulkDelete = async () => {
+    const imageIds = selectedImages.map((image) => image.id);
+    if (
+      !window.confirm(
+        `Delete ${imageIds.length} image${
+          imageIds.length > 1 ? "s" : ""
+        }? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    setIsBulkDeleting(true);
+    markDeleting(imageIds, true);
+
+    // The API reports a result for each image, which is only missing if a whole request failed.
+    const results = [];
+    for (let start = 0; start < imageIds.length; start += MAX_BULK_DELETE) {
+      const ids = imageIds.slice(start, start + MAX_BULK_DELETE);
+      try {
+        const response = await authFetch(
+          `${API_ENDPOINT_BASE}${IMAGES_ENDPOINT_SUFFIX}`,
+          {
+            method: "DELETE",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ids }),
+          }
+        );
+        const body = await response.json();
+        results.push(...body.results);
+      } catch (error) {
+        console.error("Error deleting images:", error);
+        results.push(
+          ...ids.map((id) => ({
+            id,
+            success: false,
+            message: "Failed to delete image.",
+          }))
+        );
+      }
+    }
+
+    removeDeletedImages(
+      results.filter((result) => result.success).map((result) => result.id)
+    );
+    markDeleting(imageIds, false);
+    setIsBulkDeleting(false);
+
+    // Failed images stay selected, so that they can be retried.
+    const failures = results.filter((result) => !result.success);
+    if (failures.length > 0) {
+      const titles = new Map(
+        selectedImages.map((image) => [image.id, image.title ?? "Untitled"])
+      );
+      const failureList = failures
+        .map(({ id, message }) => `${titles.get(id) ?? id}: ${message}`)
+        .join("\n");
+      alert(
+        `${failures.length} of ${imageIds.length} images could not be deleted. They remain selected.\n\n${failureList}`
+      );
+    }
+  };
+
+  /**
+   * Starts editing the title, description and tags of an image.
+   * @param {Object} image - the image to edit.
+   */
+  const handleEdit = (image) => {
+    setEditing({
+      id: image.id,
+      title: image.title ?? "",
+      description: image.description ?? "",
+      tags: (image.tags ?? []).join(", "),
+    });
+  };
+
+  /**
+   * Saves the title, description and tags being edited and updates the image in the grid.
+   */
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const title = editing.title.trim();
+    if (!title) {
+      alert("You must enter a title for the image. Please try again.");
+      return;
+    }
+    const tags = parseTagInput(editing.tags);
+    const tagError = validateTags(tags);
+    if (tagError) {
+      alert(tagError);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await authFetch(
+        `${API_ENDPOINT_BASE}${IMAGE_ENDPOINT_SUFFIX}${editing.id}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            title,
+            description: editing.description.trim() || null,
+            tags,
+          }),
+        }
+      );
+
+      // If the update was successful, show the new details on the card.
+      if (response.ok) {
+        const updated = await response.json();
+        setImages((prevImages) =>
+          prevImages.map((image) =>
+            image.id === updated.id ? { ...image, ...updated } : image
+          )
+        );
+        setEditing(null);
+      } else if (response.status === 404) {
+        alert("Image not found. It may have been deleted.");
+      } else {
+        alert("Failed to update image. Please try again later.");
+      }
+    } catch (error) {
+      console.error("Error updating image:", error);
+      alert("Failed to update image. Please try again later.");
+    }
+    setIsSaving(false);
   };
 
   // RENDER
   return (
     <div className="image-grid">
+      <div className="flex flex-wrap items-center justify-center gap-2 mb-4">
+        <input
+          type="search"
+          className="input input-bordered input-sm w-80"
+          value={searchText}
+          onChange={(event) => setSearchText(event.target.value)}
+          placeholder="Search titles, descriptions, tags and filenames"
+          aria-label="Search images"
+        />
+        {tagFilters.map((tag) => (
+          <span key={tag} className="badge badge-accent gap-1">
+            {tag}
+            <button
+              type="button"
+              onClick={() => removeTagFilter(tag)}
+              aria-label={`Remove tag ${tag}`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        {tagSuggestions
+          .filter(({ tag }) => !tagFilters.includes(tag))
+          .slice(0, MAX_TAG_SUGGESTIONS)
+          .map(({ tag }) => (
+            <button
+              key={tag}
+              type="button"
+              className="badge badge-outline"
+              onClick={() => addTagFilter(tag)}
+              aria-label={`Filter by tag ${tag}`}
+            >
+              {tag}
+            </button>
+          ))}
+      </div>
+      <div
+        className="flex flex-wrap items-center justify-center gap-2 mb-4"
+        data-testid="listing-toolbar"
+      >
+        <select
+          className="select select-bordered select-sm"
+          value={listing.sort}
+          onChange={(event) => handleListingChange("sort", event.target.value)}
+          aria-label="Sort by"
+        >
+          {SORT_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered select-sm"
+          value={listing.order}
+          onChange={(event) => handleListingChange("order", event.target.value)}
+          aria-label="Sort order"
+        >
+          <option value="desc">Descending</option>
+          <option value="asc">Ascending</option>
+        </select>
+        <select
+          className="select select-bordered select-sm"
+          value={listing.mimetype}
+          onChange={(event) =>
+            handleListingChange("mimetype", event.target.value)
+          }
+          aria-label="Type"
+        >
+          <option value="">All types</option>
+          {TYPE_FILTER_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered select-sm"
+          value={listing.animated}
+          onChange={(event) =>
+            handleListingChange("animated", event.target.value)
+          }
+          aria-label="Animation"
+        >
+          <option value="">Animated or still</option>
+          <option value="true">Animated only</option>
+          <option value="false">Still only</option>
+        </select>
+        <input
+          type="date"
+          className="input input-bordered input-sm"
+          value={listing.from}
+          max={listing.to || undefined}
+          onChange={(event) => handleListingChange("from", event.target.value)}
+          aria-label="Uploaded from"
+        />
+        <input
+          type="date"
+          className="input input-bordered input-sm"
+          value={listing.to}
+          min={listing.from || undefined}
+          onChange={(event) => handleListingChange("to", event.target.value)}
+          aria-label="Uploaded to"
+        />
+        <input
+          type="number"
+          className="input input-bordered input-sm w-28"
+          value={listing.minWidth}
+          min={1}
+          onChange={(event) =>
+            handleListingChange("minWidth", event.target.value)
+          }
+          placeholder="Min width"
+          aria-label="Minimum width"
+        />
+        <input
+          type="number"
+          className="input input-bordered input-sm w-28"
+          value={listing.minHeight}
+          min={1}
+          onChange={(event) =>
+            handleListingChange("minHeight", event.target.value)
+          }
+          placeholder="Min height"
+          aria-label="Minimum height"
+        />
+        <button
+          type="button"
+          className="btn btn-ghost btn-sm"
+          disabled={!isFiltered(listing)}
+          onClick={handleClearFilters}
+        >
+          Clear Filters
+        </button>
+      </div>
+      <div className="flex items-center justify-center space-x-4 mb-4">
+        {albums.length > 0 ? (
+          <select
+            className="select select-bordered select-sm"
+            value={albumId}
+            onChange={(event) => setAlbumId(event.target.value)}
+            aria-label="Filter by album"
+            data-testid="album-filter"
+          >
+            <option value="">All images</option>
+            {albums.map(({ id, title }) => (
+              <option key={id} value={id}>
+                {title}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <></>
+        )}
+        {images.length > 0 ? (
+          <>
+            <label className="label cursor-pointer space-x-2">
+              <input
+                type="checkbox"
+                className="checkbox"
+                checked={isAllSelected}
+                onChange={handleSelectAll}
+              />
+              <span className="label-text">Select all</span>
+            </label>
+            <button
+              className="btn btn-error btn-sm"
+              disabled={selectedImages.length === 0 || isBulkDeleting}
+              onClick={handleBulkDelete}
+            >
+              {isBulkDeleting
+                ? "Deleting..."
+                : `Delete Selected (${selectedImages.length})`}
+            </button>
+          </>
+        ) : (
+          <></>
+        )}
+      </div>
         {isError ? (
           <span className="file-input-text flex items-center justify-center">
             {"An error occurred while fetching images. Please refresh the page."}
@@ -99,21 +831,108 @@ const ImageGrid = ({ recompute, setRecompute }) => {
           const imageTitle = image?.title ?? "Untitled";
           return (
             <li key={image.id} className="relative">
+              <input
+                type="checkbox"
+                className="checkbox absolute top-2 left-2 z-10"
+                checked={selectedIds.has(image.id)}
+                onChange={() => handleSelect(image.id)}
+                aria-label={`Select ${imageTitle}`}
+              />
               <div className="card lg:card-side bg-base-100 shadow-xl">
-                <a href={`${IMGUR_DOMAIN_PREFIX}${image.id}`} target="_blank" rel="noreferrer noopener">
+                <a href={image.originalLink ?? `${IMGUR_DOMAIN_PREFIX}${image.id}`} target="_blank" rel="noreferrer noopener">
                 <figure>
                   <img
-                    src={image.link}
+                    src={image.thumbnailLink ?? image.link}
                     alt={imageTitle}
                     className="h-60 w-full object-cover"
                   />
                 </figure>
                 </a>
+                {editing?.id === image.id ? (
+                  <form
+                    className="card-body max-h-60 min-h-60 max-w-full"
+                    onSubmit={handleSave}
+                  >
+                    <input
+                      type="text"
+                      className="input input-bordered input-sm w-full"
+                      value={editing.title}
+                      maxLength={MAX_TITLE_LENGTH}
+                      onChange={(event) =>
+                        setEditing({ ...editing, title: event.target.value })
+                      }
+                      aria-label="Title"
+                    />
+                    <textarea
+                      className="textarea textarea-bordered textarea-sm w-full flex-grow"
+                      value={editing.description}
+                      maxLength={MAX_DESCRIPTION_LENGTH}
+                      onChange={(event) =>
+                        setEditing({
+                          ...editing,
+                          description: event.target.value,
+                        })
+                      }
+                      aria-label="Description"
+                    />
+                    <input
+                      type="text"
+                      className="input input-bordered input-sm w-full"
+                      value={editing.tags}
+                      onChange={(event) =>
+                        setEditing({ ...editing, tags: event.target.value })
+                      }
+                      placeholder="Tags, separated by commas"
+                      aria-label="Tags"
+                    />
+                    <div className="card-actions justify-end">
+                      <button
+                        type="button"
+                        className="btn btn-ghost"
+                        disabled={isSaving}
+                        onClick={() => setEditing(null)}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        className="btn btn-accent"
+                        disabled={isSaving}
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </form>
+                ) : (
                 <div className="card-body max-h-60 min-h-60 max-w-full">
                   <h2 className="card-title text-lg truncate" title={imageTitle} onClick={() => navigator.clipboard.writeText(imageTitle)}>
                     {imageTitle.length > 30 ? `${imageTitle.slice(0, 30)}...` : imageTitle}
                   </h2>
                   <div className="space-y-1 flex-grow">
+                    {image.description ? (
+                      <p className="text-sm truncate" title={image.description}>
+                        {image.description}
+                      </p>
+                    ) : (
+                      <></>
+                    )}
+                    {image.tags?.length > 0 ? (
+                      <div className="flex flex-wrap gap-1">
+                        {image.tags.map((tag) => (
+                          <button
+                            key={tag}
+                            type="button"
+                            className="badge badge-outline badge-sm"
+                            onClick={() => addTagFilter(tag)}
+                            aria-label={`Filter by tag ${tag}`}
+                          >
+                            {tag}
+                          </button>
+                        ))}
+                      </div>
+                    ) : (
+                      <></>
+                    )}
                     <p className="text-sm">Views: {image.views}</p>
                     <p className="text-sm">
                       {`Added On: ${new Date(
@@ -122,20 +941,57 @@ const ImageGrid = ({ recompute, setRecompute }) => {
                     </p>
                   </div>
                   <div className="card-actions justify-end">
+                    <button
+                      className="btn btn-neutral"
+                      disabled={deletingIds.has(image.id) || editing !== null}
+                      onClick={() => handleEdit(image)}
+                    >
+                      Edit
+                    </button>
                     <button
                       className="btn btn-error"
-                      disabled={isDeleting}
+                      disabled={deletingIds.has(image.id)}
                       onClick={() => handleDelete(image.id)}
                     >
                       Delete
                     </button>
                   </div>
                 </div>
+                )}
               </div>
             </li>
           );
         })}
       </ul> )}
+      {!isError &&
+      !isLoading &&
+      images.length === 0 &&
+      (isSearchingRef.current || isFiltered(listing)) ? (
+        <span className="file-input-text flex items-center justify-center">
+          {"No images match your search or filters."}
+        </span>
+      ) : (
+        <></>
+      )}
+      {!isError && nextCursor ? (
+        <div
+          ref={sentinelRef}
+          className="flex flex-col items-center my-8 space-y-2"
+        >
+          <span className="text-sm" data-testid="image-count-text">
+            {`Showing ${images.length} of ${total} images.`}
+          </span>
+          <button
+            className="btn btn-neutral"
+            disabled={isLoading}
+            onClick={loadMore}
+          >
+            {isLoading ? "Loading..." : "Load More"}
+          </button>
+        </div>
+      ) : (
+        <></>
+      )}
     </div>
   );
 };
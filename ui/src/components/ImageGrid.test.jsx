@@ -7,24 +7,67 @@ import {
   waitFor,
 } from "@testing-library/react";
 import ImageGrid from "./ImageGrid";
+import { fetchAlbums } from "../utils/albums";
+import { fetchTags } from "../utils/tags";
+import { refreshSession } from "../utils/session";
+
+// Mock the album request. The albums are never loaded unless a test says so.
+jest.mock("../utils/albums", () => ({
+  fetchAlbums: jest.fn(() => new Promise(() => {})),
+}));
+
+// Mock the request for the tags in use, which are never loaded unless a test says so.
+jest.mock("../utils/tags", () => ({
+  ...jest.requireActual("../utils/tags"),
+  fetchTags: jest.fn(() => new Promise(() => {})),
+}));
+
+// A page of images as returned by the API.
+const mockPage = (images, nextCursor = null, total = images.length) =>
+  Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve({ images, total, nextCursor }),
+  });
 
 // Mock fetch.
 global.fetch = jest.fn(() =>
-  Promise.resolve({
-    ok: true,
-    json: () =>
-      Promise.resolve([
-        {
-          id: "1",
-          title: "Test Image",
-          link: "https://i.imgur.com/test.jpg",
-          views: 100,
-          datetime: 1620000000,
-        },
-      ]),
-  })
+  mockPage([
+    {
+      id: "1",
+      title: "Test Image",
+      link: "https://i.imgur.com/test.jpg",
+      views: 100,
+      datetime: 1620000000,
+    },
+  ])
 );
 
+/**
+ * A stand-in for EventSource, which jsdom does not provide, that lets tests emit gallery events.
+ */
+class MockEventSource {
+  static CLOSED = 2;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = {};
+    this.close = jest.fn();
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = [...(this.listeners[type] ?? []), listener];
+  }
+
+  emit(type, data) {
+    (this.listeners[type] ?? []).forEach((listener) =>
+      listener({ data: JSON.stringify(data) })
+    );
+  }
+}
+
 /**
  * The ImageGrid component fetches images from the API and renders them in a grid.
  */
@@ -35,7 +78,7 @@ describe("ImageGrid", () => {
 
   // Test that the component fetches images from the API and renders them.
   test("Renders images from the API endpoint.", async () => {
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Wait for the images to be fetched and rendered.
     const imageTitle = await screen.findByText("Test Image");
@@ -45,20 +88,16 @@ describe("ImageGrid", () => {
   // Test that the component displays the images even if the title is missing.
   test("Renders images from the API endpoint even if the title is missing.", async () => {
     fetch.mockImplementationOnce(() =>
-      Promise.resolve({
-        ok: true,
-        json: () =>
-          Promise.resolve([
-            {
-              id: "1",
-              link: "https://i.imgur.com/test.jpg",
-              views: 100,
-              datetime: 1620000000,
-            },
-          ]),
-      })
+      mockPage([
+        {
+          id: "1",
+          link: "https://i.imgur.com/test.jpg",
+          views: 100,
+          datetime: 1620000000,
+        },
+      ])
     );
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
     const imageTitle = await screen.findByText("Untitled");
     expect(imageTitle).toBeInTheDocument();
   });
@@ -66,7 +105,7 @@ describe("ImageGrid", () => {
   // Test that the component shows an error message when the fetch fails.
   test("Shows an error message upon a failure to pull the images.", async () => {
     fetch.mockImplementationOnce(() => Promise.resolve({ ok: false }));
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Wait the for error message to be rendered.
     const errorMessage = await screen.findByText(
@@ -77,7 +116,7 @@ describe("ImageGrid", () => {
 
   // Test that the component copies the image title to the clipboard on click.
   test("Copies the title to the clipboard on click.", async () => {
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
     const imageTitle = await screen.findByText("Test Image");
 
     // Mock clipboard.
@@ -93,7 +132,7 @@ describe("ImageGrid", () => {
   // Note that whilst this test is useful, it is not a complete test of the delete functionality.
   // We need to also test if the delete button deletes the correct image.
   test("Deletes an image from the grid.", async () => {
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Wait for the images to be fetched and rendered.
     const deleteButton = await screen.findByText("Delete");
@@ -113,7 +152,7 @@ describe("ImageGrid", () => {
 
   // Test that a failure to delete an image is handled gracefully.
   test("Fails to delete an image from the grid.", async () => {
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Wait for the images to be fetched and rendered.
     const deleteButton = await screen.findByText("Delete");
@@ -133,7 +172,7 @@ describe("ImageGrid", () => {
 
   // Test that a failure to delete an image is handled gracefully.
   test("Fails to find an image to delete from the grid and receives a 404.", async () => {
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Wait for the images to be fetched and rendered.
     const deleteButton = await screen.findByText("Delete");
@@ -153,7 +192,7 @@ describe("ImageGrid", () => {
 
   // Test that a failure to delete an image is handled gracefully.
   test("Fails to delete an image from the grid because of a network error.", async () => {
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Wait for the images to be fetched and rendered.
     const deleteButton = await screen.findByText("Delete");
@@ -186,7 +225,7 @@ describe("ImageGrid", () => {
       .mockImplementation(() => {});
 
     // Render the component.
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Wait for the error state to be set.
     await waitFor(() => {
@@ -207,10 +246,90 @@ describe("ImageGrid", () => {
     consoleErrorSpy.mockRestore();
   });
 
-  // Test that if recompute is false, the component does not fetch images.
-  test("No images are fetched when recompute is false.", () => {
-    render(<ImageGrid recompute={false} setRecompute={() => {}} />);
-    expect(fetch).not.toHaveBeenCalled();
+  // Test that only the first page is requested on load.
+  test("Requests the first page of images.", async () => {
+    render(<ImageGrid refreshKey={0} />);
+    await screen.findByText("Test Image");
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toContain("perPage=20");
+    expect(fetch.mock.calls[0][0]).not.toContain("cursor");
+  });
+
+  // Test that thumbnails are displayed and link through to the original image.
+  test("Displays the thumbnail and links to the original image.", async () => {
+    fetch.mockImplementationOnce(() =>
+      mockPage([
+        {
+          id: "1",
+          title: "Test Image",
+          link: "https://i.imgur.com/1.jpg",
+          originalLink: "https://i.imgur.com/1.jpg",
+          thumbnailLink: "https://i.imgur.com/1l.jpg",
+          views: 100,
+          datetime: 1620000000,
+        },
+      ])
+    );
+    render(<ImageGrid refreshKey={0} />);
+    const image = await screen.findByAltText("Test Image");
+    expect(image).toHaveAttribute("src", "https://i.imgur.com/1l.jpg");
+    expect(image.closest("a")).toHaveAttribute(
+      "href",
+      "https://i.imgur.com/1.jpg"
+    );
+    expect(fetch.mock.calls[0][0]).toMatch(/size=[tmlh]/);
+  });
+
+  // Test that a change of the refresh key reloads the grid from the first page.
+  test("Reloads the first page when the refresh key changes.", async () => {
+    const { rerender } = render(<ImageGrid refreshKey={0} />);
+    await screen.findByText("Test Image");
+
+    fetch.mockImplementationOnce(() =>
+      mockPage([
+        { id: "2", title: "New Image", views: 0, datetime: 1620000001 },
+        { id: "1", title: "Test Image", views: 100, datetime: 1620000000 },
+      ])
+    );
+    rerender(<ImageGrid refreshKey={1} />);
+
+    expect(await screen.findByText("New Image")).toBeInTheDocument();
+    expect(screen.getAllByText("Delete")).toHaveLength(2);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  // Test that further pages are loaded with the cursor returned by the API.
+  test("Loads the next page of images when Load More is clicked.", async () => {
+    fetch.mockImplementationOnce(() =>
+      mockPage(
+        [{ id: "1", title: "Test Image", views: 100, datetime: 1620000000 }],
+        "cursor-1",
+        2
+      )
+    );
+    render(<ImageGrid refreshKey={0} />);
+    await screen.findByText("Test Image");
+    expect(screen.getByTestId("image-count-text").textContent).toBe(
+      "Showing 1 of 2 images."
+    );
+
+    fetch.mockImplementationOnce(() =>
+      mockPage(
+        [{ id: "2", title: "Older Image", views: 5, datetime: 1610000000 }],
+        null,
+        2
+      )
+    );
+    await act(async () => {
+      fireEvent.click(screen.getByText("Load More"));
+    });
+
+    expect(await screen.findByText("Older Image")).toBeInTheDocument();
+    expect(screen.getByText("Test Image")).toBeInTheDocument();
+    expect(fetch.mock.calls[1][0]).toContain("cursor=cursor-1");
+
+    // There are no further pages, so the button is removed.
+    expect(screen.queryByText("Load More")).not.toBeInTheDocument();
   });
 
   // Test that the truncation of the title works correctly.
@@ -219,21 +338,17 @@ describe("ImageGrid", () => {
     const longTitle = "ABCDEFGHIJKLMNOPQRSTUVWXYZ12345";
     const truncatedTitle = "ABCDEFGHIJKLMNOPQRSTUVWXYZ1234...";
     fetch.mockImplementationOnce(() =>
-      Promise.resolve({
-        ok: true,
-        json: () =>
-          Promise.resolve([
-            {
-              id: "1",
-              title: longTitle,
-              link: "https://i.imgur.com/test.jpg",
-              views: 100,
-              datetime: 1620000000,
-            },
-          ]),
-      })
+      mockPage([
+        {
+          id: "1",
+          title: longTitle,
+          link: "https://i.imgur.com/test.jpg",
+          views: 100,
+          datetime: 1620000000,
+        },
+      ])
     );
-    render(<ImageGrid recompute={true} setRecompute={() => {}} />);
+    render(<ImageGrid refreshKey={0} />);
 
     // Check that the title is truncated.
     const imageTitle = await screen.findByText(truncatedTitle);
@@ -243,4 +358,642 @@ describe("ImageGrid", () => {
     const fullTitle = screen.queryByText(longTitle);
     expect(fullTitle).not.toBeInTheDocument();
   });
+
+  // Two images, for the tests of selection and bulk deletion.
+  const mockTwoImages = () =>
+    fetch.mockImplementationOnce(() =>
+      mockPage([
+        { id: "2", title: "Second Image", views: 0, datetime: 1620000001 },
+        { id: "1", title: "Test Image", views: 100, datetime: 1620000000 },
+      ])
+    );
+
+  // Test that deleting one image leaves the buttons of the others enabled.
+  test("Only disables the buttons of the image being deleted.", async () => {
+    mockTwoImages();
+    render(<ImageGrid refreshKey={0} />);
+    await screen.findByText("Second Image");
+
+    fetch.mockImplementationOnce(() => new Promise(() => {}));
+    const [firstDelete, secondDelete] = screen.getAllByText("Delete");
+    await act(async () => {
+      fireEvent.click(firstDelete);
+    });
+
+    expect(firstDelete).toBeDisabled();
+    expect(secondDelete).not.toBeDisabled();
+  });
+
+  // Test that the selected images are deleted together.
+  test("Deletes the selected images.", async () => {
+    window.confirm = jest.fn().mockReturnValue(true);
+    mockTwoImages();
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByLabelText("Select Second Image"));
+    expect(screen.getByText("Delete Selected (1)")).toBeInTheDocument();
+
+    fetch.mockImplementationOnce(() =>
+      Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () =>
+          Promise.resolve({
+            deleted: 1,
+            failed: 0,
+            results: [{ id: "2", success: true, status: 200 }],
+          }),
+      })
+    );
+    await act(async () => {
+      fireEvent.click(screen.getByText("Delete Selected (1)"));
+    });
+
+    expect(screen.queryByText("Second Image")).not.toBeInTheDocument();
+    expect(screen.getByText("Test Image")).toBeInTheDocument();
+    expect(fetch.mock.calls[1][0]).toMatch(/images\/$/);
+    expect(fetch.mock.calls[1][1]).toMatchObject({
+      method: "DELETE",
+      body: JSON.stringify({ ids: ["2"] }),
+    });
+  });
+
+  // Test that images which could not be deleted are reported and stay selected.
+  test("Reports the selected images that could not be deleted.", async () => {
+    window.confirm = jest.fn().mockReturnValue(true);
+    window.alert = jest.fn();
+    mockTwoImages();
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByLabelText("Select all"));
+    expect(screen.getByText("Delete Selected (2)")).toBeInTheDocument();
+
+    fetch.mockImplementationOnce(() =>
+      Promise.resolve({
+        ok: true,
+        status: 207,
+        json: () =>
+          Promise.resolve({
+            deleted: 1,
+            failed: 1,
+            results: [
+              { id: "2", success: true, status: 200 },
+              {
+                id: "1",
+                success: false,
+                status: 500,
+                message: "Failed to delete image from Imgur.",
+              },
+            ],
+          }),
+      })
+    );
+    await act(async () => {
+      fireEvent.click(screen.getByText("Delete Selected (2)"));
+    });
+
+    expect(screen.queryByText("Second Image")).not.toBeInTheDocument();
+    expect(screen.getByLabelText("Select Test Image")).toBeChecked();
+    expect(screen.getByText("Delete Selected (1)")).toBeInTheDocument();
+    expect(window.alert).toHaveBeenCalledWith(
+      expect.stringContaining("Test Image: Failed to delete image from Imgur.")
+    );
+  });
+
+  // Test that nothing is deleted unless the user confirms it.
+  test("Asks before deleting the selected images.", async () => {
+    window.confirm = jest.fn().mockReturnValue(false);
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByLabelText("Select all"));
+    fireEvent.click(screen.getByText("Delete Selected (1)"));
+
+    expect(window.confirm).toHaveBeenCalledWith(
+      "Delete 1 image? This cannot be undone."
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(screen.getByText("Test Image")).toBeInTheDocument();
+  });
+
+  // Test that the title and description of an image can be edited in place.
+  test("Edits the title, description and tags of an image.", async () => {
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByText("Edit"));
+
+    fireEvent.change(screen.getByLabelText("Title"), {
+      target: { value: " Exhibit A " },
+    });
+    fireEvent.change(screen.getByLabelText("Description"), {
+      target: { value: "Front door" },
+    });
+    fireEvent.change(screen.getByLabelText("Tags"), {
+      target: { value: "Evidence, exterior" },
+    });
+    fetch.mockImplementationOnce(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            id: "1",
+            title: "Exhibit A",
+            description: "Front door",
+            tags: ["evidence", "exterior"],
+          }),
+      })
+    );
+    await act(async () => {
+      fireEvent.click(screen.getByText("Save"));
+    });
+
+    expect(screen.getByText("Exhibit A")).toBeInTheDocument();
+    expect(screen.getByText("Front door")).toBeInTheDocument();
+    expect(screen.getByText("exterior")).toBeInTheDocument();
+    expect(screen.queryByLabelText("Title")).not.toBeInTheDocument();
+    expect(fetch.mock.calls[1][0]).toMatch(/image\/1$/);
+    expect(fetch.mock.calls[1][1]).toMatchObject({
+      method: "PATCH",
+      body: JSON.stringify({
+        title: "Exhibit A",
+        description: "Front door",
+        tags: ["evidence", "exterior"],
+      }),
+    });
+  });
+
+  // Test that the tags of an image are filled in when it is edited.
+  test("Starts editing with the tags of the image.", async () => {
+    fetch.mockImplementationOnce(() =>
+      mockPage([
+        {
+          id: "1",
+          title: "Test Image",
+          tags: ["evidence", "kitchen"],
+          views: 0,
+          datetime: 1620000000,
+        },
+      ])
+    );
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByText("Edit"));
+    expect(screen.getByLabelText("Tags")).toHaveValue("evidence, kitchen");
+  });
+
+  // Test that editing can be abandoned without saving.
+  test("Cancels editing without saving.", async () => {
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByText("Edit"));
+    fireEvent.change(screen.getByLabelText("Title"), {
+      target: { value: "Exhibit A" },
+    });
+    fireEvent.click(screen.getByText("Cancel"));
+
+    expect(screen.getByText("Test Image")).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  // Test that an empty title is not sent.
+  test("Requires a title.", async () => {
+    window.alert = jest.fn();
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByText("Edit"));
+    fireEvent.change(screen.getByLabelText("Title"), {
+      target: { value: "  " },
+    });
+    fireEvent.click(screen.getByText("Save"));
+
+    expect(window.alert).toHaveBeenCalledWith(
+      "You must enter a title for the image. Please try again."
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  // Test that a failure to save keeps the card in editing mode.
+  test("Keeps editing when the image cannot be updated.", async () => {
+    window.alert = jest.fn();
+    render(<ImageGrid refreshKey={0} />);
+    fireEvent.click(await screen.findByText("Edit"));
+
+    fetch.mockImplementationOnce(() => Promise.resolve({ status: 404 }));
+    await act(async () => {
+      fireEvent.click(screen.getByText("Save"));
+    });
+
+    expect(window.alert).toHaveBeenCalledWith(
+      "Image not found. It may have been deleted."
+    );
+    expect(screen.getByLabelText("Title")).toBeInTheDocument();
+  });
+
+  // Test that the album filter is only offered once there are albums.
+  test("Hides the album filter when there are no albums.", async () => {
+    fetchAlbums.mockResolvedValueOnce([]);
+    render(<ImageGrid refreshKey={0} />);
+    await screen.findByText("Test Image");
+    expect(screen.queryByTestId("album-filter")).not.toBeInTheDocument();
+  });
+
+  // Test that choosing an album reloads the grid with the images in it.
+  test("Narrows the grid down to the chosen album.", async () => {
+    fetchAlbums.mockResolvedValueOnce([{ id: "album1", title: "Case 42" }]);
+    render(<ImageGrid refreshKey={0} />);
+    const filter = await screen.findByTestId("album-filter");
+    await screen.findByText("Test Image");
+
+    fetch.mockImplementationOnce(() =>
+      mockPage([
+        { id: "2", title: "Album Image", views: 0, datetime: 1620000001 },
+      ])
+    );
+    await act(async () => {
+      fireEvent.change(filter, { target: { value: "album1" } });
+    });
+
+    expect(await screen.findByText("Album Image")).toBeInTheDocument();
+    expect(screen.queryByText("Test Image")).not.toBeInTheDocument();
+    expect(fetch.mock.calls[1][0]).toContain("album=album1");
+  });
+
+  describe("Search", () => {
+    // Test that the grid is searched once the user stops typing.
+    test("Searches the images as the user types.", async () => {
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+
+      fetch.mockImplementationOnce(() =>
+        mockPage([
+          { id: "2", title: "Front door", views: 0, datetime: 1620000001 },
+        ])
+      );
+      fireEvent.change(screen.getByLabelText("Search images"), {
+        target: { value: " front do " },
+      });
+
+      expect(await screen.findByText("Front door")).toBeInTheDocument();
+      expect(screen.queryByText("Test Image")).not.toBeInTheDocument();
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][0]).toContain("q=front+do");
+    });
+
+    // Test that a search without results says so.
+    test("Says when no images match the search.", async () => {
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+
+      fetch.mockImplementationOnce(() => mockPage([]));
+      fireEvent.change(screen.getByLabelText("Search images"), {
+        target: { value: "nothing" },
+      });
+
+      expect(
+        await screen.findByText("No images match your search or filters.")
+      ).toBeInTheDocument();
+    });
+
+    // Test that the tags in use are suggested, and choosing one narrows the grid down to it.
+    test("Narrows the grid down to a suggested tag.", async () => {
+      fetchTags.mockResolvedValueOnce([
+        { tag: "evidence", count: 2 },
+        { tag: "kitchen", count: 1 },
+      ]);
+      render(<ImageGrid refreshKey={0} />);
+      const tag = await screen.findByLabelText("Filter by tag evidence");
+
+      await act(async () => {
+        fireEvent.click(tag);
+      });
+      expect(fetch.mock.calls[1][0]).toContain("tags=evidence");
+      expect(
+        screen.queryByLabelText("Filter by tag evidence")
+      ).not.toBeInTheDocument();
+
+      await act(async () => {
+        fireEvent.click(screen.getByLabelText("Filter by tag kitchen"));
+      });
+      expect(fetch.mock.calls[2][0]).toContain("tags=evidence%2Ckitchen");
+    });
+
+    // Test that the tags on a card filter the grid, and the chip of an active filter removes it.
+    test("Filters by the tags of an image and removes the filter.", async () => {
+      const taggedPage = () =>
+        mockPage([
+          {
+            id: "1",
+            title: "Test Image",
+            tags: ["kitchen"],
+            views: 0,
+            datetime: 1620000000,
+          },
+        ]);
+      fetch
+        .mockImplementationOnce(taggedPage)
+        .mockImplementationOnce(taggedPage);
+      render(<ImageGrid refreshKey={0} />);
+      const tag = await screen.findByLabelText("Filter by tag kitchen");
+
+      await act(async () => {
+        fireEvent.click(tag);
+      });
+      expect(fetch.mock.calls[1][0]).toContain("tags=kitchen");
+
+      await act(async () => {
+        fireEvent.click(screen.getByLabelText("Remove tag kitchen"));
+      });
+      expect(fetch.mock.calls[2][0]).not.toContain("tags=");
+    });
+  });
+
+  describe("Sorting and filtering", () => {
+    afterEach(() => {
+      window.history.replaceState(null, "", "/");
+    });
+
+    // Test that the grid is listed in the default order until another is chosen.
+    test("Requests the newest images first by default.", async () => {
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+      expect(fetch.mock.calls[0][0]).toContain("sort=datetime&order=desc");
+      expect(window.location.search).toBe("");
+    });
+
+    // Test that choosing a sort reloads the grid and records the choice in the URL.
+    test("Sorts the grid and keeps the sort in the URL.", async () => {
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText("Sort by"), {
+          target: { value: "title" },
+        });
+      });
+      expect(fetch.mock.calls[1][0]).toContain("sort=title&order=asc");
+      expect(screen.getByLabelText("Sort order")).toHaveValue("asc");
+      expect(window.location.search).toBe("?sort=title&order=asc");
+    });
+
+    // Test that the filters are sent to the API and can be cleared.
+    test("Filters the grid and clears the filters.", async () => {
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+      expect(screen.getByText("Clear Filters")).toBeDisabled();
+
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText("Type"), {
+          target: { value: "image/gif" },
+        });
+      });
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText("Uploaded from"), {
+          target: { value: "2024-05-01" },
+        });
+      });
+      await act(async () => {
+        fireEvent.change(screen.getByLabelText("Minimum width"), {
+          target: { value: "800" },
+        });
+      });
+      const url = fetch.mock.calls[3][0];
+      expect(url).toContain("mimetype=image%2Fgif");
+      expect(url).toContain("from=2024-05-01");
+      expect(url).toContain("minWidth=800");
+      expect(window.location.search).toBe(
+        "?mimetype=image%2Fgif&from=2024-05-01&minWidth=800"
+      );
+
+      await act(async () => {
+        fireEvent.click(screen.getByText("Clear Filters"));
+      });
+      expect(fetch.mock.calls[4][0]).not.toContain("mimetype=");
+      expect(window.location.search).toBe("");
+    });
+
+    // Test that the choices in the URL are restored when the page is loaded.
+    test("Restores the sort and filters from the URL.", async () => {
+      window.history.replaceState(null, "", "/?sort=views&animated=true");
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+
+      expect(screen.getByLabelText("Sort by")).toHaveValue("views");
+      expect(screen.getByLabelText("Animation")).toHaveValue("true");
+      expect(fetch.mock.calls[0][0]).toContain(
+        "sort=views&order=desc&animated=true"
+      );
+    });
+  });
+
+  describe("Live updates", () => {
+    beforeEach(() => {
+      MockEventSource.instances = [];
+      window.EventSource = MockEventSource;
+    });
+
+    afterEach(() => {
+      delete window.EventSource;
+      window.sessionStorage.clear();
+    });
+
+    // Signs a session in, whose access token expires after the given time.
+    const storeSession = (accessToken, expiresIn = 15 * 60 * 1000) =>
+      window.sessionStorage.setItem(
+        "session",
+        JSON.stringify({
+          user: { id: "alice", role: "user" },
+          accessToken,
+          refreshToken: `${accessToken}-refresh`,
+          expiresAt: Date.now() + expiresIn,
+        })
+      );
+
+    // Mocks the response of the API to a refresh of the session.
+    const mockRefresh = (accessToken) =>
+      fetch.mockImplementationOnce(() =>
+        Promise.resolve({
+          ok: true,
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              user: { id: "alice", role: "user" },
+              accessToken,
+              refreshToken: `${accessToken}-refresh`,
+              expiresAt: Date.now() + 15 * 60 * 1000,
+            }),
+        })
+      );
+
+    // Test that the stream is reopened with the new access token whenever the session is refreshed.
+    test("Follows the gallery events with the refreshed access token.", async () => {
+      storeSession("first");
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+      const [events] = MockEventSource.instances;
+      expect(events.url).toContain("access_token=first");
+
+      mockRefresh("second");
+      await act(() => refreshSession());
+      expect(events.close).toHaveBeenCalled();
+      expect(MockEventSource.instances).toHaveLength(2);
+      expect(MockEventSource.instances[1].url).toContain("access_token=second");
+    });
+
+    // Test that a stream refused for its expired access token is reopened once the session is refreshed.
+    test("Refreshes the session when the stream is refused after the token expires.", async () => {
+      storeSession("first");
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+      const [events] = MockEventSource.instances;
+      storeSession("first", -1000);
+      fetch.mockClear();
+
+      mockRefresh("second");
+      events.readyState = MockEventSource.CLOSED;
+      act(() => events.onerror());
+      await waitFor(() => expect(MockEventSource.instances).toHaveLength(2));
+      expect(fetch.mock.calls[0][0]).toMatch(/refresh$/);
+      expect(MockEventSource.instances[1].url).toContain("access_token=second");
+    });
+
+    // Test that a stream that fails for any other reason does not refresh a session that is still valid.
+    test("Leaves a valid session alone when the stream fails.", async () => {
+      storeSession("first");
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+      const [events] = MockEventSource.instances;
+      fetch.mockClear();
+
+      events.readyState = MockEventSource.CLOSED;
+      act(() => events.onerror());
+      expect(fetch).not.toHaveBeenCalled();
+      expect(MockEventSource.instances).toHaveLength(1);
+    });
+
+    // Test that images uploaded elsewhere are not added to a grid narrowed down to an album.
+    test("Leaves out uploads while an album is chosen.", async () => {
+      fetchAlbums.mockResolvedValueOnce([{ id: "album1", title: "Case 42" }]);
+      render(<ImageGrid refreshKey={0} />);
+      const filter = await screen.findByTestId("album-filter");
+      await act(async () => {
+        fireEvent.change(filter, { target: { value: "album1" } });
+      });
+      await screen.findByText("Test Image");
+
+      act(() =>
+        MockEventSource.instances[0].emit("image-created", {
+          id: "2",
+          title: "Shared Image",
+          views: 0,
+          datetime: 1630000000,
+        })
+      );
+      expect(screen.queryByText("Shared Image")).not.toBeInTheDocument();
+    });
+
+    // Test that images uploaded elsewhere are not added to a search, which only the API can match them against.
+    test("Leaves out uploads while searching.", async () => {
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+      fireEvent.change(screen.getByLabelText("Search images"), {
+        target: { value: "test" },
+      });
+      await waitFor(() => expect(fetch).toHaveBeenCalledTimes(2));
+      await screen.findByText("Test Image");
+
+      act(() =>
+        MockEventSource.instances[0].emit("image-created", {
+          id: "2",
+          title: "Shared Image",
+          views: 0,
+          datetime: 1630000000,
+        })
+      );
+      expect(screen.queryByText("Shared Image")).not.toBeInTheDocument();
+    });
+
+    // Test that images uploaded elsewhere are not added to a sorted grid, where only the API knows their place.
+    test("Leaves out uploads while the grid is sorted differently.", async () => {
+      window.history.replaceState(null, "", "/?sort=views");
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+
+      act(() =>
+        MockEventSource.instances[0].emit("image-created", {
+          id: "2",
+          title: "Shared Image",
+          views: 0,
+          datetime: 1630000000,
+        })
+      );
+      expect(screen.queryByText("Shared Image")).not.toBeInTheDocument();
+      window.history.replaceState(null, "", "/");
+    });
+
+    // Test that the grid follows the gallery events of the API.
+    test("Subscribes to gallery events with the thumbnail size.", async () => {
+      const { unmount } = render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+
+      const [events] = MockEventSource.instances;
+      expect(events.url).toMatch(/events\?size=[tmlh]$/);
+      unmount();
+      expect(events.close).toHaveBeenCalled();
+    });
+
+    // Test that images uploaded, updated and deleted elsewhere are reflected without refetching.
+    test("Applies changes made by other clients.", async () => {
+      fetch.mockImplementationOnce(() =>
+        mockPage(
+          [{ id: "1", title: "Test Image", views: 100, datetime: 1620000000 }],
+          "cursor-1",
+          3
+        )
+      );
+      render(<ImageGrid refreshKey={0} />);
+      await screen.findByText("Test Image");
+      const [events] = MockEventSource.instances;
+
+      act(() =>
+        events.emit("image-created", {
+          id: "2",
+          title: "Shared Image",
+          views: 0,
+          datetime: 1630000000,
+        })
+      );
+      expect(screen.getByText("Shared Image")).toBeInTheDocument();
+      expect(screen.getByTestId("image-count-text").textContent).toBe(
+        "Showing 2 of 4 images."
+      );
+
+      act(() => events.emit("image-updated", { id: "1", title: "Renamed" }));
+      expect(screen.getByText("Renamed")).toBeInTheDocument();
+      expect(screen.queryByText("Test Image")).not.toBeInTheDocument();
+
+      act(() => events.emit("image-deleted", { id: "2" }));
+      expect(screen.queryByText("Shared Image")).not.toBeInTheDocument();
+      expect(screen.getByTestId("image-count-text").textContent).toBe(
+        "Showing 1 of 3 images."
+      );
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    // Test that the broadcast of a deletion made by this client does not count it twice.
+    test("Ignores the broadcast of its own deletions.", async () => {
+      fetch.mockImplementationOnce(() =>
+        mockPage(
+          [{ id: "1", title: "Test Image", views: 100, datetime: 1620000000 }],
+          "cursor-1",
+          5
+        )
+      );
+      render(<ImageGrid refreshKey={0} />);
+      const deleteButton = await screen.findByText("Delete");
+
+      fetch.mockImplementationOnce(() => Promise.resolve({ ok: true }));
+      await act(async () => {
+        fireEvent.click(deleteButton);
+      });
+      act(() =>
+        MockEventSource.instances[0].emit("image-deleted", { id: "1" })
+      );
+
+      expect(screen.getByTestId("image-count-text").textContent).toBe(
+        "Showing 0 of 4 images."
+      );
+    });
+  });
 });
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { signIn } from "../utils/session";
+
+/**
+ * A component that signs the user in with their API key.
+ * @param {boolean} expired - whether the user is signing in again because their session expired.
+ */
+const LoginView = ({ expired = false }) => {
+  const [apiKey, setApiKey] = useState("");
+  const [error, setError] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (apiKey.trim() === "") {
+      setError("Enter your API key.");
+      return;
+    }
+
+    setError(null);
+    setIsSigningIn(true);
+    try {
+      // Once signed in, the app replaces this view with the gallery.
+      await signIn(apiKey.trim());
+    } catch (signInError) {
+      setError(
+        signInError.status === 401
+          ? "That API key is not recognised."
+          : "Signing in failed. Please try again."
+      );
+      setIsSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="divider"></div>
+      <form
+        className="card bg-base-100 shadow-xl w-96"
+        onSubmit={handleSubmit}
+        noValidate
+      >
+        <div className="card-body">
+          <h2 className="card-title">Sign In</h2>
+          {expired ? (
+            <p className="text-sm text-warning" role="status">
+              Your session has expired. Sign in again to carry on - the files
+              you selected are kept.
+            </p>
+          ) : (
+            <></>
+          )}
+          <input
+            type="password"
+            className="input input-bordered w-full"
+            value={apiKey}
+            onChange={(event) => setApiKey(event.target.value)}
+            placeholder="API key"
+            autoComplete="current-password"
+            aria-label="API key"
+          />
+          {error ? (
+            <p className="text-sm text-error" role="alert">
+              {error}
+            </p>
+          ) : (
+            <></>
+          )}
+          <div className="card-actions justify-end">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSigningIn}
+            >
+              {isSigningIn ? "Signing In..." : "Sign In"}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LoginView;
@@ -0,0 +1,81 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import LoginView from "./LoginView";
+import { signIn } from "../utils/session";
+
+jest.mock("../utils/session", () => ({
+  signIn: jest.fn(),
+}));
+
+/**
+ * The LoginView component signs the user in with their API key.
+ */
+describe("LoginView", () => {
+  beforeEach(() => {
+    signIn.mockReset();
+  });
+
+  // Fills in the API key and submits the form.
+  const submit = (apiKey) => {
+    fireEvent.change(screen.getByLabelText("API key"), {
+      target: { value: apiKey },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Sign In" }));
+  };
+
+  // Test that the API key entered is used to sign in.
+  test("Signs in with the API key entered.", async () => {
+    signIn.mockReturnValue(new Promise(() => {}));
+    render(<LoginView />);
+    submit("  alice-key  ");
+    expect(signIn).toHaveBeenCalledWith("alice-key");
+    await waitFor(() => {
+      expect(
+        screen.getByRole("button", { name: "Signing In..." })
+      ).toBeDisabled();
+    });
+  });
+
+  // Test that an API key must be entered.
+  test("Asks for an API key.", () => {
+    render(<LoginView />);
+    submit(" ");
+    expect(screen.getByRole("alert")).toHaveTextContent("Enter your API key.");
+    expect(signIn).not.toHaveBeenCalled();
+  });
+
+  // Test that a refused API key is reported.
+  test("Reports an API key that is not recognised.", async () => {
+    signIn.mockRejectedValue(Object.assign(new Error("401"), { status: 401 }));
+    render(<LoginView />);
+    submit("wrong-key");
+    await waitFor(() => {
+      expect(screen.getByRole("alert")).toHaveTextContent(
+        "That API key is not recognised."
+      );
+    });
+    expect(screen.getByRole("button", { name: "Sign In" })).toBeEnabled();
+  });
+
+  // Test that other failures ask the user to try again.
+  test("Reports a failure to sign in.", async () => {
+    signIn.mockRejectedValue(new Error("Network Error"));
+    render(<LoginView />);
+    submit("alice-key");
+    await waitFor(() => {
+      expect(screen.getByRole("alert")).toHaveTextContent(
+        "Signing in failed. Please try again."
+      );
+    });
+  });
+
+  // Test that the user is told why they must sign in again.
+  test("Explains that the session expired.", () => {
+    const { rerender } = render(<LoginView />);
+    expect(screen.queryByRole("status")).not.toBeInTheDocument();
+    rerender(<LoginView expired />);
+    expect(screen.getByRole("status")).toHaveTextContent(
+      "Your session has expired."
+    );
+  });
+});
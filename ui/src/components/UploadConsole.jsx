@@ -1,4 +1,4 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect } from "react";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faTrashAlt, faPencilAlt } from "@fortawesome/free-solid-svg-icons";
 import { v4 as uuidv4 } from "uuid";
@@ -7,9 +7,30 @@ import {
   MAX_FILE_SIZE,
   NEW_NAME_MAX_LENGTH,
   NEW_NAME_REGEX,
-  API_ENDPOINT_BASE,
-  IMAGES_ENDPOINT_SUFFIX,
+  RESUMABLE_UPLOAD_THRESHOLD,
+  UPLOAD_ERROR_MESSAGES,
+  UPLOAD_ERROR_MESSAGE_DEFAULT,
 } from "../config/constants";
+import { uploadResumable } from "../utils/resumableUpload";
+import { uploadBatch } from "../utils/uploadJobs";
+import { findUploadedDuplicates } from "../utils/duplicates";
+import { fetchAlbums, createAlbum, addImagesToAlbum } from "../utils/albums";
+import { parseTagInput, validateTags } from "../utils/tags";
+
+/**
+ * Returns a human readable reason for a failed upload.
+ * @param {string|null} errorCode - The error code returned by the API, if any.
+ */
+const getFailureMessage = (errorCode) =>
+  UPLOAD_ERROR_MESSAGES[errorCode] ?? UPLOAD_ERROR_MESSAGE_DEFAULT;
+
+// The labels shown against each file while the files are being uploaded, keyed by the state of its upload.
+const UPLOAD_STATE_LABELS = {
+  queued: "Queued",
+  processing: "Uploading",
+  uploaded: "Uploaded",
+  failed: "Failed",
+};
 
 /**
  * A component that allows users to upload files to the backend for processing.
@@ -19,11 +40,31 @@ const UploadConsole = ({ onUploadSuccess }) => {
   // STATE VARIABLES
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
-  const [uploadProgressCount, setUploadProgressCount] = useState(0);
+  // The state of each file's upload, keyed by its ID: queued, processing, uploaded or failed.
+  const [uploadStates, setUploadStates] = useState({});
+  // The albums uploaded files can be added to, and the ID of the one chosen, if any.
+  const [albums, setAlbums] = useState([]);
+  const [selectedAlbumId, setSelectedAlbumId] = useState("");
+  // The tags to record against every uploaded file, as typed: comma-separated.
+  const [tagText, setTagText] = useState("");
 
   // REF VARIABLES
   const fileInputRef = useRef(uuidv4());
 
+  // USE EFFECTS
+  // Pull the albums from the API to offer them in the album picker.
+  useEffect(() => {
+    let isCurrent = true;
+    fetchAlbums().then((fetchedAlbums) => {
+      if (isCurrent) {
+        setAlbums(fetchedAlbums);
+      }
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
   // ACTION HANDLERS
   /**
    * Opens the file input dialog when the button is clicked.
@@ -76,6 +117,8 @@ const UploadConsole = ({ onUploadSuccess }) => {
         file: file,
         uploaded: false,
         uploadFailed: false,
+        errorCode: null,
+        uploadSessionId: null,
       };
     });
     files && setSelectedFiles((prevFiles) => [...prevFiles, ...files]);
@@ -87,44 +130,154 @@ const UploadConsole = ({ onUploadSuccess }) => {
   const handleSubmit = async (event) => {
     event.preventDefault();
 
-    // Set the upload progress count to the number of files to upload.
-    setUploadProgressCount(selectedFiles.length);
+    // Tags the API would reject are reported before any file is sent.
+    const tags = parseTagInput(tagText);
+    const tagError = validateTags(tags);
+    if (tagError) {
+      alert(tagError);
+      return;
+    }
+
+    // Every file starts out queued, and its state is updated as the upload progresses.
+    setUploadStates(
+      Object.fromEntries(selectedFiles.map(({ id }) => [id, "queued"]))
+    );
+    const updateUploadState = (id, state) =>
+      setUploadStates((prevStates) => ({ ...prevStates, [id]: state }));
 
     // Disable all buttons while the files are being uploaded.
     setIsUploading(true);
 
-    // Upload each file concurrently.
-    await Promise.all(
-      selectedFiles.map(async (fileData) => {
-        // Create a new FormData object and append the file to it.
-        const formData = new FormData();
-        formData.append("files", fileData.file);
-
-        try {
-          // Send the file to the backend for processing.
-          const response = await fetch(
-            API_ENDPOINT_BASE + IMAGES_ENDPOINT_SUFFIX,
-            {
-              method: "POST",
-              body: formData,
-            }
-          );
-
-          // If the upload was successful, update the file's state.
-          // Successful uploads are removed from the state and only failed uploads are retained.
-          fileData.uploaded = response.ok;
-
-          // Decrement the progress count, this is used as a progress indicator.
-          setUploadProgressCount((prevCount) => prevCount - 1);
-        } catch (error) {
-          console.error("Error uploading file:", error);
-          setUploadProgressCount((prevCount) => prevCount - 1);
-        }
-      })
+    // Files which have already been uploaded are only sent again if the user confirms it.
+    // Cancelling leaves the selection as it is.
+    const duplicates =
+      selectedFiles.length > 0
+        ? await findUploadedDuplicates(selectedFiles.map(({ file }) => file))
+        : [];
+    if (duplicates.length > 0) {
+      const duplicateList = duplicates
+        .map(({ file, image }) => `${file.name} (${image.link ?? image.id})`)
+        .join("\n");
+      if (
+        !window.confirm(
+          `The following files have already been uploaded:\n\n${duplicateList}\n\nUpload them again anyway?`
+        )
+      ) {
+        setIsUploading(false);
+        return;
+      }
+    }
+    const duplicateFiles = new Set(duplicates.map(({ file }) => file));
+
+    // The names of uploaded files which look like images uploaded before.
+    const similarFileNames = [];
+
+    /**
+     * Records the outcome of a file's upload.
+     * @param {Object} fileData - the selected file.
+     * @param {Object} response - whether the request succeeded and the body the API responded with.
+     * @param {Object|undefined} result - the API's result for this file, if it reported one.
+     */
+    const recordResult = (fileData, { ok, body }, result) => {
+      // Successful uploads are removed from the state and only failed uploads are retained.
+      // Requests rejected outright, for instance for exceeding the size limit, carry a single error code instead.
+      fileData.uploaded = ok && Boolean(result?.success);
+      fileData.imageId = fileData.uploaded ? result.id : null;
+      fileData.errorCode = fileData.uploaded
+        ? null
+        : result?.errorCode ?? body?.errorCode ?? null;
+      if (fileData.uploaded && result.duplicateStatus === "NEAR_DUPLICATE") {
+        similarFileNames.push(fileData.file.name);
+      }
+      updateUploadState(fileData.id, fileData.uploaded ? "uploaded" : "failed");
+    };
+
+    /**
+     * Records a file that could not be sent at all.
+     * @param {Object} fileData - the selected file.
+     * @param {Error} error - the error raised while sending it.
+     */
+    const recordError = (fileData, error) => {
+      console.error("Error uploading file:", error);
+      fileData.errorCode = null;
+      updateUploadState(fileData.id, "failed");
+    };
+
+    // Large files are sent one at a time in chunks, resuming any earlier attempt that was interrupted.
+    const largeFiles = selectedFiles.filter(
+      ({ file }) => file.size > RESUMABLE_UPLOAD_THRESHOLD
     );
+    const uploadLargeFile = async (fileData) => {
+      try {
+        updateUploadState(fileData.id, "processing");
+        const response = await uploadResumable(fileData.file, {
+          sessionId: fileData.uploadSessionId,
+          onSession: (sessionId) => (fileData.uploadSessionId = sessionId),
+          allowDuplicates: duplicateFiles.has(fileData.file),
+          tags,
+        });
+        // Only one file is sent per session, so only the first result is relevant.
+        recordResult(fileData, response, response.body?.results?.[0]);
+      } catch (error) {
+        recordError(fileData, error);
+      }
+    };
+
+    // The remaining files are sent together as a job, which reports the state of each file as it progresses.
+    // Duplicates the user chose to upload again are sent in a job of their own, as the choice applies to a whole job.
+    const smallFiles = selectedFiles.filter(
+      ({ file }) => file.size <= RESUMABLE_UPLOAD_THRESHOLD
+    );
+    const batches = [
+      smallFiles.filter(({ file }) => !duplicateFiles.has(file)),
+      smallFiles.filter(({ file }) => duplicateFiles.has(file)),
+    ];
+    const uploadSmallFiles = async (batch, allowDuplicates) => {
+      if (batch.length === 0) {
+        return;
+      }
+      try {
+        const response = await uploadBatch(
+          batch.map(({ file }) => file),
+          {
+            allowDuplicates,
+            tags,
+            onProgress: (job) =>
+              job.files.forEach(({ state }, index) =>
+                updateUploadState(batch[index].id, state)
+              ),
+          }
+        );
+        // The API reports a result for each file, in the order they were sent.
+        batch.forEach((fileData, index) =>
+          recordResult(fileData, response, response.body?.results?.[index])
+        );
+      } catch (error) {
+        batch.forEach((fileData) => recordError(fileData, error));
+      }
+    };
+
+    await Promise.all([
+      ...largeFiles.map(uploadLargeFile),
+      uploadSmallFiles(batches[0], false),
+      uploadSmallFiles(batches[1], true),
+    ]);
+
+    // Uploaded files are added to the chosen album before the grid is refreshed, so that it lists them.
+    const uploadedImageIds = selectedFiles
+      .filter((file) => file.uploaded && file.imageId)
+      .map((file) => file.imageId);
+    if (selectedAlbumId && uploadedImageIds.length > 0) {
+      try {
+        await addImagesToAlbum(selectedAlbumId, uploadedImageIds);
+      } catch (error) {
+        console.error("Error adding images to album:", error);
+        alert("The files were uploaded, but could not be added to the album.");
+      }
+    }
 
     // If any files were successfully uploaded, onUploadSuccess is called.
-    // This triggers the recompute of the image list.
+    // This triggers a refresh of the image grid.
     if (selectedFiles.some((file) => file.uploaded)) {
       onUploadSuccess();
     }
@@ -136,10 +289,22 @@ const UploadConsole = ({ onUploadSuccess }) => {
     filesToRetain.forEach((file) => (file.uploadFailed = true));
     setSelectedFiles(filesToRetain);
 
-    // If any files failed to upload, alert the user.
-    if (selectedFiles.some((file) => file.uploadFailed)) {
+    // If any files failed to upload, alert the user with the reason for each failure.
+    if (filesToRetain.length > 0) {
+      const failureList = filesToRetain
+        .map((file) => `${file.file.name}: ${getFailureMessage(file.errorCode)}`)
+        .join("\n");
+      alert(
+        `Some files failed to upload. They have been retained in your selection.\n\n${failureList}`
+      );
+    }
+
+    // Near duplicates are uploaded, but the user is told in case they were not intended.
+    if (similarFileNames.length > 0) {
       alert(
-        "Some files failed to upload. They have been retained in your selection."
+        `The following files look similar to images that have already been uploaded:\n\n${similarFileNames.join(
+          "\n"
+        )}`
       );
     }
 
@@ -147,6 +312,24 @@ const UploadConsole = ({ onUploadSuccess }) => {
     setIsUploading(false);
   };
 
+  /**
+   * Creates an album named by the user, and chooses it for the files to be uploaded to.
+   */
+  const handleCreateAlbum = async () => {
+    const title = prompt("Enter a name for the new album.");
+    if (!title || !title.trim()) {
+      return;
+    }
+    try {
+      const album = await createAlbum(title.trim());
+      setAlbums((prevAlbums) => [album, ...prevAlbums]);
+      setSelectedAlbumId(album.id);
+    } catch (error) {
+      console.error("Error creating album:", error);
+      alert("The album could not be created. Please try again.");
+    }
+  };
+
   /**
    * Removes all selected files from the state.
    */
@@ -189,9 +372,11 @@ const UploadConsole = ({ onUploadSuccess }) => {
             const newFile = new File([file.file], newFileName, {
               type: file.file.type,
             });
+            // A partially uploaded copy under the old name cannot be resumed.
             return {
               ...file,
               file: newFile,
+              uploadSessionId: null,
             };
           }
           return file;
@@ -200,6 +385,12 @@ const UploadConsole = ({ onUploadSuccess }) => {
     }
   };
 
+  // The number of files still waiting for or in the middle of their upload, used as a progress indicator.
+  const uploadingCount = selectedFiles.filter(
+    ({ id }) =>
+      uploadStates[id] === "queued" || uploadStates[id] === "processing"
+  ).length;
+
   // RENDER
   return (
     <div className="flex flex-col items-center">
@@ -242,6 +433,41 @@ const UploadConsole = ({ onUploadSuccess }) => {
             Upload
           </button>
         </div>
+        <div className="flex items-center justify-center space-x-2 mt-2">
+          <select
+            className="select select-bordered select-sm"
+            value={selectedAlbumId}
+            onChange={(event) => setSelectedAlbumId(event.target.value)}
+            disabled={isUploading}
+            aria-label="Album"
+            data-testid="album-select"
+          >
+            <option value="">No album</option>
+            {albums.map(({ id, title }) => (
+              <option key={id} value={id}>
+                {title}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="btn btn-ghost btn-sm"
+            onClick={handleCreateAlbum}
+            disabled={isUploading}
+          >
+            New Album
+          </button>
+          <input
+            type="text"
+            className="input input-bordered input-sm"
+            value={tagText}
+            onChange={(event) => setTagText(event.target.value)}
+            disabled={isUploading}
+            placeholder="Tags, separated by commas"
+            aria-label="Tags"
+            data-testid="tags-input"
+          />
+        </div>
       </form>
       {selectedFiles.length > 0 ? <div className="divider"></div> : <></>}
       {selectedFiles.length > 0 ? (
@@ -251,8 +477,8 @@ const UploadConsole = ({ onUploadSuccess }) => {
             data-testid="selected-status-text"
           >
             {isUploading
-              ? `Uploading ${uploadProgressCount} file${
-                  uploadProgressCount > 1 ? "s" : ""
+              ? `Uploading ${uploadingCount} file${
+                  uploadingCount > 1 ? "s" : ""
                 }...`
               : `${selectedFiles.length} file${
                   selectedFiles.length > 1 ? "s" : ""
@@ -260,7 +486,7 @@ const UploadConsole = ({ onUploadSuccess }) => {
           </span>
           <div className="relative">
             <ul className="grid grid-cols-4 gap-0">
-              {selectedFiles.map(({ id, file, uploadFailed, uploaded }) => {
+              {selectedFiles.map(({ id, file, uploadFailed, errorCode }) => {
                 // The colour of the file indicates the progress of the upload.
                 let textColorClass = "";
                 if (uploadFailed && !isUploading) {
@@ -291,11 +517,35 @@ const UploadConsole = ({ onUploadSuccess }) => {
                     </button>
                     <span
                       className={`truncate ${textColorClass}`}
-                      title={file.name}
+                      title={
+                        uploadFailed
+                          ? `${file.name}: ${getFailureMessage(errorCode)}`
+                          : file.name
+                      }
                     >
                       {file.name.slice(0, 40) +
                         (file.name.length > 40 ? "..." : "")}
                     </span>
+                    {uploadFailed && !isUploading ? (
+                      <span
+                        className="text-xs text-red-500 ml-2 whitespace-nowrap"
+                        data-testid="upload-failure-reason"
+                      >
+                        {getFailureMessage(errorCode)}
+                      </span>
+                    ) : (
+                      <></>
+                    )}
+                    {isUploading && uploadStates[id] ? (
+                      <span
+                        className="text-xs text-yellow-500 ml-2 whitespace-nowrap"
+                        data-testid="upload-state"
+                      >
+                        {UPLOAD_STATE_LABELS[uploadStates[id]]}
+                      </span>
+                    ) : (
+                      <></>
+                    )}
                   </li>
                 );
               })}
@@ -7,10 +7,13 @@ import {
   waitFor,
 } from "@testing-library/react";
 import UploadConsole from "./UploadConsole";
+import { findUploadedDuplicates } from "../utils/duplicates";
+import { fetchAlbums, createAlbum, addImagesToAlbum } from "../utils/albums";
 import {
   MAX_FILE_COUNT,
   MAX_FILE_SIZE,
   NEW_NAME_MAX_LENGTH,
+  MAX_TAG_LENGTH,
 } from "../config/constants";
 
 // Mock the uuidv4 function for convenience.
@@ -18,6 +21,18 @@ jest.mock("uuid", () => ({
   v4: jest.fn(() => Math.random().toString(36).substring(7)),
 }));
 
+// Mock the duplicate check, which otherwise hashes the files. No file is a duplicate unless a test says so.
+jest.mock("../utils/duplicates", () => ({
+  findUploadedDuplicates: jest.fn(() => Promise.resolve([])),
+}));
+
+// Mock the album requests. The albums are never loaded unless a test says so.
+jest.mock("../utils/albums", () => ({
+  fetchAlbums: jest.fn(() => new Promise(() => {})),
+  createAlbum: jest.fn(),
+  addImagesToAlbum: jest.fn(() => Promise.resolve({})),
+}));
+
 // Mock the fetch function
 global.fetch = jest.fn(() => new Promise(() => {}));
 
@@ -354,7 +369,13 @@ describe("UploadConsole", () => {
     fireEvent.change(fileInput, { target: { files: [file] } });
 
     // Mock the fetch function.
-    fetch.mockResolvedValue({ ok: true });
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          results: [{ file: "test-file.jpg", success: true, status: 200 }],
+        }),
+    });
 
     // Click the upload button.
     const uploadButton = screen.getByText("Upload");
@@ -362,6 +383,261 @@ describe("UploadConsole", () => {
 
     // Check if the fetch function was called.
     await waitFor(() => expect(fetch).toHaveBeenCalled());
+
+    // The uploaded file is removed from the selection and the parent is notified.
+    await waitFor(() =>
+      expect(screen.queryByText("test-file.jpg")).not.toBeInTheDocument()
+    );
+    expect(mockOnUploadSuccess).toHaveBeenCalled();
+  });
+
+  // Test that the reason for a failed upload reported by the API is shown against the file.
+  test("The reason a file failed to upload is displayed against the file.", async () => {
+    window.alert = jest.fn();
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    const fileInput = screen.getByTestId("file-input");
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(fileInput, { target: { files: [file] } });
+
+    // The API rejects the file because of its type.
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 207,
+      json: () =>
+        Promise.resolve({
+          results: [
+            {
+              file: "test-file.jpg",
+              success: false,
+              status: 415,
+              errorCode: "UNSUPPORTED_TYPE",
+            },
+          ],
+        }),
+    });
+    fireEvent.click(screen.getByText("Upload"));
+
+    // The file is retained and the reason is shown against it and in the alert.
+    const reason = await screen.findByTestId("upload-failure-reason");
+    expect(reason.textContent).toBe("Unsupported file type.");
+    expect(screen.getByText("test-file.jpg")).toBeInTheDocument();
+    expect(window.alert).toHaveBeenCalledWith(
+      expect.stringContaining("test-file.jpg: Unsupported file type.")
+    );
+    expect(mockOnUploadSuccess).not.toHaveBeenCalled();
+  });
+
+  // Test that a request rejected outright by the API reports its error code against the file.
+  test("The reason a request was rejected is displayed against the file.", async () => {
+    window.alert = jest.fn();
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    const fileInput = screen.getByTestId("file-input");
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(fileInput, { target: { files: [file] } });
+
+    // The API rejects the request because the file exceeds its size limit.
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 413,
+      json: () =>
+        Promise.resolve({
+          errorCode: "TOO_LARGE",
+          message: "Files may not exceed 18874368 bytes.",
+        }),
+    });
+    fireEvent.click(screen.getByText("Upload"));
+
+    const reason = await screen.findByTestId("upload-failure-reason");
+    expect(reason.textContent).toBe("File is too large.");
+  });
+
+  // Test that files which have already been uploaded are only sent again once the user confirms it.
+  test("Files which have already been uploaded are only sent again if the user confirms it.", async () => {
+    window.confirm = jest.fn().mockReturnValue(false);
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(screen.getByTestId("file-input"), {
+      target: { files: [file] },
+    });
+    findUploadedDuplicates.mockResolvedValue([
+      { file, image: { id: "abc123", link: "https://i.imgur.com/abc123.jpg" } },
+    ]);
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          results: [{ file: "test-file.jpg", success: true, status: 200 }],
+        }),
+    });
+
+    // Cancelling leaves the selection untouched and sends nothing.
+    fireEvent.click(screen.getByText("Upload"));
+    await waitFor(() =>
+      expect(screen.getByText("1 file selected.")).toBeInTheDocument()
+    );
+    expect(window.confirm).toHaveBeenCalledWith(
+      expect.stringContaining("test-file.jpg (https://i.imgur.com/abc123.jpg)")
+    );
+    expect(fetch).not.toHaveBeenCalled();
+
+    // Confirming uploads the file again, telling the API to allow the duplicate.
+    window.confirm.mockReturnValue(true);
+    fireEvent.click(screen.getByText("Upload"));
+    await waitFor(() =>
+      expect(screen.queryByText("test-file.jpg")).not.toBeInTheDocument()
+    );
+    expect(fetch.mock.calls[0][1].body.get("allowDuplicates")).toBe("true");
+    findUploadedDuplicates.mockResolvedValue([]);
+  });
+
+  // Test that the user is told about files which look like images uploaded before.
+  test("An alert is shown when an uploaded file is similar to an existing image.", async () => {
+    window.alert = jest.fn();
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(screen.getByTestId("file-input"), {
+      target: { files: [file] },
+    });
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          results: [
+            {
+              file: "test-file.jpg",
+              success: true,
+              status: 200,
+              duplicateStatus: "NEAR_DUPLICATE",
+            },
+          ],
+        }),
+    });
+    fireEvent.click(screen.getByText("Upload"));
+
+    await waitFor(() =>
+      expect(window.alert).toHaveBeenCalledWith(
+        expect.stringContaining("look similar to images")
+      )
+    );
+    expect(fetch.mock.calls[0][1].body.get("allowDuplicates")).toBeNull();
+    expect(mockOnUploadSuccess).toHaveBeenCalled();
+  });
+
+  // Test that the tags typed in are sent with the files.
+  test("The tags entered are sent with the uploaded files.", async () => {
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(screen.getByTestId("file-input"), {
+      target: { files: [file] },
+    });
+    fireEvent.change(screen.getByLabelText("Tags"), {
+      target: { value: "Kitchen, evidence" },
+    });
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          results: [{ file: "test-file.jpg", success: true, status: 200 }],
+        }),
+    });
+    fireEvent.click(screen.getByText("Upload"));
+
+    await waitFor(() => expect(mockOnUploadSuccess).toHaveBeenCalled());
+    expect(fetch.mock.calls[0][1].body.get("tags")).toBe("kitchen,evidence");
+  });
+
+  // Test that tags the API would reject are reported without sending the files.
+  test("Invalid tags are reported before any file is sent.", () => {
+    window.alert = jest.fn();
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(screen.getByTestId("file-input"), {
+      target: { files: [file] },
+    });
+    fireEvent.change(screen.getByLabelText("Tags"), {
+      target: { value: "a".repeat(MAX_TAG_LENGTH + 1) },
+    });
+    fireEvent.click(screen.getByText("Upload"));
+
+    expect(window.alert).toHaveBeenCalledWith(
+      `Tags may not exceed ${MAX_TAG_LENGTH} characters.`
+    );
+    expect(fetch).not.toHaveBeenCalled();
+    expect(screen.getByText("1 file selected.")).toBeInTheDocument();
+  });
+
+  // Test that the state of each file is shown as the API's upload job progresses.
+  test("The state of each file is displayed as the upload job progresses.", async () => {
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(screen.getByTestId("file-input"), {
+      target: { files: [file] },
+    });
+
+    // The API accepts the file as a job, which completes when it is next read.
+    let completeJob;
+    const job = {
+      id: "job-1",
+      status: "processing",
+      uploaded: 0,
+      failed: 0,
+      files: [{ file: "test-file.jpg", state: "queued", result: null }],
+    };
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        status: 202,
+        json: () => Promise.resolve(job),
+      })
+      .mockReturnValueOnce(
+        new Promise((resolve) => {
+          completeJob = () =>
+            resolve({
+              ok: true,
+              status: 200,
+              json: () =>
+                Promise.resolve({
+                  ...job,
+                  status: "completed",
+                  uploaded: 1,
+                  files: [
+                    {
+                      file: "test-file.jpg",
+                      state: "uploaded",
+                      result: { success: true, status: 200 },
+                    },
+                  ],
+                }),
+            });
+        })
+      );
+    fireEvent.click(screen.getByText("Upload"));
+
+    expect((await screen.findByTestId("upload-state")).textContent).toBe(
+      "Queued"
+    );
+    expect(screen.getByText("Uploading 1 file...")).toBeInTheDocument();
+
+    act(() => completeJob());
+    await waitFor(() =>
+      expect(screen.queryByText("test-file.jpg")).not.toBeInTheDocument()
+    );
+    expect(fetch.mock.calls[1][0]).toMatch(/jobs\/job-1$/);
+    expect(mockOnUploadSuccess).toHaveBeenCalled();
   });
 
   // Test that an error thrown during the upload process is handled gracefully.
@@ -464,4 +740,107 @@ describe("UploadConsole", () => {
     expect(screen.getByText(truncatedFileName)).toBeInTheDocument();
     expect(screen.getByText(shortFileName)).toBeInTheDocument();
   });
+
+  // Test that the albums are offered in the album picker.
+  test("The albums are offered in the album picker.", async () => {
+    fetchAlbums.mockResolvedValueOnce([
+      { id: "album1", title: "Case 42" },
+      { id: "album2", title: "Matter 7" },
+    ]);
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+
+    expect(await screen.findByText("Case 42")).toBeInTheDocument();
+    expect(screen.getByText("Matter 7")).toBeInTheDocument();
+    expect(screen.getByTestId("album-select").value).toBe("");
+  });
+
+  // Test that a new album is created and chosen.
+  test("A new album is created and chosen for the upload.", async () => {
+    window.prompt = jest.fn().mockReturnValue("Case 42");
+    createAlbum.mockResolvedValueOnce({ id: "album1", title: "Case 42" });
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText("New Album"));
+    });
+
+    expect(createAlbum).toHaveBeenCalledWith("Case 42");
+    expect(screen.getByText("Case 42")).toBeInTheDocument();
+    expect(screen.getByTestId("album-select").value).toBe("album1");
+  });
+
+  // Test that no album is created if the user does not name it.
+  test("No album is created without a name.", async () => {
+    window.prompt = jest.fn().mockReturnValue("  ");
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText("New Album"));
+    });
+    expect(createAlbum).not.toHaveBeenCalled();
+  });
+
+  // Test that uploaded files are added to the chosen album before the grid is refreshed.
+  test("Uploaded files are added to the chosen album.", async () => {
+    fetchAlbums.mockResolvedValueOnce([{ id: "album1", title: "Case 42" }]);
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    await screen.findByText("Case 42");
+    fireEvent.change(screen.getByTestId("album-select"), {
+      target: { value: "album1" },
+    });
+
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(screen.getByTestId("file-input"), {
+      target: { files: [file] },
+    });
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () =>
+        Promise.resolve({
+          results: [{ file: "test-file.jpg", success: true, id: "image1" }],
+        }),
+    });
+    fireEvent.click(screen.getByText("Upload"));
+
+    await waitFor(() => expect(mockOnUploadSuccess).toHaveBeenCalled());
+    expect(addImagesToAlbum).toHaveBeenCalledWith("album1", ["image1"]);
+  });
+
+  // Test that a failure to add the files to the album is reported, but the upload still counts.
+  test("A failure to add uploaded files to the album is reported.", async () => {
+    window.alert = jest.fn();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    fetchAlbums.mockResolvedValueOnce([{ id: "album1", title: "Case 42" }]);
+    addImagesToAlbum.mockRejectedValueOnce(new Error("Failed"));
+    render(<UploadConsole onUploadSuccess={mockOnUploadSuccess} />);
+    await screen.findByText("Case 42");
+    fireEvent.change(screen.getByTestId("album-select"), {
+      target: { value: "album1" },
+    });
+
+    const file = new File(["file content"], "test-file.jpg", {
+      type: "image/jpeg",
+    });
+    fireEvent.change(screen.getByTestId("file-input"), {
+      target: { files: [file] },
+    });
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () =>
+        Promise.resolve({
+          results: [{ file: "test-file.jpg", success: true, id: "image1" }],
+        }),
+    });
+    fireEvent.click(screen.getByText("Upload"));
+
+    await waitFor(() => expect(mockOnUploadSuccess).toHaveBeenCalled());
+    expect(window.alert).toHaveBeenCalledWith(
+      "The files were uploaded, but could not be added to the album."
+    );
+    console.error.mockRestore();
+  });
 });
@@ -6,14 +6,98 @@
 // the size and nature of the images to upload.
 export const MAX_FILE_COUNT = 20;
 
-// 20 MB is the Imgur limit for non-animated images.
+// 20 MB is the Imgur limit for non-animated images, but the API downscales and recompresses
+// larger images to fit, so camera originals can be uploaded as they are.
 // https://help.imgur.com/hc/en-us/articles/26511665959579-What-files-can-I-upload-Is-there-a-size-limit
-export const MAX_FILE_SIZE = 18 * 1024 * 1024; // MB
+export const MAX_FILE_SIZE = 50 * 1024 * 1024; // MB
 export const NEW_NAME_MAX_LENGTH = 20;
+
+// Files larger than this are uploaded in chunks through the resumable upload protocol,
+// so that an interrupted upload resumes where it stopped rather than starting over.
+export const RESUMABLE_UPLOAD_THRESHOLD = 5 * 1024 * 1024; // MB
+export const UPLOAD_CHUNK_SIZE = 1024 * 1024; // MB
+export const UPLOAD_RETRY_LIMIT = 5;
+export const UPLOAD_RETRY_DELAY = 1000; // ms
+
+// Smaller files are uploaded together as a job, whose progress is followed through Server-Sent Events,
+// or by polling it at this interval where they are unavailable.
+export const JOB_POLL_INTERVAL = 1000; // ms
 export const NEW_NAME_REGEX = /^[a-zA-Z0-9]{1,20}$/;
 
+// Messages shown against files which the API failed to upload, keyed by the error code it returns.
+export const UPLOAD_ERROR_MESSAGES = {
+  UNSUPPORTED_TYPE: "Unsupported file type.",
+  TYPE_MISMATCH: "File contents do not match its type.",
+  CORRUPT_FILE: "File is corrupt or incomplete.",
+  TOO_LARGE: "File is too large.",
+  TOO_MANY_FILES: "Too many files were uploaded at once.",
+  UPSTREAM_ERROR: "Imgur failed to process the file.",
+  RATE_LIMITED: "Imgur's upload limit was reached. Try again later.",
+};
+export const UPLOAD_ERROR_MESSAGE_DEFAULT = "Upload failed.";
+
+// Image grid constants - the number of images requested per page.
+export const IMAGES_PER_PAGE = 20;
+
+// The longest title and description the API accepts when an image is edited.
+export const MAX_TITLE_LENGTH = 128;
+export const MAX_DESCRIPTION_LENGTH = 1000;
+
+// The most tags an image can carry, and the longest tag, as the API accepts them.
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 32;
+
+// The grid searches once the user stops typing for this long, and suggests this many of the tags in use.
+export const SEARCH_DEBOUNCE_DELAY = 300; // ms
+export const MAX_TAG_SUGGESTIONS = 10;
+
+// The orders the grid can be sorted in, with the direction each field is sorted in when it is chosen.
+export const SORT_OPTIONS = [
+  { value: "datetime", label: "Upload date", order: "desc" },
+  { value: "views", label: "Views", order: "desc" },
+  { value: "size", label: "File size", order: "desc" },
+  { value: "title", label: "Title", order: "asc" },
+];
+
+// The types of image the grid can be narrowed down to.
+export const TYPE_FILTER_OPTIONS = [
+  { value: "image/jpeg", label: "JPEG" },
+  { value: "image/png", label: "PNG" },
+  { value: "image/apng", label: "APNG" },
+  { value: "image/gif", label: "GIF" },
+  { value: "image/tiff", label: "TIFF" },
+];
+
+// The most images the API deletes in a single request. Larger selections are deleted in several requests.
+export const MAX_BULK_DELETE = 100;
+
+// The thumbnail sizes Imgur serves which keep the proportions of the image, with their longest edge in pixels.
+// Source: https://api.imgur.com/models/image
+export const THUMBNAIL_SIZES = [
+  { size: "t", pixels: 160 },
+  { size: "m", pixels: 320 },
+  { size: "l", pixels: 640 },
+  { size: "h", pixels: 1024 },
+];
+
+// The layout of the grid - the number of columns and the height of the image on each card.
+export const GRID_COLUMNS = 2;
+export const CARD_IMAGE_HEIGHT = 240; // px
+
+// The key the signed-in session is kept under in sessionStorage, and how long before its access token expires
+// it is refreshed, so that requests are never sent with an expired token.
+export const SESSION_STORAGE_KEY = "session";
+export const SESSION_REFRESH_MARGIN = 60 * 1000; // ms
+
 // Upload image endpoints - endpoints used when uploading images.
 export const API_ENDPOINT_BASE = "http://localhost:9001/";
 export const IMAGES_ENDPOINT_SUFFIX = "images/";
 export const IMAGE_ENDPOINT_SUFFIX = "image/";
+export const DUPLICATES_ENDPOINT_SUFFIX = "images/duplicates";
+export const UPLOADS_ENDPOINT_SUFFIX = "uploads/";
+export const JOBS_ENDPOINT_SUFFIX = "jobs/";
+export const EVENTS_ENDPOINT_SUFFIX = "events";
+export const ALBUMS_ENDPOINT_SUFFIX = "albums/";
+export const TAGS_ENDPOINT_SUFFIX = "tags";
+export const AUTH_ENDPOINT_SUFFIX = "auth/";
 export const IMGUR_DOMAIN_PREFIX = "https://i.imgur.com/";
@@ -0,0 +1,64 @@
+import { API_ENDPOINT_BASE, ALBUMS_ENDPOINT_SUFFIX } from "../config/constants";
+import { authFetch } from "./session";
+
+/**
+ * Fetches every album from the API.
+ *
+ * Albums only narrow down what is uploaded or displayed, so if they cannot be fetched
+ * none are offered rather than blocking the page.
+ *
+ * @returns {Object[]} the albums, most recently created first.
+ */
+export const fetchAlbums = async () => {
+  try {
+    const response = await authFetch(
+      API_ENDPOINT_BASE + ALBUMS_ENDPOINT_SUFFIX
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to fetch albums: ${response.status}`);
+    }
+    const { albums = [] } = await response.json();
+    return albums;
+  } catch (error) {
+    console.error("Error fetching albums:", error);
+    return [];
+  }
+};
+
+/**
+ * Creates an album.
+ * @param {string} title - the title of the album.
+ * @returns {Object} the album.
+ */
+export const createAlbum = async (title) => {
+  const response = await authFetch(API_ENDPOINT_BASE + ALBUMS_ENDPOINT_SUFFIX, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ title }),
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to create album: ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Adds uploaded images to an album.
+ * @param {string} albumId - the ID of the album.
+ * @param {string[]} imageIds - the IDs of the images.
+ * @returns {Object} the album.
+ */
+export const addImagesToAlbum = async (albumId, imageIds) => {
+  const response = await authFetch(
+    `${API_ENDPOINT_BASE}${ALBUMS_ENDPOINT_SUFFIX}${albumId}/images`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ imageIds }),
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to add images to album: ${response.status}`);
+  }
+  return response.json();
+};
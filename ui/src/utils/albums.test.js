@@ -0,0 +1,62 @@
+import { fetchAlbums, createAlbum, addImagesToAlbum } from "./albums";
+
+// A response from the API with a JSON body.
+const mockResponse = (body, ok = true, status = 200) =>
+  Promise.resolve({ ok, status, json: () => Promise.resolve(body) });
+
+describe("albums", () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  // Test that the albums are read from the API.
+  test("Fetches the albums.", async () => {
+    const albums = [{ id: "album1", title: "Case 42" }];
+    fetch.mockReturnValue(mockResponse({ albums }));
+    expect(await fetchAlbums()).toEqual(albums);
+    expect(fetch.mock.calls[0][0]).toMatch(/albums\/$/);
+  });
+
+  // Test that a failure to fetch the albums offers none.
+  test("Offers no albums if they cannot be fetched.", async () => {
+    fetch.mockReturnValue(mockResponse("Failed", false, 500));
+    expect(await fetchAlbums()).toEqual([]);
+
+    fetch.mockRejectedValue(new Error("Network Error"));
+    expect(await fetchAlbums()).toEqual([]);
+  });
+
+  // Test that an album is created with the given title.
+  test("Creates an album.", async () => {
+    const album = { id: "album1", title: "Case 42" };
+    fetch.mockReturnValue(mockResponse(album, true, 201));
+    expect(await createAlbum("Case 42")).toEqual(album);
+    expect(fetch.mock.calls[0][1]).toMatchObject({
+      method: "POST",
+      body: JSON.stringify({ title: "Case 42" }),
+    });
+
+    fetch.mockReturnValue(mockResponse("Failed", false, 400));
+    await expect(createAlbum("")).rejects.toThrow("Failed to create album");
+  });
+
+  // Test that images are added to the album named in the URL.
+  test("Adds images to an album.", async () => {
+    fetch.mockReturnValue(mockResponse({ id: "album1" }));
+    await addImagesToAlbum("album1", ["image1", "image2"]);
+    expect(fetch.mock.calls[0][0]).toMatch(/albums\/album1\/images$/);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      imageIds: ["image1", "image2"],
+    });
+
+    fetch.mockReturnValue(mockResponse("Failed", false, 404));
+    await expect(addImagesToAlbum("album1", ["image1"])).rejects.toThrow(
+      "Failed to add images to album"
+    );
+  });
+});
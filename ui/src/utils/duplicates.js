@@ -0,0 +1,44 @@
+import {
+  API_ENDPOINT_BASE,
+  DUPLICATES_ENDPOINT_SUFFIX,
+} from "../config/constants";
+import { hashFile } from "./files";
+import { authFetch } from "./session";
+
+/**
+ * Asks the API which of the given files have already been uploaded, by comparing their hashes.
+ *
+ * The check only warns the user before uploading, so if it fails the files are treated
+ * as new rather than blocking the upload. Each file is read whole to hash it, so they are hashed one at a time
+ * rather than holding every file in memory at once.
+ *
+ * @param {File[]} files - the files to check.
+ * @returns {Object[]} the files that have already been uploaded, each with the image it duplicates.
+ */
+export const findUploadedDuplicates = async (files) => {
+  try {
+    const hashes = [];
+    for (const file of files) {
+      hashes.push(await hashFile(file));
+    }
+    const response = await authFetch(
+      API_ENDPOINT_BASE + DUPLICATES_ENDPOINT_SUFFIX,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ hashes: [...new Set(hashes)] }),
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to check for duplicates: ${response.status}`);
+    }
+
+    const { duplicates = {} } = await response.json();
+    return files
+      .map((file, index) => ({ file, image: duplicates[hashes[index]] }))
+      .filter(({ image }) => image);
+  } catch (error) {
+    console.error("Error checking for duplicates:", error);
+    return [];
+  }
+};
@@ -0,0 +1,103 @@
+import { webcrypto } from "crypto";
+import { findUploadedDuplicates } from "./duplicates";
+
+// jsdom does not implement SubtleCrypto, so Node's implementation is used.
+// Its buffers belong to another realm, so they are copied before being hashed.
+Object.defineProperty(window.crypto, "subtle", {
+  value: {
+    digest: (algorithm, data) =>
+      webcrypto.subtle.digest(algorithm, Uint8Array.from(Buffer.from(data))),
+  },
+});
+
+// The SHA-256 hash of "file content".
+const FILE_CONTENT_HASH =
+  "e0ac3601005dfa1864f5392aabaf7d898b1b5bab854f1acb4491bcd806b76b0c";
+
+describe("findUploadedDuplicates", () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test("Returns the files the API already holds, with the images they duplicate.", async () => {
+    const image = { id: "abc123", title: "Uploaded earlier" };
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({ duplicates: { [FILE_CONTENT_HASH]: image } }),
+    });
+    const duplicate = new File(["file content"], "duplicate.jpg");
+    const original = new File(["other content"], "original.jpg");
+
+    const duplicates = await findUploadedDuplicates([duplicate, original]);
+
+    expect(duplicates).toEqual([{ file: duplicate, image }]);
+    const { hashes } = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(hashes).toHaveLength(2);
+    expect(hashes).toContain(FILE_CONTENT_HASH);
+  });
+
+  test("Sends each hash once.", async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ duplicates: {} }),
+    });
+    const files = [
+      new File(["file content"], "first.jpg"),
+      new File(["file content"], "second.jpg"),
+    ];
+
+    expect(await findUploadedDuplicates(files)).toEqual([]);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      hashes: [FILE_CONTENT_HASH],
+    });
+  });
+
+  test("Hashes the files one at a time.", async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ duplicates: {} }),
+    });
+    const { digest } = window.crypto.subtle;
+    let inFlight = 0;
+    let mostInFlight = 0;
+    window.crypto.subtle.digest = async (...args) => {
+      inFlight += 1;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      try {
+        return await digest(...args);
+      } finally {
+        inFlight -= 1;
+      }
+    };
+
+    try {
+      await findUploadedDuplicates([
+        new File(["first"], "first.jpg"),
+        new File(["second"], "second.jpg"),
+        new File(["third"], "third.jpg"),
+      ]);
+    } finally {
+      window.crypto.subtle.digest = digest;
+    }
+    expect(mostInFlight).toBe(1);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).hashes).toHaveLength(3);
+  });
+
+  test("Treats every file as new if the check fails.", async () => {
+    fetch.mockResolvedValue({ ok: false, status: 500, json: () => ({}) });
+    expect(
+      await findUploadedDuplicates([new File(["file content"], "a.jpg")])
+    ).toEqual([]);
+
+    fetch.mockRejectedValue(new Error("Network error"));
+    expect(
+      await findUploadedDuplicates([new File(["file content"], "a.jpg")])
+    ).toEqual([]);
+  });
+});
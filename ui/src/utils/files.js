@@ -0,0 +1,30 @@
+/**
+ * Reads a file, or part of one, into memory.
+ * @param {Blob} blob - the file or part of the file to read.
+ * @returns {ArrayBuffer} the contents.
+ */
+export const readFile = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+/**
+ * Computes the SHA-256 digest of some data.
+ * @param {ArrayBuffer} buffer - the data to digest.
+ * @returns {Uint8Array} the digest.
+ */
+export const digest = async (buffer) =>
+  new Uint8Array(await window.crypto.subtle.digest("SHA-256", buffer));
+
+/**
+ * Computes the SHA-256 hash of a file, as the API records it.
+ * @param {Blob} file - the file to hash.
+ * @returns {string} the hash in hex.
+ */
+export const hashFile = async (file) =>
+  Array.from(await digest(await readFile(file)))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
@@ -0,0 +1,71 @@
+/**
+ * Merges changes to the gallery, broadcast by the API, into the images displayed.
+ */
+
+/**
+ * Orders images as the API lists them, most recently uploaded first.
+ * @param {Object} a - an image.
+ * @param {Object} b - another image.
+ * @returns {number} a negative number if a is listed first.
+ */
+const compareImages = (a, b) =>
+  b.datetime - a.datetime ||
+  (b.createdAt ?? "").localeCompare(a.createdAt ?? "") ||
+  a.id.localeCompare(b.id);
+
+/**
+ * Applies a change to the gallery to the images displayed.
+ *
+ * Uploaded images are placed in order among the images displayed. Images that belong after the last one
+ * displayed are left for a later page, unless every page has been loaded. Updated images are replaced
+ * where they are displayed, and deleted images are removed.
+ *
+ * @param {Object[]} images - the images displayed.
+ * @param {string} type - the type of the change: image-created, image-updated or image-deleted.
+ * @param {Object} image - the image that changed, only its ID for a deletion.
+ * @param {boolean} hasMore - whether there are further pages to load.
+ * @returns {Object} the images to display, and the change to the total number of images.
+ */
+export const applyGalleryEvent = (images, type, image, hasMore) => {
+  const isDisplayed = images.some(({ id }) => id === image.id);
+
+  if (type === "image-created") {
+    if (isDisplayed) {
+      return { images, totalChange: 0 };
+    }
+    const index = images.findIndex(
+      (displayed) => compareImages(image, displayed) < 0
+    );
+    if (index === -1) {
+      return {
+        images: hasMore ? images : [...images, image],
+        totalChange: 1,
+      };
+    }
+    return {
+      images: [...images.slice(0, index), image, ...images.slice(index)],
+      totalChange: 1,
+    };
+  }
+
+  if (type === "image-updated") {
+    return {
+      images: isDisplayed
+        ? images.map((displayed) =>
+            displayed.id === image.id ? { ...displayed, ...image } : displayed
+          )
+        : images,
+      totalChange: 0,
+    };
+  }
+
+  if (type === "image-deleted") {
+    // An image that is not displayed may be on a page yet to be loaded.
+    return {
+      images: images.filter(({ id }) => id !== image.id),
+      totalChange: isDisplayed || hasMore ? -1 : 0,
+    };
+  }
+
+  return { images, totalChange: 0 };
+};
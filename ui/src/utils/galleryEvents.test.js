@@ -0,0 +1,62 @@
+import { applyGalleryEvent } from "./galleryEvents";
+
+const newer = { id: "3", title: "Newer", datetime: 300 };
+const middle = { id: "2", title: "Middle", datetime: 200 };
+const older = { id: "1", title: "Older", datetime: 100 };
+
+/**
+ * The gallery event helper merges the changes broadcast by the API into the images displayed.
+ */
+describe("galleryEvents", () => {
+  // Test that an uploaded image is placed in order.
+  test("Inserts an uploaded image in order.", () => {
+    expect(
+      applyGalleryEvent([newer, older], "image-created", middle, false)
+    ).toEqual({ images: [newer, middle, older], totalChange: 1 });
+  });
+
+  // Test that an image already displayed is not added again.
+  test("Ignores an uploaded image that is already displayed.", () => {
+    expect(
+      applyGalleryEvent([newer, middle], "image-created", middle, false)
+    ).toEqual({ images: [newer, middle], totalChange: 0 });
+  });
+
+  // Test that an image that belongs on a later page is left for that page.
+  test("Leaves an image that belongs on a later page to be loaded.", () => {
+    expect(
+      applyGalleryEvent([newer, middle], "image-created", older, true)
+    ).toEqual({ images: [newer, middle], totalChange: 1 });
+    expect(
+      applyGalleryEvent([newer, middle], "image-created", older, false)
+    ).toEqual({ images: [newer, middle, older], totalChange: 1 });
+  });
+
+  // Test that an updated image is merged into the one displayed.
+  test("Replaces the fields of an updated image.", () => {
+    const updated = { ...middle, title: "Renamed" };
+    expect(
+      applyGalleryEvent([newer, middle], "image-updated", updated, false)
+    ).toEqual({ images: [newer, updated], totalChange: 0 });
+    expect(
+      applyGalleryEvent([newer], "image-updated", updated, false).images
+    ).toEqual([newer]);
+  });
+
+  // Test that a deleted image is removed and the total reduced.
+  test("Removes a deleted image.", () => {
+    expect(
+      applyGalleryEvent([newer, middle], "image-deleted", { id: "3" }, false)
+    ).toEqual({ images: [middle], totalChange: -1 });
+  });
+
+  // Test that a deleted image that is not displayed only counts if it may be on a later page.
+  test("Reduces the total for an image on a later page.", () => {
+    expect(
+      applyGalleryEvent([newer], "image-deleted", { id: "1" }, true)
+    ).toEqual({ images: [newer], totalChange: -1 });
+    expect(
+      applyGalleryEvent([newer], "image-deleted", { id: "1" }, false)
+    ).toEqual({ images: [newer], totalChange: 0 });
+  });
+});
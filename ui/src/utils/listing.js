@@ -0,0 +1,87 @@
+import { SORT_OPTIONS, TYPE_FILTER_OPTIONS } from "../config/constants";
+
+// The sort and filters of the grid when the user has not chosen any.
+// Every value is kept as a string, as it is typed into the toolbar and written to the URL.
+export const DEFAULT_LISTING = {
+  sort: "datetime",
+  order: "desc",
+  mimetype: "",
+  from: "",
+  to: "",
+  animated: "",
+  minWidth: "",
+  minHeight: "",
+};
+
+// The values each parameter may take. Anything else in the URL is ignored.
+const VALIDATORS = {
+  sort: (value) => SORT_OPTIONS.some((option) => option.value === value),
+  order: (value) => value === "asc" || value === "desc",
+  mimetype: (value) =>
+    TYPE_FILTER_OPTIONS.some((option) => option.value === value),
+  from: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  to: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  animated: (value) => value === "true" || value === "false",
+  minWidth: (value) => /^[1-9][0-9]*$/.test(value),
+  minHeight: (value) => /^[1-9][0-9]*$/.test(value),
+};
+
+/**
+ * Reads the sort and filters of the grid from the query string of the page, so that they survive a reload
+ * and can be shared as a link.
+ * @param {string} search - the query string of the page.
+ * @returns {Object} the sort and filters, with the defaults in place of any missing or invalid value.
+ */
+export const readListing = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(
+    Object.entries(DEFAULT_LISTING).map(([name, fallback]) => {
+      const value = params.get(name);
+      return [
+        name,
+        value !== null && VALIDATORS[name](value) ? value : fallback,
+      ];
+    })
+  );
+};
+
+/**
+ * Writes the sort and filters of the grid into a query string, leaving any other parameters untouched.
+ * Default values are left out, so that the URL of an unfiltered grid stays clean.
+ * @param {string} search - the current query string of the page.
+ * @param {Object} listing - the sort and filters.
+ * @returns {string} the new query string, with its leading "?", or an empty string if it has no parameters.
+ */
+export const writeListing = (search, listing) => {
+  const params = new URLSearchParams(search);
+  Object.entries(DEFAULT_LISTING).forEach(([name, fallback]) =>
+    listing[name] && listing[name] !== fallback
+      ? params.set(name, listing[name])
+      : params.delete(name)
+  );
+  const query = params.toString();
+  return query ? `?${query}` : "";
+};
+
+/**
+ * Whether the grid is narrowed down by a filter, as opposed to only sorted.
+ * @param {Object} listing - the sort and filters.
+ * @returns {boolean}
+ */
+export const isFiltered = (listing) =>
+  Object.keys(DEFAULT_LISTING).some(
+    (name) => name !== "sort" && name !== "order" && listing[name] !== ""
+  );
+
+/**
+ * Adds the sort and filters of the grid to the parameters of a request to list images.
+ * The sort is always sent, filters only once they are set.
+ * @param {URLSearchParams} params - the parameters of the request.
+ * @param {Object} listing - the sort and filters.
+ */
+export const appendListing = (params, listing) =>
+  Object.entries(listing).forEach(([name, value]) => {
+    if (value !== "") {
+      params.set(name, value);
+    }
+  });
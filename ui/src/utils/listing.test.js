@@ -0,0 +1,54 @@
+import {
+  DEFAULT_LISTING,
+  appendListing,
+  isFiltered,
+  readListing,
+  writeListing,
+} from "./listing";
+
+describe("listing", () => {
+  // Test that the sort and filters are read back from the URL.
+  test("Reads the sort and filters from the query string.", () => {
+    expect(
+      readListing("?sort=views&order=asc&mimetype=image/gif&minWidth=800")
+    ).toEqual({
+      ...DEFAULT_LISTING,
+      sort: "views",
+      order: "asc",
+      mimetype: "image/gif",
+      minWidth: "800",
+    });
+  });
+
+  // Test that values the grid could not have written are ignored.
+  test("Ignores invalid values.", () => {
+    expect(
+      readListing("?sort=name&order=up&from=yesterday&animated=yes&minHeight=0")
+    ).toEqual(DEFAULT_LISTING);
+  });
+
+  // Test that defaults are left out of the URL and other parameters are kept.
+  test("Writes only the values that differ from the defaults.", () => {
+    expect(
+      writeListing("?tab=gallery&minWidth=100", {
+        ...DEFAULT_LISTING,
+        sort: "title",
+        animated: "false",
+      })
+    ).toBe("?tab=gallery&sort=title&animated=false");
+    expect(writeListing("?sort=views", DEFAULT_LISTING)).toBe("");
+  });
+
+  // Test that sorting alone does not count as filtering.
+  test("Tells filters apart from the sort.", () => {
+    expect(isFiltered({ ...DEFAULT_LISTING, sort: "views" })).toBe(false);
+    expect(isFiltered({ ...DEFAULT_LISTING, to: "2024-05-01" })).toBe(true);
+  });
+
+  // Test that the sort is always requested, and filters only once set.
+  test("Adds the sort and filters to a request.", () => {
+    const params = new URLSearchParams();
+    appendListing(params, { ...DEFAULT_LISTING, minHeight: "600" });
+    expect(params.toString()).toBe("sort=datetime&order=desc&minHeight=600");
+  });
+});
@@ -0,0 +1,151 @@
+import {
+  API_ENDPOINT_BASE,
+  UPLOADS_ENDPOINT_SUFFIX,
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_RETRY_LIMIT,
+  UPLOAD_RETRY_DELAY,
+} from "../config/constants";
+import { digest, readFile } from "./files";
+import { authFetch } from "./session";
+
+const UPLOADS_ENDPOINT = API_ENDPOINT_BASE + UPLOADS_ENDPOINT_SUFFIX;
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - the time to wait.
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Computes the Upload-Checksum header of a chunk, its SHA-256 digest in base64.
+ * @param {ArrayBuffer} buffer - the contents of the chunk.
+ * @returns {string} the header value.
+ */
+const computeChecksum = async (buffer) =>
+  `sha256 ${btoa(String.fromCharCode(...(await digest(buffer))))}`;
+
+/**
+ * Reads the state of an upload session, or null if it no longer exists.
+ * @param {string} sessionId - the ID of the session.
+ * @returns {Object|null} the session, including how many bytes the API holds.
+ */
+const fetchSession = async (sessionId) => {
+  const response = await authFetch(UPLOADS_ENDPOINT + sessionId);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch upload: ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Uploads a file in chunks through the API's resumable upload protocol.
+ *
+ * Each chunk is sent with its offset and checksum. If a chunk fails, the upload waits,
+ * asks the API how much it holds and resumes from there, backing off exponentially.
+ * If the upload is abandoned after too many failures, its session ID can be passed
+ * back in to resume it later without resending the chunks already received.
+ *
+ * @param {File} file - the file to upload.
+ * @param {Object} options
+ * @param {string|null} options.sessionId - the session of a previous, interrupted attempt.
+ * @param {function} options.onSession - called with the ID of the session once it is known.
+ * @param {boolean} options.allowDuplicates - whether to upload the file even if it has already been uploaded.
+ * @param {string[]} options.tags - the tags to record against the file.
+ * @param {number} options.retryDelay - the delay before the first retry, doubled with each further retry.
+ * @returns {Object} whether the upload succeeded and the body of the API's final response.
+ */
+export const uploadResumable = async (
+  file,
+  {
+    sessionId = null,
+    onSession = () => {},
+    allowDuplicates = false,
+    tags = [],
+    retryDelay = UPLOAD_RETRY_DELAY,
+  } = {}
+) => {
+  // Resume the previous session if the API still holds it, otherwise start a new one.
+  let session = sessionId ? await fetchSession(sessionId) : null;
+  if (!session) {
+    const response = await authFetch(UPLOADS_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        filename: file.name,
+        mimetype: file.type,
+        size: file.size,
+        allowDuplicates,
+        tags,
+      }),
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      return { ok: false, body };
+    }
+    session = body;
+  }
+  onSession(session.id);
+
+  let offset = session.offset;
+  let failures = 0;
+  while (offset < file.size) {
+    const chunk = await readFile(
+      file.slice(offset, offset + Math.min(UPLOAD_CHUNK_SIZE, session.chunkSize))
+    );
+
+    try {
+      const response = await authFetch(UPLOADS_ENDPOINT + session.id, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/octet-stream",
+          "Upload-Offset": `${offset}`,
+          "Upload-Checksum": await computeChecksum(chunk),
+        },
+        body: chunk,
+      });
+      const body = await response.json();
+
+      if (response.ok) {
+        offset = body.offset;
+        failures = 0;
+        continue;
+      }
+
+      // Rejections other than a corrupted chunk or a conflicting offset will not succeed on a retry.
+      if (response.status < 500 && body?.offset === undefined) {
+        return { ok: false, body };
+      }
+    } catch (error) {
+      console.error("Error uploading chunk:", error);
+    }
+
+    failures += 1;
+    if (failures > UPLOAD_RETRY_LIMIT) {
+      return { ok: false, body: null };
+    }
+    await sleep(retryDelay * 2 ** (failures - 1));
+
+    // Resume from however much the API holds, which may differ from what was last acknowledged.
+    try {
+      const current = await fetchSession(session.id);
+      if (!current) {
+        return { ok: false, body: null };
+      }
+      offset = current.offset;
+    } catch (error) {
+      console.error("Error resuming upload:", error);
+    }
+  }
+
+  // Every chunk has been received, so the API can reassemble the file and upload it.
+  const response = await authFetch(
+    `${UPLOADS_ENDPOINT}${session.id}/complete`,
+    {
+      method: "POST",
+    }
+  );
+  return { ok: response.ok, body: await response.json() };
+};
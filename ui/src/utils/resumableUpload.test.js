@@ -0,0 +1,155 @@
+import { webcrypto } from "crypto";
+import { uploadResumable } from "./resumableUpload";
+
+// jsdom does not implement SubtleCrypto, so Node's implementation is used.
+// Its buffers belong to another realm, so they are copied before being hashed.
+Object.defineProperty(window.crypto, "subtle", {
+  value: {
+    digest: (algorithm, data) =>
+      webcrypto.subtle.digest(algorithm, Uint8Array.from(Buffer.from(data))),
+  },
+});
+
+// A JSON response from the API.
+const jsonResponse = (status, body) =>
+  Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+
+/**
+ * A minimal in-memory version of the API's resumable upload routes.
+ * Chunks can be made to fail by pushing failures onto chunkFailures.
+ */
+const createFakeApi = () => {
+  const api = { received: "", chunkFailures: [], requests: [] };
+  api.fetch = jest.fn(async (url, options = {}) => {
+    const method = options.method ?? "GET";
+    api.requests.push(`${method} ${url.replace(/^.*uploads\//, "/")}`);
+    const session = {
+      id: "session-1",
+      offset: api.received.length,
+      size: 10,
+      chunkSize: 4,
+    };
+
+    if (method === "POST" && url.endsWith("/complete")) {
+      return jsonResponse(200, {
+        results: [{ success: true, contents: api.received }],
+      });
+    }
+    if (method === "POST") {
+      return jsonResponse(201, session);
+    }
+    if (method === "GET") {
+      return jsonResponse(200, session);
+    }
+
+    // PATCH - append the chunk unless a failure has been queued.
+    const failure = api.chunkFailures.shift();
+    if (failure === "network") {
+      throw new Error("Network Error");
+    }
+    if (failure) {
+      return jsonResponse(failure, { offset: api.received.length });
+    }
+    const offset = Number(options.headers["Upload-Offset"]);
+    expect(options.headers["Upload-Checksum"]).toMatch(/^sha256 .+=$/);
+    api.received =
+      api.received.slice(0, offset) + Buffer.from(options.body).toString();
+    return jsonResponse(200, { ...session, offset: api.received.length });
+  });
+  return api;
+};
+
+/**
+ * uploadResumable sends a file in chunks and resumes after failures.
+ */
+describe("uploadResumable", () => {
+  const file = new File(["0123456789"], "test-file.jpg", {
+    type: "image/jpeg",
+  });
+  let api;
+
+  beforeEach(() => {
+    api = createFakeApi();
+    global.fetch = api.fetch;
+  });
+
+  // Test that a file is sent in chunks no larger than the API accepts.
+  test("Uploads a file in chunks and completes the upload.", async () => {
+    const onSession = jest.fn();
+    const response = await uploadResumable(file, { onSession, retryDelay: 0 });
+
+    expect(response.ok).toBe(true);
+    expect(response.body.results[0].contents).toBe("0123456789");
+    expect(onSession).toHaveBeenCalledWith("session-1");
+    expect(api.requests).toEqual([
+      "POST /",
+      "PATCH /session-1",
+      "PATCH /session-1",
+      "PATCH /session-1",
+      "POST /session-1/complete",
+    ]);
+  });
+
+  // Test that the tags of the file are sent when the upload starts.
+  test("Sends the tags of the file with the session.", async () => {
+    await uploadResumable(file, { tags: ["kitchen"], retryDelay: 0 });
+
+    const [, options] = api.fetch.mock.calls[0];
+    expect(JSON.parse(options.body).tags).toEqual(["kitchen"]);
+  });
+
+  // Test that a failed chunk is retried from the offset the API reports.
+  test("Resumes after network errors and server failures.", async () => {
+    api.chunkFailures.push(undefined, "network", 503, 409);
+    const response = await uploadResumable(file, { retryDelay: 0 });
+
+    expect(response.ok).toBe(true);
+    expect(api.received).toBe("0123456789");
+    expect(
+      api.requests.filter((request) => request === "GET /session-1"),
+    ).toHaveLength(3);
+  });
+
+  // Test that an upload is abandoned after too many consecutive failures.
+  test("Gives up after too many failures.", async () => {
+    api.chunkFailures.push(...Array(10).fill("network"));
+    const onSession = jest.fn();
+    const response = await uploadResumable(file, { onSession, retryDelay: 0 });
+
+    expect(response).toEqual({ ok: false, body: null });
+    expect(onSession).toHaveBeenCalledWith("session-1");
+  });
+
+  // Test that an interrupted upload is resumed rather than restarted.
+  test("Resumes an earlier session without resending received chunks.", async () => {
+    api.received = "01234567";
+    const response = await uploadResumable(file, {
+      sessionId: "session-1",
+      retryDelay: 0,
+    });
+
+    expect(response.ok).toBe(true);
+    expect(api.received).toBe("0123456789");
+    expect(api.requests).toEqual([
+      "GET /session-1",
+      "PATCH /session-1",
+      "POST /session-1/complete",
+    ]);
+  });
+
+  // Test that a rejection when starting the upload is reported.
+  test("Reports a rejected upload.", async () => {
+    api.fetch.mockImplementationOnce(() =>
+      jsonResponse(415, { errorCode: "UNSUPPORTED_TYPE" }),
+    );
+    const response = await uploadResumable(file, { retryDelay: 0 });
+    expect(response).toEqual({
+      ok: false,
+      body: { errorCode: "UNSUPPORTED_TYPE" },
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Keeps the session of the signed-in user, and sends requests to the API on their behalf.
+ *
+ * Signing in exchanges the user's API key for an access token and a refresh token, which are kept in
+ * sessionStorage so that they last as long as the tab. The access token is refreshed shortly before it expires,
+ * and if the API refuses it or the refresh token, the session ends as expired.
+ */
+import {
+  API_ENDPOINT_BASE,
+  AUTH_ENDPOINT_SUFFIX,
+  SESSION_REFRESH_MARGIN,
+  SESSION_STORAGE_KEY,
+} from "../config/constants";
+
+// The changes to the session passed to its listeners.
+export const SESSION_CHANGES = {
+  SIGNED_IN: "signed-in",
+  REFRESHED: "refreshed",
+  SIGNED_OUT: "signed-out",
+  EXPIRED: "expired",
+};
+
+const listeners = new Set();
+
+// The refresh in flight, shared by every request that needs it, so that the refresh token is only used once.
+let refreshing = null;
+
+/**
+ * Reads the current session.
+ * @returns {Object|null} the user, the access and refresh tokens and when the access token expires, or null if
+ * no one is signed in.
+ */
+export const getSession = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Replaces the current session and tells every listener.
+ * @param {Object|null} session - the new session, or null to end it.
+ * @param {string} change - what happened to the session, one of SESSION_CHANGES.
+ */
+const setSession = (session, change) => {
+  if (session) {
+    window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } else {
+    window.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+  listeners.forEach((listener) => listener(session, change));
+};
+
+/**
+ * Listens for changes to the session.
+ * @param {function} listener - called with the new session, or null, and the change, one of SESSION_CHANGES.
+ * @returns {function} stops listening.
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Requests a new session from the API.
+ * @param {string} path - the auth endpoint, "login" or "refresh".
+ * @param {Object} body - the credentials to send.
+ * @returns {Object} the session.
+ */
+const requestSession = async (path, body) => {
+  const response = await fetch(
+    API_ENDPOINT_BASE + AUTH_ENDPOINT_SUFFIX + path,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }
+  );
+  if (!response.ok) {
+    const error = new Error(`Failed to ${path}: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+/**
+ * Signs in with an API key.
+ * @param {string} apiKey - the user's API key.
+ * @returns {Object} the session. Throws an error with the status of the response if the key is refused.
+ */
+export const signIn = async (apiKey) => {
+  const session = await requestSession("login", { apiKey });
+  setSession(session, SESSION_CHANGES.SIGNED_IN);
+  return session;
+};
+
+/**
+ * Signs the user out.
+ */
+export const signOut = () => {
+  setSession(null, SESSION_CHANGES.SIGNED_OUT);
+};
+
+/**
+ * Ends the session because the API no longer accepts it, so that the user is asked to sign in again.
+ */
+export const expireSession = () => {
+  if (getSession()) {
+    setSession(null, SESSION_CHANGES.EXPIRED);
+  }
+};
+
+/**
+ * Exchanges the refresh token for a new session.
+ * If the API refuses the refresh token the session expires, but a network failure leaves it as it is.
+ * @returns {Object|null} the new session, or null if the session has ended.
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const current = getSession();
+      if (!current) {
+        return null;
+      }
+      try {
+        const session = await requestSession("refresh", {
+          refreshToken: current.refreshToken,
+        });
+        setSession(session, SESSION_CHANGES.REFRESHED);
+        return session;
+      } catch (error) {
+        if (error.status === 400 || error.status === 401) {
+          expireSession();
+          return null;
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+/**
+ * Adds the access token of a session to the headers of a request.
+ * @param {Object} options - the options of the request, as fetch takes them.
+ * @param {Object|null} session - the session, or null to send the request as it is.
+ * @returns {Object} the options.
+ */
+const withAuthorization = (options, session) =>
+  session
+    ? {
+        ...options,
+        headers: {
+          ...options.headers,
+          Authorization: `Bearer ${session.accessToken}`,
+        },
+      }
+    : options;
+
+/**
+ * Sends a request to the API as the signed-in user, taking the same arguments as fetch.
+ *
+ * The access token is refreshed first if it is about to expire. If the API still refuses it, the session is
+ * refreshed and the request sent once more, and if that fails too the session expires and the refused
+ * response is returned.
+ *
+ * @param {string} url - the URL to request.
+ * @param {Object} options - the options of the request.
+ * @returns {Response} the response.
+ */
+export const authFetch = async (url, options = {}) => {
+  let session = getSession();
+  if (session && session.expiresAt - Date.now() < SESSION_REFRESH_MARGIN) {
+    session = await refreshSession();
+  }
+
+  let response = await fetch(url, withAuthorization(options, session));
+  if (response.status === 401 && session) {
+    session = await refreshSession();
+    if (session) {
+      response = await fetch(url, withAuthorization(options, session));
+    }
+    if (response.status === 401) {
+      expireSession();
+    }
+  }
+  return response;
+};
+
+/**
+ * Adds the access token of the session to a URL, for requests that cannot send headers, such as EventSource.
+ * @param {string} url - the URL.
+ * @returns {string} the URL with an access_token parameter, or as it was if no one is signed in.
+ */
+export const withAccessToken = (url) => {
+  const session = getSession();
+  if (!session) {
+    return url;
+  }
+  const authorised = new URL(url);
+  authorised.searchParams.set("access_token", session.accessToken);
+  return authorised.toString();
+};
@@ -0,0 +1,182 @@
+import {
+  SESSION_CHANGES,
+  authFetch,
+  getSession,
+  refreshSession,
+  signIn,
+  signOut,
+  subscribeToSession,
+  withAccessToken,
+} from "./session";
+import { SESSION_REFRESH_MARGIN } from "../config/constants";
+
+// A response from the API with a JSON body.
+const mockResponse = (body, ok = true, status = 200) =>
+  Promise.resolve({ ok, status, json: () => Promise.resolve(body) });
+
+// A session as the API issues it, whose access token expires in an hour unless told otherwise.
+const makeSession = (name, expiresIn = 60 * 60 * 1000) => ({
+  user: { id: "alice", role: "user" },
+  accessToken: `${name}-access`,
+  refreshToken: `${name}-refresh`,
+  expiresAt: Date.now() + expiresIn,
+});
+
+describe("session", () => {
+  let listener;
+  let unsubscribe;
+
+  beforeEach(() => {
+    window.sessionStorage.clear();
+    global.fetch = jest.fn();
+    listener = jest.fn();
+    unsubscribe = subscribeToSession(listener);
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  // Test that signing in keeps the session issued by the API.
+  test("Signs in with an API key.", async () => {
+    const session = makeSession("first");
+    fetch.mockReturnValue(mockResponse(session));
+    expect(await signIn("alice-key")).toEqual(session);
+    expect(fetch.mock.calls[0][0]).toMatch(/auth\/login$/);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      apiKey: "alice-key",
+    });
+    expect(getSession()).toEqual(session);
+    expect(listener).toHaveBeenCalledWith(session, SESSION_CHANGES.SIGNED_IN);
+  });
+
+  // Test that a refused API key reports the status of the response.
+  test("Reports refused API keys.", async () => {
+    fetch.mockReturnValue(mockResponse("Unknown", false, 401));
+    await expect(signIn("wrong-key")).rejects.toMatchObject({ status: 401 });
+    expect(getSession()).toBeNull();
+  });
+
+  // Test that signing out forgets the session.
+  test("Signs out.", async () => {
+    fetch.mockReturnValue(mockResponse(makeSession("first")));
+    await signIn("alice-key");
+    signOut();
+    expect(getSession()).toBeNull();
+    expect(listener).toHaveBeenLastCalledWith(null, SESSION_CHANGES.SIGNED_OUT);
+  });
+
+  // Test that requests carry the access token.
+  test("Sends the access token with requests.", async () => {
+    window.sessionStorage.setItem("session", JSON.stringify(makeSession("a")));
+    fetch.mockReturnValue(mockResponse({}));
+    await authFetch("http://localhost:9001/images/", {
+      method: "DELETE",
+      headers: { "Content-Type": "application/json" },
+    });
+    expect(fetch.mock.calls[0][1]).toEqual({
+      method: "DELETE",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer a-access",
+      },
+    });
+  });
+
+  // Test that a token about to expire is refreshed before it is sent.
+  test("Refreshes the access token before it expires.", async () => {
+    window.sessionStorage.setItem(
+      "session",
+      JSON.stringify(makeSession("old", SESSION_REFRESH_MARGIN / 2))
+    );
+    const refreshed = makeSession("new");
+    fetch
+      .mockReturnValueOnce(mockResponse(refreshed))
+      .mockReturnValueOnce(mockResponse({}));
+    await authFetch("http://localhost:9001/tags");
+    expect(fetch.mock.calls[0][0]).toMatch(/auth\/refresh$/);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      refreshToken: "old-refresh",
+    });
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe(
+      "Bearer new-access"
+    );
+    expect(listener).toHaveBeenCalledWith(refreshed, SESSION_CHANGES.REFRESHED);
+  });
+
+  // Test that a refused token is refreshed and the request sent again.
+  test("Retries a refused request with a refreshed token.", async () => {
+    window.sessionStorage.setItem(
+      "session",
+      JSON.stringify(makeSession("old"))
+    );
+    fetch
+      .mockReturnValueOnce(mockResponse("Expired", false, 401))
+      .mockReturnValueOnce(mockResponse(makeSession("new")))
+      .mockReturnValueOnce(mockResponse({ images: [] }));
+    const response = await authFetch("http://localhost:9001/images/");
+    expect(response.status).toBe(200);
+    expect(fetch.mock.calls[2][1].headers.Authorization).toBe(
+      "Bearer new-access"
+    );
+  });
+
+  // Test that the session expires once the refresh token is refused.
+  test("Expires the session when it cannot be refreshed.", async () => {
+    window.sessionStorage.setItem(
+      "session",
+      JSON.stringify(makeSession("old"))
+    );
+    fetch
+      .mockReturnValueOnce(mockResponse("Expired", false, 401))
+      .mockReturnValueOnce(mockResponse("Expired", false, 401));
+    const response = await authFetch("http://localhost:9001/images/");
+    expect(response.status).toBe(401);
+    expect(getSession()).toBeNull();
+    expect(listener).toHaveBeenCalledWith(null, SESSION_CHANGES.EXPIRED);
+  });
+
+  // Test that a network failure while refreshing keeps the session.
+  test("Keeps the session if the refresh fails to send.", async () => {
+    const session = makeSession("old");
+    window.sessionStorage.setItem("session", JSON.stringify(session));
+    fetch.mockRejectedValue(new Error("Network Error"));
+    await expect(refreshSession()).rejects.toThrow("Network Error");
+    expect(getSession()).toEqual(session);
+  });
+
+  // Test that concurrent refreshes use the refresh token once.
+  test("Shares a refresh between requests.", async () => {
+    window.sessionStorage.setItem(
+      "session",
+      JSON.stringify(makeSession("old"))
+    );
+    fetch.mockReturnValue(mockResponse(makeSession("new")));
+    const [first, second] = await Promise.all([
+      refreshSession(),
+      refreshSession(),
+    ]);
+    expect(first).toEqual(second);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  // Test that requests are sent as they are when no one is signed in.
+  test("Sends requests without a token when signed out.", async () => {
+    fetch.mockReturnValue(mockResponse("Unauthorised", false, 401));
+    const options = { method: "GET" };
+    await authFetch("http://localhost:9001/images/", options);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1]).toBe(options);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  // Test that the access token is added to URLs for EventSource.
+  test("Adds the access token to URLs.", () => {
+    const url = "http://localhost:9001/events?size=m";
+    expect(withAccessToken(url)).toBe(url);
+    window.sessionStorage.setItem("session", JSON.stringify(makeSession("a")));
+    expect(withAccessToken(url)).toBe(
+      "http://localhost:9001/events?size=m&access_token=a-access"
+    );
+  });
+});
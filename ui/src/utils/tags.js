@@ -0,0 +1,57 @@
+import {
+  API_ENDPOINT_BASE,
+  TAGS_ENDPOINT_SUFFIX,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+} from "../config/constants";
+import { authFetch } from "./session";
+
+/**
+ * Reads the tags typed into a comma-separated field, normalised as the API records them.
+ * @param {string} text - the text of the field.
+ * @returns {string[]} the tags, trimmed, lowercased and without repeats.
+ */
+export const parseTagInput = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim().replace(/\s+/g, " ").toLowerCase())
+      .filter((tag) => tag !== "")
+  ),
+];
+
+/**
+ * Checks tags against the limits the API enforces, so that the user can be told before anything is sent.
+ * @param {string[]} tags - the tags, as read by parseTagInput.
+ * @returns {string|null} a message describing the problem, or null if the tags are valid.
+ */
+export const validateTags = (tags) => {
+  if (tags.length > MAX_TAGS) {
+    return `An image may not have more than ${MAX_TAGS} tags.`;
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return `Tags may not exceed ${MAX_TAG_LENGTH} characters.`;
+  }
+  return null;
+};
+
+/**
+ * Fetches the tags in use from the API.
+ *
+ * Tags are only suggested, so if they cannot be fetched none are offered rather than blocking the page.
+ *
+ * @returns {Object[]} the tags, each with the number of images carrying it, most used first.
+ */
+export const fetchTags = async () => {
+  try {
+    const response = await authFetch(API_ENDPOINT_BASE + TAGS_ENDPOINT_SUFFIX);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch tags: ${response.status}`);
+    }
+    const { tags = [] } = await response.json();
+    return tags;
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    return [];
+  }
+};
@@ -0,0 +1,54 @@
+import { fetchTags, parseTagInput, validateTags } from "./tags";
+import { MAX_TAGS, MAX_TAG_LENGTH } from "../config/constants";
+
+// A response from the API with a JSON body.
+const mockResponse = (body, ok = true, status = 200) =>
+  Promise.resolve({ ok, status, json: () => Promise.resolve(body) });
+
+describe("tags", () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  // Test that tags are read as the API records them.
+  test("Reads comma-separated tags.", () => {
+    expect(parseTagInput(" Kitchen,  front   door ,,kitchen")).toEqual([
+      "kitchen",
+      "front door",
+    ]);
+    expect(parseTagInput("")).toEqual([]);
+  });
+
+  // Test that tags the API would reject are reported.
+  test("Validates tags against the API's limits.", () => {
+    expect(validateTags(["kitchen"])).toBeNull();
+    expect(
+      validateTags(Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`))
+    ).toBe(`An image may not have more than ${MAX_TAGS} tags.`);
+    expect(validateTags(["a".repeat(MAX_TAG_LENGTH + 1)])).toBe(
+      `Tags may not exceed ${MAX_TAG_LENGTH} characters.`
+    );
+  });
+
+  // Test that the tags in use are read from the API.
+  test("Fetches the tags in use.", async () => {
+    const tags = [{ tag: "kitchen", count: 2 }];
+    fetch.mockReturnValue(mockResponse({ tags }));
+    expect(await fetchTags()).toEqual(tags);
+    expect(fetch.mock.calls[0][0]).toMatch(/tags$/);
+  });
+
+  // Test that a failure to fetch the tags offers none.
+  test("Offers no tags if they cannot be fetched.", async () => {
+    fetch.mockReturnValue(mockResponse("Failed", false, 500));
+    expect(await fetchTags()).toEqual([]);
+
+    fetch.mockRejectedValue(new Error("Network Error"));
+    expect(await fetchTags()).toEqual([]);
+  });
+});
@@ -0,0 +1,31 @@
+import {
+  THUMBNAIL_SIZES,
+  GRID_COLUMNS,
+  CARD_IMAGE_HEIGHT,
+} from "../config/constants";
+
+/**
+ * Picks the smallest thumbnail size that fills an area without being upscaled.
+ * If no thumbnail is large enough, the largest is used.
+ * @param {number} displayEdge - the longest edge, in CSS pixels, that the thumbnail is displayed at.
+ * @param {number} pixelRatio - the number of device pixels per CSS pixel.
+ * @returns {string} the Imgur thumbnail suffix.
+ */
+export const pickThumbnailSize = (displayEdge, pixelRatio = 1) => {
+  const requiredPixels = displayEdge * pixelRatio;
+  const fitting = THUMBNAIL_SIZES.find(({ pixels }) => pixels >= requiredPixels);
+  return (fitting ?? THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1]).size;
+};
+
+/**
+ * Picks the thumbnail size for the cards of the image grid on the current screen.
+ * Each card spans a column of the viewport and its image is CARD_IMAGE_HEIGHT tall, whichever is longer is the edge to fill.
+ * @returns {string} the Imgur thumbnail suffix.
+ */
+export const pickGridThumbnailSize = () => {
+  const columnWidth = window.innerWidth / GRID_COLUMNS;
+  return pickThumbnailSize(
+    Math.max(columnWidth, CARD_IMAGE_HEIGHT),
+    window.devicePixelRatio || 1
+  );
+};
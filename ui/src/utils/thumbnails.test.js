@@ -0,0 +1,37 @@
+import { pickThumbnailSize, pickGridThumbnailSize } from "./thumbnails";
+
+/**
+ * The thumbnail helpers pick the Imgur thumbnail size to request for the image grid.
+ */
+describe("thumbnails", () => {
+  // Test that the smallest size that is large enough is picked.
+  test("Picks the smallest thumbnail that fills the display area.", () => {
+    expect(pickThumbnailSize(100)).toBe("t");
+    expect(pickThumbnailSize(160)).toBe("t");
+    expect(pickThumbnailSize(161)).toBe("m");
+    expect(pickThumbnailSize(500)).toBe("l");
+  });
+
+  // Test that high density screens receive larger thumbnails.
+  test("Accounts for the pixel density of the screen.", () => {
+    expect(pickThumbnailSize(300, 1)).toBe("m");
+    expect(pickThumbnailSize(300, 2)).toBe("l");
+    expect(pickThumbnailSize(300, 3)).toBe("h");
+  });
+
+  // Test that the largest size is used when none is large enough.
+  test("Falls back to the largest thumbnail.", () => {
+    expect(pickThumbnailSize(4000, 2)).toBe("h");
+  });
+
+  // Test that the grid size follows the width of the window.
+  test("Picks the grid thumbnail size from the window.", () => {
+    window.innerWidth = 1024;
+    window.devicePixelRatio = 1;
+    expect(pickGridThumbnailSize()).toBe("l");
+    window.innerWidth = 400;
+    expect(pickGridThumbnailSize()).toBe("m");
+    window.devicePixelRatio = 2;
+    expect(pickGridThumbnailSize()).toBe("l");
+  });
+});
@@ -0,0 +1,122 @@
+import {
+  API_ENDPOINT_BASE,
+  IMAGES_ENDPOINT_SUFFIX,
+  JOBS_ENDPOINT_SUFFIX,
+  JOB_POLL_INTERVAL,
+} from "../config/constants";
+import { authFetch, withAccessToken } from "./session";
+
+const JOBS_ENDPOINT = API_ENDPOINT_BASE + JOBS_ENDPOINT_SUFFIX;
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - the time to wait.
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Follows a job by polling its state until it completes.
+ * @param {Object} job - the job, as last reported by the API.
+ * @param {function} onProgress - called with the job each time it is read.
+ * @param {number} pollInterval - the time to wait between reads.
+ * @returns {Object} the completed job.
+ */
+const pollJob = async (job, onProgress, pollInterval) => {
+  let current = job;
+  while (current.status !== "completed") {
+    const response = await authFetch(JOBS_ENDPOINT + job.id);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch upload job: ${response.status}`);
+    }
+    current = await response.json();
+    onProgress(current);
+    if (current.status !== "completed") {
+      await sleep(pollInterval);
+    }
+  }
+  return current;
+};
+
+/**
+ * Follows a job through its stream of Server-Sent Events until it completes.
+ * If the stream fails, the job is polled instead.
+ * @param {Object} job - the job, as last reported by the API.
+ * @param {function} onProgress - called with the job each time it changes.
+ * @param {number} pollInterval - the time to wait between reads, if the job is polled.
+ * @returns {Object} the completed job.
+ */
+const streamJob = (job, onProgress, pollInterval) =>
+  new Promise((resolve, reject) => {
+    const events = new window.EventSource(
+      withAccessToken(`${JOBS_ENDPOINT}${job.id}/events`)
+    );
+    events.addEventListener("progress", (event) =>
+      onProgress(JSON.parse(event.data))
+    );
+    events.addEventListener("complete", (event) => {
+      events.close();
+      const completed = JSON.parse(event.data);
+      onProgress(completed);
+      resolve(completed);
+    });
+    events.onerror = () => {
+      events.close();
+      pollJob(job, onProgress, pollInterval).then(resolve, reject);
+    };
+  });
+
+/**
+ * Uploads a batch of files as a job, which the API processes in the background.
+ *
+ * The state of each file is reported as the job progresses, through Server-Sent Events where
+ * the browser supports them and by polling otherwise. Requests the API rejects outright are
+ * answered straight away, as are requests to APIs that upload synchronously.
+ *
+ * @param {File[]} files - the files to upload.
+ * @param {Object} options
+ * @param {boolean} options.allowDuplicates - whether to upload files that have already been uploaded.
+ * @param {string[]} options.tags - the tags to record against every file.
+ * @param {function} options.onProgress - called with the job each time it changes.
+ * @param {number} options.pollInterval - the time to wait between reads, if the job is polled.
+ * @returns {Object} whether the request succeeded and a body in the format of a synchronous upload.
+ */
+export const uploadBatch = async (
+  files,
+  {
+    allowDuplicates = false,
+    tags = [],
+    onProgress = () => {},
+    pollInterval = JOB_POLL_INTERVAL,
+  } = {}
+) => {
+  const formData = new FormData();
+  files.forEach((file) => formData.append("files", file));
+  if (allowDuplicates) {
+    formData.append("allowDuplicates", "true");
+  }
+  if (tags.length > 0) {
+    formData.append("tags", tags.join(","));
+  }
+
+  const response = await authFetch(
+    `${API_ENDPOINT_BASE}${IMAGES_ENDPOINT_SUFFIX}?async=true`,
+    { method: "POST", body: formData }
+  );
+  const body = await response.json();
+  if (response.status !== 202) {
+    return { ok: response.ok, body };
+  }
+
+  onProgress(body);
+  const job = window.EventSource
+    ? await streamJob(body, onProgress, pollInterval)
+    : await pollJob(body, onProgress, pollInterval);
+  return {
+    ok: true,
+    body: {
+      uploaded: job.uploaded,
+      failed: job.failed,
+      results: job.files.map(({ result }) => result),
+    },
+  };
+};
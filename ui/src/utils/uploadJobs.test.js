@@ -0,0 +1,169 @@
+import { uploadBatch } from "./uploadJobs";
+
+// A JSON response from the API.
+const jsonResponse = (status, body) =>
+  Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+
+// A job in the format the API reports it.
+const createJob = (status, states, results = states.map(() => null)) => ({
+  id: "job-1",
+  status,
+  total: states.length,
+  uploaded: states.filter((state) => state === "uploaded").length,
+  failed: states.filter((state) => state === "failed").length,
+  files: states.map((state, index) => ({
+    file: `file-${index}.jpg`,
+    state,
+    result: results[index],
+  })),
+});
+
+/**
+ * A minimal EventSource that lets tests send events to the listeners.
+ */
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]({ data: JSON.stringify(data) });
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+// Waits until the job's events are being followed.
+const waitForEventSource = async () => {
+  while (FakeEventSource.instances.length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+};
+
+describe("uploadBatch", () => {
+  const files = [new File(["a"], "file-0.jpg"), new File(["b"], "file-1.jpg")];
+  const completed = createJob(
+    "completed",
+    ["uploaded", "failed"],
+    [{ success: true }, { success: false, errorCode: "CORRUPT_FILE" }]
+  );
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    delete window.EventSource;
+    FakeEventSource.instances = [];
+  });
+
+  test("Returns the response of an API that answers straight away.", async () => {
+    fetch.mockReturnValue(
+      jsonResponse(413, { errorCode: "TOO_LARGE", message: "Too large." })
+    );
+
+    const response = await uploadBatch(files, { allowDuplicates: true });
+
+    expect(response).toEqual({
+      ok: false,
+      body: { errorCode: "TOO_LARGE", message: "Too large." },
+    });
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toMatch(/images\/\?async=true$/);
+    expect(options.body.getAll("files")).toHaveLength(2);
+    expect(options.body.get("allowDuplicates")).toBe("true");
+  });
+
+  test("Sends the tags of the files.", async () => {
+    fetch.mockReturnValue(jsonResponse(400, {}));
+
+    await uploadBatch(files, { tags: ["kitchen", "evidence"] });
+
+    expect(fetch.mock.calls[0][1].body.get("tags")).toBe("kitchen,evidence");
+  });
+
+  test("Polls the job until it completes.", async () => {
+    const onProgress = jest.fn();
+    fetch
+      .mockReturnValueOnce(
+        jsonResponse(202, createJob("processing", ["queued", "queued"]))
+      )
+      .mockReturnValueOnce(
+        jsonResponse(200, createJob("processing", ["uploaded", "processing"]))
+      )
+      .mockReturnValueOnce(jsonResponse(200, completed));
+
+    const response = await uploadBatch(files, { onProgress, pollInterval: 0 });
+
+    expect(
+      fetch.mock.calls.map(([url]) => url.replace(/^.*\/jobs\//, ""))
+    ).toEqual([expect.stringContaining("images"), "job-1", "job-1"]);
+    expect(
+      onProgress.mock.calls.map(([job]) => job.files.map(({ state }) => state))
+    ).toEqual([
+      ["queued", "queued"],
+      ["uploaded", "processing"],
+      ["uploaded", "failed"],
+    ]);
+    expect(response).toEqual({
+      ok: true,
+      body: {
+        uploaded: 1,
+        failed: 1,
+        results: [
+          { success: true },
+          { success: false, errorCode: "CORRUPT_FILE" },
+        ],
+      },
+    });
+  });
+
+  test("Follows the job through its events where they are supported.", async () => {
+    window.EventSource = FakeEventSource;
+    const onProgress = jest.fn();
+    fetch.mockReturnValueOnce(
+      jsonResponse(202, createJob("processing", ["queued", "queued"]))
+    );
+
+    const pending = uploadBatch(files, { onProgress });
+    await waitForEventSource();
+    const [events] = FakeEventSource.instances;
+    expect(events.url).toMatch(/jobs\/job-1\/events$/);
+
+    events.emit("progress", createJob("processing", ["processing", "queued"]));
+    events.emit("complete", completed);
+
+    expect((await pending).body.uploaded).toBe(1);
+    expect(events.closed).toBe(true);
+    expect(onProgress).toHaveBeenCalledTimes(3);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("Polls the job if its events fail.", async () => {
+    window.EventSource = FakeEventSource;
+    fetch
+      .mockReturnValueOnce(
+        jsonResponse(202, createJob("processing", ["queued", "queued"]))
+      )
+      .mockReturnValueOnce(jsonResponse(200, completed));
+
+    const pending = uploadBatch(files, { pollInterval: 0 });
+    await waitForEventSource();
+    FakeEventSource.instances[0].onerror();
+
+    expect((await pending).body.failed).toBe(1);
+    expect(FakeEventSource.instances[0].closed).toBe(true);
+  });
+});